@@ -0,0 +1,217 @@
+/**
+ * Tests for auth command
+ */
+
+const { Command } = require('commander');
+const authCommand = require('../../src/commands/auth');
+const storage = require('../../src/core/storage');
+const oauth = require('../../src/core/oauth');
+const printer = require('../../src/core/printer');
+const { NetworkError } = require('../../src/core/errors');
+
+jest.mock('chalk', () => ({
+  red: jest.fn((text) => text),
+  green: jest.fn((text) => text),
+  gray: jest.fn((text) => text),
+  cyan: jest.fn((text) => text),
+  bold: jest.fn((text) => text)
+}));
+
+jest.mock('../../src/core/storage');
+jest.mock('../../src/core/printer');
+jest.mock('../../src/core/oauth', () => ({
+  ...jest.requireActual('../../src/core/oauth'),
+  getAccessToken: jest.fn(),
+  clearTokens: jest.fn()
+}));
+
+describe('auth command', () => {
+  let program;
+  let consoleLogSpy;
+  let processExitSpy;
+
+  beforeEach(() => {
+    program = new Command();
+    program.exitOverride();
+    authCommand(program);
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+
+    jest.clearAllMocks();
+    storage.getAuthProfiles.mockReturnValue({});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    processExitSpy.mockRestore();
+  });
+
+  function output() {
+    return consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+  }
+
+  describe('auth add', () => {
+    test('should save a client credentials profile', async () => {
+      await program.parseAsync([
+        'node', 'test', 'auth', 'add', 'corp',
+        '--token-url', 'https://{{AUTH_HOST}}/token',
+        '--client-id', 'cli',
+        '--client-secret', '{{SECRET}}',
+        '--scope', 'read'
+      ]);
+
+      expect(storage.saveAuthProfile).toHaveBeenCalledWith('corp', {
+        type: 'oauth2',
+        grant: 'client_credentials',
+        tokenUrl: 'https://{{AUTH_HOST}}/token',
+        clientId: 'cli',
+        clientSecret: '{{SECRET}}',
+        clientAuth: 'basic',
+        scope: 'read'
+      });
+      expect(oauth.clearTokens).not.toHaveBeenCalled();
+      expect(output()).toContain("Auth profile 'corp' saved");
+      expect(output()).toContain('Use it with --auth oauth2:corp');
+    });
+
+    test('should clear cached tokens when a profile is replaced', async () => {
+      storage.getAuthProfiles.mockReturnValue({ corp: {} });
+      oauth.clearTokens.mockReturnValue(2);
+
+      await program.parseAsync(['node', 'test', 'auth', 'add', 'corp', '--token-url', 'http://auth/token', '--client-id', 'cli']);
+
+      expect(oauth.clearTokens).toHaveBeenCalledWith('corp');
+      expect(output()).toContain("Auth profile 'corp' updated");
+      expect(output()).toContain('Cleared 2 cached token(s).');
+    });
+
+    test('should reject incomplete profiles', async () => {
+      await program.parseAsync(['node', 'test', 'auth', 'add', 'corp', '--token-url', 'http://auth/token', '--client-id', 'cli', '--grant', 'password']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(output()).toContain('Error: The password grant needs --username and --password.');
+    });
+
+    test('should save an hmac signing profile', async () => {
+      await program.parseAsync([
+        'node', 'test', 'auth', 'add', 'partner',
+        '--type', 'hmac',
+        '--secret', '{{PARTNER_SECRET}}',
+        '--algorithm', 'sha512',
+        '--encoding', 'base64',
+        '--parts', 'method,path,timestamp,body-hash',
+        '--separator', '\\n',
+        '--timestamp-format', 'iso',
+        '--signature-header', 'Authorization',
+        '--signature-format', 'HMAC {keyId}:{signature}',
+        '--key-id', '{{PARTNER_KEY}}'
+      ]);
+
+      expect(storage.saveAuthProfile).toHaveBeenCalledWith('partner', {
+        type: 'hmac',
+        secret: '{{PARTNER_SECRET}}',
+        algorithm: 'sha512',
+        encoding: 'base64',
+        parts: ['method', 'path', 'timestamp', 'body-hash'],
+        separator: '\n',
+        timestampFormat: 'iso',
+        signatureHeader: 'Authorization',
+        signatureFormat: 'HMAC {keyId}:{signature}',
+        timestampHeader: 'X-Timestamp',
+        keyId: '{{PARTNER_KEY}}'
+      });
+      expect(output()).toContain('Signs: method, path, timestamp, body-hash');
+      expect(output()).toContain('Use it with --auth hmac:partner');
+    });
+
+    test('should reject unknown profile types and hmac profiles without a secret', async () => {
+      await program.parseAsync(['node', 'test', 'auth', 'add', 'partner', '--type', 'saml']);
+      await program.parseAsync(['node', 'test', 'auth', 'add', 'partner', '--type', 'hmac']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(output()).toContain("Error: Unknown profile type 'saml'. Use oauth2 or hmac.");
+      expect(output()).toContain('Error: HMAC secret is required.');
+      expect(storage.saveAuthProfile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('auth list', () => {
+    test('should list oauth2 and hmac profiles', async () => {
+      storage.getAuthProfiles.mockReturnValue({
+        corp: { grant: 'client_credentials', tokenUrl: 'http://auth/token', clientId: 'cli' },
+        partner: { type: 'hmac', algorithm: 'sha256', encoding: 'hex', parts: ['method', 'path'], signatureHeader: 'X-Signature' }
+      });
+
+      await program.parseAsync(['node', 'test', 'auth', 'list']);
+
+      expect(printer.printTable).toHaveBeenCalledWith(['Profile', 'Type', 'Settings'], [
+        ['corp', 'oauth2', 'client_credentials, http://auth/token, client cli'],
+        ['partner', 'hmac', 'sha256 hex, method + path => X-Signature']
+      ]);
+    });
+  });
+
+  describe('auth rm', () => {
+    test('should remove the profile and its tokens', async () => {
+      await program.parseAsync(['node', 'test', 'auth', 'rm', 'corp']);
+
+      expect(storage.removeAuthProfile).toHaveBeenCalledWith('corp');
+      expect(oauth.clearTokens).toHaveBeenCalledWith('corp');
+      expect(output()).toContain("Auth profile 'corp' removed.");
+    });
+
+    test('should exit 1 for unknown profiles', async () => {
+      storage.removeAuthProfile.mockImplementation(() => {
+        throw new Error("Auth profile 'nope' does not exist");
+      });
+
+      await program.parseAsync(['node', 'test', 'auth', 'rm', 'nope']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(oauth.clearTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('auth token', () => {
+    const token = {
+      accessToken: 'a1',
+      tokenType: 'Bearer',
+      refreshToken: 'r1',
+      scope: 'read',
+      expiresAt: new Date(Date.now() + 90 * 60 * 1000).toISOString(),
+      obtainedAt: new Date().toISOString()
+    };
+
+    test('should show the token for the environment', async () => {
+      oauth.getAccessToken.mockResolvedValue({ token, source: 'cache' });
+
+      await program.parseAsync(['node', 'test', 'auth', 'token', 'corp', '--env', 'dev']);
+
+      expect(oauth.getAccessToken).toHaveBeenCalledWith('corp', { env: 'dev', force: false });
+      expect(output()).toContain('Environment: dev');
+      expect(output()).toContain('Source: cache');
+      expect(output()).toMatch(/Expires: in 1h (29|30)m/);
+      expect(output()).toContain('Refresh token: yes');
+      expect(consoleLogSpy).toHaveBeenLastCalledWith('a1');
+    });
+
+    test('should print only the token with --raw and refresh with --refresh', async () => {
+      oauth.getAccessToken.mockResolvedValue({ token: { ...token, expiresAt: null }, source: 'new' });
+
+      await program.parseAsync(['node', 'test', 'auth', 'token', 'corp', '--raw', '--refresh']);
+
+      expect(oauth.getAccessToken).toHaveBeenCalledWith('corp', { env: null, force: true });
+      expect(consoleLogSpy.mock.calls).toEqual([['a1']]);
+    });
+
+    test('should exit 2 when the token endpoint fails', async () => {
+      oauth.getAccessToken.mockRejectedValue(new NetworkError('Token request to http://auth/token failed: 401 invalid_client'));
+
+      await program.parseAsync(['node', 'test', 'auth', 'token', 'corp']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+      expect(output()).toContain('Error: Token request to http://auth/token failed: 401 invalid_client');
+    });
+  });
+});
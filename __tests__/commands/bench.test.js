@@ -0,0 +1,219 @@
+/**
+ * Tests for bench command
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Command } = require('commander');
+const benchCommand = require('../../src/commands/bench');
+const storage = require('../../src/core/storage');
+const http = require('../../src/core/http');
+const env = require('../../src/core/env');
+const printer = require('../../src/core/printer');
+const { NetworkError } = require('../../src/core/errors');
+
+// Mock dependencies
+jest.mock('chalk', () => ({
+  red: jest.fn((text) => text),
+  green: jest.fn((text) => text),
+  yellow: jest.fn((text) => text),
+  gray: jest.fn((text) => text),
+  cyan: jest.fn((text) => text),
+}));
+
+jest.mock('../../src/core/storage');
+jest.mock('../../src/core/http');
+jest.mock('../../src/core/env');
+jest.mock('../../src/core/printer');
+
+// Mock ora spinner
+jest.mock('ora', () => {
+  return jest.fn(() => ({
+    start: jest.fn().mockReturnThis(),
+    stop: jest.fn().mockReturnThis(),
+  }));
+});
+
+const BENCH_DIR = path.join(os.tmpdir(), '.api-ex-test-bench-command-' + Date.now());
+
+describe('bench command', () => {
+  let program;
+  let consoleLogSpy;
+  let processExitSpy;
+
+  const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+  beforeAll(() => {
+    fs.mkdirSync(BENCH_DIR, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(BENCH_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    program = new Command();
+    program.exitOverride();
+    benchCommand(program);
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+
+    jest.clearAllMocks();
+
+    http.sendRequest.mockResolvedValue({ status: 200, durationMs: 20 });
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    processExitSpy.mockRestore();
+  });
+
+  test('should bench a url and print the summary', async () => {
+    await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com/health', '-n', '5', '-c', '2', '-H', 'Accept: text/plain']);
+
+    expect(http.sendRequest).toHaveBeenCalledTimes(5);
+    expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'GET',
+      url: 'https://api.example.com/health',
+      headers: { Accept: 'text/plain' },
+      timeout: 30000
+    }));
+    expect(output()).toContain('5 requests, concurrency 2');
+    expect(output()).toContain('Errors:      0 (0%)');
+    expect(output()).toContain('  200  5');
+    expect(output()).toContain('  p99   20ms');
+    expect(output()).toContain('20ms - 20ms');
+    expect(processExitSpy).not.toHaveBeenCalled();
+  });
+
+  test('should bench a saved request with environment variables', async () => {
+    storage.getRequestByName.mockReturnValue({
+      name: 'create-order',
+      method: 'POST',
+      url: '{{BASE_URL}}/orders',
+      headers: ['Content-Type: application/json'],
+      data: '{"sku":"A1"}'
+    });
+    env.getEnv.mockReturnValue({ BASE_URL: 'https://staging.example.com' });
+    env.interpolateRequest.mockImplementation(jest.requireActual('../../src/core/env').interpolateRequest);
+
+    await program.parseAsync(['node', 'test', 'bench', 'create-order', '--env', 'staging', '-n', '2']);
+
+    expect(env.getEnv).toHaveBeenCalledWith('staging');
+    expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'POST',
+      url: 'https://staging.example.com/orders',
+      data: '{"sku":"A1"}',
+      env: 'staging'
+    }));
+    expect(output()).toContain('POST https://staging.example.com/orders');
+  });
+
+  test('should count 4xx/5xx responses and network failures as errors', async () => {
+    http.sendRequest
+      .mockResolvedValueOnce({ status: 200, durationMs: 10 })
+      .mockResolvedValueOnce({ status: 503, durationMs: 5 })
+      .mockRejectedValueOnce(new NetworkError('connect ECONNREFUSED'))
+      .mockResolvedValueOnce({ status: 200, durationMs: 10 });
+
+    await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com', '-n', '4', '-c', '1']);
+
+    expect(output()).toContain('Errors:      2 (50%)');
+    expect(output()).toContain('1 x connect ECONNREFUSED');
+    expect(output()).toContain('  503  1');
+    expect(processExitSpy).not.toHaveBeenCalled();
+  });
+
+  test('should exit 2 when no request got a response', async () => {
+    http.sendRequest.mockRejectedValue(new NetworkError('getaddrinfo ENOTFOUND'));
+
+    await program.parseAsync(['node', 'test', 'bench', '--url', 'https://nowhere.invalid', '-n', '3']);
+
+    expect(output()).toContain('3 x getaddrinfo ENOTFOUND');
+    expect(processExitSpy).toHaveBeenCalledWith(2);
+  });
+
+  test('should write results with --json and compare with --compare', async () => {
+    const file = path.join(BENCH_DIR, 'baseline.json');
+
+    //same elapsed time for both runs so throughput does not change
+    let now = 0;
+    const dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => (now += 5));
+
+    try {
+      await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com', '-n', '4', '--json', file]);
+
+      const report = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      expect(report.request).toEqual({ name: null, method: 'GET', url: 'https://api.example.com' });
+      expect(report.summary.latency.p50).toBe(20);
+      expect(output()).toContain(`Results written to ${file}`);
+
+      consoleLogSpy.mockClear();
+      await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com', '-n', '4', '--compare', file]);
+    } finally {
+      dateNowSpy.mockRestore();
+    }
+
+    expect(printer.printTable).toHaveBeenCalledWith(['Metric', 'Baseline', 'Current', 'Change'], expect.any(Array));
+    expect(output()).toContain('No regressions');
+  });
+
+  test('should exit 3 when a metric regressed past the threshold', async () => {
+    const file = path.join(BENCH_DIR, 'fast.json');
+    await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com', '-n', '4', '--json', file]);
+
+    http.sendRequest.mockResolvedValue({ status: 200, durationMs: 30 });
+    consoleLogSpy.mockClear();
+    await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com', '-n', '4', '--compare', file, '--threshold', '20']);
+
+    const rows = printer.printTable.mock.calls[0][1];
+    expect(rows.find(row => row[0] === 'p95')).toEqual(['p95', '20ms', '30ms', '+50% REGRESSION']);
+    expect(output()).toContain('Compared with');
+    expect(output()).toContain('(threshold 20%)');
+    expect(output()).toMatch(/Regressions: .*p95/);
+    expect(processExitSpy).toHaveBeenCalledWith(3);
+  });
+
+  describe('validation', () => {
+    test('should require a name or --url', async () => {
+      await program.parseAsync(['node', 'test', 'bench']);
+
+      expect(output()).toContain('Give a saved request name or --url');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+
+    test('should reject --requests with --duration', async () => {
+      await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com', '-n', '5', '--duration', '10']);
+
+      expect(output()).toContain('Use either --requests or --duration, not both.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should reject a concurrency below 1', async () => {
+      await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com', '-c', '0']);
+
+      expect(output()).toContain('Concurrency');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should exit 1 for a missing saved request', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'bench', 'missing']);
+
+      expect(output()).toContain("No saved request found with name 'missing'");
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should exit 1 for an unreadable --compare file', async () => {
+      await program.parseAsync(['node', 'test', 'bench', '--url', 'https://api.example.com', '--compare', path.join(BENCH_DIR, 'nope.json')]);
+
+      expect(output()).toContain('Could not read bench results');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for export command
+ */
+
+const { Command } = require('commander');
+const exportCommand = require('../../src/commands/export');
+const storage = require('../../src/core/storage');
+const env = require('../../src/core/env');
+
+jest.mock('chalk', () => ({
+  red: jest.fn((text) => text),
+  green: jest.fn((text) => text),
+  yellow: jest.fn((text) => text),
+  gray: jest.fn((text) => text),
+  cyan: jest.fn((text) => text),
+}));
+
+jest.mock('../../src/core/storage');
+jest.mock('../../src/core/env');
+
+describe('export command', () => {
+  let program;
+  let consoleLogSpy;
+  let processExitSpy;
+
+  beforeEach(() => {
+    program = new Command();
+    program.exitOverride();
+    exportCommand(program);
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    processExitSpy.mockRestore();
+  });
+
+  describe('export curl', () => {
+    const savedRequest = {
+      name: 'get-user',
+      method: 'GET',
+      url: 'https://{{HOST}}/users/1',
+      headers: ['Authorization: Bearer {{TOKEN}}'],
+      data: ''
+    };
+
+    test('should print the saved request as curl', async () => {
+      storage.getRequestByName.mockReturnValue(savedRequest);
+
+      await program.parseAsync(['node', 'test', 'export', 'curl', 'get-user']);
+
+      expect(env.interpolateRequest).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        "curl 'https://{{HOST}}/users/1' \\\n  -H 'Authorization: Bearer {{TOKEN}}'"
+      );
+    });
+
+    test('should warn on stderr when the auth is left out', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      storage.getRequestByName.mockReturnValue({ ...savedRequest, headers: [], auth: { type: 'oauth2', profile: 'corp' } });
+
+      await program.parseAsync(['node', 'test', 'export', 'curl', 'get-user']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith("curl 'https://{{HOST}}/users/1'");
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('oauth2 auth is left out of the curl command'));
+      consoleErrorSpy.mockRestore();
+    });
+
+    test('should interpolate with --env', async () => {
+      storage.getRequestByName.mockReturnValue(savedRequest);
+      env.getEnv.mockReturnValue({ HOST: 'api.example.com', TOKEN: 'abc' });
+      env.interpolateRequest.mockReturnValue({
+        method: 'GET',
+        url: 'https://api.example.com/users/1',
+        headers: { Authorization: 'Bearer abc' },
+        data: ''
+      });
+
+      await program.parseAsync(['node', 'test', 'export', 'curl', 'get-user', '--env', 'dev']);
+
+      expect(env.getEnv).toHaveBeenCalledWith('dev');
+      expect(env.interpolateRequest).toHaveBeenCalledWith({
+        method: 'GET',
+        url: 'https://{{HOST}}/users/1',
+        headers: { Authorization: 'Bearer {{TOKEN}}' },
+        data: ''
+      }, { HOST: 'api.example.com', TOKEN: 'abc' });
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        "curl https://api.example.com/users/1 \\\n  -H 'Authorization: Bearer abc'"
+      );
+    });
+
+    test('should exit 1 for unknown requests', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'export', 'curl', 'missing']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith("Error: No saved request found with name 'missing'.");
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should exit 1 for unknown environments', async () => {
+      storage.getRequestByName.mockReturnValue(savedRequest);
+      env.getEnv.mockImplementation(() => {
+        throw new Error('Unknown environment "nope".');
+      });
+
+      await program.parseAsync(['node', 'test', 'export', 'curl', 'get-user', '--env', 'nope']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('Error: Unknown environment "nope".');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+});
@@ -354,6 +354,28 @@ describe('GraphQL Command', () => {
     });
   });
 
+  describe('Auth', () => {
+    it('should send --auth with the query', async () => {
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', durationMs: 20, data: { data: {} } });
+
+      const program = new Command();
+      program.exitOverride();
+      gqlModule(program);
+
+      await program.parseAsync([
+        'gql',
+        '--endpoint', 'https://api.example.com/graphql',
+        '--query', '{ me { id } }',
+        '--auth', 'apikey:header:X-Api-Key:k1'
+      ], { from: 'user' });
+
+      expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({
+        headers: { 'Content-Type': 'application/json' },
+        auth: { type: 'apikey', in: 'header', name: 'X-Api-Key', value: 'k1' }
+      }));
+    });
+  });
+
   describe('Environment Interpolation', () => {
     it('should interpolate request with environment variables', async () => {
       const mockEnv = {
@@ -399,7 +421,7 @@ describe('GraphQL Command', () => {
 
       expect(env.getEnv).toHaveBeenCalledWith('production');
       expect(env.interpolateRequest).toHaveBeenCalled();
-      expect(http.sendRequest).toHaveBeenCalledWith(mockInterpolatedRequest);
+      expect(http.sendRequest).toHaveBeenCalledWith({ ...mockInterpolatedRequest, env: 'production' });
 
       expect(history.recordHistory).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -700,4 +722,42 @@ describe('GraphQL Command', () => {
       expect(calledData.variables).toEqual({ id: '123' });
     });
   });
+
+  describe('Schema Validation', () => {
+    it('should validate the response body against --schema', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({ type: 'object', required: ['data'] }));
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', durationMs: 20, data: { data: { ok: true } } });
+
+      const program = new Command();
+      program.exitOverride();
+      gqlModule(program);
+
+      await program.parseAsync([
+        'gql',
+        '--endpoint', 'https://api.example.com/graphql',
+        '--query', '{ ok }',
+        '--schema', 'response.json'
+      ], { from: 'user' });
+
+      expect(printer.printAssertionResults).toHaveBeenCalledWith([
+        { expression: 'schema response.json', passed: true, actual: null, message: null }
+      ]);
+    });
+
+    it('should exit 3 when the response does not match', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({ type: 'object', required: ['data'] }));
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', durationMs: 20, data: { errors: [] } });
+
+      const program = new Command();
+      program.exitOverride();
+      gqlModule(program);
+
+      await expect(program.parseAsync([
+        'gql',
+        '--endpoint', 'https://api.example.com/graphql',
+        '--query', '{ ok }',
+        '--schema', 'response.json'
+      ], { from: 'user' })).rejects.toThrow('Process exited with code 3');
+    });
+  });
 });
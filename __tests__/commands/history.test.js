@@ -7,6 +7,11 @@ const chalk = require('chalk');
 const historyCommand = require('../../src/commands/history');
 const history = require('../../src/core/history');
 const printer = require('../../src/core/printer');
+const http = require('../../src/core/http');
+const env = require('../../src/core/env');
+const storage = require('../../src/core/storage');
+const prompt = require('../../src/core/prompt');
+const { NetworkError, ValidationError } = require('../../src/core/errors');
 
 // Mock dependencies
 jest.mock('chalk', () => ({
@@ -17,13 +22,36 @@ jest.mock('chalk', () => ({
   cyan: jest.fn((text) => text),
 }));
 
-jest.mock('../../src/core/history');
+jest.mock('../../src/core/history', () => ({
+  ...jest.requireActual('../../src/core/history'),
+  queryHistory: jest.fn(),
+  clearHistory: jest.fn(),
+  findHistoryEntry: jest.fn(),
+  recordHistory: jest.fn()
+}));
 jest.mock('../../src/core/printer');
+jest.mock('../../src/core/http');
+jest.mock('../../src/core/env', () => ({
+  ...jest.requireActual('../../src/core/env'),
+  getEnv: jest.fn()
+}));
+jest.mock('../../src/core/storage');
+jest.mock('../../src/core/prompt');
+jest.mock('ora', () => {
+  return jest.fn(() => ({
+    start: jest.fn().mockReturnThis(),
+    stop: jest.fn().mockReturnThis()
+  }));
+});
 
 describe('history command', () => {
   let program;
   let consoleLogSpy;
 
+  const mockHistoryEntries = (entries, total = entries.length) => {
+    history.queryHistory.mockReturnValue({ entries, total });
+  };
+
   beforeEach(() => {
     // Create a fresh commander instance
     program = new Command();
@@ -48,11 +76,11 @@ describe('history command', () => {
 
   describe('empty history', () => {
     test('should show message when no history exists', async () => {
-      history.getHistory.mockReturnValue([]);
+      mockHistoryEntries([]);
 
       await program.parseAsync(['node', 'test', 'history']);
 
-      expect(history.getHistory).toHaveBeenCalledWith({ limit: 10 });
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: 10, offset: 0 }));
       expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('No history yet'));
       expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('api-ex request'));
       expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('api-ex run'));
@@ -79,13 +107,13 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
-      expect(history.getHistory).toHaveBeenCalledWith({ limit: 10 });
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: 10, offset: 0 }));
       expect(printer.printTable).toHaveBeenCalledWith(
-        ['Time', 'Method', 'Status', 'Duration', 'URL'],
+        ['Time', 'Method', 'Status', 'Duration', 'URL', 'Id'],
         expect.arrayContaining([
           expect.arrayContaining(['GET', 200, '150ms', 'https://api.example.com/users']),
           expect.arrayContaining(['POST', 201, '250ms', 'https://api.example.com/users'])
@@ -105,7 +133,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -124,29 +152,29 @@ describe('history command', () => {
         url: `https://api.example.com/endpoint-${i}`
       }));
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history', '--limit', '5']);
 
-      expect(history.getHistory).toHaveBeenCalledWith({ limit: 5 });
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: 5, offset: 0 }));
       expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Showing 5 most recent request(s)'));
     });
 
     test('should use default limit of 10', async () => {
-      history.getHistory.mockReturnValue([]);
+      mockHistoryEntries([]);
 
       await program.parseAsync(['node', 'test', 'history']);
 
-      expect(history.getHistory).toHaveBeenCalledWith({ limit: 10 });
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: 10, offset: 0 }));
     });
 
     test('should handle invalid limit gracefully', async () => {
-      history.getHistory.mockReturnValue([]);
+      mockHistoryEntries([]);
 
       await program.parseAsync(['node', 'test', 'history', '--limit', 'invalid']);
 
       // parseInt('invalid') returns NaN, so it should fall back to 10
-      expect(history.getHistory).toHaveBeenCalledWith({ limit: 10 });
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: 10, offset: 0 }));
     });
   });
 
@@ -162,7 +190,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -191,7 +219,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -216,7 +244,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -241,7 +269,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -266,7 +294,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -284,7 +312,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -302,7 +330,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -320,7 +348,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -328,181 +356,117 @@ describe('history command', () => {
     });
   });
 
-  describe('method filtering', () => {
-    test('should filter history by method', async () => {
-      const mockHistory = [
-        {
-          timestamp: '2024-01-15T10:30:00.000Z',
-          method: 'GET',
-          status: 200,
-          durationMs: 150,
-          url: 'https://api.example.com/users'
-        },
-        {
-          timestamp: '2024-01-15T10:25:00.000Z',
-          method: 'POST',
-          status: 201,
-          durationMs: 250,
-          url: 'https://api.example.com/users'
-        },
-        {
-          timestamp: '2024-01-15T10:20:00.000Z',
-          method: 'GET',
-          status: 200,
-          durationMs: 120,
-          url: 'https://api.example.com/posts'
-        }
-      ];
-
-      history.getHistory.mockReturnValue(mockHistory);
+  describe('filtering', () => {
+    const entry = {
+      timestamp: '2024-01-15T10:30:00.000Z',
+      method: 'POST',
+      status: 503,
+      durationMs: 900,
+      url: 'https://api.example.com/orders'
+    };
+
+    test('should pass every filter to queryHistory', async () => {
+      mockHistoryEntries([entry]);
+
+      await program.parseAsync([
+        'node', 'test', 'history',
+        '--method', 'post',
+        '--status', '5xx',
+        '--since', '2h',
+        '--until', '2024-01-16',
+        '--url', '*/orders*',
+        '--env', 'staging',
+        '--name', 'create-order',
+        '--min-duration', '500',
+        '--grep', 'out of stock'
+      ]);
+
+      expect(history.queryHistory).toHaveBeenCalledWith({
+        limit: 10,
+        offset: 0,
+        method: 'post',
+        status: '5xx',
+        since: '2h',
+        until: '2024-01-16',
+        url: '*/orders*',
+        env: 'staging',
+        name: 'create-order',
+        minDuration: 500,
+        grep: 'out of stock'
+      });
+      expect(printer.printTable.mock.calls[0][1]).toHaveLength(1);
+    });
 
-      await program.parseAsync(['node', 'test', 'history', '--method', 'GET']);
+    test('should say when nothing matches the filters', async () => {
+      mockHistoryEntries([]);
 
-      const tableCall = printer.printTable.mock.calls[0];
-      const rows = tableCall[1];
+      await program.parseAsync(['node', 'test', 'history', '--method', 'DELETE']);
 
-      expect(rows).toHaveLength(2);
-      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Showing 2 most recent request(s)'));
+      expect(printer.printTable).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('No history entries match the filters.'));
     });
 
-    test('should handle lowercase method filter', async () => {
-      const mockHistory = [
-        {
-          timestamp: '2024-01-15T10:30:00.000Z',
-          method: 'GET',
-          status: 200,
-          durationMs: 150,
-          url: 'https://api.example.com/users'
-        },
-        {
-          timestamp: '2024-01-15T10:25:00.000Z',
-          method: 'POST',
-          status: 201,
-          durationMs: 250,
-          url: 'https://api.example.com/users'
-        }
-      ];
-
-      history.getHistory.mockReturnValue(mockHistory);
+    test.each([
+      [['--min-duration', 'fast'], 'Minimum duration must be a whole number of at least 0.'],
+      [['--page', '0'], 'Page must be a whole number of at least 1.']
+    ])('should exit 1 for %j', async (args, message) => {
+      const processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
 
-      await program.parseAsync(['node', 'test', 'history', '--method', 'post']);
-
-      const tableCall = printer.printTable.mock.calls[0];
-      const rows = tableCall[1];
+      await program.parseAsync(['node', 'test', 'history', ...args]);
 
-      expect(rows).toHaveLength(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining(message));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      processExitSpy.mockRestore();
     });
 
-    test('should show empty message when method filter returns no results', async () => {
-      const mockHistory = [
-        {
-          timestamp: '2024-01-15T10:30:00.000Z',
-          method: 'GET',
-          status: 200,
-          durationMs: 150,
-          url: 'https://api.example.com/users'
-        }
-      ];
-
-      history.getHistory.mockReturnValue(mockHistory);
+    test('should exit 1 when a filter does not parse', async () => {
+      const processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+      history.queryHistory.mockImplementation(() => {
+        throw new ValidationError("Status filter 'bad' must be a status code like 404 or a class like 5xx.");
+      });
 
-      await program.parseAsync(['node', 'test', 'history', '--method', 'DELETE']);
+      await program.parseAsync(['node', 'test', 'history', '--status', 'bad']);
 
-      expect(printer.printTable).not.toHaveBeenCalled();
-      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('No history yet'));
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("Status filter 'bad'"));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      processExitSpy.mockRestore();
     });
   });
 
-  describe('status filtering', () => {
-    test('should filter history by status code', async () => {
-      const mockHistory = [
-        {
-          timestamp: '2024-01-15T10:30:00.000Z',
-          method: 'GET',
-          status: 200,
-          durationMs: 150,
-          url: 'https://api.example.com/users'
-        },
-        {
-          timestamp: '2024-01-15T10:25:00.000Z',
-          method: 'POST',
-          status: 201,
-          durationMs: 250,
-          url: 'https://api.example.com/users'
-        },
-        {
-          timestamp: '2024-01-15T10:20:00.000Z',
-          method: 'GET',
-          status: 404,
-          durationMs: 120,
-          url: 'https://api.example.com/missing'
-        }
-      ];
-
-      history.getHistory.mockReturnValue(mockHistory);
+  describe('pagination', () => {
+    const entries = Array.from({ length: 10 }, (_, i) => ({
+      timestamp: new Date(2024, 0, 15, 10, 30 - i).toISOString(),
+      method: 'GET',
+      status: 200,
+      durationMs: 100,
+      url: `https://api.example.com/items/${i}`
+    }));
 
-      await program.parseAsync(['node', 'test', 'history', '--status', '200']);
+    test('should ask for the requested page', async () => {
+      mockHistoryEntries(entries, 25);
 
-      const tableCall = printer.printTable.mock.calls[0];
-      const rows = tableCall[1];
+      await program.parseAsync(['node', 'test', 'history', '--page', '2']);
 
-      expect(rows).toHaveLength(1);
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: 10, offset: 10 }));
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Showing 11-20 of 25 request(s), page 2 of 3'));
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Use --page 3 for more.'));
     });
 
-    test('should show empty message when status filter returns no results', async () => {
-      const mockHistory = [
-        {
-          timestamp: '2024-01-15T10:30:00.000Z',
-          method: 'GET',
-          status: 200,
-          durationMs: 150,
-          url: 'https://api.example.com/users'
-        }
-      ];
-
-      history.getHistory.mockReturnValue(mockHistory);
+    test('should not offer more on the last page', async () => {
+      mockHistoryEntries(entries.slice(0, 5), 25);
 
-      await program.parseAsync(['node', 'test', 'history', '--status', '500']);
+      await program.parseAsync(['node', 'test', 'history', '--page', '3']);
 
-      expect(printer.printTable).not.toHaveBeenCalled();
-      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('No history yet'));
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Showing 21-25 of 25 request(s), page 3 of 3'));
+      expect(consoleLogSpy).not.toHaveBeenCalledWith(expect.stringContaining('Use --page'));
     });
-  });
-
-  describe('combined filters', () => {
-    test('should apply both method and status filters', async () => {
-      const mockHistory = [
-        {
-          timestamp: '2024-01-15T10:30:00.000Z',
-          method: 'GET',
-          status: 200,
-          durationMs: 150,
-          url: 'https://api.example.com/users'
-        },
-        {
-          timestamp: '2024-01-15T10:25:00.000Z',
-          method: 'POST',
-          status: 201,
-          durationMs: 250,
-          url: 'https://api.example.com/users'
-        },
-        {
-          timestamp: '2024-01-15T10:20:00.000Z',
-          method: 'GET',
-          status: 404,
-          durationMs: 120,
-          url: 'https://api.example.com/missing'
-        }
-      ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+    test('should say when the page is past the end', async () => {
+      mockHistoryEntries([], 25);
 
-      await program.parseAsync(['node', 'test', 'history', '--method', 'GET', '--status', '200']);
+      await program.parseAsync(['node', 'test', 'history', '--page', '9']);
 
-      const tableCall = printer.printTable.mock.calls[0];
-      const rows = tableCall[1];
-
-      expect(rows).toHaveLength(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Page 9 is empty, there are 3 page(s).'));
     });
   });
 
@@ -518,7 +482,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -536,7 +500,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -555,7 +519,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -563,6 +527,589 @@ describe('history command', () => {
     });
   });
 
+  describe('history show', () => {
+    let processExitSpy;
+
+    const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+    const entry = {
+      id: 'ab12cd34',
+      timestamp: '2024-01-15T10:30:00.000Z',
+      method: 'POST',
+      url: 'https://api.example.com/users',
+      status: 201,
+      durationMs: 80,
+      env: 'dev',
+      savedRequestName: 'create-user',
+      request: { headers: { 'Content-Type': 'application/json' }, body: '{"name":"Ann"}' },
+      response: { statusText: 'Created', headers: { 'content-type': 'application/json' }, body: '{"id":7}' }
+    };
+
+    beforeEach(() => {
+      processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+    });
+
+    afterEach(() => {
+      processExitSpy.mockRestore();
+    });
+
+    test('should print the stored request and response', async () => {
+      history.findHistoryEntry.mockReturnValue(entry);
+
+      await program.parseAsync(['node', 'test', 'history', 'show', 'ab12cd34']);
+
+      expect(history.findHistoryEntry).toHaveBeenCalledWith('ab12cd34');
+      expect(output()).toContain("saved request 'create-user', env 'dev'");
+      expect(output()).toContain('  Content-Type: application/json');
+      expect(output()).toContain('  content-type: application/json');
+      expect(output()).toContain('name: Ann');
+      expect(printer.printSuccess).toHaveBeenCalledWith(
+        { status: 201, statusText: 'Created', durationMs: 80, data: { id: 7 } },
+        'POST',
+        'https://api.example.com/users'
+      );
+    });
+
+    test('should mark truncated bodies', async () => {
+      history.findHistoryEntry.mockReturnValue({
+        ...entry,
+        response: { ...entry.response, body: '{"id":', bodyTruncated: true }
+      });
+
+      await program.parseAsync(['node', 'test', 'history', 'show', 'ab12cd34']);
+
+      expect(printer.printSuccess).toHaveBeenCalledWith(expect.objectContaining({ data: '{"id":' }), 'POST', entry.url);
+      expect(output()).toContain('(body truncated)');
+    });
+
+    test('should say when details were not stored', async () => {
+      const { request, response, ...summary } = entry;
+      history.findHistoryEntry.mockReturnValue(summary);
+
+      await program.parseAsync(['node', 'test', 'history', 'show', 'ab12cd34']);
+
+      expect(output()).toContain('POST https://api.example.com/users ==> 201 (80ms)');
+      expect(output()).toContain('Headers and bodies were not stored for this entry.');
+      expect(printer.printSuccess).not.toHaveBeenCalled();
+    });
+
+    test('should exit 1 for an unknown id', async () => {
+      history.findHistoryEntry.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'history', 'show', 'nope']);
+
+      expect(output()).toContain("No history entry with id 'nope'.");
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('history replay', () => {
+    let processExitSpy;
+
+    const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+    const entry = {
+      id: 'ab12cd34',
+      timestamp: '2024-01-15T10:30:00.000Z',
+      method: 'POST',
+      url: 'https://dev.example.com/users',
+      status: 201,
+      durationMs: 80,
+      env: 'dev',
+      savedRequestName: null,
+      request: {
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer dev-token', 'Content-Length': '14' },
+        body: '{"name":"Ann"}',
+        template: {
+          url: '{{BASE_URL}}/users',
+          headers: { 'Content-Type': 'application/json', Authorization: 'Bearer {{TOKEN}}' },
+          body: '{"name":"Ann"}'
+        }
+      },
+      response: { statusText: 'Created', headers: {}, body: { id: 7 } }
+    };
+    const response = { status: 201, statusText: 'Created', headers: {}, data: { id: 8 }, durationMs: 40 };
+
+    beforeEach(() => {
+      processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+      history.findHistoryEntry.mockReturnValue(entry);
+      history.recordHistory.mockReturnValue({ id: 'ff00ff00' });
+      http.sendRequest.mockResolvedValue(response);
+    });
+
+    afterEach(() => {
+      processExitSpy.mockRestore();
+    });
+
+    test('should send the recorded request again', async () => {
+      await program.parseAsync(['node', 'test', 'history', 'replay', 'ab12cd34']);
+
+      expect(http.sendRequest).toHaveBeenCalledWith({
+        method: 'POST',
+        url: 'https://dev.example.com/users',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer dev-token' },
+        data: '{"name":"Ann"}',
+        timeout: 30000,
+        env: 'dev'
+      });
+      expect(printer.printSuccess).toHaveBeenCalledWith(response, 'POST', 'https://dev.example.com/users');
+      expect(history.recordHistory).toHaveBeenCalledWith(expect.objectContaining({
+        method: 'POST',
+        url: 'https://dev.example.com/users',
+        status: 201,
+        env: 'dev',
+        request: expect.objectContaining({ template: expect.objectContaining({ url: '{{BASE_URL}}/users' }) })
+      }));
+      expect(output()).toContain('Recorded as #ff00ff00');
+    });
+
+    test('should fill the original placeholders from --env', async () => {
+      env.getEnv.mockReturnValue({ BASE_URL: 'https://staging.example.com', TOKEN: 'staging-token' });
+
+      await program.parseAsync(['node', 'test', 'history', 'replay', 'last', '--env', 'staging']);
+
+      expect(history.findHistoryEntry).toHaveBeenCalledWith('last');
+      expect(env.getEnv).toHaveBeenCalledWith('staging');
+      expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://staging.example.com/users',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer staging-token' }
+      }));
+      expect(history.recordHistory).toHaveBeenCalledWith(expect.objectContaining({ env: 'staging' }));
+    });
+
+    test('should fill stored header, body and auth placeholders from the environment the entry was sent with', async () => {
+      const auth = { type: 'bearer', token: '{{TOKEN}}' };
+      const written = { headers: { 'X-Api-Key': '{{API_KEY}}' }, body: '{"token":"{{TOKEN}}"}', auth };
+      history.findHistoryEntry.mockReturnValue({
+        ...entry,
+        request: { ...written, template: { ...written, url: '{{BASE_URL}}/users' } }
+      });
+      env.getEnv.mockReturnValue({ TOKEN: 'dev-token', API_KEY: 'dev-key' });
+
+      await program.parseAsync(['node', 'test', 'history', 'replay', 'ab12cd34']);
+
+      expect(env.getEnv).toHaveBeenCalledWith('dev');
+      expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://dev.example.com/users',
+        headers: { 'X-Api-Key': 'dev-key' },
+        data: '{"token":"dev-token"}',
+        auth: { type: 'bearer', token: 'dev-token' }
+      }));
+    });
+
+    test('should exit 1 when the entry has no stored request', async () => {
+      const { request, response: stored, ...summary } = entry;
+      history.findHistoryEntry.mockReturnValue(summary);
+
+      await program.parseAsync(['node', 'test', 'history', 'replay', 'ab12cd34']);
+
+      expect(output()).toContain("History entry 'ab12cd34' has no stored request headers and body.");
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+
+    test('should exit 1 when history is empty', async () => {
+      history.findHistoryEntry.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'history', 'replay', 'last']);
+
+      expect(output()).toContain('Error: History is empty.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should exit 2 when the request fails', async () => {
+      http.sendRequest.mockRejectedValue(new NetworkError('Unable to reach https://dev.example.com/users.'));
+
+      await program.parseAsync(['node', 'test', 'history', 'replay', 'ab12cd34']);
+
+      expect(printer.printError).toHaveBeenCalled();
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+      expect(history.recordHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('history clear', () => {
+    let processExitSpy;
+
+    const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+    beforeEach(() => {
+      processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+      mockHistoryEntries([], 12);
+      history.clearHistory.mockReturnValue(12);
+      prompt.canPrompt.mockReturnValue(true);
+    });
+
+    afterEach(() => {
+      processExitSpy.mockRestore();
+    });
+
+    test('should ask before deleting everything', async () => {
+      prompt.confirm.mockResolvedValue(true);
+
+      await program.parseAsync(['node', 'test', 'history', 'clear']);
+
+      expect(history.queryHistory).toHaveBeenCalledWith({ before: undefined, status: undefined, limit: 0 });
+      expect(prompt.confirm).toHaveBeenCalledWith('Delete 12 history entries?');
+      expect(history.clearHistory).toHaveBeenCalledWith({ before: undefined, status: undefined });
+      expect(output()).toContain('Deleted 12 history entries');
+    });
+
+    test('should keep everything when the answer is no', async () => {
+      prompt.confirm.mockResolvedValue(false);
+
+      await program.parseAsync(['node', 'test', 'history', 'clear']);
+
+      expect(history.clearHistory).not.toHaveBeenCalled();
+      expect(output()).toContain('Nothing deleted.');
+    });
+
+    test('should pass --before and --status and skip the prompt with --yes', async () => {
+      mockHistoryEntries([], 1);
+      history.clearHistory.mockReturnValue(1);
+
+      await program.parseAsync(['node', 'test', 'history', 'clear', '--before', '30d', '--status', '5xx', '--yes']);
+
+      expect(prompt.confirm).not.toHaveBeenCalled();
+      expect(history.clearHistory).toHaveBeenCalledWith({ before: '30d', status: '5xx' });
+      expect(output()).toContain('Deleted 1 history entry');
+    });
+
+    test('should describe the filters in the question', async () => {
+      prompt.confirm.mockResolvedValue(true);
+
+      await program.parseAsync(['node', 'test', 'history', 'clear', '--status', '404', '--before', '2024-01-01']);
+
+      expect(prompt.confirm).toHaveBeenCalledWith('Delete 12 history entries before 2024-01-01 with status 404?');
+    });
+
+    test('should refuse without a terminal unless --yes is given', async () => {
+      prompt.canPrompt.mockReturnValue(false);
+
+      await program.parseAsync(['node', 'test', 'history', 'clear']);
+
+      expect(output()).toContain('Pass --yes to confirm when not running in a terminal.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(history.clearHistory).not.toHaveBeenCalled();
+    });
+
+    test('should say when nothing matches', async () => {
+      mockHistoryEntries([], 0);
+
+      await program.parseAsync(['node', 'test', 'history', 'clear', '--status', '418']);
+
+      expect(output()).toContain('No history entries to delete.');
+      expect(prompt.confirm).not.toHaveBeenCalled();
+    });
+
+    test('should exit 1 for filters that do not parse', async () => {
+      history.queryHistory.mockImplementation(() => {
+        throw new ValidationError("Before 'someday' is not a date.");
+      });
+
+      await program.parseAsync(['node', 'test', 'history', 'clear', '--before', 'someday']);
+
+      expect(output()).toContain("Error: Before 'someday' is not a date.");
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('history save', () => {
+    let processExitSpy;
+
+    const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+    beforeEach(() => {
+      processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+      storage.getRequestByName.mockReturnValue(null);
+    });
+
+    afterEach(() => {
+      processExitSpy.mockRestore();
+    });
+
+    test('should save the entry with its placeholders', async () => {
+      history.findHistoryEntry.mockReturnValue({
+        id: 'ab12cd34',
+        method: 'PUT',
+        url: 'https://dev.example.com/users/7',
+        request: {
+          headers: { Authorization: 'Bearer dev-token', Host: 'dev.example.com' },
+          body: { name: 'Ann' },
+          template: { url: '{{BASE_URL}}/users/7', headers: { Authorization: 'Bearer {{TOKEN}}' }, body: { name: 'Ann' } }
+        }
+      });
+
+      await program.parseAsync(['node', 'test', 'history', 'save', 'ab12cd34', 'update-user']);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith({
+        name: 'update-user',
+        method: 'PUT',
+        url: '{{BASE_URL}}/users/7',
+        headers: ['Authorization: Bearer {{TOKEN}}'],
+        data: '{"name":"Ann"}'
+      });
+      expect(output()).toContain("Saved request 'update-user'");
+    });
+
+    test('should save method and URL when nothing else was stored', async () => {
+      history.findHistoryEntry.mockReturnValue({ id: 'ab12cd34', method: 'GET', url: 'https://api.example.com/health' });
+
+      await program.parseAsync(['node', 'test', 'history', 'save', 'last', 'health']);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith({
+        name: 'health', method: 'GET', url: 'https://api.example.com/health', headers: [], data: ''
+      });
+      expect(output()).toContain('saving method and URL only');
+    });
+
+    test('should warn before overwriting', async () => {
+      history.findHistoryEntry.mockReturnValue({ id: 'ab12cd34', method: 'GET', url: 'https://api.example.com/health', request: { headers: {}, body: null } });
+      storage.getRequestByName.mockReturnValue({ name: 'health' });
+
+      await program.parseAsync(['node', 'test', 'history', 'save', 'ab12cd34', 'health']);
+
+      expect(output()).toContain("Request 'health' already exists. Overwriting...");
+      expect(storage.saveRequest).toHaveBeenCalled();
+    });
+
+    test.each([
+      [null, 'bad/name', 'Request name contains invalid characters'],
+      [null, 'health', "No history entry with id 'nope'."],
+      [{ id: 'ab12cd34', method: 'POST', url: 'https://api.example.com', request: { headers: {}, body: '{"a":', bodyTruncated: true } }, 'big', 'cannot be reused']
+    ])('should exit 1 for entry %j named %s', async (found, name, message) => {
+      history.findHistoryEntry.mockReturnValue(found);
+
+      await program.parseAsync(['node', 'test', 'history', 'save', 'nope', name]);
+
+      expect(output()).toContain(message);
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('history stats', () => {
+    let processExitSpy;
+
+    const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+    const entries = [
+      { timestamp: '2024-01-15T10:00:00.000Z', method: 'GET', url: 'https://api.example.com/users/1', status: 200, durationMs: 100 },
+      { timestamp: '2024-01-15T11:00:00.000Z', method: 'GET', url: 'https://api.example.com/users/2', status: 500, durationMs: 300 },
+      { timestamp: '2024-01-15T12:00:00.000Z', method: 'POST', url: 'https://api.example.com/login', status: 200, durationMs: 50, savedRequestName: 'login' }
+    ];
+
+    beforeEach(() => {
+      processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+    });
+
+    afterEach(() => {
+      processExitSpy.mockRestore();
+    });
+
+    test('should print one row per group', async () => {
+      mockHistoryEntries(entries);
+
+      await program.parseAsync(['node', 'test', 'history', 'stats']);
+
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: Infinity }));
+      expect(printer.printTable).toHaveBeenCalledWith(
+        ['Request', 'Count', 'Success', 'Min', 'Avg', 'p95', 'Max'],
+        [
+          ['GET https://api.example.com/users/:id', 2, '50%', '100ms', '200ms', '300ms', '300ms'],
+          ['login', 1, '100%', '50ms', '50ms', '50ms', '50ms']
+        ]
+      );
+      expect(output()).toContain('3 request(s) in 2 group(s)');
+    });
+
+    test('should add a trend column', async () => {
+      mockHistoryEntries(entries);
+
+      await program.parseAsync(['node', 'test', 'history', 'stats', '--trend']);
+
+      const [headers, rows] = printer.printTable.mock.calls[0];
+      expect(headers[headers.length - 1]).toBe('Trend');
+      expect(rows[0][rows[0].length - 1]).toBe('▁█');
+    });
+
+    test('should print JSON', async () => {
+      mockHistoryEntries(entries);
+
+      await program.parseAsync(['node', 'test', 'history', 'stats', '--json']);
+
+      const result = JSON.parse(consoleLogSpy.mock.calls[0][0]);
+      expect(result.entries).toBe(3);
+      expect(result.groups[0]).toMatchObject({ key: 'GET https://api.example.com/users/:id', count: 2, successRate: 50, p95Ms: 300 });
+      expect(printer.printTable).not.toHaveBeenCalled();
+    });
+
+    test('should pass the filters on', async () => {
+      mockHistoryEntries(entries);
+
+      await program.parseAsync(['node', 'test', 'history', 'stats', '--since', '7d', '--method', 'get', '--url', '*/users/*', '--env', 'dev', '--name', 'login']);
+
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({
+        since: '7d', method: 'get', url: '*/users/*', env: 'dev', name: 'login'
+      }));
+    });
+
+    test('should say when nothing matches', async () => {
+      mockHistoryEntries([]);
+
+      await program.parseAsync(['node', 'test', 'history', 'stats']);
+      expect(output()).toContain('No history yet.');
+
+      await program.parseAsync(['node', 'test', 'history', 'stats', '--env', 'prod']);
+      expect(output()).toContain('No history entries match the filters.');
+      expect(printer.printTable).not.toHaveBeenCalled();
+    });
+
+    test('should exit 1 for filters that do not parse', async () => {
+      history.queryHistory.mockImplementation(() => {
+        throw new ValidationError("Since 'someday' is not a date.");
+      });
+
+      await program.parseAsync(['node', 'test', 'history', 'stats', '--since', 'someday']);
+
+      expect(output()).toContain("Error: Since 'someday' is not a date.");
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('history retention', () => {
+    let processExitSpy;
+
+    const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+    beforeEach(() => {
+      processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+      storage.getSettings.mockReturnValue({});
+      storage.getConfigFile.mockReturnValue('/home/ann/.api-ex/config.json');
+    });
+
+    afterEach(() => {
+      processExitSpy.mockRestore();
+    });
+
+    test('should show the limits and where they come from', async () => {
+      storage.getSettings.mockReturnValue({ history: { maxAge: '30d' } });
+
+      await program.parseAsync(['node', 'test', 'history', 'retention']);
+
+      expect(storage.saveSetting).not.toHaveBeenCalled();
+      expect(output()).toContain('Max entries: 1000 (default)');
+      expect(output()).toContain('Max age: 30d (config)');
+      expect(output()).toContain('Max bytes: 10485760 (default)');
+    });
+
+    test('should save changed limits to the config file', async () => {
+      await program.parseAsync(['node', 'test', 'history', 'retention', '--max-entries', '200', '--max-bytes', 'none']);
+
+      expect(storage.saveSetting).toHaveBeenCalledWith(['history', 'maxEntries'], 200);
+      expect(storage.saveSetting).toHaveBeenCalledWith(['history', 'maxBytes'], 0);
+      expect(output()).toContain('Saved history retention to /home/ann/.api-ex/config.json');
+    });
+
+    test('should exit 1 for limits that do not parse', async () => {
+      await program.parseAsync(['node', 'test', 'history', 'retention', '--reset', '--max-entries', 'lots']);
+
+      expect(storage.saveSetting).not.toHaveBeenCalled();
+      expect(output()).toContain("Error: Max entries 'lots' must be a whole number, or 0 or none for no limit.");
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('history export', () => {
+    let processExitSpy;
+    let stdoutSpy;
+
+    const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+    const entries = [
+      { id: 'b2', timestamp: '2024-01-15T11:00:00.000Z', method: 'GET', url: 'https://api.example.com/users', status: 200, durationMs: 40 },
+      { id: 'a1', timestamp: '2024-01-15T10:00:00.000Z', method: 'POST', url: 'https://api.example.com/users', status: 201, durationMs: 90 }
+    ];
+
+    beforeEach(() => {
+      processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+      stdoutSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      processExitSpy.mockRestore();
+      stdoutSpy.mockRestore();
+    });
+
+    test('should write HAR to stdout by default', async () => {
+      mockHistoryEntries(entries);
+
+      await program.parseAsync(['node', 'test', 'history', 'export']);
+
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({ limit: Infinity }));
+      const log = JSON.parse(stdoutSpy.mock.calls[0][0]).log;
+      expect(log.version).toBe('1.2');
+      expect(log.entries.map(entry => entry._id)).toEqual(['a1', 'b2']);
+    });
+
+    test('should write CSV and NDJSON', async () => {
+      mockHistoryEntries(entries);
+
+      await program.parseAsync(['node', 'test', 'history', 'export', '--format', 'csv']);
+      await program.parseAsync(['node', 'test', 'history', 'export', '--format', 'NDJSON']);
+
+      expect(stdoutSpy.mock.calls[0][0].split('\n')[1]).toBe('b2,2024-01-15T11:00:00.000Z,GET,https://api.example.com/users,200,40,,');
+      expect(stdoutSpy.mock.calls[1][0].trimEnd().split('\n').map(JSON.parse)).toEqual(entries);
+    });
+
+    test('should pass the filters and --last on', async () => {
+      mockHistoryEntries(entries);
+
+      await program.parseAsync(['node', 'test', 'history', 'export', '--last', '5', '--status', '2xx', '--env', 'dev', '--min-duration', '30']);
+
+      expect(history.queryHistory).toHaveBeenCalledWith(expect.objectContaining({
+        limit: 5, status: '2xx', env: 'dev', minDuration: 30
+      }));
+    });
+
+    test('should write to --output', async () => {
+      const file = require('path').join(require('os').tmpdir(), `api-ex-history-export-${Date.now()}`, 'repro.har');
+      mockHistoryEntries(entries);
+
+      try {
+        await program.parseAsync(['node', 'test', 'history', 'export', '-o', file]);
+        expect(JSON.parse(require('fs').readFileSync(file, 'utf-8')).log.entries).toHaveLength(2);
+      } finally {
+        require('fs').rmSync(require('path').dirname(file), { recursive: true, force: true });
+      }
+
+      expect(stdoutSpy).not.toHaveBeenCalled();
+      expect(output()).toContain(`Exported 2 history entries to ${file}`);
+    });
+
+    test('should not write anything when nothing matches', async () => {
+      mockHistoryEntries([]);
+
+      await program.parseAsync(['node', 'test', 'history', 'export', '--url', '*/orders*']);
+
+      expect(output()).toContain('No history entries match the filters.');
+      expect(stdoutSpy).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [['--format', 'xml'], "Unknown export format 'xml'. Valid formats: har, csv, ndjson."],
+      [['--last', '0'], 'Last']
+    ])('should exit 1 for %j', async (args, message) => {
+      mockHistoryEntries(entries);
+
+      await program.parseAsync(['node', 'test', 'history', 'export', ...args]);
+
+      expect(output()).toContain(message);
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(stdoutSpy).not.toHaveBeenCalled();
+    });
+  });
+
   describe('edge cases', () => {
     test('should handle very long duration values', async () => {
       const mockHistory = [
@@ -575,7 +1122,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -593,7 +1140,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -611,7 +1158,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
@@ -629,7 +1176,7 @@ describe('history command', () => {
         }
       ];
 
-      history.getHistory.mockReturnValue(mockHistory);
+      mockHistoryEntries(mockHistory);
 
       await program.parseAsync(['node', 'test', 'history']);
 
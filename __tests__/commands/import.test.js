@@ -0,0 +1,347 @@
+/**
+ * Tests for import command
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { Command } = require('commander');
+const importCommand = require('../../src/commands/import');
+const storage = require('../../src/core/storage');
+const printer = require('../../src/core/printer');
+
+jest.mock('chalk', () => ({
+  red: jest.fn((text) => text),
+  green: jest.fn((text) => text),
+  yellow: jest.fn((text) => text),
+  gray: jest.fn((text) => text),
+  cyan: jest.fn((text) => text),
+}));
+
+jest.mock('../../src/core/storage');
+jest.mock('../../src/core/printer');
+
+const TEST_DIR = path.join(os.tmpdir(), '.api-ex-test-import-' + Date.now());
+
+function writeFile(name, content) {
+  const file = path.join(TEST_DIR, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+describe('import command', () => {
+  let program;
+  let consoleLogSpy;
+  let processExitSpy;
+
+  beforeAll(() => {
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    program = new Command();
+    program.exitOverride();
+    importCommand(program);
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+
+    jest.clearAllMocks();
+    storage.getRequestByName.mockReturnValue(null);
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    processExitSpy.mockRestore();
+  });
+
+  describe('import postman', () => {
+    const collection = {
+      info: { name: 'Shop API' },
+      variable: [{ key: 'baseUrl', value: 'https://shop.example.com' }],
+      item: [
+        { name: 'List Products', request: { method: 'GET', url: '{{baseUrl}}/products' } },
+        { name: 'Hook', event: [{ listen: 'prerequest', script: { exec: [] } }], request: { method: 'POST', url: '{{baseUrl}}/hook' } }
+      ]
+    };
+
+    test('should save requests and merge variables into env named after collection', async () => {
+      const file = writeFile('collection.json', collection);
+
+      await program.parseAsync(['node', 'test', 'import', 'postman', file]);
+
+      expect(storage.saveRequest).toHaveBeenCalledTimes(2);
+      expect(storage.saveRequest).toHaveBeenCalledWith({
+        name: 'List-Products',
+        method: 'GET',
+        url: '{{baseUrl}}/products',
+        headers: [],
+        data: ''
+      });
+      expect(storage.mergeEnvironment).toHaveBeenCalledWith('Shop-API', { baseUrl: 'https://shop.example.com' });
+      expect(consoleLogSpy).toHaveBeenCalledWith('Imported 2 request(s)');
+      expect(consoleLogSpy).toHaveBeenCalledWith('  - Hook: scripts not imported');
+    });
+
+    test('should use --env for variables', async () => {
+      const file = writeFile('collection.json', collection);
+
+      await program.parseAsync(['node', 'test', 'import', 'postman', file, '--env', 'shop']);
+
+      expect(storage.mergeEnvironment).toHaveBeenCalledWith('shop', expect.any(Object));
+    });
+
+    test('should not save anything on --dry-run', async () => {
+      const file = writeFile('collection.json', collection);
+
+      await program.parseAsync(['node', 'test', 'import', 'postman', file, '--dry-run']);
+
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+      expect(storage.mergeEnvironment).not.toHaveBeenCalled();
+      expect(printer.printTable).toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith('Would import 2 request(s)');
+    });
+
+    test('should mark existing requests as updated', async () => {
+      const file = writeFile('collection.json', collection);
+      storage.getRequestByName.mockReturnValue({ name: 'List-Products' });
+
+      await program.parseAsync(['node', 'test', 'import', 'postman', file]);
+
+      expect(printer.printTable.mock.calls[0][1][0][3]).toBe('updated');
+    });
+
+    test('should import environment exports', async () => {
+      const file = writeFile('env.json', { name: 'Staging', values: [{ key: 'baseUrl', value: 'https://staging' }] });
+
+      await program.parseAsync(['node', 'test', 'import', 'postman', file]);
+
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+      expect(storage.mergeEnvironment).toHaveBeenCalledWith('Staging', { baseUrl: 'https://staging' });
+    });
+
+    test('should reject files that are not postman exports', async () => {
+      const file = writeFile('other.json', { hello: 'world' });
+
+      await program.parseAsync(['node', 'test', 'import', 'postman', file]);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('is not a Postman collection or environment'));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should error on invalid json', async () => {
+      const file = writeFile('broken.json', '{ nope');
+
+      try {
+        await program.parseAsync(['node', 'test', 'import', 'postman', file]);
+      } catch (err) {
+        // continues after mocked exit
+      }
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('is not valid JSON'));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should error on missing file', async () => {
+      try {
+        await program.parseAsync(['node', 'test', 'import', 'postman', path.join(TEST_DIR, 'missing.json')]);
+      } catch (err) {
+        // continues after mocked exit
+      }
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Could not read file'));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('import curl', () => {
+    test('should save the parsed request under a default name', async () => {
+      await program.parseAsync(['node', 'test', 'import', 'curl',
+        `curl -X POST https://api.example.com/users -H 'Content-Type: application/json' -d '{"name":"Ada"}'`]);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith({
+        name: 'post-users',
+        method: 'POST',
+        url: 'https://api.example.com/users',
+        headers: ['Content-Type: application/json'],
+        data: '{"name":"Ada"}'
+      });
+      expect(storage.mergeEnvironment).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith('Imported 1 request(s)');
+    });
+
+    test('should use --name', async () => {
+      await program.parseAsync(['node', 'test', 'import', 'curl', 'curl https://api.example.com/me', '--name', 'whoami']);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith(expect.objectContaining({ name: 'whoami' }));
+    });
+
+    test('should not save on --dry-run and list skipped options', async () => {
+      await program.parseAsync(['node', 'test', 'import', 'curl', 'curl https://a.com -F f=@x.png', '--dry-run']);
+
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith('  - -F f=@x.png: multipart form data is not imported');
+    });
+
+    test('should read the command from stdin', async () => {
+      const originalStdin = process.stdin;
+      Object.defineProperty(process, 'stdin', { value: Readable.from(['curl https://a.com/health\n']), configurable: true });
+
+      try {
+        await program.parseAsync(['node', 'test', 'import', 'curl']);
+      } finally {
+        Object.defineProperty(process, 'stdin', { value: originalStdin, configurable: true });
+      }
+
+      expect(storage.saveRequest).toHaveBeenCalledWith(expect.objectContaining({ name: 'get-health', url: 'https://a.com/health' }));
+    });
+
+    test('should exit 1 on commands it cannot parse', async () => {
+      await program.parseAsync(['node', 'test', 'import', 'curl', "curl 'https://a.com"]);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('Error: Unterminated single quote in curl command.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+    });
+
+    test('should exit 1 on invalid names', async () => {
+      await program.parseAsync(['node', 'test', 'import', 'curl', 'curl https://a.com', '--name', 'a/b']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('import har', () => {
+    const har = {
+      log: {
+        version: '1.2',
+        creator: { name: 'WebInspector', version: '537.36' },
+        entries: [
+          {
+            request: {
+              method: 'POST',
+              url: 'https://shop.example.com/api/orders',
+              headers: [
+                { name: ':authority', value: 'shop.example.com' },
+                { name: 'authorization', value: 'Bearer abc' },
+                { name: 'content-length', value: '12' }
+              ],
+              postData: { mimeType: 'application/json', text: '{"sku":"a1"}' }
+            }
+          },
+          { request: { method: 'GET', url: 'https://shop.example.com/static/app.js', headers: [] } },
+          { request: { method: 'GET', url: 'data:image/png;base64,AAAA', headers: [] } }
+        ]
+      }
+    };
+
+    test('should save every http request', async () => {
+      const file = writeFile('shop.har', har);
+
+      await program.parseAsync(['node', 'test', 'import', 'har', file]);
+
+      expect(storage.saveRequest).toHaveBeenCalledTimes(2);
+      expect(storage.saveRequest).toHaveBeenCalledWith({
+        name: 'post-api-orders',
+        method: 'POST',
+        url: 'https://shop.example.com/api/orders',
+        headers: ['authorization: Bearer abc', 'Content-Type: application/json'],
+        data: '{"sku":"a1"}'
+      });
+      expect(storage.mergeEnvironment).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith('Imported 2 request(s)');
+      expect(consoleLogSpy).toHaveBeenCalledWith('  - GET data:image/png;base64,AAAA: not an http(s) URL');
+    });
+
+    test('should only import URLs matching --url', async () => {
+      const file = writeFile('shop.har', har);
+
+      await program.parseAsync(['node', 'test', 'import', 'har', file, '--url', '*/api/*', '--dry-run']);
+
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+      expect(printer.printTable.mock.calls[0][1]).toHaveLength(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith('Would import 1 request(s)');
+    });
+
+    test('should exit 1 for files that are not HAR', async () => {
+      const file = writeFile('other.json', { info: {}, item: [] });
+
+      await program.parseAsync(['node', 'test', 'import', 'har', file]);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(`Error: '${file}' is not a HAR file.`);
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+    });
+
+    test('should exit 1 for URL patterns that do not parse', async () => {
+      const file = writeFile('shop.har', har);
+
+      await program.parseAsync(['node', 'test', 'import', 'har', file, '--url', '/(/']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("Error: Invalid URL pattern '/(/'"));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('import openapi', () => {
+    const spec = [
+      'openapi: 3.0.0',
+      'info:',
+      '  title: Pet Store',
+      'servers:',
+      '  - url: https://pets.example.com',
+      'paths:',
+      '  /pets/{petId}:',
+      '    get:',
+      '      operationId: getPet',
+      '      parameters:',
+      '        - name: petId',
+      '          in: path',
+      '          required: true',
+      '          example: 7'
+    ].join('\n');
+
+    test('should save operations and only add missing variables', async () => {
+      const file = writeFile('spec.yaml', spec);
+      storage.getEnvironments.mockReturnValue({ 'Pet-Store': { baseUrl: 'http://localhost:3000' } });
+
+      await program.parseAsync(['node', 'test', 'import', 'openapi', file]);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith({
+        name: 'getPet',
+        method: 'GET',
+        url: '{{baseUrl}}/pets/{{petId}}',
+        headers: [],
+        data: ''
+      });
+      expect(storage.mergeEnvironment).toHaveBeenCalledWith('Pet-Store', { petId: '7' });
+    });
+
+    test('should mark re-imported operations as updated', async () => {
+      const file = writeFile('spec.yaml', spec);
+      storage.getEnvironments.mockReturnValue({});
+      storage.getRequestByName.mockReturnValue({ name: 'getPet' });
+
+      await program.parseAsync(['node', 'test', 'import', 'openapi', file, '--env', 'pets']);
+
+      expect(printer.printTable.mock.calls[0][1][0][3]).toBe('updated');
+      expect(storage.mergeEnvironment).toHaveBeenCalledWith('pets', { baseUrl: 'https://pets.example.com', petId: '7' });
+    });
+
+    test('should exit 1 for files that are not specs', async () => {
+      const file = writeFile('other.yaml', 'hello: world');
+
+      await program.parseAsync(['node', 'test', 'import', 'openapi', file]);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('Error: File is not an OpenAPI 3 or Swagger 2 document.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(storage.saveRequest).not.toHaveBeenCalled();
+    });
+  });
+});
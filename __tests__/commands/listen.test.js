@@ -0,0 +1,216 @@
+/**
+ * Tests for listen command
+ */
+
+const { Command } = require('commander');
+const listenCommand = require('../../src/commands/listen');
+const webhooks = require('../../src/core/webhooks');
+const printer = require('../../src/core/printer');
+const listen = require('../../src/core/listen');
+const { NetworkError } = require('../../src/core/errors');
+
+// Mock dependencies
+jest.mock('chalk', () => ({
+  red: jest.fn((text) => text),
+  green: jest.fn((text) => text),
+  yellow: jest.fn((text) => text),
+  gray: jest.fn((text) => text),
+  cyan: jest.fn((text) => text),
+}));
+
+jest.mock('../../src/core/webhooks');
+jest.mock('../../src/core/printer');
+jest.mock('../../src/core/listen', () => ({
+  ...jest.requireActual('../../src/core/listen'),
+  startListenServer: jest.fn()
+}));
+
+const caught = {
+  method: 'POST',
+  path: '/hooks',
+  query: { attempt: '2' },
+  headers: { 'content-type': 'application/json' },
+  body: '{"type":"ping"}',
+  bodyEncoding: 'utf-8',
+  status: 200,
+  durationMs: 2,
+  forward: null
+};
+
+describe('listen command', () => {
+  let program;
+  let consoleLogSpy;
+  let processExitSpy;
+  let processOnceSpy;
+  let server;
+
+  const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+  const serverOptions = () => listen.startListenServer.mock.calls[0][0];
+
+  beforeEach(() => {
+    program = new Command();
+    program.exitOverride();
+    listenCommand(program);
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+    processOnceSpy = jest.spyOn(process, 'once').mockImplementation();
+
+    jest.clearAllMocks();
+
+    server = { address: () => ({ port: 9000 }), close: jest.fn() };
+    listen.startListenServer.mockResolvedValue(server);
+    webhooks.recordWebhook.mockImplementation(entry => ({ id: 'ab12cd34', receivedAt: '2026-01-01T00:00:00.000Z', ...entry }));
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    processExitSpy.mockRestore();
+    processOnceSpy.mockRestore();
+  });
+
+  test('should listen with the default reply', async () => {
+    await program.parseAsync(['node', 'test', 'listen']);
+
+    expect(serverOptions()).toMatchObject({
+      port: 9000,
+      host: '127.0.0.1',
+      reply: { status: 200, body: '', headers: {} },
+      forward: null,
+      timeout: 30000
+    });
+    expect(output()).toContain('Listening on http://127.0.0.1:9000');
+    expect(output()).toContain('Replying 200');
+  });
+
+  test('should store and print every request', async () => {
+    await program.parseAsync(['node', 'test', 'listen']);
+
+    serverOptions().onRequest(caught);
+
+    expect(webhooks.recordWebhook).toHaveBeenCalledWith(caught);
+    expect(printer.printIncomingRequest).toHaveBeenCalledWith({ ...caught, path: '/hooks?attempt=2', name: '#ab12cd34' });
+  });
+
+  test('should label forwarded requests', async () => {
+    await program.parseAsync(['node', 'test', 'listen', '--forward', 'http://localhost:3000/webhooks']);
+
+    expect(serverOptions().forward).toBe('http://localhost:3000/webhooks');
+    expect(output()).toContain('Forwarding to http://localhost:3000/webhooks');
+
+    serverOptions().onRequest({ ...caught, status: 201, forward: { url: 'http://localhost:3000/webhooks?attempt=2', status: 201, durationMs: 5 } });
+    serverOptions().onRequest({ ...caught, status: 502, forward: { url: 'http://localhost:3000/webhooks', error: 'connect ECONNREFUSED' } });
+
+    expect(printer.printIncomingRequest.mock.calls.map(call => call[0].name)).toEqual([
+      '#ab12cd34 forwarded to http://localhost:3000/webhooks?attempt=2 ==> 201',
+      '#ab12cd34 forward failed: connect ECONNREFUSED'
+    ]);
+  });
+
+  test('should build the reply from --status, --body and --header', async () => {
+    await program.parseAsync(['node', 'test', 'listen', '--port', '0', '--status', '202', '--body', '{"ok":true}', '-H', 'X-Reply: yes']);
+
+    expect(serverOptions()).toMatchObject({
+      port: 0,
+      reply: { status: 202, body: '{"ok":true}', headers: { 'X-Reply': 'yes', 'Content-Type': 'application/json' } }
+    });
+    expect(output()).toContain('Replying 202 with the configured body');
+  });
+
+  test('should read the reply from --body-file', async () => {
+    const file = require('path').join(require('os').tmpdir(), `api-ex-listen-reply-${Date.now()}.xml`);
+    require('fs').writeFileSync(file, '<ok/>');
+
+    try {
+      await program.parseAsync(['node', 'test', 'listen', '--body-file', file, '-H', 'Content-Type: application/xml']);
+    } finally {
+      require('fs').unlinkSync(file);
+    }
+
+    expect(serverOptions().reply).toEqual({ status: 200, body: '<ok/>', headers: { 'Content-Type': 'application/xml' } });
+  });
+
+  test('should close the server on Ctrl+C', async () => {
+    await program.parseAsync(['node', 'test', 'listen']);
+
+    processOnceSpy.mock.calls.find(call => call[0] === 'SIGINT')[1]();
+
+    expect(server.close).toHaveBeenCalled();
+    expect(processExitSpy).toHaveBeenCalledWith(0);
+  });
+
+  describe('validation', () => {
+    test.each([
+      [['--status', '999'], 'Status must be between 100 and 599.'],
+      [['--body', 'a', '--body-file', 'b'], 'Use either --body or --body-file, not both.'],
+      [['--forward', 'not a url'], 'Invalid URL format'],
+      [['--body-file', '/nope/reply.json'], "Could not read reply body '/nope/reply.json'"]
+    ])('should exit 1 for %j', async (args, message) => {
+      await program.parseAsync(['node', 'test', 'listen', ...args]);
+
+      expect(output()).toContain(message);
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(listen.startListenServer).not.toHaveBeenCalled();
+    });
+
+    test('should exit 2 when the server cannot start', async () => {
+      listen.startListenServer.mockRejectedValue(new NetworkError('Port 9000 is already in use.'));
+
+      await program.parseAsync(['node', 'test', 'listen']);
+
+      expect(output()).toContain('Error: Port 9000 is already in use.');
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe('stored requests', () => {
+    const stored = { ...caught, id: 'ab12cd34', receivedAt: '2026-01-01T00:00:00.000Z' };
+
+    test('should list stored requests', async () => {
+      webhooks.getWebhooks.mockReturnValue([stored]);
+
+      await program.parseAsync(['node', 'test', 'listen', '--list', '-n', '5']);
+
+      expect(webhooks.getWebhooks).toHaveBeenCalledWith({ limit: 5 });
+      expect(printer.printTable).toHaveBeenCalledWith(
+        ['Id', 'Received', 'Method', 'Path', 'Status', 'Body'],
+        [['ab12cd34', expect.any(String), 'POST', '/hooks?attempt=2', 200, '15 bytes']]
+      );
+      expect(listen.startListenServer).not.toHaveBeenCalled();
+    });
+
+    test('should say when nothing is stored', async () => {
+      webhooks.getWebhooks.mockReturnValue([]);
+
+      await program.parseAsync(['node', 'test', 'listen', '--list']);
+
+      expect(output()).toContain('No stored requests yet.');
+    });
+
+    test('should show one stored request', async () => {
+      webhooks.getWebhookById.mockReturnValue({ ...stored, forward: { url: 'http://localhost:3000/hooks', status: 204 } });
+
+      await program.parseAsync(['node', 'test', 'listen', '--show', 'ab12cd34']);
+
+      expect(output()).toContain('Forwarded to http://localhost:3000/hooks ==> 204');
+      expect(printer.printIncomingRequest).toHaveBeenCalledWith(expect.objectContaining({ path: '/hooks?attempt=2', name: '#ab12cd34' }));
+    });
+
+    test('should exit 1 for an unknown id', async () => {
+      webhooks.getWebhookById.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'listen', '--show', 'nope']);
+
+      expect(output()).toContain("No stored request with id 'nope'.");
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should clear stored requests', async () => {
+      webhooks.clearWebhooks.mockReturnValue(3);
+
+      await program.parseAsync(['node', 'test', 'listen', '--clear']);
+
+      expect(output()).toContain('Deleted 3 stored request(s)');
+    });
+  });
+});
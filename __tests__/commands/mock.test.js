@@ -0,0 +1,146 @@
+/**
+ * Tests for mock command
+ */
+
+const { Command } = require('commander');
+const mockCommand = require('../../src/commands/mock');
+const storage = require('../../src/core/storage');
+const history = require('../../src/core/history');
+const printer = require('../../src/core/printer');
+const mock = require('../../src/core/mock');
+const { NetworkError } = require('../../src/core/errors');
+
+// Mock dependencies
+jest.mock('chalk', () => ({
+  red: jest.fn((text) => text),
+  green: jest.fn((text) => text),
+  yellow: jest.fn((text) => text),
+  gray: jest.fn((text) => text),
+  cyan: jest.fn((text) => text),
+}));
+
+jest.mock('../../src/core/storage');
+jest.mock('../../src/core/history');
+jest.mock('../../src/core/printer');
+jest.mock('../../src/core/mock', () => ({
+  ...jest.requireActual('../../src/core/mock'),
+  startMockServer: jest.fn()
+}));
+
+describe('mock command', () => {
+  let program;
+  let consoleLogSpy;
+  let processExitSpy;
+  let processOnceSpy;
+  let server;
+
+  const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+  beforeEach(() => {
+    program = new Command();
+    program.exitOverride();
+    mockCommand(program);
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+    processOnceSpy = jest.spyOn(process, 'once').mockImplementation();
+
+    jest.clearAllMocks();
+
+    server = { address: () => ({ port: 4000 }), close: jest.fn() };
+    mock.startMockServer.mockResolvedValue(server);
+    history.getHistory.mockReturnValue([]);
+    storage.getRequests.mockReturnValue([
+      { name: 'get-user', method: 'GET', url: '{{BASE_URL}}/users/{{id}}', tags: ['users'] },
+      { name: 'create-order', method: 'POST', url: 'https://api.example.com/orders', exampleStatus: 201, tags: ['orders'] }
+    ]);
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    processExitSpy.mockRestore();
+    processOnceSpy.mockRestore();
+  });
+
+  test('should start a server for every saved request', async () => {
+    await program.parseAsync(['node', 'test', 'mock']);
+
+    const [routes, options] = mock.startMockServer.mock.calls[0];
+    expect(routes.map(route => route.name)).toEqual(['get-user', 'create-order']);
+    expect(options).toMatchObject({ port: 4000, host: '127.0.0.1', latency: { min: 0, max: 0 }, status: null });
+    expect(options.onRequest).toBe(printer.printRequestLog);
+    expect(history.getHistory).toHaveBeenCalledWith({ limit: Infinity });
+
+    expect(output()).toContain('Mock server listening on http://127.0.0.1:4000');
+    expect(printer.printTable).toHaveBeenCalledWith(['Method', 'Path', 'Status', 'Source', 'Request'], [
+      ['GET', '/users/{{id}}', 200, 'default', 'get-user'],
+      ['POST', '/orders', 201, 'example', 'create-order']
+    ]);
+    expect(processExitSpy).not.toHaveBeenCalled();
+  });
+
+  test('should close the server on Ctrl+C', async () => {
+    await program.parseAsync(['node', 'test', 'mock']);
+
+    const [event, handler] = processOnceSpy.mock.calls.find(call => call[0] === 'SIGINT');
+    handler();
+
+    expect(event).toBe('SIGINT');
+    expect(server.close).toHaveBeenCalled();
+    expect(processExitSpy).toHaveBeenCalledWith(0);
+  });
+
+  test('should pass port, latency, status and tags through', async () => {
+    await program.parseAsync(['node', 'test', 'mock', '--port', '0', '--host', '0.0.0.0', '--latency', '50-150', '--status', '503', '--tag', 'orders']);
+
+    const [routes, options] = mock.startMockServer.mock.calls[0];
+    expect(routes.map(route => route.name)).toEqual(['create-order']);
+    expect(options).toMatchObject({ port: 0, host: '0.0.0.0', latency: { min: 50, max: 150 }, status: 503 });
+    expect(printer.printTable.mock.calls[0][1]).toEqual([['POST', '/orders', 503, 'example', 'create-order']]);
+  });
+
+  test('should use statuses from history', async () => {
+    history.getHistory.mockReturnValue([{ method: 'GET', url: 'https://api.example.com/users/1', status: 404, savedRequestName: 'get-user' }]);
+
+    await program.parseAsync(['node', 'test', 'mock']);
+
+    expect(printer.printTable.mock.calls[0][1][0]).toEqual(['GET', '/users/{{id}}', 404, 'history', 'get-user']);
+  });
+
+  test('should warn about skipped requests', async () => {
+    storage.getRequests.mockReturnValue([
+      { name: 'list-users', method: 'GET', url: 'https://api.example.com/users' },
+      { name: 'list-users-copy', method: 'GET', url: 'https://api.example.com/users' }
+    ]);
+
+    await program.parseAsync(['node', 'test', 'mock']);
+
+    expect(output()).toContain("Skipped 'list-users-copy': same route as 'list-users'");
+  });
+
+  test('should exit 1 when there is nothing to mock', async () => {
+    storage.getRequests.mockReturnValue([]);
+
+    await program.parseAsync(['node', 'test', 'mock']);
+
+    expect(output()).toContain('No saved requests to mock.');
+    expect(processExitSpy).toHaveBeenCalledWith(1);
+    expect(mock.startMockServer).not.toHaveBeenCalled();
+  });
+
+  test('should exit 1 for invalid options', async () => {
+    await program.parseAsync(['node', 'test', 'mock', '--latency', 'slow']);
+
+    expect(output()).toContain('Latency must be milliseconds');
+    expect(processExitSpy).toHaveBeenCalledWith(1);
+  });
+
+  test('should exit 2 when the server cannot start', async () => {
+    mock.startMockServer.mockRejectedValue(new NetworkError('Port 4000 is already in use.'));
+
+    await program.parseAsync(['node', 'test', 'mock']);
+
+    expect(output()).toContain('Error: Port 4000 is already in use.');
+    expect(processExitSpy).toHaveBeenCalledWith(2);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for proxy command
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Command } = require('commander');
+const proxyCommand = require('../../src/commands/proxy');
+const storage = require('../../src/core/storage');
+const history = require('../../src/core/history');
+const printer = require('../../src/core/printer');
+const proxy = require('../../src/core/proxy');
+const { NetworkError } = require('../../src/core/errors');
+
+// Mock dependencies
+jest.mock('chalk', () => ({
+  red: jest.fn((text) => text),
+  green: jest.fn((text) => text),
+  yellow: jest.fn((text) => text),
+  gray: jest.fn((text) => text),
+  cyan: jest.fn((text) => text),
+}));
+
+jest.mock('../../src/core/storage');
+jest.mock('../../src/core/history');
+jest.mock('../../src/core/printer');
+jest.mock('../../src/core/proxy', () => ({
+  ...jest.requireActual('../../src/core/proxy'),
+  startProxyServer: jest.fn()
+}));
+
+const RECORDING_DIR = path.join(os.tmpdir(), '.api-ex-test-proxy-command-' + Date.now());
+
+function forwarded(method, url, status) {
+  return {
+    method,
+    url,
+    status,
+    durationMs: 12,
+    mode: 'forward',
+    error: null,
+    exchange: {
+      method,
+      url,
+      durationMs: 10,
+      request: { headers: { host: 'api.example.com', accept: 'application/json' }, body: '', bodyEncoding: 'utf-8' },
+      response: { status, statusText: 'OK', headers: { 'content-type': 'application/json' }, body: '{"ok":true}', bodyEncoding: 'utf-8' }
+    }
+  };
+}
+
+describe('proxy command', () => {
+  let program;
+  let consoleLogSpy;
+  let processExitSpy;
+  let processOnceSpy;
+  let server;
+
+  const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+  const proxyOptions = () => proxy.startProxyServer.mock.calls[0][0];
+
+  beforeAll(() => {
+    fs.mkdirSync(RECORDING_DIR, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(RECORDING_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    program = new Command();
+    program.exitOverride();
+    proxyCommand(program);
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+    processOnceSpy = jest.spyOn(process, 'once').mockImplementation();
+
+    jest.clearAllMocks();
+
+    server = { address: () => ({ port: 8080 }), close: jest.fn() };
+    proxy.startProxyServer.mockResolvedValue(server);
+    storage.getRequests.mockReturnValue([]);
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    processExitSpy.mockRestore();
+    processOnceSpy.mockRestore();
+  });
+
+  test('should forward without recording by default', async () => {
+    await program.parseAsync(['node', 'test', 'proxy']);
+
+    expect(proxyOptions()).toMatchObject({ port: 8080, host: '127.0.0.1', timeout: 30000, replay: null });
+    expect(output()).toContain('Proxy listening on http://127.0.0.1:8080');
+    expect(output()).toContain('HTTP_PROXY=http://127.0.0.1:8080');
+
+    proxyOptions().onExchange(forwarded('GET', 'https://api.example.com/users', 200));
+
+    expect(history.recordHistory).not.toHaveBeenCalled();
+    expect(printer.printRequestLog).toHaveBeenCalledWith({
+      method: 'GET', path: 'https://api.example.com/users', status: 200, durationMs: 12, name: null
+    });
+  });
+
+  test('should record exchanges into the file and history', async () => {
+    const file = path.join(RECORDING_DIR, 'record.json');
+
+    await program.parseAsync(['node', 'test', 'proxy', '--port', '9090', '--record', file]);
+    proxyOptions().onExchange(forwarded('GET', 'https://api.example.com/users', 200));
+
+    const recording = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    expect(recording.exchanges).toHaveLength(1);
+    expect(recording.exchanges[0].url).toBe('https://api.example.com/users');
+    expect(history.recordHistory).toHaveBeenCalledWith({
+      method: 'GET',
+      url: 'https://api.example.com/users',
+      status: 200,
+      durationMs: 10,
+      env: null,
+      savedRequestName: null,
+      request: { headers: { host: 'api.example.com', accept: 'application/json' }, body: null },
+      response: { statusText: 'OK', headers: { 'content-type': 'application/json' }, body: '{"ok":true}' }
+    });
+    expect(storage.saveRequest).not.toHaveBeenCalled();
+    expect(printer.printRequestLog).toHaveBeenCalledWith(expect.objectContaining({ name: 'recorded' }));
+    expect(output()).toContain(`Recording to ${file}`);
+  });
+
+  test('should save one request per method and path with --save', async () => {
+    const file = path.join(RECORDING_DIR, 'save.json');
+    storage.getRequests
+      .mockReturnValueOnce([])
+      .mockReturnValueOnce([{ name: 'get-users', method: 'GET', url: 'https://api.example.com/users' }]);
+
+    await program.parseAsync(['node', 'test', 'proxy', '--record', file, '--save', '--tag', 'recorded']);
+    proxyOptions().onExchange(forwarded('GET', 'https://api.example.com/users', 200));
+    proxyOptions().onExchange(forwarded('GET', 'https://api.example.com/users?page=2', 200));
+
+    expect(storage.saveRequest).toHaveBeenCalledTimes(1);
+    expect(storage.saveRequest).toHaveBeenCalledWith({
+      name: 'get-users',
+      method: 'GET',
+      url: 'https://api.example.com/users',
+      headers: ['accept: application/json'],
+      data: '',
+      tags: ['recorded']
+    });
+    expect(history.recordHistory).toHaveBeenCalledWith(expect.objectContaining({ savedRequestName: 'get-users' }));
+    expect(printer.printRequestLog.mock.calls.map(call => call[0].name)).toEqual(['recorded, saved as get-users', 'recorded']);
+  });
+
+  test('should replay from a recording file', async () => {
+    const file = path.join(RECORDING_DIR, 'replay.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 1, exchanges: [forwarded('GET', 'https://api.example.com/users', 200).exchange] }));
+
+    await program.parseAsync(['node', 'test', 'proxy', '--replay', file]);
+
+    expect(proxyOptions().replay.exchanges).toHaveLength(1);
+    expect(output()).toContain(`Replaying 1 exchange(s) from ${file}, nothing is forwarded`);
+
+    proxyOptions().onExchange({ method: 'DELETE', url: 'https://api.example.com/users', status: 502, durationMs: 1, mode: 'miss', exchange: null, error: null });
+    expect(printer.printRequestLog).toHaveBeenCalledWith(expect.objectContaining({ status: 502, name: 'not in recording' }));
+    expect(history.recordHistory).not.toHaveBeenCalled();
+  });
+
+  test('should use the default recording file when no file is given', async () => {
+    await program.parseAsync(['node', 'test', 'proxy', '--replay']);
+
+    expect(output()).toContain("Could not read recording 'api-ex-recording.json'");
+    expect(processExitSpy).toHaveBeenCalledWith(1);
+  });
+
+  test('should close the server on Ctrl+C', async () => {
+    await program.parseAsync(['node', 'test', 'proxy']);
+
+    processOnceSpy.mock.calls.find(call => call[0] === 'SIGINT')[1]();
+
+    expect(server.close).toHaveBeenCalled();
+    expect(processExitSpy).toHaveBeenCalledWith(0);
+  });
+
+  describe('validation', () => {
+    test('should reject --record with --replay', async () => {
+      await program.parseAsync(['node', 'test', 'proxy', '--record', '--replay']);
+
+      expect(output()).toContain('Use either --record or --replay, not both.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(proxy.startProxyServer).not.toHaveBeenCalled();
+    });
+
+    test('should reject --save without --record', async () => {
+      await program.parseAsync(['node', 'test', 'proxy', '--save']);
+
+      expect(output()).toContain('--save only works with --record.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+
+    test('should exit 2 when the proxy cannot start', async () => {
+      proxy.startProxyServer.mockRejectedValue(new NetworkError('Port 8080 is already in use.'));
+
+      await program.parseAsync(['node', 'test', 'proxy']);
+
+      expect(output()).toContain('Error: Port 8080 is already in use.');
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+    });
+  });
+});
@@ -1,21 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const http = require('../../src/core/http');
 const env = require('../../src/core/env');
 const history = require('../../src/core/history');
 const printer = require('../../src/core/printer');
+const capture = require('../../src/core/capture');
 
 // Mock all core modules
 jest.mock('../../src/core/http');
 jest.mock('../../src/core/env');
 jest.mock('../../src/core/history', () => ({
   recordHistory: jest.fn(),
-  getHistory: jest.fn()
+  getHistory: jest.fn(),
+  exchangeDetails: jest.requireActual('../../src/core/history').exchangeDetails
 }));
 jest.mock('../../src/core/debug');
+jest.mock('../../src/core/capture', () => ({
+  ...jest.requireActual('../../src/core/capture'),
+  saveCaptures: jest.fn()
+}));
 jest.mock('../../src/core/printer', () => ({
   printSuccess: jest.fn(),
   printError: jest.fn(),
   printDebug: jest.fn(),
-  printTable: jest.fn()
+  printTable: jest.fn(),
+  printAssertionResults: jest.fn(),
+  printCaptureResults: jest.fn()
 }));
 jest.mock('../../src/core/validation', () => ({
   validateUrl: jest.fn((url) => url),
@@ -154,7 +165,13 @@ describe('Request Command', () => {
       );
 
       expect(printer.printSuccess).toHaveBeenCalled();
-      expect(history.recordHistory).toHaveBeenCalled();
+      expect(history.recordHistory).toHaveBeenCalledWith(expect.objectContaining({
+        request: {
+          headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer token123' },
+          body: '{"name":"John"}'
+        },
+        response: { statusText: 'Created', headers: {}, body: { id: 1, name: 'New User' } }
+      }));
     });
 
     it('should use custom timeout', async () => {
@@ -241,11 +258,15 @@ describe('Request Command', () => {
 
       expect(env.getEnv).toHaveBeenCalledWith('dev');
       expect(env.interpolateRequest).toHaveBeenCalled();
-      expect(http.sendRequest).toHaveBeenCalledWith(mockInterpolatedRequest);
+      expect(http.sendRequest).toHaveBeenCalledWith({ ...mockInterpolatedRequest, env: 'dev' });
 
       expect(history.recordHistory).toHaveBeenCalledWith(
         expect.objectContaining({
-          env: 'dev'
+          env: 'dev',
+          request: expect.objectContaining({
+            headers: { 'Authorization': 'Bearer {{AUTH_TOKEN}}' },
+            template: { url: '{{BASE_URL}}/users', headers: { 'Authorization': 'Bearer {{AUTH_TOKEN}}' }, body: null }
+          })
         })
       );
     });
@@ -445,4 +466,305 @@ describe('Request Command', () => {
       }
     });
   });
+
+  describe('Assertions', () => {
+    const mockResponse = {
+      status: 200,
+      statusText: 'OK',
+      durationMs: 80,
+      headers: { 'content-type': 'application/json' },
+      data: { user: { id: 1 } }
+    };
+
+    it('should print assertion results and not exit when all pass', async () => {
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await program.parseAsync([
+        'request',
+        '--url', 'https://api.example.com/me',
+        '--expect', 'status=200',
+        '--expect', 'body.user.id exists'
+      ], { from: 'user' });
+
+      expect(printer.printAssertionResults).toHaveBeenCalledWith([
+        expect.objectContaining({ expression: 'status=200', passed: true }),
+        expect.objectContaining({ expression: 'body.user.id exists', passed: true })
+      ]);
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should exit with code 3 when an assertion fails', async () => {
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await expect(program.parseAsync([
+        'request',
+        '--url', 'https://api.example.com/me',
+        '--expect', 'time < 10'
+      ], { from: 'user' })).rejects.toThrow('Process exited with code 3');
+
+      expect(history.recordHistory).toHaveBeenCalled();
+    });
+
+    it('should exit with code 1 on invalid assertion before sending', async () => {
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await expect(program.parseAsync([
+        'request',
+        '--url', 'https://api.example.com/me',
+        '--expect', 'nonsense'
+      ], { from: 'user' })).rejects.toThrow('Process exited with code 1');
+
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+
+    it('should not print assertions when none given', async () => {
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await program.parseAsync(['request', '--url', 'https://api.example.com/me'], { from: 'user' });
+
+      expect(printer.printAssertionResults).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Captures', () => {
+    const mockResponse = {
+      status: 200,
+      statusText: 'OK',
+      durationMs: 80,
+      headers: { etag: 'v1' },
+      data: { access_token: 'secret' }
+    };
+
+    beforeEach(() => {
+      env.getEnv.mockReturnValue({});
+      env.interpolateRequest.mockImplementation((config) => config);
+    });
+
+    it('should save captured values into --env', async () => {
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await program.parseAsync([
+        'request',
+        '--url', 'https://api.example.com/login',
+        '--env', 'dev',
+        '--capture', 'TOKEN=body.access_token',
+        '--capture', 'ETAG=header.etag'
+      ], { from: 'user' });
+
+      expect(capture.saveCaptures).toHaveBeenCalledWith('dev', { TOKEN: 'secret', ETAG: 'v1' });
+      expect(printer.printCaptureResults).toHaveBeenCalledWith({ TOKEN: 'secret', ETAG: 'v1' }, [], 'dev');
+    });
+
+    it('should not save without --env', async () => {
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await program.parseAsync([
+        'request',
+        '--url', 'https://api.example.com/login',
+        '--capture', 'TOKEN=body.access_token'
+      ], { from: 'user' });
+
+      expect(capture.saveCaptures).not.toHaveBeenCalled();
+      expect(printer.printCaptureResults).toHaveBeenCalledWith({ TOKEN: 'secret' }, [], null);
+    });
+
+    it('should exit 1 on invalid capture rule', async () => {
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await expect(program.parseAsync([
+        'request',
+        '--url', 'https://api.example.com/login',
+        '--capture', 'TOKEN'
+      ], { from: 'user' })).rejects.toThrow('Process exited with code 1');
+
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Reporters', () => {
+    it('should print a junit report for the assertions', async () => {
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', durationMs: 40, data: {} });
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await program.parseAsync([
+        'request',
+        '--url', 'https://api.example.com/health',
+        '--expect', 'status=200',
+        '--reporter', 'junit'
+      ], { from: 'user' });
+
+      expect(printer.printSuccess).not.toHaveBeenCalled();
+      const output = consoleOutput.join('\n');
+      expect(output).toContain('<testsuite name="request" tests="1" failures="0"');
+      expect(output).toContain('name="status=200"');
+    });
+  });
+
+  describe('--print-curl', () => {
+    it('should print the request as curl without sending it', async () => {
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await program.parseAsync([
+        'request',
+        '--url', 'https://api.example.com/users?page=2',
+        '-H', 'Accept: application/json',
+        '--print-curl'
+      ], { from: 'user' });
+
+      expect(http.sendRequest).not.toHaveBeenCalled();
+      expect(consoleOutput.join('\n')).toBe(
+        "curl 'https://api.example.com/users?page=2' \\\n  -H 'Accept: application/json'"
+      );
+    });
+  });
+
+  describe('--auth', () => {
+    it('should send and record the parsed auth', async () => {
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', headers: {}, data: {}, durationMs: 5 });
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await program.parseAsync(['request', '--url', 'https://api.example.com/me', '--auth', 'digest:ann:p:w'], { from: 'user' });
+
+      const auth = { type: 'digest', username: 'ann', password: 'p:w' };
+      expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({ headers: {}, auth }));
+      expect(history.recordHistory).toHaveBeenCalledWith(expect.objectContaining({
+        request: expect.objectContaining({ auth })
+      }));
+    });
+
+    it('should exit 1 for auth it cannot parse', async () => {
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await expect(
+        program.parseAsync(['request', '--url', 'https://api.example.com/me', '--auth', 'token:abc'], { from: 'user' })
+      ).rejects.toThrow('Process exited with code 1');
+
+      expect(consoleOutput.join('\n')).toContain("Unknown auth type 'token'.");
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+
+    it('should show auth in --print-curl', async () => {
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await program.parseAsync(['request', '--url', 'https://api.example.com/me', '--auth', 'apikey:header:X-Api-Key:k1', '--print-curl'], { from: 'user' });
+
+      expect(consoleOutput.join('\n')).toBe("curl https://api.example.com/me \\\n  -H 'X-Api-Key: k1'");
+    });
+  });
+
+  describe('--openapi', () => {
+    const specFile = path.join(os.tmpdir(), `api-ex-request-spec-${Date.now()}.yaml`);
+
+    beforeAll(() => {
+      fs.writeFileSync(specFile, 'openapi: 3.0.0\npaths:\n  /users/{id}:\n    get:\n      responses:\n        \"200\":\n          description: ok\n          content:\n            application/json:\n              schema:\n                type: object\n                required: [name]\n');
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(specFile);
+    });
+
+    it('should fail with exit 3 when the response breaks the contract', async () => {
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, data: { id: 1 }, durationMs: 5 });
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await expect(program.parseAsync([
+        'request', '--url', 'https://api.example.com/users/1', '--openapi', specFile
+      ], { from: 'user' })).rejects.toThrow('Process exited with code 3');
+
+      expect(printer.printAssertionResults).toHaveBeenCalledWith(expect.arrayContaining([
+        { expression: 'openapi body #/name', passed: false, actual: null, message: 'is required' }
+      ]));
+    });
+
+    it('should exit 1 when the spec cannot be read', async () => {
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await expect(program.parseAsync([
+        'request', '--url', 'https://api.example.com/users/1', '--openapi', '/missing/spec.yaml'
+      ], { from: 'user' })).rejects.toThrow('Process exited with code 1');
+
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('--schema', () => {
+    const schemaFile = path.join(os.tmpdir(), `api-ex-request-schema-${Date.now()}.json`);
+
+    beforeAll(() => {
+      fs.writeFileSync(schemaFile, JSON.stringify({ type: 'object', properties: { id: { type: 'string' } } }));
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(schemaFile);
+    });
+
+    it('should exit 3 when the body does not match the schema', async () => {
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', headers: {}, data: { id: 1 }, durationMs: 5 });
+
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await expect(program.parseAsync([
+        'request', '--url', 'https://api.example.com/users/1', '--schema', schemaFile
+      ], { from: 'user' })).rejects.toThrow('Process exited with code 3');
+
+      expect(printer.printAssertionResults).toHaveBeenCalledWith([
+        { expression: 'schema #/id', passed: false, actual: null, message: 'must be string' }
+      ]);
+    });
+
+    it('should exit 1 when the schema cannot be read', async () => {
+      const program = new Command();
+      program.exitOverride();
+      requestModule(program);
+
+      await expect(program.parseAsync([
+        'request', '--url', 'https://api.example.com/users/1', '--schema', '/missing/schema.json'
+      ], { from: 'user' })).rejects.toThrow('Process exited with code 1');
+
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+  });
 });
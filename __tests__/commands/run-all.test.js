@@ -0,0 +1,246 @@
+/**
+ * Tests for run-all command
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Command } = require('commander');
+const runAllCommand = require('../../src/commands/run-all');
+const storage = require('../../src/core/storage');
+const env = require('../../src/core/env');
+const runner = require('../../src/core/runner');
+const printer = require('../../src/core/printer');
+const contract = require('../../src/core/contract');
+
+jest.mock('chalk', () => ({
+  red: jest.fn((text) => text),
+  green: jest.fn((text) => text),
+  yellow: jest.fn((text) => text),
+  gray: jest.fn((text) => text),
+  cyan: jest.fn((text) => text),
+}));
+
+jest.mock('../../src/core/storage');
+jest.mock('../../src/core/env');
+jest.mock('../../src/core/runner');
+jest.mock('../../src/core/printer');
+jest.mock('../../src/core/contract');
+
+const requests = [
+  { name: 'login', method: 'POST', url: '{{BASE}}/login', tags: ['auth', 'smoke'] },
+  { name: 'list', method: 'GET', url: '{{BASE}}/items', tags: ['smoke'] },
+  { name: 'admin', method: 'GET', url: '{{BASE}}/admin' }
+];
+
+const passResult = (name) => ({
+  name, method: 'GET', url: 'http://a', status: 200, durationMs: 10,
+  response: { status: 200 }, assertions: [], captured: {}, passed: true, skipped: false, error: null
+});
+
+describe('run-all command', () => {
+  let program;
+  let consoleLogSpy;
+  let processExitSpy;
+
+  beforeEach(() => {
+    program = new Command();
+    program.exitOverride();
+    runAllCommand(program);
+
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    processExitSpy = jest.spyOn(process, 'exit').mockImplementation();
+
+    jest.clearAllMocks();
+
+    storage.getRequests.mockReturnValue(requests);
+    storage.getRequestByName.mockImplementation((name) => requests.find(r => r.name === name) || null);
+    runner.runCollection.mockImplementation(async (list, options) => {
+      const results = list.map(r => passResult(r.name));
+      results.forEach(result => options.onResult(result));
+      return results;
+    });
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    processExitSpy.mockRestore();
+  });
+
+  describe('selecting requests', () => {
+    test('should run all saved requests by default', async () => {
+      await program.parseAsync(['node', 'test', 'run-all']);
+
+      expect(runner.runCollection.mock.calls[0][0].map(r => r.name)).toEqual(['login', 'list', 'admin']);
+      expect(processExitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should run named requests in the given order', async () => {
+      await program.parseAsync(['node', 'test', 'run-all', 'list', 'login']);
+
+      expect(runner.runCollection.mock.calls[0][0].map(r => r.name)).toEqual(['list', 'login']);
+    });
+
+    test('should filter by tag', async () => {
+      await program.parseAsync(['node', 'test', 'run-all', '--tag', 'smoke']);
+
+      expect(runner.runCollection.mock.calls[0][0].map(r => r.name)).toEqual(['login', 'list']);
+    });
+
+    test('should error on unknown request name', async () => {
+      await program.parseAsync(['node', 'test', 'run-all', 'nope']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("No saved request found with name 'nope'"));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(runner.runCollection).not.toHaveBeenCalled();
+    });
+
+    test('should error when nothing matches', async () => {
+      await program.parseAsync(['node', 'test', 'run-all', '--tag', 'missing']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('No saved requests to run.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('options', () => {
+    test('should pass env variables and bail', async () => {
+      env.getEnv.mockReturnValue({ BASE: 'http://a' });
+
+      await program.parseAsync(['node', 'test', 'run-all', '--env', 'dev', '--bail']);
+
+      expect(env.getEnv).toHaveBeenCalledWith('dev');
+      expect(runner.runCollection).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+        variables: { BASE: 'http://a' },
+        envName: 'dev',
+        bail: true
+      }));
+    });
+
+    test('should load --openapi once and pass it to the runner', async () => {
+      contract.loadContract.mockReturnValue({ spec: 'loaded' });
+
+      await program.parseAsync(['node', 'test', 'run-all', '--openapi', 'spec.yaml']);
+
+      expect(contract.loadContract).toHaveBeenCalledTimes(1);
+      expect(contract.loadContract).toHaveBeenCalledWith('spec.yaml');
+      expect(runner.runCollection).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+        contract: { spec: 'loaded' }
+      }));
+    });
+
+    test('should exit 1 when --openapi cannot be loaded', async () => {
+      contract.loadContract.mockImplementation(() => {
+        throw new Error('File is not an OpenAPI 3 or Swagger 2 document.');
+      });
+
+      await program.parseAsync(['node', 'test', 'run-all', '--openapi', 'bad.yaml']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('Error: File is not an OpenAPI 3 or Swagger 2 document.');
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(runner.runCollection).not.toHaveBeenCalled();
+    });
+
+    test('should error on unknown environment', async () => {
+      env.getEnv.mockImplementation(() => {
+        throw new Error('Unknown environment "dev".');
+      });
+
+      await program.parseAsync(['node', 'test', 'run-all', '--env', 'dev']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(runner.runCollection).not.toHaveBeenCalled();
+    });
+
+    test('should print responses in verbose mode', async () => {
+      await program.parseAsync(['node', 'test', 'run-all', 'login', '--verbose']);
+
+      expect(printer.printSuccess).toHaveBeenCalled();
+      expect(printer.printAssertionResults).toHaveBeenCalled();
+    });
+  });
+
+  describe('summary and exit codes', () => {
+    test('should print summary table', async () => {
+      await program.parseAsync(['node', 'test', 'run-all']);
+
+      expect(printer.printTable).toHaveBeenCalledWith(
+        ['Name', 'Method', 'Status', 'Time', 'Result'],
+        expect.arrayContaining([['login', 'GET', '200', '10ms', 'PASS']])
+      );
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('3 passed, 0 failed'));
+    });
+
+    test('should exit 3 when an assertion failed', async () => {
+      runner.runCollection.mockImplementation(async (list, options) => {
+        const result = {
+          ...passResult('login'),
+          passed: false,
+          assertions: [{ expression: 'status=201', passed: false, message: 'status was 200' }]
+        };
+        options.onResult(result);
+        return [result];
+      });
+
+      await program.parseAsync(['node', 'test', 'run-all', 'login']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('status=201 (status was 200)'));
+      expect(processExitSpy).toHaveBeenCalledWith(3);
+    });
+
+    test('should exit 2 when a request errored', async () => {
+      runner.runCollection.mockImplementation(async (list, options) => {
+        const result = { ...passResult('login'), status: null, durationMs: null, passed: false, error: 'Unable to reach' };
+        const skipped = { ...passResult('list'), status: null, durationMs: null, passed: false, skipped: true };
+        options.onResult(result);
+        return [result, skipped];
+      });
+
+      await program.parseAsync(['node', 'test', 'run-all', 'login', 'list', '--bail']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('login: Unable to reach'));
+      expect(printer.printTable).toHaveBeenCalledWith(expect.any(Array), [
+        ['login', 'GET', '-', '-', 'ERROR'],
+        ['list', 'GET', '-', '-', 'SKIPPED']
+      ]);
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe('reporters', () => {
+    const reportDir = path.join(os.tmpdir(), '.api-ex-test-reports-' + Date.now());
+
+    afterAll(() => {
+      fs.rmSync(reportDir, { recursive: true, force: true });
+    });
+
+    test('should print json report instead of console output', async () => {
+      await program.parseAsync(['node', 'test', 'run-all', 'login', '--reporter', 'json']);
+
+      expect(printer.printTable).not.toHaveBeenCalled();
+      const output = consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+      const report = JSON.parse(output);
+      expect(report.summary.passed).toBe(1);
+      expect(report.results[0].name).toBe('login');
+    });
+
+    test('should write junit report to file and keep console output', async () => {
+      const reportFile = path.join(reportDir, 'junit.xml');
+
+      await program.parseAsync(['node', 'test', 'run-all', '--reporter', 'junit', '--report-file', reportFile]);
+
+      const xml = fs.readFileSync(reportFile, 'utf-8');
+      expect(xml).toContain('<testsuites name="api-ex run-all" tests="3"');
+      expect(printer.printTable).toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Report written to'));
+    });
+
+    test('should reject unknown reporter before running', async () => {
+      await program.parseAsync(['node', 'test', 'run-all', '--reporter', 'html']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("Unknown reporter 'html'"));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(runner.runCollection).not.toHaveBeenCalled();
+    });
+  });
+});
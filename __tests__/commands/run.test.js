@@ -2,6 +2,9 @@
  * Tests for run command
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { Command } = require('commander');
 const chalk = require('chalk');
 const runCommand = require('../../src/commands/run');
@@ -10,6 +13,7 @@ const http = require('../../src/core/http');
 const env = require('../../src/core/env');
 const history = require('../../src/core/history');
 const printer = require('../../src/core/printer');
+const capture = require('../../src/core/capture');
 
 // Mock dependencies
 jest.mock('chalk', () => ({
@@ -25,6 +29,10 @@ jest.mock('../../src/core/http');
 jest.mock('../../src/core/env');
 jest.mock('../../src/core/history');
 jest.mock('../../src/core/printer');
+jest.mock('../../src/core/capture', () => ({
+  ...jest.requireActual('../../src/core/capture'),
+  saveCaptures: jest.fn()
+}));
 
 // Mock ora spinner
 jest.mock('ora', () => {
@@ -364,7 +372,7 @@ describe('run command', () => {
 
       expect(env.getEnv).toHaveBeenCalledWith('dev');
       expect(env.interpolateRequest).toHaveBeenCalled();
-      expect(http.sendRequest).toHaveBeenCalledWith(interpolatedRequest);
+      expect(http.sendRequest).toHaveBeenCalledWith({ ...interpolatedRequest, env: 'dev' });
     });
 
     test('should error on unknown environment', async () => {
@@ -684,4 +692,506 @@ describe('run command', () => {
       });
     });
   });
+
+  describe('assertions', () => {
+    const mockResponse = {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/json' },
+      data: { id: 1 },
+      durationMs: 100
+    };
+
+    test('should apply saved assertions automatically', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'checked',
+        method: 'GET',
+        url: 'https://api.example.com/test',
+        headers: [],
+        data: '',
+        expect: ['status=200', 'body.id exists']
+      });
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      await program.parseAsync(['node', 'test', 'run', 'checked']);
+
+      expect(printer.printAssertionResults).toHaveBeenCalledWith([
+        expect.objectContaining({ expression: 'status=200', passed: true }),
+        expect.objectContaining({ expression: 'body.id exists', passed: true })
+      ]);
+      expect(processExitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should combine saved and --expect assertions', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'checked',
+        method: 'GET',
+        url: 'https://api.example.com/test',
+        headers: [],
+        data: '',
+        expect: ['status=200']
+      });
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      await program.parseAsync(['node', 'test', 'run', 'checked', '--expect', 'time < 50']);
+
+      const results = printer.printAssertionResults.mock.calls[0][0];
+      expect(results.map(r => r.expression)).toEqual(['status=200', 'time < 50']);
+      expect(processExitSpy).toHaveBeenCalledWith(3);
+    });
+
+    test('should exit 1 on invalid assertion without sending', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'checked',
+        method: 'GET',
+        url: 'https://api.example.com/test',
+        headers: [],
+        data: ''
+      });
+
+      await program.parseAsync(['node', 'test', 'run', 'checked', '--expect', 'bogus']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+
+    test('should not run assertions after a network error', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'checked',
+        method: 'GET',
+        url: 'https://api.example.com/test',
+        headers: [],
+        data: '',
+        expect: ['status=200']
+      });
+      http.sendRequest.mockRejectedValue(new Error('Network Error'));
+
+      await program.parseAsync(['node', 'test', 'run', 'checked']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+      expect(printer.printAssertionResults).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('captures', () => {
+    const savedRequest = {
+      name: 'login',
+      method: 'POST',
+      url: 'https://api.example.com/login',
+      headers: [],
+      data: '',
+      capture: ['TOKEN=body.access_token']
+    };
+
+    const mockResponse = {
+      status: 200,
+      statusText: 'OK',
+      headers: { etag: 'v2' },
+      data: { access_token: 'fresh' },
+      durationMs: 100
+    };
+
+    beforeEach(() => {
+      env.getEnv.mockReturnValue({ TOKEN: 'stale' });
+      env.interpolateRequest.mockImplementation((config) => config);
+    });
+
+    test('should refresh saved captures into --env', async () => {
+      storage.getRequestByName.mockReturnValue(savedRequest);
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      await program.parseAsync(['node', 'test', 'run', 'login', '--env', 'dev']);
+
+      expect(capture.saveCaptures).toHaveBeenCalledWith('dev', { TOKEN: 'fresh' });
+      expect(printer.printCaptureResults).toHaveBeenCalledWith({ TOKEN: 'fresh' }, [], 'dev');
+    });
+
+    test('should add --capture rules to saved ones', async () => {
+      storage.getRequestByName.mockReturnValue(savedRequest);
+      http.sendRequest.mockResolvedValue(mockResponse);
+
+      await program.parseAsync(['node', 'test', 'run', 'login', '--env', 'dev', '--capture', 'ETAG=header.etag']);
+
+      expect(capture.saveCaptures).toHaveBeenCalledWith('dev', { TOKEN: 'fresh', ETAG: 'v2' });
+    });
+
+    test('should not save when nothing was captured', async () => {
+      storage.getRequestByName.mockReturnValue(savedRequest);
+      http.sendRequest.mockResolvedValue({ ...mockResponse, data: {} });
+
+      await program.parseAsync(['node', 'test', 'run', 'login', '--env', 'dev']);
+
+      expect(capture.saveCaptures).not.toHaveBeenCalled();
+      expect(printer.printCaptureResults).toHaveBeenCalledWith(
+        {},
+        [{ name: 'TOKEN', path: 'body.access_token' }],
+        'dev'
+      );
+    });
+  });
+
+  describe('reporters', () => {
+    test('should print a tap report instead of the response', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'checked',
+        method: 'GET',
+        url: 'https://api.example.com/test',
+        headers: [],
+        data: '',
+        expect: ['status=200']
+      });
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', data: {}, durationMs: 12 });
+
+      await program.parseAsync(['node', 'test', 'run', 'checked', '--reporter', 'tap']);
+
+      expect(printer.printSuccess).not.toHaveBeenCalled();
+      expect(printer.printAssertionResults).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('ok 1 - checked: status=200'));
+      expect(processExitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should report network errors', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'down',
+        method: 'GET',
+        url: 'https://api.example.com/down',
+        headers: [],
+        data: ''
+      });
+      http.sendRequest.mockRejectedValue(new Error('Unable to reach'));
+
+      await program.parseAsync(['node', 'test', 'run', 'down', '--reporter', 'json']);
+
+      const report = JSON.parse(consoleLogSpy.mock.calls[0][0]);
+      expect(report.results[0].error).toBe('Unable to reach');
+      expect(printer.printError).not.toHaveBeenCalled();
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+    });
+
+    test('should exit 1 on unknown reporter', async () => {
+      storage.getRequestByName.mockReturnValue({ name: 'x', method: 'GET', url: 'https://a', headers: [], data: '' });
+
+      await program.parseAsync(['node', 'test', 'run', 'x', '--reporter', 'html']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('--print-curl', () => {
+    test('should print the interpolated request and not send it', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'create-user',
+        method: 'POST',
+        url: 'https://{{HOST}}/users',
+        headers: ['Content-Type: application/json'],
+        data: '{"name":"it\'s me"}'
+      });
+      env.getEnv.mockReturnValue({ HOST: 'api.example.com' });
+      env.interpolateRequest.mockImplementation((config) => ({ ...config, url: 'https://api.example.com/users' }));
+
+      await program.parseAsync(['node', 'test', 'run', 'create-user', '--env', 'dev', '--print-curl']);
+
+      expect(http.sendRequest).not.toHaveBeenCalled();
+      expect(history.recordHistory).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        "curl -X POST https://api.example.com/users \\\n" +
+        "  -H 'Content-Type: application/json' \\\n" +
+        "  --data-raw '{\"name\":\"it'\\''s me\"}'"
+      );
+    });
+  });
+
+  describe('--auth', () => {
+    const savedRequest = {
+      name: 'me',
+      method: 'GET',
+      url: 'https://api.example.com/me',
+      headers: [],
+      data: '',
+      auth: { type: 'bearer', token: 'saved' }
+    };
+
+    beforeEach(() => {
+      storage.getRequestByName.mockReturnValue(savedRequest);
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', data: {}, durationMs: 10 });
+    });
+
+    test('should send the saved auth', async () => {
+      await program.parseAsync(['node', 'test', 'run', 'me']);
+
+      expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({
+        auth: { type: 'bearer', token: 'saved' }
+      }));
+    });
+
+    test('should override the saved auth', async () => {
+      await program.parseAsync(['node', 'test', 'run', 'me', '--auth', 'basic:ann:secret']);
+
+      expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({
+        auth: { type: 'basic', username: 'ann', password: 'secret' }
+      }));
+    });
+
+    test('should drop the saved auth with --auth none', async () => {
+      await program.parseAsync(['node', 'test', 'run', 'me', '--auth', 'none']);
+
+      expect(http.sendRequest.mock.calls[0][0].auth).toBeUndefined();
+    });
+
+    test('should exit 1 for auth it cannot parse', async () => {
+      await program.parseAsync(['node', 'test', 'run', 'me', '--auth', 'bearer']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("Invalid bearer auth 'bearer'."));
+    });
+  });
+
+  describe('--openapi', () => {
+    const specFile = path.join(os.tmpdir(), `api-ex-run-spec-${Date.now()}.yaml`);
+
+    beforeAll(() => {
+      fs.writeFileSync(specFile, 'openapi: 3.0.0\npaths:\n  /users/{id}:\n    get:\n      responses:\n        \"200\":\n          description: ok\n          content:\n            application/json:\n              schema:\n                type: object\n                required: [name]\n');
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(specFile);
+    });
+
+    test('should pass when the response matches the contract', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'get-user',
+        method: 'GET',
+        url: 'https://api.example.com/users/1',
+        headers: [],
+        data: ''
+      });
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, data: { name: 'Ada' }, durationMs: 5 });
+
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--openapi', specFile]);
+
+      const results = printer.printAssertionResults.mock.calls[0][0];
+      expect(results.map(r => r.expression)).toEqual([
+        'openapi status 200',
+        'openapi content-type application/json',
+        'openapi body matches GET /users/{id} 200'
+      ]);
+      expect(processExitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should exit 3 on undeclared status codes', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'get-user',
+        method: 'GET',
+        url: 'https://api.example.com/users/1',
+        headers: [],
+        data: ''
+      });
+      http.sendRequest.mockResolvedValue({ status: 500, statusText: 'Error', headers: {}, data: '', durationMs: 5 });
+
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--openapi', specFile]);
+
+      expect(processExitSpy).toHaveBeenCalledWith(3);
+    });
+  });
+
+  describe('--schema', () => {
+    const schemaFile = path.join(os.tmpdir(), `api-ex-run-schema-${Date.now()}.json`);
+    const otherSchemaFile = path.join(os.tmpdir(), `api-ex-run-schema-other-${Date.now()}.json`);
+
+    beforeAll(() => {
+      fs.writeFileSync(schemaFile, JSON.stringify({ type: 'object', required: ['name'] }));
+      fs.writeFileSync(otherSchemaFile, JSON.stringify({ type: 'object', required: ['id'] }));
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(schemaFile);
+      fs.unlinkSync(otherSchemaFile);
+    });
+
+    beforeEach(() => {
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', headers: {}, data: { name: 'Ada' }, durationMs: 5 });
+    });
+
+    test('should validate against the schema saved with the request', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'get-user',
+        method: 'GET',
+        url: 'https://api.example.com/users/1',
+        headers: [],
+        data: '',
+        schema: schemaFile
+      });
+
+      await program.parseAsync(['node', 'test', 'run', 'get-user']);
+
+      expect(printer.printAssertionResults).toHaveBeenCalledWith([
+        { expression: `schema ${path.basename(schemaFile)}`, passed: true, actual: null, message: null }
+      ]);
+      expect(processExitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should let --schema override the saved schema and exit 3 on violations', async () => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'get-user',
+        method: 'GET',
+        url: 'https://api.example.com/users/1',
+        headers: [],
+        data: '',
+        schema: schemaFile
+      });
+
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--schema', otherSchemaFile]);
+
+      expect(printer.printAssertionResults).toHaveBeenCalledWith([
+        { expression: 'schema #/id', passed: false, actual: null, message: 'is required' }
+      ]);
+      expect(processExitSpy).toHaveBeenCalledWith(3);
+    });
+  });
+
+  describe('scripts', () => {
+    const scriptFile = (name, source) => {
+      const file = path.join(os.tmpdir(), `api-ex-run-${name}-${Date.now()}.js`);
+      fs.writeFileSync(file, source);
+      return file;
+    };
+
+    let preScript, postScript, brokenScript;
+
+    beforeAll(() => {
+      preScript = scriptFile('pre', "env.set('TS', '1700000000'); req.headers['X-Signature'] = crypto.hmac('sha256', env.get('SECRET'), req.url);");
+      postScript = scriptFile('post', "expect(res.body.id).toBe(1); env.set('USER_ID', res.body.id);");
+      brokenScript = scriptFile('broken', "throw new Error('no key');");
+    });
+
+    afterAll(() => {
+      [preScript, postScript, brokenScript].forEach(file => fs.unlinkSync(file));
+    });
+
+    beforeEach(() => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'get-user',
+        method: 'GET',
+        url: 'https://api.example.com/users/1',
+        headers: ['X-Time: {{TS}}'],
+        data: '',
+        preScript: preScript,
+        postScript: postScript
+      });
+      env.getEnv.mockReturnValue({ SECRET: 'k' });
+      env.interpolateRequest.mockImplementation(jest.requireActual('../../src/core/env').interpolateRequest);
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', headers: {}, data: { id: 1 }, durationMs: 5 });
+    });
+
+    test('should run saved scripts around the request and store their values', async () => {
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--env', 'dev']);
+
+      const sent = http.sendRequest.mock.calls[0][0];
+      expect(sent.headers['X-Time']).toBe('1700000000');
+      expect(sent.headers['X-Signature']).toBe(require('crypto').createHmac('sha256', 'k').update('https://api.example.com/users/1').digest('hex'));
+      expect(printer.printAssertionResults).toHaveBeenCalledWith([
+        { expression: 'script: expect 1 toBe 1', passed: true, actual: 1, message: null }
+      ]);
+      expect(capture.saveCaptures).toHaveBeenCalledWith('dev', { TS: '1700000000', USER_ID: '1' });
+      expect(processExitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should let --post-script override the saved script', async () => {
+      const other = scriptFile('other', 'expect(res.status).toBe(404);');
+
+      try {
+        await program.parseAsync(['node', 'test', 'run', 'get-user', '--env', 'dev', '--post-script', other]);
+      } finally {
+        fs.unlinkSync(other);
+      }
+
+      expect(printer.printAssertionResults).toHaveBeenCalledWith([
+        { expression: 'script: expect 200 toBe 404', passed: false, actual: 200, message: 'got 200' }
+      ]);
+      expect(processExitSpy).toHaveBeenCalledWith(3);
+    });
+
+    test('should exit 2 without sending when the pre-request script throws', async () => {
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--pre-script', brokenScript]);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('no key'));
+      expect(http.sendRequest).not.toHaveBeenCalled();
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+    });
+
+    test('should exit 1 when a script file cannot be loaded', async () => {
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--pre-script', '/missing/pre.js']);
+
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Could not read script'));
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('--data-file', () => {
+    const dataFile = path.join(os.tmpdir(), `api-ex-run-rows-${Date.now()}.csv`);
+
+    beforeAll(() => {
+      fs.writeFileSync(dataFile, 'id,name\n1,Ada\n2,Grace\n');
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(dataFile);
+    });
+
+    beforeEach(() => {
+      storage.getRequestByName.mockReturnValue({
+        name: 'get-user',
+        method: 'GET',
+        url: 'https://api.example.com/users/{{id}}',
+        headers: [],
+        data: '',
+        expect: ['status=200']
+      });
+      env.getEnv.mockReturnValue({ TOKEN: 'abc' });
+      env.interpolateRequest.mockImplementation(jest.requireActual('../../src/core/env').interpolateRequest);
+    });
+
+    test('should run once per row and print a summary table', async () => {
+      http.sendRequest.mockResolvedValue({ status: 200, statusText: 'OK', headers: {}, data: {}, durationMs: 5 });
+
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--env', 'dev', '-H', 'Authorization: Bearer {{TOKEN}}', '--data-file', dataFile]);
+
+      expect(http.sendRequest.mock.calls.map(call => call[0].url)).toEqual([
+        'https://api.example.com/users/1',
+        'https://api.example.com/users/2'
+      ]);
+      expect(http.sendRequest.mock.calls[0][0].headers).toEqual({ Authorization: 'Bearer abc' });
+      expect(printer.printTable).toHaveBeenCalledWith(['#', 'Data', 'Status', 'Time', 'Result'], expect.any(Array));
+      expect(consoleLogSpy).toHaveBeenCalledWith('2 passed, 0 failed, 0 error(s), 0 skipped (10ms)');
+      expect(processExitSpy).not.toHaveBeenCalled();
+    });
+
+    test('should stop at the first failure with --bail and exit 3', async () => {
+      http.sendRequest.mockResolvedValue({ status: 404, statusText: 'Not Found', headers: {}, data: {}, durationMs: 5 });
+
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--data-file', dataFile, '--bail', '--iterations', '3']);
+
+      expect(http.sendRequest).toHaveBeenCalledTimes(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith('0 passed, 1 failed, 0 error(s), 2 skipped (5ms)');
+      expect(processExitSpy).toHaveBeenCalledWith(3);
+    });
+
+    test('should exit 2 when an iteration cannot be sent', async () => {
+      http.sendRequest.mockRejectedValue(new Error('Unable to reach api.example.com'));
+
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--iterations', '1']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(2);
+    });
+
+    test('should exit 1 for bad data files and options', async () => {
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--data-file', '/missing/rows.csv']);
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--iterations', '0']);
+      await program.parseAsync(['node', 'test', 'run', 'get-user', '--iterations', '2', '--print-curl']);
+
+      expect(processExitSpy.mock.calls).toEqual([[1], [1], [1]]);
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -358,4 +358,250 @@ describe('save command', () => {
       );
     });
   });
+
+  describe('assertions', () => {
+    test('should store assertions when --expect given', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync([
+        'node', 'test', 'save', 'checked',
+        '--url', 'https://api.example.com',
+        '--expect', 'status=200',
+        '--expect', 'time < 500'
+      ]);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith({
+        name: 'checked',
+        method: 'GET',
+        url: 'https://api.example.com',
+        headers: [],
+        data: '',
+        expect: ['status=200', 'time < 500']
+      });
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Assertions: 2'));
+    });
+
+    test('should reject invalid assertion', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      try {
+        await program.parseAsync([
+          'node', 'test', 'save', 'checked',
+          '--url', 'https://api.example.com',
+          '--expect', 'not valid'
+        ]);
+      } catch (err) {
+        // expected
+      }
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid assertion'));
+    });
+  });
+
+  describe('captures', () => {
+    test('should store capture rules when --capture given', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync([
+        'node', 'test', 'save', 'login',
+        '--url', 'https://api.example.com/login',
+        '-X', 'POST',
+        '--capture', 'TOKEN=body.access_token'
+      ]);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith({
+        name: 'login',
+        method: 'POST',
+        url: 'https://api.example.com/login',
+        headers: [],
+        data: '',
+        capture: ['TOKEN=body.access_token']
+      });
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Captures: TOKEN'));
+    });
+
+    test('should reject invalid capture rule', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      try {
+        await program.parseAsync([
+          'node', 'test', 'save', 'login',
+          '--url', 'https://api.example.com/login',
+          '--capture', 'TOKEN=nowhere'
+        ]);
+      } catch (err) {
+        // expected
+      }
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('tags', () => {
+    test('should store tags when --tag given', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync([
+        'node', 'test', 'save', 'health',
+        '--url', 'https://api.example.com/health',
+        '--tag', 'smoke',
+        '-t', 'ops'
+      ]);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'health',
+        tags: ['smoke', 'ops']
+      }));
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Tags: smoke, ops'));
+    });
+  });
+
+  describe('auth', () => {
+    test('should store auth with its placeholders', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'me', '--url', 'https://api.example.com/me', '--auth', 'bearer:{{TOKEN}}']);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith(expect.objectContaining({
+        auth: { type: 'bearer', token: '{{TOKEN}}' },
+        headers: []
+      }));
+      expect(consoleLogSpy).toHaveBeenCalledWith('Auth: bearer');
+    });
+
+    test('should store aws-sigv4 with credential placeholders', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'orders', '--url', 'https://api.example.com/orders', '--auth', 'aws-sigv4:eu-west-1:execute-api:session-token']);
+
+      expect(storage.saveRequest.mock.calls[0][0].auth).toEqual({
+        type: 'aws-sigv4',
+        region: 'eu-west-1',
+        service: 'execute-api',
+        accessKeyId: '{{AWS_ACCESS_KEY_ID}}',
+        secretAccessKey: '{{AWS_SECRET_ACCESS_KEY}}',
+        sessionToken: '{{AWS_SESSION_TOKEN}}'
+      });
+      expect(consoleLogSpy).toHaveBeenCalledWith('Auth: aws-sigv4 (eu-west-1 execute-api)');
+    });
+
+    test('should not save auth it cannot parse', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'me', '--url', 'https://api.example.com/me', '--auth', 'apikey:cookie:k:v']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("Invalid apikey auth 'apikey:cookie:k:v'."));
+    });
+  });
+
+  describe('schema', () => {
+    const schemaFile = require('path').join(require('os').tmpdir(), `api-ex-save-schema-${Date.now()}.json`);
+
+    beforeAll(() => {
+      require('fs').writeFileSync(schemaFile, JSON.stringify({ type: 'object' }));
+    });
+
+    afterAll(() => {
+      require('fs').unlinkSync(schemaFile);
+    });
+
+    test('should store the absolute schema path', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'with-schema', '--url', 'https://example.com', '--schema', schemaFile]);
+
+      expect(storage.saveRequest).toHaveBeenCalledWith(expect.objectContaining({ schema: schemaFile }));
+      expect(consoleLogSpy).toHaveBeenCalledWith(`Schema: ${schemaFile}`);
+    });
+
+    test('should not save when the schema cannot be loaded', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'with-schema', '--url', 'https://example.com', '--schema', '/missing/schema.json']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('Could not read schema'));
+    });
+  });
+
+  describe('scripts', () => {
+    const preScript = require('path').join(require('os').tmpdir(), `api-ex-save-pre-${Date.now()}.js`);
+
+    beforeAll(() => {
+      require('fs').writeFileSync(preScript, "req.headers['X-Id'] = crypto.uuid();");
+    });
+
+    afterAll(() => {
+      require('fs').unlinkSync(preScript);
+    });
+
+    test('should store absolute script paths', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'scripted', '--url', 'https://example.com', '--pre-script', preScript]);
+
+      const saved = storage.saveRequest.mock.calls[0][0];
+      expect(saved.preScript).toBe(preScript);
+      expect(saved.postScript).toBeUndefined();
+      expect(consoleLogSpy).toHaveBeenCalledWith(`Pre-request script: ${preScript}`);
+    });
+
+    test('should not save scripts with syntax errors', async () => {
+      const broken = require('path').join(require('os').tmpdir(), `api-ex-save-broken-${Date.now()}.js`);
+      require('fs').writeFileSync(broken, 'if (');
+      storage.getRequestByName.mockReturnValue(null);
+
+      try {
+        await program.parseAsync(['node', 'test', 'save', 'scripted', '--url', 'https://example.com', '--post-script', broken]);
+      } finally {
+        require('fs').unlinkSync(broken);
+      }
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('has a syntax error'));
+    });
+  });
+
+  describe('mock examples', () => {
+    const example = require('path').join(require('os').tmpdir(), `api-ex-save-example-${Date.now()}.json`);
+
+    beforeAll(() => {
+      require('fs').writeFileSync(example, '{"id":7,"name":"Ada"}');
+    });
+
+    afterAll(() => {
+      require('fs').unlinkSync(example);
+    });
+
+    test('should store the example path and status', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'get-user', '--url', 'https://api.example.com/users/{{id}}', '--example', example, '--example-status', '201']);
+
+      const saved = storage.saveRequest.mock.calls[0][0];
+      expect(saved.example).toBe(example);
+      expect(saved.exampleStatus).toBe(201);
+      expect(consoleLogSpy).toHaveBeenCalledWith(`Mock example: ${example} (status 201)`);
+    });
+
+    test('should exit 1 for a missing example file', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'get-user', '--url', 'https://example.com', '--example', '/nope/missing.json']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("Could not read example '/nope/missing.json'"));
+    });
+
+    test('should exit 1 for an invalid example status', async () => {
+      storage.getRequestByName.mockReturnValue(null);
+
+      await program.parseAsync(['node', 'test', 'save', 'get-user', '--url', 'https://example.com', '--example-status', '700']);
+
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith('Error: Example status must be between 100 and 599.');
+    });
+  });
 });
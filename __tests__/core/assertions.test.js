@@ -0,0 +1,172 @@
+const assertions = require('../../src/core/assertions');
+
+const response = {
+  status: 200,
+  statusText: 'OK',
+  headers: { 'content-type': 'application/json; charset=utf-8', 'x-count': '3' },
+  data: { user: { id: 7, name: 'John' }, items: [{ id: 1 }, { id: 2 }], active: true },
+  durationMs: 120
+};
+
+describe('Assertions Module', () => {
+  describe('parseAssertion()', () => {
+    it('should parse comparison without spaces', () => {
+      expect(assertions.parseAssertion('status=200')).toEqual({
+        expression: 'status=200',
+        path: 'status',
+        operator: '=',
+        expected: '200'
+      });
+    });
+
+    it('should parse comparison with spaces', () => {
+      const assertion = assertions.parseAssertion('time < 500');
+      expect(assertion.path).toBe('time');
+      expect(assertion.operator).toBe('<');
+      expect(assertion.expected).toBe('500');
+    });
+
+    it('should treat == as =', () => {
+      expect(assertions.parseAssertion('status == 201').operator).toBe('=');
+    });
+
+    it('should parse exists and !exists', () => {
+      expect(assertions.parseAssertion('body.user.id exists').operator).toBe('exists');
+      expect(assertions.parseAssertion('body.error !exists').operator).toBe('!exists');
+    });
+
+    it('should strip quotes from expected value', () => {
+      expect(assertions.parseAssertion('body.user.name = "John"').expected).toBe('John');
+      expect(assertions.parseAssertion("body.user.name = 'John'").expected).toBe('John');
+    });
+
+    it('should reject empty assertion', () => {
+      expect(() => assertions.parseAssertion('')).toThrow('Assertion cannot be empty');
+      expect(() => assertions.parseAssertion('   ')).toThrow('Assertion cannot be empty');
+    });
+
+    it('should reject assertion without operator', () => {
+      expect(() => assertions.parseAssertion('status')).toThrow('Invalid assertion');
+    });
+
+    it('should reject unknown path source', () => {
+      expect(() => assertions.parseAssertion('foo=1')).toThrow('Path must start with');
+    });
+
+    it('should reject numeric operator with non number', () => {
+      expect(() => assertions.parseAssertion('time < fast')).toThrow('needs a number');
+    });
+
+    it('should reject invalid regex', () => {
+      expect(() => assertions.parseAssertion('body.user.name ~ (')).toThrow('Invalid assertion');
+    });
+
+    it('should throw ValidationError', () => {
+      try {
+        assertions.parseAssertion('nope');
+      } catch (error) {
+        expect(error.name).toBe('ValidationError');
+        expect(error.code).toBe(1);
+      }
+    });
+  });
+
+  describe('parseAssertions()', () => {
+    it('should parse a list', () => {
+      expect(assertions.parseAssertions(['status=200', 'time < 1000'])).toHaveLength(2);
+    });
+
+    it('should default to empty list', () => {
+      expect(assertions.parseAssertions()).toEqual([]);
+    });
+  });
+
+  describe('evaluateAssertion()', () => {
+    const check = (expression) => assertions.evaluateAssertion(assertions.parseAssertion(expression), response);
+
+    it('should check status equality', () => {
+      expect(check('status=200').passed).toBe(true);
+      expect(check('status=404').passed).toBe(false);
+    });
+
+    it('should check inequality', () => {
+      expect(check('status != 500').passed).toBe(true);
+      expect(check('status != 200').passed).toBe(false);
+    });
+
+    it('should check numeric comparisons', () => {
+      expect(check('time < 500').passed).toBe(true);
+      expect(check('time > 500').passed).toBe(false);
+      expect(check('time <= 120').passed).toBe(true);
+      expect(check('time >= 121').passed).toBe(false);
+      expect(check('header.x-count >= 3').passed).toBe(true);
+    });
+
+    it('should fail numeric comparison on non numbers', () => {
+      expect(check('body.user.name < 5').passed).toBe(false);
+      expect(check('body.missing < 5').passed).toBe(false);
+    });
+
+    it('should check nested body values', () => {
+      expect(check('body.user.id = 7').passed).toBe(true);
+      expect(check('body.items[1].id = 2').passed).toBe(true);
+      expect(check('body.items.0.id = 1').passed).toBe(true);
+      expect(check('body.active = true').passed).toBe(true);
+    });
+
+    it('should check existence', () => {
+      expect(check('body.user.id exists').passed).toBe(true);
+      expect(check('body.user.email exists').passed).toBe(false);
+      expect(check('body.user.email !exists').passed).toBe(true);
+    });
+
+    it('should match headers case insensitively with regex', () => {
+      expect(check('header.Content-Type ~ json').passed).toBe(true);
+      expect(check('header.content-type ~ ^text/').passed).toBe(false);
+      expect(check('header.content-type !~ xml').passed).toBe(true);
+    });
+
+    it('should compare objects as json', () => {
+      expect(check('body.user = {"id":7,"name":"John"}').passed).toBe(true);
+    });
+
+    it('should include actual value in failure message', () => {
+      const result = check('status=404');
+      expect(result.passed).toBe(false);
+      expect(result.actual).toBe(200);
+      expect(result.message).toBe('status was 200');
+    });
+
+    it('should have no message when passed', () => {
+      expect(check('status=200').message).toBeNull();
+    });
+  });
+
+  describe('runAssertions() and hasFailures()', () => {
+    it('should run every assertion', () => {
+      const results = assertions.runAssertions(
+        assertions.parseAssertions(['status=200', 'time < 10']),
+        response
+      );
+
+      expect(results.map(r => r.passed)).toEqual([true, false]);
+      expect(assertions.hasFailures(results)).toBe(true);
+    });
+
+    it('should report no failures when all pass', () => {
+      const results = assertions.runAssertions(assertions.parseAssertions(['status=200']), response);
+      expect(assertions.hasFailures(results)).toBe(false);
+    });
+
+    it('should handle empty lists', () => {
+      expect(assertions.runAssertions([], response)).toEqual([]);
+      expect(assertions.hasFailures([])).toBe(false);
+    });
+  });
+
+  describe('ASSERTION_FAILURE_EXIT_CODE', () => {
+    it('should be distinct from validation and runtime codes', () => {
+      expect(assertions.ASSERTION_FAILURE_EXIT_CODE).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const auth = require('../../src/core/auth');
+const { ValidationError } = require('../../src/core/errors');
+
+describe('Auth Module', () => {
+  describe('parseAuth()', () => {
+    it.each([
+      ['basic:ann:s3cr:et', { type: 'basic', username: 'ann', password: 's3cr:et' }],
+      ['basic:ann:', { type: 'basic', username: 'ann', password: '' }],
+      ['bearer:{{TOKEN}}', { type: 'bearer', token: '{{TOKEN}}' }],
+      ['Bearer:abc:def', { type: 'bearer', token: 'abc:def' }],
+      ['apikey:header:X-Api-Key:{{KEY}}', { type: 'apikey', in: 'header', name: 'X-Api-Key', value: '{{KEY}}' }],
+      ['apikey:query:api_key:k:1', { type: 'apikey', in: 'query', name: 'api_key', value: 'k:1' }],
+      ['digest:{{USER}}:{{PASS}}', { type: 'digest', username: '{{USER}}', password: '{{PASS}}' }],
+      ['oauth2:corp', { type: 'oauth2', profile: 'corp' }],
+      ['HMAC:partner', { type: 'hmac', profile: 'partner' }],
+      ['aws-sigv4:{{AWS_REGION}}:execute-api', {
+        type: 'aws-sigv4', region: '{{AWS_REGION}}', service: 'execute-api', accessKeyId: '{{AWS_ACCESS_KEY_ID}}', secretAccessKey: '{{AWS_SECRET_ACCESS_KEY}}'
+      }],
+      ['AWS-SIGV4:us-east-1:s3:unsigned-payload:session-token', {
+        type: 'aws-sigv4', region: 'us-east-1', service: 's3', accessKeyId: '{{AWS_ACCESS_KEY_ID}}', secretAccessKey: '{{AWS_SECRET_ACCESS_KEY}}',
+        sessionToken: '{{AWS_SESSION_TOKEN}}', unsignedPayload: true
+      }]
+    ])('should parse %s', (spec, expected) => {
+      expect(auth.parseAuth(spec)).toEqual(expected);
+    });
+
+    it('should return null for none', () => {
+      expect(auth.parseAuth('none')).toBeNull();
+    });
+
+    it.each([
+      ['', 'Auth is required.'],
+      ['basic:ann', "Invalid basic auth 'basic:ann'. Use basic:<user>:<password>."],
+      ['digest::pass', "Invalid digest auth 'digest::pass'."],
+      ['bearer:', "Invalid bearer auth 'bearer:'. Use bearer:<token>."],
+      ['apikey:cookie:sid:1', "Invalid apikey auth 'apikey:cookie:sid:1'."],
+      ['apikey:header:X-Key', "Invalid apikey auth 'apikey:header:X-Key'."],
+      ['oauth2:', "Invalid oauth2 auth 'oauth2:'. Use oauth2:<profile>."],
+      ['hmac:', "Invalid hmac auth 'hmac:'. Use hmac:<profile>."],
+      ['aws-sigv4:us-east-1', "Invalid aws-sigv4 auth 'aws-sigv4:us-east-1'."],
+      ['aws-sigv4:us-east-1:s3:presigned', "Unknown aws-sigv4 option 'presigned'. Use session-token or unsigned-payload."],
+      ['ntlm:a:b', "Unknown auth type 'ntlm'."]
+    ])('should reject %j', (spec, message) => {
+      expect(() => auth.parseAuth(spec)).toThrow(ValidationError);
+      expect(() => auth.parseAuth(spec)).toThrow(message);
+    });
+  });
+
+  describe('describeAuth()', () => {
+    it('should leave secrets out', () => {
+      expect(auth.describeAuth({ type: 'basic', username: 'ann', password: 'x' })).toBe('basic (user ann)');
+      expect(auth.describeAuth({ type: 'bearer', token: 'x' })).toBe('bearer');
+      expect(auth.describeAuth({ type: 'apikey', in: 'query', name: 'key', value: 'x' })).toBe('apikey (query key)');
+      expect(auth.describeAuth({ type: 'oauth2', profile: 'corp' })).toBe('oauth2 (profile corp)');
+      expect(auth.describeAuth({ type: 'hmac', profile: 'partner' })).toBe('hmac (profile partner)');
+      expect(auth.describeAuth({ type: 'aws-sigv4', region: 'us-east-1', service: 's3', secretAccessKey: 'x' })).toBe('aws-sigv4 (us-east-1 s3)');
+      expect(auth.describeAuth(null)).toBe('none');
+    });
+  });
+
+  describe('applyAuth()', () => {
+    const request = { method: 'GET', url: 'https://a.com/users', headers: { authorization: 'old', Accept: 'text/plain' } };
+
+    it('should add basic and bearer headers without touching the request', () => {
+      expect(auth.applyAuth({ ...request, auth: { type: 'basic', username: 'ann', password: 'pw' } }).headers).toEqual({
+        Accept: 'text/plain',
+        Authorization: `Basic ${Buffer.from('ann:pw').toString('base64')}`
+      });
+      expect(auth.applyAuth({ ...request, auth: { type: 'bearer', token: 't1' } }).headers.Authorization).toBe('Bearer t1');
+      expect(request.headers).toEqual({ authorization: 'old', Accept: 'text/plain' });
+    });
+
+    it('should put API keys in a header or the query string', () => {
+      expect(auth.applyAuth({ ...request, auth: { type: 'apikey', in: 'header', name: 'X-Api-Key', value: 'k' } }).headers['X-Api-Key']).toBe('k');
+
+      const inQuery = auth.applyAuth({ ...request, url: 'https://a.com/users?page=2', auth: { type: 'apikey', in: 'query', name: 'api key', value: 'a&b' } });
+      expect(inQuery.url).toBe('https://a.com/users?page=2&api%20key=a%26b');
+      expect(inQuery.headers).toEqual(request.headers);
+    });
+
+    it('should sign aws-sigv4 requests with the current time', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2015-08-30T12:36:00Z'));
+
+      try {
+        const signed = auth.applyAuth({
+          method: 'GET',
+          url: 'https://example.amazonaws.com/',
+          headers: {},
+          auth: { type: 'aws-sigv4', region: 'us-east-1', service: 'service', accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' }
+        });
+
+        expect(signed.headers['X-Amz-Date']).toBe('20150830T123600Z');
+        expect(signed.headers.Authorization).toMatch(/Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31$/);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should refuse to sign with placeholders left in the credentials', () => {
+      const unsigned = auth.parseAuth('aws-sigv4:us-east-1:s3:session-token');
+
+      expect(() => auth.applyAuth({ ...request, auth: unsigned })).toThrow(
+        'AWS signing values are not set: {{AWS_ACCESS_KEY_ID}}, {{AWS_SECRET_ACCESS_KEY}}, {{AWS_SESSION_TOKEN}}. Add them to an environment and use --env.'
+      );
+      expect(() => auth.applyAuth({ ...request, auth: { ...unsigned, accessKeyId: 'AKID', secretAccessKey: '', sessionToken: 't' } }))
+        .toThrow('AWS signing values are not set: secretAccessKey.');
+    });
+
+    it('should leave digest, oauth2, hmac and requests without auth as they are', () => {
+      const digest = { ...request, auth: { type: 'digest', username: 'a', password: 'b' } };
+      const oauth2 = { ...request, auth: { type: 'oauth2', profile: 'corp' } };
+      const hmac = { ...request, auth: { type: 'hmac', profile: 'partner' } };
+
+      expect(auth.applyAuth(digest)).toBe(digest);
+      expect(auth.applyAuth(oauth2)).toBe(oauth2);
+      expect(auth.applyAuth(hmac)).toBe(hmac);
+      expect(auth.applyAuth(request)).toBe(request);
+    });
+  });
+
+  describe('parseDigestChallenge()', () => {
+    it('should read the digest challenge among other schemes', () => {
+      expect(auth.parseDigestChallenge('Basic realm="other", Digest realm="api@example.com", qop="auth,auth-int", algorithm=SHA-256, nonce="n\\"1", opaque="op"')).toEqual({
+        realm: 'api@example.com',
+        qop: 'auth,auth-int',
+        algorithm: 'SHA-256',
+        nonce: 'n"1',
+        opaque: 'op'
+      });
+    });
+
+    it('should return null without a digest challenge', () => {
+      expect(auth.parseDigestChallenge('Basic realm="x"')).toBeNull();
+      expect(auth.parseDigestChallenge(undefined)).toBeNull();
+      expect(auth.parseDigestChallenge('Digest realm="no nonce"')).toBeNull();
+    });
+  });
+
+  describe('digestAuthorization()', () => {
+    const request = { method: 'GET', url: 'http://www.example.org/dir/index.html', cnonce: 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ' };
+    const challenge = {
+      realm: 'http-auth@example.org',
+      qop: 'auth, auth-int',
+      nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+      opaque: 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS'
+    };
+    const mufasa = { type: 'digest', username: 'Mufasa', password: 'Circle of Life' };
+
+    it('should match the RFC 7616 MD5 and SHA-256 examples', () => {
+      expect(auth.digestAuthorization(mufasa, { ...challenge, algorithm: 'MD5' }, request)).toBe(
+        'Digest username="Mufasa", realm="http-auth@example.org", nonce="7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v", ' +
+        'uri="/dir/index.html", algorithm=MD5, response="8ca523f5e9506fed4657c9700eebdbec", qop=auth, nc=00000001, ' +
+        'cnonce="f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ", opaque="FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS"'
+      );
+      expect(auth.digestAuthorization(mufasa, { ...challenge, algorithm: 'SHA-256' }, request))
+        .toContain('response="753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1"');
+    });
+
+    it('should match the RFC 2617 example', () => {
+      const header = auth.digestAuthorization(
+        { username: 'Mufasa', password: 'Circle Of Life' },
+        { realm: 'testrealm@host.com', qop: 'auth,auth-int', nonce: 'dcd98b7102dd2f0e8b11d0f600bfb0c093' },
+        { method: 'GET', url: 'http://www.nowhere.org/dir/index.html', cnonce: '0a4f113b' }
+      );
+
+      expect(header).toContain('response="6629fae49393a05397450978507c4ef1"');
+    });
+
+    it('should answer challenges without qop', () => {
+      const header = auth.digestAuthorization(mufasa, { realm: 'r', nonce: 'n' }, request);
+
+      expect(header).not.toContain('qop=');
+      expect(header).not.toContain('cnonce=');
+    });
+
+    it('should hash the body for auth-int and use -sess', () => {
+      const sent = { ...request, method: 'POST', data: { a: 1 } };
+      const intOnly = auth.digestAuthorization(mufasa, { ...challenge, qop: 'auth-int', algorithm: 'MD5-sess' }, sent);
+      const otherBody = auth.digestAuthorization(mufasa, { ...challenge, qop: 'auth-int', algorithm: 'MD5-sess' }, { ...sent, data: { a: 2 } });
+
+      expect(intOnly).toContain('qop=auth-int');
+      expect(intOnly).toContain('algorithm=MD5-sess');
+      expect(intOnly).not.toBe(otherBody);
+    });
+
+    it('should reject unknown algorithms', () => {
+      expect(() => auth.digestAuthorization(mufasa, { ...challenge, algorithm: 'SHA-1' }, request)).toThrow("Unsupported digest algorithm 'SHA-1'.");
+    });
+  });
+});
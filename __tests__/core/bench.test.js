@@ -0,0 +1,240 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('../../src/core/http');
+const bench = require('../../src/core/bench');
+const { ValidationError, FileSystemError, NetworkError } = require('../../src/core/errors');
+
+jest.mock('../../src/core/http');
+
+const BENCH_DIR = path.join(os.tmpdir(), '.api-ex-test-bench-' + Date.now());
+
+function sample(durationMs, status = 200) {
+  return { status, durationMs, error: null };
+}
+
+describe('Bench Module', () => {
+  beforeAll(() => {
+    fs.mkdirSync(BENCH_DIR, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(BENCH_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('percentile()', () => {
+    const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+    it('should use the nearest rank', () => {
+      expect(bench.percentile(sorted, 50)).toBe(5);
+      expect(bench.percentile(sorted, 90)).toBe(9);
+      expect(bench.percentile(sorted, 95)).toBe(10);
+      expect(bench.percentile(sorted, 0)).toBe(1);
+      expect(bench.percentile(sorted, 100)).toBe(10);
+    });
+
+    it('should return null for no values', () => {
+      expect(bench.percentile([], 50)).toBeNull();
+    });
+  });
+
+  describe('summarizeBench()', () => {
+    it('should count requests, status codes and latency', () => {
+      const samples = [sample(30), sample(10), sample(20, 201), sample(40, 500), { status: null, durationMs: null, error: 'connect ECONNREFUSED' }];
+
+      expect(bench.summarizeBench(samples, 2000)).toEqual({
+        requests: 5,
+        errors: 2,
+        errorRate: 40,
+        elapsedMs: 2000,
+        throughput: 2.5,
+        statusCodes: { 200: 2, 201: 1, 500: 1 },
+        errorMessages: { 'connect ECONNREFUSED': 1 },
+        latency: { min: 10, mean: 25, p50: 20, p90: 40, p95: 40, p99: 40, max: 40 }
+      });
+    });
+
+    it('should leave latency empty when nothing answered', () => {
+      const summary = bench.summarizeBench([{ status: null, durationMs: null, error: 'timeout' }], 100);
+
+      expect(summary.errorRate).toBe(100);
+      expect(summary.latency).toEqual({ min: null, mean: null, p50: null, p90: null, p95: null, p99: null, max: null });
+    });
+  });
+
+  describe('renderHistogram()', () => {
+    it('should bucket latencies with bars scaled to the largest bucket', () => {
+      const lines = bench.renderHistogram([10, 10, 10, 10, 20, 30], 2, 8);
+
+      expect(lines).toEqual([
+        '10ms - 20ms | ████████ 4',
+        '20ms - 30ms | ████ 2'
+      ]);
+    });
+
+    it('should use one bucket when every latency is the same', () => {
+      expect(bench.renderHistogram([5, 5, 5], 10, 4)).toEqual(['5ms - 5ms | ████ 3']);
+    });
+
+    it('should return no lines for no latencies', () => {
+      expect(bench.renderHistogram([])).toEqual([]);
+    });
+  });
+
+  describe('runBench()', () => {
+    const requestConfig = { method: 'GET', url: 'https://api.example.com/health', headers: { Accept: 'application/json' } };
+
+    it('should send the given number of requests', async () => {
+      http.sendRequest.mockResolvedValue({ status: 200, durationMs: 12 });
+      const onSample = jest.fn();
+
+      const { samples } = await bench.runBench(requestConfig, { concurrency: 3, requests: 7, onSample });
+
+      expect(http.sendRequest).toHaveBeenCalledTimes(7);
+      expect(samples).toHaveLength(7);
+      expect(samples[0]).toEqual({ status: 200, durationMs: 12, error: null });
+      expect(onSample).toHaveBeenLastCalledWith(samples[6], 7);
+    });
+
+    it('should keep at most concurrency requests in flight', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      http.sendRequest.mockImplementation(async () => {
+        inFlight += 1;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight -= 1;
+        return { status: 200, durationMs: 1 };
+      });
+
+      await bench.runBench(requestConfig, { concurrency: 4, requests: 20 });
+
+      expect(peak).toBe(4);
+    });
+
+    it('should give each request its own headers', async () => {
+      http.sendRequest.mockImplementation(async (config) => {
+        config.headers['Content-Type'] = 'application/json';
+        return { status: 200, durationMs: 1 };
+      });
+
+      await bench.runBench(requestConfig, { concurrency: 2, requests: 2 });
+
+      expect(requestConfig.headers).toEqual({ Accept: 'application/json' });
+      expect(http.sendRequest.mock.calls[0][0].headers).not.toBe(http.sendRequest.mock.calls[1][0].headers);
+    });
+
+    it('should record network errors as samples', async () => {
+      http.sendRequest
+        .mockResolvedValueOnce({ status: 200, durationMs: 5 })
+        .mockRejectedValueOnce(new NetworkError('connect ECONNREFUSED'));
+
+      const { samples } = await bench.runBench(requestConfig, { concurrency: 1, requests: 2 });
+
+      expect(samples).toEqual([
+        { status: 200, durationMs: 5, error: null },
+        { status: null, durationMs: null, error: 'connect ECONNREFUSED' }
+      ]);
+    });
+
+    it('should stop starting requests after the duration', async () => {
+      http.sendRequest.mockImplementation(async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { status: 200, durationMs: 10 };
+      });
+
+      const { samples, elapsedMs } = await bench.runBench(requestConfig, { concurrency: 2, durationMs: 50 });
+
+      expect(samples.length).toBeGreaterThan(0);
+      expect(samples.length).toBeLessThan(20);
+      expect(elapsedMs).toBeGreaterThanOrEqual(50);
+    });
+
+    it('should spread requests out with a rate limit', async () => {
+      http.sendRequest.mockResolvedValue({ status: 200, durationMs: 1 });
+
+      const { elapsedMs } = await bench.runBench(requestConfig, { concurrency: 5, requests: 5, rate: 50 });
+
+      // request 5 starts 4/50 of a second in
+      expect(elapsedMs).toBeGreaterThanOrEqual(75);
+    });
+  });
+
+  describe('compareBench()', () => {
+    const baseline = bench.summarizeBench([sample(10), sample(20), sample(30), sample(40)], 1000);
+
+    it('should flag metrics that got worse by more than the threshold', () => {
+      const current = bench.summarizeBench([sample(10), sample(20), sample(30), sample(60)], 2000);
+      const comparison = bench.compareBench(current, baseline, 10);
+
+      expect(comparison.find(row => row.metric === 'throughput')).toEqual({
+        metric: 'throughput', baseline: 4, current: 2, changePct: -50, regression: true
+      });
+      expect(comparison.find(row => row.metric === 'p50')).toEqual({
+        metric: 'p50', baseline: 20, current: 20, changePct: 0, regression: false
+      });
+      expect(comparison.find(row => row.metric === 'max')).toMatchObject({ changePct: 50, regression: true });
+      expect(comparison.map(row => row.metric)).toEqual(['throughput', 'error rate', 'mean', 'p50', 'p90', 'p95', 'p99', 'max']);
+    });
+
+    it('should not flag improvements', () => {
+      const current = bench.summarizeBench([sample(5), sample(10), sample(15), sample(20)], 500);
+
+      expect(bench.compareBench(current, baseline).some(row => row.regression)).toBe(false);
+    });
+
+    it('should compare error rate in percentage points', () => {
+      const current = bench.summarizeBench([sample(10), sample(20), sample(30), sample(40, 503)], 1000);
+      const errorRate = bench.compareBench(current, baseline, 10).find(row => row.metric === 'error rate');
+
+      expect(errorRate).toEqual({ metric: 'error rate', baseline: 0, current: 25, changePct: 25, regression: true });
+    });
+
+    it('should skip metrics missing on either side', () => {
+      const current = bench.summarizeBench([{ status: null, durationMs: null, error: 'timeout' }], 1000);
+
+      expect(bench.compareBench(current, baseline).find(row => row.metric === 'p99')).toEqual({
+        metric: 'p99', baseline: 40, current: null, changePct: null, regression: false
+      });
+    });
+  });
+
+  describe('writeBenchReport() and loadBenchReport()', () => {
+    it('should round trip a report', () => {
+      const summary = bench.summarizeBench([sample(10)], 100);
+      const report = bench.toBenchReport(
+        { method: 'GET', url: 'https://api.example.com/health' },
+        { name: 'health', concurrency: 2, requests: 1, durationMs: null, rate: null },
+        summary
+      );
+      const file = path.join(BENCH_DIR, 'nested', 'baseline.json');
+
+      bench.writeBenchReport(report, file);
+
+      expect(bench.loadBenchReport(file)).toEqual(report);
+      expect(report).toMatchObject({
+        version: 1,
+        request: { name: 'health', method: 'GET', url: 'https://api.example.com/health' },
+        settings: { concurrency: 2, requests: 1, durationMs: null, rate: null }
+      });
+    });
+
+    it('should throw FileSystemError for missing files', () => {
+      expect(() => bench.loadBenchReport(path.join(BENCH_DIR, 'missing.json'))).toThrow(FileSystemError);
+    });
+
+    it('should throw ValidationError for other JSON files', () => {
+      const invalid = path.join(BENCH_DIR, 'invalid.json');
+      const other = path.join(BENCH_DIR, 'other.json');
+      fs.writeFileSync(invalid, '{');
+      fs.writeFileSync(other, '{"requests":[]}');
+
+      expect(() => bench.loadBenchReport(invalid)).toThrow(ValidationError);
+      expect(() => bench.loadBenchReport(other)).toThrow('is not an api-ex bench results file');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const capture = require('../../src/core/capture');
+const storage = require('../../src/core/storage');
+
+// Use a temporary test directory
+const TEST_STORAGE_DIR = path.join(os.tmpdir(), '.api-ex-test-capture-' + Date.now());
+
+const response = {
+  status: 200,
+  statusText: 'OK',
+  headers: { ETag: 'W/"42"' },
+  data: { access_token: 'abc123', expires_in: 3600, user: { id: 9 } },
+  durationMs: 50
+};
+
+describe('Capture Module', () => {
+  beforeAll(() => {
+    storage.setStorageDir(TEST_STORAGE_DIR);
+  });
+
+  beforeEach(() => {
+    if (fs.existsSync(TEST_STORAGE_DIR)) {
+      fs.rmSync(TEST_STORAGE_DIR, { recursive: true, force: true });
+    }
+    storage.initStorage();
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(TEST_STORAGE_DIR)) {
+      fs.rmSync(TEST_STORAGE_DIR, { recursive: true, force: true });
+    }
+  });
+
+  describe('parseCapture()', () => {
+    it('should parse NAME=path', () => {
+      expect(capture.parseCapture('TOKEN=body.access_token')).toEqual({
+        name: 'TOKEN',
+        path: 'body.access_token'
+      });
+    });
+
+    it('should trim around the equals sign', () => {
+      expect(capture.parseCapture(' ETAG = header.etag ')).toEqual({ name: 'ETAG', path: 'header.etag' });
+    });
+
+    it('should reject rules without equals', () => {
+      expect(() => capture.parseCapture('TOKEN')).toThrow('Expected format: NAME=path');
+    });
+
+    it('should reject empty or invalid names', () => {
+      expect(() => capture.parseCapture('=body.token')).toThrow('Variable name');
+      expect(() => capture.parseCapture('MY TOKEN=body.token')).toThrow('Variable name');
+      expect(() => capture.parseCapture('{{T}}=body.token')).toThrow('Variable name');
+    });
+
+    it('should reject unknown paths', () => {
+      expect(() => capture.parseCapture('TOKEN=token')).toThrow('Path must start with');
+    });
+
+    it('should reject empty rule', () => {
+      expect(() => capture.parseCapture('')).toThrow('Capture rule cannot be empty');
+    });
+  });
+
+  describe('extractCaptures()', () => {
+    it('should extract body and header values as strings', () => {
+      const rules = capture.parseCaptures(['TOKEN=body.access_token', 'ETAG=header.etag', 'TTL=body.expires_in']);
+      const { values, missing } = capture.extractCaptures(rules, response);
+
+      expect(values).toEqual({ TOKEN: 'abc123', ETAG: 'W/"42"', TTL: '3600' });
+      expect(missing).toEqual([]);
+    });
+
+    it('should stringify objects as json', () => {
+      const { values } = capture.extractCaptures(capture.parseCaptures(['USER=body.user']), response);
+      expect(values.USER).toBe('{"id":9}');
+    });
+
+    it('should report missing values', () => {
+      const { values, missing } = capture.extractCaptures(capture.parseCaptures(['NOPE=body.nope']), response);
+      expect(values).toEqual({});
+      expect(missing).toEqual([{ name: 'NOPE', path: 'body.nope' }]);
+    });
+  });
+
+  describe('saveCaptures()', () => {
+    it('should merge into an existing environment', () => {
+      storage.saveEnvironment('dev', { BASE_URL: 'http://localhost', TOKEN: 'old' });
+
+      capture.saveCaptures('dev', { TOKEN: 'new', ETAG: 'x' });
+
+      expect(storage.getEnvironments().dev).toEqual({
+        BASE_URL: 'http://localhost',
+        TOKEN: 'new',
+        ETAG: 'x'
+      });
+    });
+
+    it('should create the environment if missing', () => {
+      capture.saveCaptures('fresh', { TOKEN: 't' });
+
+      expect(storage.getEnvironments().fresh).toEqual({ TOKEN: 't' });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const contract = require('../../src/core/contract');
+
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Users', version: '1' },
+  servers: [{ url: 'https://api.example.com/v1' }],
+  components: {
+    schemas: {
+      User: {
+        type: 'object',
+        required: ['id', 'name'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'integer', minimum: 1, exclusiveMinimum: true },
+          name: { type: 'string' },
+          email: { type: 'string', format: 'email', nullable: true },
+          role: { type: 'string', enum: ['admin', 'user'] }
+        }
+      }
+    },
+    responses: {
+      NotFound: {
+        description: 'missing',
+        content: { 'application/problem+json': { schema: { type: 'object', required: ['title'] } } }
+      }
+    }
+  },
+  paths: {
+    '/users/{id}': {
+      get: {
+        responses: {
+          200: { description: 'ok', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+          404: { $ref: '#/components/responses/NotFound' }
+        }
+      },
+      delete: {
+        responses: { 204: { description: 'gone' } }
+      }
+    },
+    '/users/me': {
+      get: {
+        responses: { '2XX': { description: 'ok', content: { 'text/*': {} } } }
+      }
+    }
+  }
+};
+
+const response = (status, data, contentType = 'application/json; charset=utf-8') => ({
+  status: status,
+  headers: { 'content-type': contentType },
+  data: data
+});
+
+describe('Contract Module', () => {
+  const users = contract.createContract(spec);
+
+  describe('findOperation()', () => {
+    it('should match templated paths under the server base path', () => {
+      const match = contract.findOperation(users, 'GET', 'https://staging.example.com/v1/users/7?x=1');
+
+      expect(match.template).toBe('/users/{id}');
+      expect(match.method).toBe('get');
+    });
+
+    it('should prefer literal paths over templates', () => {
+      expect(contract.findOperation(users, 'GET', 'https://api.example.com/v1/users/me').template).toBe('/users/me');
+    });
+
+    it('should match without the base path and return null for unknown operations', () => {
+      expect(contract.findOperation(users, 'DELETE', 'http://localhost/users/7').template).toBe('/users/{id}');
+      expect(contract.findOperation(users, 'POST', 'https://api.example.com/v1/users/7')).toBeNull();
+      expect(contract.findOperation(users, 'GET', 'not a url')).toBeNull();
+    });
+  });
+
+  describe('validateContract()', () => {
+    it('should pass a valid response', () => {
+      const results = contract.validateContract(users, 'GET', 'https://api.example.com/v1/users/7',
+        response(200, { id: 7, name: 'Ada', email: null }));
+
+      expect(results.map(r => r.expression)).toEqual([
+        'openapi status 200',
+        'openapi content-type application/json',
+        'openapi body matches GET /users/{id} 200'
+      ]);
+      expect(results.every(r => r.passed)).toBe(true);
+    });
+
+    it('should report body errors as json pointers', () => {
+      const results = contract.validateContract(users, 'GET', 'https://api.example.com/v1/users/7',
+        response(200, JSON.stringify({ id: 1, role: 'root', extra: true })));
+
+      expect(results.filter(r => !r.passed)).toEqual([
+        { expression: 'openapi body #/name', passed: false, actual: null, message: 'is required' },
+        { expression: 'openapi body #/extra', passed: false, actual: null, message: 'is not allowed' },
+        { expression: 'openapi body #/id', passed: false, actual: null, message: 'must be > 1' },
+        { expression: 'openapi body #/role', passed: false, actual: null, message: 'must be one of: "admin", "user"' }
+      ]);
+    });
+
+    it('should fail undeclared status codes', () => {
+      const [result] = contract.validateContract(users, 'GET', 'https://api.example.com/v1/users/7', response(500, {}));
+
+      expect(result).toEqual({
+        expression: 'openapi status 500',
+        passed: false,
+        actual: 500,
+        message: 'not declared for GET /users/{id} (declared: 200, 404)'
+      });
+    });
+
+    it('should fail undeclared content types', () => {
+      const results = contract.validateContract(users, 'GET', 'https://api.example.com/v1/users/7',
+        response(200, '<html/>', 'text/html'));
+
+      expect(results[1].passed).toBe(false);
+      expect(results[1].message).toBe('text/html not declared for GET /users/{id} 200 (declared: application/json)');
+    });
+
+    it('should follow response refs and +json types', () => {
+      const results = contract.validateContract(users, 'GET', 'https://api.example.com/v1/users/7',
+        response(404, {}, 'application/problem+json'));
+
+      expect(results[2]).toEqual({ expression: 'openapi body #/title', passed: false, actual: null, message: 'is required' });
+    });
+
+    it('should use range keys, wildcard media types and skip empty bodies', () => {
+      const me = contract.validateContract(users, 'GET', 'https://api.example.com/v1/users/me', response(201, 'hi', 'text/plain'));
+      expect(me.every(r => r.passed)).toBe(true);
+
+      const gone = contract.validateContract(users, 'DELETE', 'https://api.example.com/v1/users/7', response(204, ''));
+      expect(gone).toEqual([{ expression: 'openapi status 204', passed: true, actual: 204, message: null }]);
+    });
+
+    it('should fail requests without a matching operation', () => {
+      expect(contract.validateContract(users, 'PUT', 'https://api.example.com/v1/users/7', response(200, {}))).toEqual([
+        { expression: 'openapi PUT /v1/users/7', passed: false, actual: null, message: 'no matching operation in spec' }
+      ]);
+    });
+
+    it('should validate swagger 2 specs', () => {
+      const legacy = contract.createContract({
+        swagger: '2.0',
+        basePath: '/api',
+        definitions: { Item: { type: 'object', properties: { id: { type: 'string', 'x-nullable': true } } } },
+        paths: {
+          '/items': {
+            get: { produces: ['application/json'], responses: { 200: { schema: { type: 'array', items: { $ref: '#/definitions/Item' } } } } }
+          }
+        }
+      });
+
+      const results = contract.validateContract(legacy, 'GET', 'https://a.com/api/items', response(200, [{ id: null }, { id: 3 }]));
+
+      expect(results.filter(r => !r.passed)).toEqual([
+        { expression: 'openapi body #/1/id', passed: false, actual: null, message: 'must be string,null' }
+      ]);
+    });
+
+    it('should validate openapi 3.1 schemas as 2020-12', () => {
+      const modern = contract.createContract({
+        openapi: '3.1.0',
+        paths: {
+          '/tags': {
+            get: { responses: { 200: { content: { 'application/json': { schema: { type: 'array', prefixItems: [{ type: 'string' }] } } } } } }
+          }
+        }
+      });
+
+      const [, , body] = contract.validateContract(modern, 'GET', 'https://a.com/tags', response(200, [1]));
+      expect(body).toEqual({ expression: 'openapi body #/0', passed: false, actual: null, message: 'must be string' });
+    });
+
+    it('should fail the body check when a schema $ref cannot be resolved', () => {
+      const external = contract.createContract({
+        openapi: '3.0.3',
+        paths: {
+          '/pets/{id}': {
+            get: { responses: { 200: { content: { 'application/json': { schema: { $ref: 'pet.json#/Pet' } } } } } }
+          },
+          '/owners/{id}': {
+            get: { responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Owner' } } } } } }
+          }
+        }
+      });
+
+      const pet = contract.validateContract(external, 'GET', 'https://a.com/pets/1', response(200, { id: 1 }));
+      const owner = contract.validateContract(external, 'GET', 'https://a.com/owners/1', response(200, { id: 1 }));
+
+      expect(pet[2]).toEqual({ expression: 'openapi body', passed: false, actual: null, message: "schema $ref 'pet.json#/Pet' cannot be resolved" });
+      expect(owner[2]).toEqual({ expression: 'openapi body', passed: false, actual: null, message: "schema $ref '#/components/schemas/Owner' cannot be resolved" });
+    });
+  });
+
+  describe('loadContract()', () => {
+    it('should load YAML spec files', () => {
+      const file = path.join(os.tmpdir(), `api-ex-contract-${Date.now()}.yaml`);
+      fs.writeFileSync(file, 'openapi: 3.0.0\npaths:\n  /ping:\n    get:\n      responses:\n        "200":\n          description: ok\n');
+
+      try {
+        const loaded = contract.loadContract(file);
+        expect(contract.findOperation(loaded, 'GET', 'http://a.com/ping').template).toBe('/ping');
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should throw for missing files', () => {
+      expect(() => contract.loadContract('/nope/spec.yaml')).toThrow("Could not read OpenAPI spec '/nope/spec.yaml'");
+    });
+  });
+});
@@ -0,0 +1,285 @@
+const curl = require('../../src/core/curl');
+
+describe('Curl Module', () => {
+  describe('tokenize()', () => {
+    it('should split on whitespace and honor quotes', () => {
+      expect(curl.tokenize(`curl -H 'A: b c' "x y" plain`)).toEqual(['curl', '-H', 'A: b c', 'x y', 'plain']);
+    });
+
+    it('should join quoted parts of one word', () => {
+      expect(curl.tokenize(`'it'\\''s' a"b"c`)).toEqual(["it's", 'abc']);
+    });
+
+    it('should handle escapes inside double quotes', () => {
+      expect(curl.tokenize('"say \\"hi\\" \\\\ \\n"')).toEqual(['say "hi" \\ \\n']);
+    });
+
+    it('should decode ansi-c quotes', () => {
+      expect(curl.tokenize(`$'a\\nb\\x41\\'c'`)).toEqual(["a\nbA'c"]);
+    });
+
+    it('should join line continuations', () => {
+      expect(curl.tokenize('curl \\\n  https://a.com \\\r\n  -s')).toEqual(['curl', 'https://a.com', '-s']);
+    });
+
+    it('should throw on unterminated quotes', () => {
+      expect(() => curl.tokenize(`curl 'oops`)).toThrow('Unterminated single quote');
+      expect(() => curl.tokenize('curl "oops')).toThrow('Unterminated double quote');
+    });
+  });
+
+  describe('parseCurl()', () => {
+    it('should parse a simple GET', () => {
+      const { request, skipped } = curl.parseCurl('curl https://api.example.com/users?page=2');
+
+      expect(request).toEqual({
+        method: 'GET',
+        url: 'https://api.example.com/users?page=2',
+        headers: [],
+        data: ''
+      });
+      expect(skipped).toEqual([]);
+    });
+
+    it('should parse method, headers and raw data', () => {
+      const { request } = curl.parseCurl(
+        `curl -X PUT 'https://api.example.com/users/1' -H 'Content-Type: application/json' --data-raw '{"name":"Ada"}'`
+      );
+
+      expect(request).toEqual({
+        method: 'PUT',
+        url: 'https://api.example.com/users/1',
+        headers: ['Content-Type: application/json'],
+        data: '{"name":"Ada"}'
+      });
+    });
+
+    it('should default to POST with form content type when data is given', () => {
+      const { request } = curl.parseCurl('curl https://a.com/login -d user=ada -d pass=x');
+
+      expect(request.method).toBe('POST');
+      expect(request.data).toBe('user=ada&pass=x');
+      expect(request.headers).toEqual(['Content-Type: application/x-www-form-urlencoded']);
+    });
+
+    it('should keep data newlines only for --data-binary', () => {
+      expect(curl.parseCurl(`curl a.com -d $'a\\nb'`).request.data).toBe('ab');
+      expect(curl.parseCurl(`curl a.com --data-binary $'a\\nb'`).request.data).toBe('a\nb');
+    });
+
+    it('should url encode --data-urlencode values', () => {
+      const { request } = curl.parseCurl(`curl a.com --data-urlencode 'q=a b&c'`);
+
+      expect(request.data).toBe('q=a%20b%26c');
+    });
+
+    it('should set json headers for --json', () => {
+      const { request } = curl.parseCurl(`curl a.com --json '{"a":1}'`);
+
+      expect(request.method).toBe('POST');
+      expect(request.headers).toEqual(['Content-Type: application/json', 'Accept: application/json']);
+    });
+
+    it('should move data into the query with -G', () => {
+      const { request } = curl.parseCurl('curl -G https://a.com/search?x=1 -d q=cats');
+
+      expect(request.method).toBe('GET');
+      expect(request.url).toBe('https://a.com/search?x=1&q=cats');
+      expect(request.data).toBe('');
+    });
+
+    it('should turn -u into basic auth', () => {
+      const { request } = curl.parseCurl('curl -u ada:sec:ret https://a.com');
+
+      expect(request.headers).toEqual([]);
+      expect(request.auth).toEqual({ type: 'basic', username: 'ada', password: 'sec:ret' });
+    });
+
+    it('should turn -u with --digest into digest auth', () => {
+      const { request, skipped } = curl.parseCurl('curl --digest -u ada https://a.com');
+
+      expect(request.auth).toEqual({ type: 'digest', username: 'ada', password: '' });
+      expect(skipped).toEqual([]);
+    });
+
+    it('should turn --aws-sigv4 with -u into aws-sigv4 auth with placeholders for the keys', () => {
+      const { request, skipped } = curl.parseCurl(
+        "curl --aws-sigv4 aws:amz:eu-west-1:execute-api -u AKID:sec:ret -H 'X-Amz-Security-Token: tok' -H 'Accept: */*' https://a.com"
+      );
+
+      expect(request.headers).toEqual(['Accept: */*']);
+      expect(request.auth).toEqual({
+        type: 'aws-sigv4',
+        region: 'eu-west-1',
+        service: 'execute-api',
+        accessKeyId: '{{AWS_ACCESS_KEY_ID}}',
+        secretAccessKey: '{{AWS_SECRET_ACCESS_KEY}}',
+        sessionToken: '{{AWS_SESSION_TOKEN}}'
+      });
+      expect(JSON.stringify(request)).not.toMatch(/AKID|sec:ret|tok\b/);
+      expect(skipped).toEqual(['AWS keys are not imported: add AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN to an environment and use --env']);
+    });
+
+    it('should not import --aws-sigv4 without region and service', () => {
+      const { request, skipped } = curl.parseCurl('curl --aws-sigv4 aws:amz -u AKID:secret https://a.com');
+
+      expect(request.auth).toEqual({ type: 'basic', username: 'AKID', password: 'secret' });
+      expect(skipped).toEqual(['--aws-sigv4 aws:amz: region and service are needed to import AWS signing']);
+    });
+
+    it('should handle attached and combined short options', () => {
+      const { request, skipped } = curl.parseCurl(`curl -sSL -XDELETE -H'X-Id: 1' https://a.com/x --compressed`);
+
+      expect(request.method).toBe('DELETE');
+      expect(request.headers).toEqual(['X-Id: 1']);
+      expect(skipped).toEqual([]);
+    });
+
+    it('should map user agent, referer and cookies to headers', () => {
+      const { request } = curl.parseCurl(`curl a.com -A bot -e https://ref.com -b 'sid=1; theme=dark'`);
+
+      expect(request.headers).toEqual(['User-Agent: bot', 'Referer: https://ref.com', 'Cookie: sid=1; theme=dark']);
+    });
+
+    it('should add http:// when the url has no scheme', () => {
+      expect(curl.parseCurl('curl localhost:3000/health').request.url).toBe('http://localhost:3000/health');
+    });
+
+    it('should skip ignored value options with their value', () => {
+      const { request } = curl.parseCurl('curl -o out.json --max-time 5 https://a.com');
+
+      expect(request.url).toBe('https://a.com');
+    });
+
+    it('should report what was not imported', () => {
+      const { skipped } = curl.parseCurl('curl https://a.com -F file=@a.png -d @body.json --frobnicate extra');
+
+      expect(skipped).toEqual([
+        '-F file=@a.png: multipart form data is not imported',
+        '-d @body.json: data from files is not imported',
+        'unknown option --frobnicate ignored',
+        "extra argument 'extra' ignored"
+      ]);
+    });
+
+    it('should reject missing url and bad methods', () => {
+      expect(() => curl.parseCurl('curl -s')).toThrow('Curl command has no URL.');
+      expect(() => curl.parseCurl('curl -X FETCH a.com')).toThrow('Invalid HTTP method');
+      expect(() => curl.parseCurl('curl a.com -H')).toThrow('Curl option -H is missing its value.');
+      expect(() => curl.parseCurl('   ')).toThrow('Curl command is empty.');
+    });
+  });
+
+  describe('defaultRequestName()', () => {
+    it('should build a name from method and path', () => {
+      expect(curl.defaultRequestName({ method: 'POST', url: 'https://a.com/api/users?x=1' })).toBe('post-api-users');
+      expect(curl.defaultRequestName({ method: 'GET', url: 'http://{{HOST}}/users/{{id}}' })).toBe('get-users-id');
+      expect(curl.defaultRequestName({ method: 'GET', url: 'https://a.com' })).toBe('get');
+    });
+  });
+
+  describe('shellQuote()', () => {
+    it('should leave safe words alone', () => {
+      expect(curl.shellQuote('https://a.com/x')).toBe('https://a.com/x');
+    });
+
+    it('should single quote everything else', () => {
+      expect(curl.shellQuote('a b')).toBe("'a b'");
+      expect(curl.shellQuote("it's")).toBe("'it'\\''s'");
+      expect(curl.shellQuote('')).toBe("''");
+    });
+  });
+
+  describe('curlAuthWarning()', () => {
+    it('should warn about oauth2 and hmac auth only', () => {
+      expect(curl.curlAuthWarning({ type: 'oauth2', profile: 'corp' })).toBe(
+        'Warning: oauth2 auth is left out of the curl command. Add -H "Authorization: Bearer $(api-ex auth token corp --raw)" to send a token.'
+      );
+      expect(curl.curlAuthWarning({ type: 'hmac', profile: 'partner' })).toBe(
+        'Warning: hmac signing with profile "partner" is left out of the curl command, curl cannot sign the request.'
+      );
+      expect(curl.curlAuthWarning({ type: 'bearer', token: 't' })).toBeNull();
+      expect(curl.curlAuthWarning(undefined)).toBeNull();
+    });
+  });
+
+  describe('toCurl()', () => {
+    it('should print a GET without -X', () => {
+      expect(curl.toCurl({ method: 'GET', url: 'https://a.com/x?y=1', headers: {} })).toBe("curl 'https://a.com/x?y=1'");
+    });
+
+    it('should print method, headers and body on separate lines', () => {
+      const command = curl.toCurl({
+        method: 'POST',
+        url: 'https://a.com/users',
+        headers: { Authorization: 'Bearer abc' },
+        data: '{"a":1}'
+      });
+
+      expect(command).toBe([
+        'curl -X POST https://a.com/users',
+        "  -H 'Authorization: Bearer abc'",
+        "  -H 'Content-Type: application/json'",
+        `  --data-raw '{"a":1}'`
+      ].join(' \\\n'));
+    });
+
+    it('should print auth', () => {
+      expect(curl.toCurl({ method: 'GET', url: 'https://a.com', auth: { type: 'digest', username: 'ada', password: 'p w' } }))
+        .toBe("curl https://a.com \\\n  --digest -u 'ada:p w'");
+      expect(curl.toCurl({ method: 'GET', url: 'https://a.com', auth: { type: 'bearer', token: 't' } }))
+        .toBe("curl https://a.com \\\n  -H 'Authorization: Bearer t'");
+      expect(curl.toCurl({ method: 'GET', url: 'https://a.com/?a=1', auth: { type: 'apikey', in: 'query', name: 'key', value: 'k' } }))
+        .toBe("curl 'https://a.com/?a=1&key=k'");
+    });
+
+    it('should print aws-sigv4 as curl --aws-sigv4', () => {
+      const auth = { type: 'aws-sigv4', region: 'us-east-1', service: 's3', accessKeyId: 'AKID', secretAccessKey: 's', sessionToken: 't', unsignedPayload: true };
+
+      expect(curl.toCurl({ method: 'GET', url: 'https://a.com', auth })).toBe([
+        'curl https://a.com',
+        "  -H 'X-Amz-Security-Token: t'",
+        "  -H 'X-Amz-Content-Sha256: UNSIGNED-PAYLOAD'",
+        '  --aws-sigv4 aws:amz:us-east-1:s3 -u AKID:s'
+      ].join(' \\\n'));
+    });
+
+    it('should round trip auth through parseCurl', () => {
+      const auth = { type: 'basic', username: 'ada', password: 'secret' };
+      const aws = {
+        type: 'aws-sigv4',
+        region: 'us-east-1',
+        service: 's3',
+        accessKeyId: '{{AWS_ACCESS_KEY_ID}}',
+        secretAccessKey: '{{AWS_SECRET_ACCESS_KEY}}',
+        sessionToken: '{{AWS_SESSION_TOKEN}}',
+        unsignedPayload: true
+      };
+
+      expect(curl.parseCurl(curl.toCurl({ method: 'GET', url: 'https://a.com', auth })).request.auth).toEqual(auth);
+      expect(curl.parseCurl(curl.toCurl({ method: 'GET', url: 'https://a.com', auth: aws }))).toMatchObject({ request: { headers: [], auth: aws }, skipped: [] });
+    });
+
+    it('should use --head for HEAD', () => {
+      expect(curl.toCurl({ method: 'HEAD', url: 'https://a.com' })).toBe('curl --head https://a.com');
+    });
+
+    it('should round trip through parseCurl', () => {
+      const config = {
+        method: 'PATCH',
+        url: 'https://a.com/items/1?fields=a,b',
+        headers: { 'Content-Type': 'application/json', 'X-Note': "it's $HOME" },
+        data: '{"name":"a \\"b\\""}'
+      };
+
+      const { request } = curl.parseCurl(curl.toCurl(config));
+
+      expect(request).toEqual({
+        method: 'PATCH',
+        url: config.url,
+        headers: ['Content-Type: application/json', "X-Note: it's $HOME"],
+        data: config.data
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const datafile = require('../../src/core/datafile');
+const { ValidationError, FileSystemError } = require('../../src/core/errors');
+
+const DATA_DIR = path.join(os.tmpdir(), '.api-ex-test-data-' + Date.now());
+
+function writeData(name, content) {
+  const file = path.join(DATA_DIR, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe('Data File Module', () => {
+  beforeAll(() => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  });
+
+  describe('parseCsv()', () => {
+    it('should use the header row as column names', () => {
+      expect(datafile.parseCsv('id,name\n1,Ada\n2,Grace\n')).toEqual([
+        { id: '1', name: 'Ada' },
+        { id: '2', name: 'Grace' }
+      ]);
+    });
+
+    it('should handle quoted fields, escaped quotes, CRLF and a BOM', () => {
+      const csv = '\uFEFFid,note\r\n1,"a, b"\r\n2,"say ""hi"""\r\n3,"two\nlines"';
+
+      expect(datafile.parseCsv(csv)).toEqual([
+        { id: '1', note: 'a, b' },
+        { id: '2', note: 'say "hi"' },
+        { id: '3', note: 'two\nlines' }
+      ]);
+    });
+
+    it('should skip blank lines and keep empty fields', () => {
+      expect(datafile.parseCsv('a,b\n\n1,\n\n')).toEqual([{ a: '1', b: '' }]);
+    });
+
+    it('should reject rows with the wrong number of fields', () => {
+      expect(() => datafile.parseCsv('a,b\n1,2,3')).toThrow('CSV row 2 has 3 field(s), expected 2.');
+    });
+
+    it('should reject empty files, empty column names and open quotes', () => {
+      expect(() => datafile.parseCsv('')).toThrow('CSV data file is empty.');
+      expect(() => datafile.parseCsv('a,,c\n1,2,3')).toThrow('empty column name');
+      expect(() => datafile.parseCsv('a\n"open')).toThrow(ValidationError);
+    });
+  });
+
+  describe('parseJsonRows()', () => {
+    it('should turn values into strings', () => {
+      expect(datafile.parseJsonRows('[{"id":1,"ok":true,"tags":["a"],"none":null}]')).toEqual([
+        { id: '1', ok: 'true', tags: '["a"]', none: '' }
+      ]);
+    });
+
+    it('should require an array of objects', () => {
+      expect(() => datafile.parseJsonRows('{"id":1}')).toThrow('array of objects');
+      expect(() => datafile.parseJsonRows('[1,2]')).toThrow('array of objects');
+      expect(() => datafile.parseJsonRows('[{')).toThrow('not valid JSON');
+    });
+  });
+
+  describe('loadDataFile()', () => {
+    it('should pick the parser from the extension', () => {
+      expect(datafile.loadDataFile(writeData('rows.csv', 'id\n1'))).toEqual([{ id: '1' }]);
+      expect(datafile.loadDataFile(writeData('rows.json', '[{"id":1}]'))).toEqual([{ id: '1' }]);
+    });
+
+    it('should detect json arrays in files without a known extension', () => {
+      expect(datafile.loadDataFile(writeData('rows.txt', ' [{"id":2}]'))).toEqual([{ id: '2' }]);
+      expect(datafile.loadDataFile(writeData('rows.data', 'id\n3'))).toEqual([{ id: '3' }]);
+    });
+
+    it('should reject files without rows', () => {
+      expect(() => datafile.loadDataFile(writeData('header.csv', 'id\n'))).toThrow('has no rows');
+      expect(() => datafile.loadDataFile(writeData('empty.json', '[]'))).toThrow('has no rows');
+    });
+
+    it('should throw FileSystemError for missing files', () => {
+      expect(() => datafile.loadDataFile(path.join(DATA_DIR, 'missing.csv'))).toThrow(FileSystemError);
+    });
+  });
+});
@@ -496,6 +496,25 @@ describe('Environment Module', () => {
       expect(result.validateStatus).toBe(request.validateStatus);
       expect(result.custom).toBe('property');
     });
+
+    it('should interpolate auth values without changing the original', () => {
+      const request = {
+        method: 'GET',
+        url: '{{BASE_URL}}/users',
+        auth: { type: 'apikey', in: 'header', name: 'X-Api-Key', value: '{{API_KEY}}' }
+      };
+
+      const result = env.interpolateRequest(request, testEnv);
+
+      expect(result.auth).toEqual({ type: 'apikey', in: 'header', name: 'X-Api-Key', value: 'secret-key' });
+      expect(request.auth.value).toBe('{{API_KEY}}');
+    });
+
+    it('should keep auth options that are not text', () => {
+      const request = { method: 'GET', url: 'https://a.com', auth: { type: 'aws-sigv4', region: 'us-east-1', service: 's3', unsignedPayload: true } };
+
+      expect(env.interpolateRequest(request, testEnv).auth.unsignedPayload).toBe(true);
+    });
   });
 
   describe('Integration: getEnv() and interpolateRequest()', () => {
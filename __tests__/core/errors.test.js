@@ -3,7 +3,8 @@ const {
   NetworkError,
   ValidationError,
   ConfigurationError,
-  FileSystemError
+  FileSystemError,
+  ScriptError
 } = require('../../src/core/errors');
 
 describe('Custom Error Classes', () => {
@@ -131,6 +132,7 @@ describe('Custom Error Classes', () => {
     it('should use code 2 for runtime errors', () => {
       expect(new NetworkError('test').code).toBe(2);
       expect(new FileSystemError('test').code).toBe(2);
+      expect(new ScriptError('test').code).toBe(2);
     });
 
     it('should allow custom codes for ApiExError', () => {
@@ -145,7 +147,8 @@ describe('Custom Error Classes', () => {
         new NetworkError('net'),
         new ValidationError('val'),
         new ConfigurationError('conf'),
-        new FileSystemError('fs')
+        new FileSystemError('fs'),
+        new ScriptError('script')
       ];
 
       errors.forEach(error => {
@@ -0,0 +1,53 @@
+const exporter = require('../../src/core/export');
+const { ValidationError } = require('../../src/core/errors');
+
+const entries = [
+  { id: 'b2', timestamp: '2024-01-15T11:00:00.000Z', method: 'GET', url: 'https://a.com/search?q=a,b', status: 200, durationMs: 40, env: null, savedRequestName: 'search' },
+  { id: 'a1', timestamp: '2024-01-15T10:00:00.000Z', method: 'POST', url: 'https://a.com/say', status: 500, durationMs: 90, request: { headers: {}, body: 'he said "hi"' } }
+];
+
+describe('Export Module', () => {
+  describe('csvField()', () => {
+    it('should quote only when needed', () => {
+      expect(exporter.csvField('plain')).toBe('plain');
+      expect(exporter.csvField('a,b')).toBe('"a,b"');
+      expect(exporter.csvField('say "hi"')).toBe('"say ""hi"""');
+      expect(exporter.csvField('two\nlines')).toBe('"two\nlines"');
+      expect(exporter.csvField(null)).toBe('');
+      expect(exporter.csvField(404)).toBe('404');
+    });
+  });
+
+  describe('toCsv()', () => {
+    it('should write a header and one row per entry', () => {
+      expect(exporter.toCsv(entries)).toBe([
+        'id,timestamp,method,url,status,durationMs,env,savedRequestName',
+        'b2,2024-01-15T11:00:00.000Z,GET,"https://a.com/search?q=a,b",200,40,,search',
+        'a1,2024-01-15T10:00:00.000Z,POST,https://a.com/say,500,90,,',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('toNdjson()', () => {
+    it('should write one entry per line', () => {
+      const lines = exporter.toNdjson(entries).trimEnd().split('\n');
+
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[1])).toEqual(entries[1]);
+    });
+  });
+
+  describe('exportHistory()', () => {
+    it('should write each format', () => {
+      expect(JSON.parse(exporter.exportHistory(entries, 'har')).log.entries).toHaveLength(2);
+      expect(exporter.exportHistory(entries, 'csv')).toBe(exporter.toCsv(entries));
+      expect(exporter.exportHistory(entries, 'ndjson')).toBe(exporter.toNdjson(entries));
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => exporter.exportHistory(entries, 'xml')).toThrow(ValidationError);
+      expect(() => exporter.exportHistory(entries, 'xml')).toThrow("Unknown export format 'xml'. Valid formats: har, csv, ndjson.");
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const har = require('../../src/core/har');
+
+const stored = {
+  id: 'ab12cd34',
+  timestamp: '2024-01-15T10:00:00.250Z',
+  method: 'POST',
+  url: 'https://api.example.com/users?notify=1',
+  status: 201,
+  durationMs: 250,
+  env: 'dev',
+  savedRequestName: 'create-user',
+  request: {
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer t' },
+    body: { name: 'Ann' }
+  },
+  response: {
+    statusText: 'Created',
+    headers: { 'content-type': 'application/json', 'set-cookie': ['a=1', 'b=2'] },
+    body: { id: 7 }
+  }
+};
+
+describe('HAR Module', () => {
+  describe('toHarEntry()', () => {
+    it('should convert a stored entry with details', () => {
+      expect(har.toHarEntry(stored)).toEqual({
+        startedDateTime: '2024-01-15T10:00:00.000Z',
+        time: 250,
+        request: {
+          method: 'POST',
+          url: 'https://api.example.com/users?notify=1',
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: [
+            { name: 'Content-Type', value: 'application/json' },
+            { name: 'Authorization', value: 'Bearer t' }
+          ],
+          queryString: [{ name: 'notify', value: '1' }],
+          headersSize: -1,
+          bodySize: 14,
+          postData: { mimeType: 'application/json', text: '{"name":"Ann"}' }
+        },
+        response: {
+          status: 201,
+          statusText: 'Created',
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: [
+            { name: 'content-type', value: 'application/json' },
+            { name: 'set-cookie', value: 'a=1' },
+            { name: 'set-cookie', value: 'b=2' }
+          ],
+          content: { size: 8, mimeType: 'application/json', text: '{"id":7}' },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: 8
+        },
+        cache: {},
+        timings: { send: 0, wait: 250, receive: 0 },
+        _id: 'ab12cd34',
+        _env: 'dev',
+        _savedRequestName: 'create-user'
+      });
+    });
+
+    it('should leave out what was not stored', () => {
+      const entry = har.toHarEntry({ id: 'x', timestamp: stored.timestamp, method: 'GET', url: 'https://a.com/', status: 200, durationMs: 5 });
+
+      expect(entry.request.headers).toEqual([]);
+      expect(entry.request.bodySize).toBe(-1);
+      expect(entry.request.postData).toBeUndefined();
+      expect(entry.response.content).toEqual({ size: 0, mimeType: 'text/plain' });
+      expect(entry._env).toBeNull();
+    });
+
+    it('should note cut bodies', () => {
+      const entry = har.toHarEntry({ ...stored, response: { ...stored.response, body: '{"id":', bodyTruncated: true } });
+
+      expect(entry.response.content.comment).toBe('Body was cut to fit history.');
+      expect(entry.request.postData.comment).toBeUndefined();
+    });
+  });
+
+  describe('toHar()', () => {
+    it('should write a 1.2 log, oldest entry first', () => {
+      const older = { ...stored, id: 'older', timestamp: '2024-01-14T10:00:00.000Z' };
+      const log = har.toHar([stored, older]).log;
+
+      expect(log.version).toBe('1.2');
+      expect(log.creator).toEqual({ name: 'api-ex', version: require('../../package.json').version });
+      expect(log.entries.map(entry => entry._id)).toEqual(['older', 'ab12cd34']);
+    });
+  });
+
+  describe('isHar()', () => {
+    it('should look for log.entries', () => {
+      expect(har.isHar({ log: { entries: [] } })).toBe(true);
+      expect(har.isHar({ log: {} })).toBe(false);
+      expect(har.isHar(null)).toBe(false);
+    });
+  });
+
+  describe('convertHar()', () => {
+    const convert = (entries, options) => har.convertHar({ log: { entries } }, options);
+
+    it('should read back what toHar wrote', () => {
+      const { name, requests, skipped } = har.convertHar(har.toHar([stored]));
+
+      expect(name).toBe('api-ex');
+      expect(requests).toEqual([{
+        name: 'create-user',
+        method: 'POST',
+        url: 'https://api.example.com/users?notify=1',
+        headers: ['Content-Type: application/json', 'Authorization: Bearer t'],
+        data: '{"name":"Ann"}'
+      }]);
+      expect(skipped).toEqual([]);
+    });
+
+    it('should build form bodies from params', () => {
+      const { requests } = convert([{
+        request: {
+          method: 'post',
+          url: 'https://a.com/login',
+          postData: { mimeType: 'application/x-www-form-urlencoded', params: [{ name: 'user', value: 'ann' }, { name: 'pass', value: 'a&b' }] }
+        }
+      }]);
+
+      expect(requests[0]).toMatchObject({
+        method: 'POST',
+        headers: ['Content-Type: application/x-www-form-urlencoded'],
+        data: 'user=ann&pass=a%26b'
+      });
+    });
+
+    it('should give repeated requests unique names', () => {
+      const request = { method: 'GET', url: 'https://a.com/users/1' };
+      const { requests } = convert([{ request }, { request }]);
+
+      expect(requests.map(r => r.name)).toEqual(['get-users-1', 'get-users-1-2']);
+    });
+
+    it('should skip what it cannot import', () => {
+      const { requests, skipped } = convert([
+        { request: { method: 'CONNECT', url: 'https://a.com/' } },
+        { request: { method: 'GET', url: 'chrome-extension://abc/x.js' } },
+        { request: { method: 'POST', url: 'https://a.com/upload', postData: { mimeType: 'multipart/form-data', params: [{ name: 'f', fileName: 'x.png' }] } } }
+      ]);
+
+      expect(requests).toEqual([]);
+      expect(skipped).toEqual([
+        'CONNECT https://a.com/: unsupported method CONNECT',
+        'GET chrome-extension://abc/x.js: not an http(s) URL',
+        'POST https://a.com/upload: file uploads are not imported'
+      ]);
+    });
+
+    it('should only take URLs that match options.url', () => {
+      const { requests, skipped } = convert([
+        { request: { method: 'GET', url: 'https://a.com/api/users' } },
+        { request: { method: 'GET', url: 'https://a.com/logo.png' } }
+      ], { url: /\/api\// });
+
+      expect(requests.map(r => r.url)).toEqual(['https://a.com/api/users']);
+      expect(skipped).toEqual([]);
+    });
+  });
+});
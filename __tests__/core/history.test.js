@@ -177,6 +177,377 @@ describe('History Module', () => {
     });
   });
 
+  describe('entry ids and details', () => {
+    const details = {
+      request: { headers: { Accept: 'application/json' }, body: '{"name":"Ann"}' },
+      response: { statusText: 'Created', headers: { 'content-type': 'application/json' }, body: { id: 7 } }
+    };
+
+    afterEach(() => {
+      delete process.env.API_EX_HISTORY_BODIES;
+      delete process.env.API_EX_HISTORY_MAX_BODY;
+    });
+
+    it('should give every entry an id and return it', () => {
+      const stored = history.recordHistory({ method: 'GET', url: 'http://example.com/api', status: 200, durationMs: 5 });
+
+      expect(stored.id).toMatch(/^[0-9a-f]{8}$/);
+      expect(history.getHistoryById(stored.id)).toEqual(stored);
+      expect(history.getHistoryById('missing')).toBeNull();
+    });
+
+    it('should store request and response details', () => {
+      const stored = history.recordHistory({ method: 'POST', url: 'http://example.com/api', status: 201, durationMs: 5, ...details });
+
+      expect(history.getHistoryById(stored.id)).toMatchObject(details);
+    });
+
+    it('should cut bodies over the size limit', () => {
+      process.env.API_EX_HISTORY_MAX_BODY = '8';
+
+      const stored = history.recordHistory({ method: 'POST', url: 'http://example.com/api', status: 201, durationMs: 5, ...details });
+
+      expect(stored.request).toEqual({ headers: { Accept: 'application/json' }, body: '{"name":', bodyTruncated: true });
+      expect(stored.response).toEqual({ statusText: 'Created', headers: { 'content-type': 'application/json' }, body: { id: 7 } });
+    });
+
+    it('should leave details out when API_EX_HISTORY_BODIES=0', () => {
+      process.env.API_EX_HISTORY_BODIES = '0';
+
+      const stored = history.recordHistory({ method: 'POST', url: 'http://example.com/api', status: 201, durationMs: 5, ...details });
+
+      expect(stored.request).toBeUndefined();
+      expect(stored.response).toBeUndefined();
+      expect(stored.status).toBe(201);
+    });
+
+    it('should build details from a request config and response', () => {
+      expect(history.exchangeDetails(
+        { method: 'GET', url: 'http://example.com', headers: { 'X-Id': '1' } },
+        { status: 200, statusText: 'OK', headers: { etag: 'abc' }, data: 'pong' }
+      )).toEqual({
+        request: { headers: { 'X-Id': '1' }, body: null },
+        response: { statusText: 'OK', headers: { etag: 'abc' }, body: 'pong' }
+      });
+    });
+  });
+
+  describe('replaying and saving entries', () => {
+    const entry = {
+      id: 'ab12cd34',
+      method: 'POST',
+      url: 'https://dev.example.com/users',
+      request: {
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer dev', host: 'dev.example.com', 'Content-Length': '2' },
+        body: '{}',
+        template: { url: '{{BASE_URL}}/users', headers: { 'Content-Type': 'application/json', Authorization: 'Bearer {{TOKEN}}' }, body: '{}' }
+      }
+    };
+
+    it('should keep the template url only when it differs from what was sent', () => {
+      const sent = { method: 'GET', url: 'https://dev.example.com/users', headers: { Authorization: 'Bearer dev' } };
+      const response = { status: 200, statusText: 'OK', headers: {}, data: '' };
+
+      expect(history.exchangeDetails(sent, response, sent).request.template).toBeUndefined();
+      expect(history.exchangeDetails(sent, response, { ...sent, url: '{{BASE_URL}}/users' }).request.template).toEqual({
+        url: '{{BASE_URL}}/users', headers: { Authorization: 'Bearer dev' }, body: null
+      });
+    });
+
+    it('should store headers and body with their placeholders, not as filled in', () => {
+      const template = { method: 'POST', url: 'https://dev.example.com/login', headers: { Authorization: 'Bearer {{TOKEN}}', Cookie: 'sid={{SID}}' }, data: '{"key":"{{KEY}}"}' };
+      const sent = { ...template, headers: { Authorization: 'Bearer tok-secret', Cookie: 'sid=sid-secret' }, data: '{"key":"key-secret"}' };
+
+      history.recordHistory({
+        method: 'POST',
+        url: sent.url,
+        status: 200,
+        durationMs: 10,
+        env: 'dev',
+        ...history.exchangeDetails(sent, { status: 200, statusText: 'OK', headers: {}, data: '' }, template)
+      });
+
+      const file = fs.readFileSync(storage.getHistoryFile(), 'utf-8');
+      expect(file).not.toMatch(/tok-secret|sid-secret|key-secret/);
+      expect(JSON.parse(file).history[0].request).toEqual({ headers: template.headers, body: template.data });
+    });
+
+    it('should turn an entry back into the request that was sent', () => {
+      expect(history.entryToRequestConfig(entry)).toEqual({
+        method: 'POST',
+        url: 'https://dev.example.com/users',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer dev' },
+        data: '{}'
+      });
+      expect(history.entryToRequestConfig(entry, { template: true })).toMatchObject({
+        url: '{{BASE_URL}}/users',
+        headers: { Authorization: 'Bearer {{TOKEN}}' }
+      });
+    });
+
+    it('should refuse entries without a full request', () => {
+      expect(() => history.entryToRequestConfig({ id: 'x1', method: 'GET', url: 'http://a' })).toThrow("History entry 'x1' has no stored request headers and body.");
+      expect(() => history.entryToRequestConfig({ ...entry, request: { headers: {}, body: '{', bodyTruncated: true } })).toThrow('cannot be reused');
+    });
+
+    it('should turn an entry into a saved request with placeholders', () => {
+      expect(history.entryToSavedRequest(entry, 'create-user')).toEqual({
+        name: 'create-user',
+        method: 'POST',
+        url: '{{BASE_URL}}/users',
+        headers: ['Content-Type: application/json', 'Authorization: Bearer {{TOKEN}}'],
+        data: '{}'
+      });
+    });
+
+    it('should keep auth with its placeholders and reuse it', () => {
+      const sent = { method: 'GET', url: 'https://dev.example.com/me', headers: {}, auth: { type: 'basic', username: 'ann', password: 'pw' } };
+      const template = { ...sent, auth: { type: 'basic', username: 'ann', password: '{{PASSWORD}}' } };
+      const details = history.exchangeDetails(sent, { status: 200, statusText: 'OK', headers: {}, data: '' }, template);
+      const stored = { id: 'cd34ef56', method: 'GET', url: sent.url, ...details };
+
+      expect(details.request.auth).toEqual(template.auth);
+      expect(details.request.template).toBeUndefined();
+      expect(history.entryToRequestConfig(stored).auth).toEqual(template.auth);
+      expect(history.entryToRequestConfig(stored, { template: true }).auth).toEqual(template.auth);
+      expect(history.entryToSavedRequest(stored, 'me').auth).toEqual(template.auth);
+    });
+
+    it('should never write secrets filled in from an environment to history', () => {
+      const template = {
+        method: 'GET',
+        url: 'https://abc.execute-api.us-east-1.amazonaws.com/prod/orders',
+        headers: {},
+        auth: { type: 'aws-sigv4', region: 'us-east-1', service: 'execute-api', accessKeyId: '{{AWS_ACCESS_KEY_ID}}', secretAccessKey: '{{AWS_SECRET_ACCESS_KEY}}' }
+      };
+      const sent = { ...template, auth: { ...template.auth, accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI-secret' } };
+
+      history.recordHistory({
+        method: 'GET',
+        url: sent.url,
+        status: 200,
+        durationMs: 10,
+        env: 'prod',
+        ...history.exchangeDetails(sent, { status: 200, statusText: 'OK', headers: {}, data: '' }, template)
+      });
+
+      const file = fs.readFileSync(storage.getHistoryFile(), 'utf-8');
+      expect(file).not.toContain('wJalrXUtnFEMI-secret');
+      expect(file).not.toContain('AKIDEXAMPLE');
+      expect(JSON.parse(file).history[0].request.auth).toEqual(template.auth);
+    });
+
+    it("should find entries by id or 'last'", () => {
+      expect(history.findHistoryEntry('last')).toBeNull();
+
+      const first = history.recordHistory({ method: 'GET', url: 'http://a', status: 200, durationMs: 1 });
+      const waitUntil = Date.now() + 2;
+      while (Date.now() < waitUntil) {}
+      const second = history.recordHistory({ method: 'GET', url: 'http://b', status: 200, durationMs: 1 });
+
+      expect(history.findHistoryEntry('last').id).toBe(second.id);
+      expect(history.findHistoryEntry(first.id).url).toBe('http://a');
+    });
+  });
+
+  describe('queryHistory()', () => {
+    //written straight to the file so timestamps are fixed
+    const seed = (entries) => {
+      fs.writeFileSync(path.join(TEST_STORAGE_DIR, 'history.json'), JSON.stringify({ history: entries }));
+    };
+
+    const entries = [
+      { id: 'a1', method: 'POST', url: 'https://api.example.com/orders', status: 201, durationMs: 120, env: 'dev', savedRequestName: 'create-order', timestamp: '2024-01-15T08:00:00.000Z', response: { body: { id: 1, state: 'created' } } },
+      { id: 'b2', method: 'GET', url: 'https://api.example.com/orders/1', status: 200, durationMs: 40, env: 'dev', savedRequestName: null, timestamp: '2024-01-15T09:00:00.000Z' },
+      { id: 'c3', method: 'POST', url: 'https://api.example.com/orders', status: 503, durationMs: 1500, env: 'staging', savedRequestName: 'create-order', timestamp: '2024-01-15T10:00:00.000Z', request: { body: '{"sku":"X-1"}' }, response: { body: 'Out of stock service down' } },
+      { id: 'd4', method: 'GET', url: 'https://other.example.com/health', status: 404, durationMs: 15, env: null, timestamp: '2024-01-15T11:00:00.000Z' }
+    ];
+
+    const ids = (options) => history.queryHistory(options).entries.map(e => e.id);
+
+    beforeEach(() => {
+      seed(entries);
+    });
+
+    it('should filter before applying the limit', () => {
+      expect(ids({ method: 'post', limit: 1 })).toEqual(['c3']);
+      expect(history.queryHistory({ method: 'POST', limit: 1 }).total).toBe(2);
+    });
+
+    it('should page with offset', () => {
+      expect(ids({ limit: 2 })).toEqual(['d4', 'c3']);
+      expect(ids({ limit: 2, offset: 2 })).toEqual(['b2', 'a1']);
+      expect(ids({ limit: 2, offset: 4 })).toEqual([]);
+    });
+
+    it('should filter by status code or class', () => {
+      expect(ids({ status: '404' })).toEqual(['d4']);
+      expect(ids({ status: '5xx' })).toEqual(['c3']);
+      expect(ids({ status: '2XX' })).toEqual(['b2', 'a1']);
+    });
+
+    it('should filter by time range', () => {
+      expect(ids({ since: '2024-01-15T09:00:00Z', until: '2024-01-15T10:30:00Z' })).toEqual(['c3', 'b2']);
+
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(new Date('2024-01-15T11:30:00Z').getTime());
+      try {
+        expect(ids({ since: '2h' })).toEqual(['d4', 'c3']);
+        expect(ids({ until: '90m' })).toEqual(['c3', 'b2', 'a1']);
+      } finally {
+        nowSpy.mockRestore();
+      }
+    });
+
+    it('should filter by URL glob or regex', () => {
+      expect(ids({ url: 'https://api.example.com/orders' })).toEqual(['c3', 'a1']);
+      expect(ids({ url: '*/orders*' })).toEqual(['c3', 'b2', 'a1']);
+      expect(ids({ url: '*/orders/?' })).toEqual(['b2']);
+      expect(ids({ url: '/OTHER\\.example/i' })).toEqual(['d4']);
+    });
+
+    it('should filter by env, saved name and duration', () => {
+      expect(ids({ env: 'dev' })).toEqual(['b2', 'a1']);
+      expect(ids({ name: 'create-order' })).toEqual(['c3', 'a1']);
+      expect(ids({ minDuration: 100 })).toEqual(['c3', 'a1']);
+    });
+
+    it('should search stored bodies with grep', () => {
+      expect(ids({ grep: 'out of STOCK' })).toEqual(['c3']);
+      expect(ids({ grep: 'x-1' })).toEqual(['c3']);
+      expect(ids({ grep: '"state":"created"' })).toEqual(['a1']);
+    });
+
+    it('should throw ValidationError for filters that do not parse', () => {
+      expect(() => history.queryHistory({ status: '5x' })).toThrow("Status filter '5x' must be a status code like 404 or a class like 5xx.");
+      expect(() => history.queryHistory({ since: 'yesterday' })).toThrow("Since 'yesterday' is not a date.");
+      expect(() => history.queryHistory({ url: '/(/' })).toThrow("Invalid URL pattern '/(/'");
+    });
+  });
+
+  describe('retention', () => {
+    const entry = (id, timestamp, size = 0) => ({ id, method: 'GET', url: 'http://a', status: 200, durationMs: 1, timestamp, pad: 'x'.repeat(size) });
+
+    afterEach(() => {
+      delete process.env.API_EX_HISTORY_MAX_ENTRIES;
+      delete process.env.API_EX_HISTORY_MAX_AGE;
+      delete process.env.API_EX_HISTORY_MAX_BYTES;
+    });
+
+    it('should read limits from the environment', () => {
+      expect(history.getRetention()).toEqual({
+        maxEntries: history.DEFAULT_MAX_ENTRIES,
+        maxAgeMs: null,
+        maxBytes: history.DEFAULT_MAX_BYTES
+      });
+
+      process.env.API_EX_HISTORY_MAX_ENTRIES = '50';
+      process.env.API_EX_HISTORY_MAX_AGE = '2d';
+      process.env.API_EX_HISTORY_MAX_BYTES = '0';
+      expect(history.getRetention()).toEqual({ maxEntries: 50, maxAgeMs: 2 * 24 * 60 * 60 * 1000, maxBytes: 0 });
+
+      process.env.API_EX_HISTORY_MAX_ENTRIES = 'lots';
+      process.env.API_EX_HISTORY_MAX_AGE = 'forever';
+      expect(history.getRetention()).toMatchObject({ maxEntries: history.DEFAULT_MAX_ENTRIES, maxAgeMs: null });
+    });
+
+    it('should read limits from config.json, the environment wins', () => {
+      history.saveRetention({ maxEntries: '200', maxAge: '30d', maxBytes: 'none' });
+
+      expect(history.getRetention()).toEqual({ maxEntries: 200, maxAgeMs: 30 * 24 * 60 * 60 * 1000, maxBytes: 0 });
+
+      process.env.API_EX_HISTORY_MAX_ENTRIES = '50';
+      expect(history.getRetentionSettings()).toEqual({
+        maxEntries: { value: 50, source: 'environment' },
+        maxAge: { value: '30d', source: 'config' },
+        maxBytes: { value: 0, source: 'config' }
+      });
+
+      history.saveRetention({ maxAge: '0' }, { reset: true });
+      expect(storage.getSettings()).toEqual({ history: { maxAge: null } });
+      expect(history.getRetentionSettings().maxBytes).toEqual({ value: history.DEFAULT_MAX_BYTES, source: 'default' });
+    });
+
+    it('should refuse retention values that do not parse and save nothing', () => {
+      expect(() => history.saveRetention({ maxEntries: '10', maxAge: 'forever' })).toThrow(
+        "Max age 'forever' must be a number with s, m, h, d or w, like 30d, or 0 or none for no limit."
+      );
+      expect(() => history.saveRetention({ maxBytes: '-1' })).toThrow("Max bytes '-1' must be a whole number, or 0 or none for no limit.");
+      expect(storage.getSettings()).toEqual({});
+    });
+
+    it('should drop entries past the age limit', () => {
+      const now = new Date('2024-01-15T12:00:00Z').getTime();
+      const kept = history.pruneHistory([
+        entry('old', '2024-01-10T12:00:00Z'),
+        entry('new', '2024-01-15T11:00:00Z')
+      ], { maxAgeMs: 24 * 60 * 60 * 1000 }, now);
+
+      expect(kept.map(e => e.id)).toEqual(['new']);
+    });
+
+    it('should keep the newest entries up to the count', () => {
+      const kept = history.pruneHistory([
+        entry('c', '2024-01-03T00:00:00Z'),
+        entry('a', '2024-01-01T00:00:00Z'),
+        entry('b', '2024-01-02T00:00:00Z')
+      ], { maxEntries: 2 });
+
+      expect(kept.map(e => e.id)).toEqual(['b', 'c']);
+    });
+
+    it('should drop the oldest entries until the rest fits the byte limit', () => {
+      const entries = [entry('a', '2024-01-01T00:00:00Z', 500), entry('b', '2024-01-02T00:00:00Z', 500), entry('c', '2024-01-03T00:00:00Z', 500)];
+      const size = Buffer.byteLength(JSON.stringify(entries[0]));
+
+      expect(history.pruneHistory(entries, { maxBytes: size * 2 + 10 }).map(e => e.id)).toEqual(['b', 'c']);
+    });
+
+    it('should always keep the newest entry', () => {
+      const entries = [entry('a', '2024-01-01T00:00:00Z', 10), entry('b', '2024-01-02T00:00:00Z', 5000)];
+
+      expect(history.pruneHistory(entries, { maxBytes: 100 }).map(e => e.id)).toEqual(['b']);
+      expect(history.pruneHistory(entries, { maxAgeMs: 1000 }, new Date('2025-01-01').getTime()).map(e => e.id)).toEqual(['b']);
+    });
+
+    it('should apply retention when recording', () => {
+      process.env.API_EX_HISTORY_MAX_ENTRIES = '3';
+
+      for (let i = 0; i < 5; i++) {
+        history.recordHistory({ method: 'GET', url: `http://example.com/${i}`, status: 200, durationMs: 1 });
+        const waitUntil = Date.now() + 2;
+        while (Date.now() < waitUntil) {}
+      }
+
+      const file = JSON.parse(fs.readFileSync(path.join(TEST_STORAGE_DIR, 'history.json'), 'utf-8'));
+      expect(file.history.map(e => e.url)).toEqual(['http://example.com/2', 'http://example.com/3', 'http://example.com/4']);
+    });
+  });
+
+  describe('clearHistory()', () => {
+    beforeEach(() => {
+      fs.writeFileSync(path.join(TEST_STORAGE_DIR, 'history.json'), JSON.stringify({ history: [
+        { id: 'a', method: 'GET', url: 'http://a', status: 500, durationMs: 1, timestamp: '2024-01-01T00:00:00.000Z' },
+        { id: 'b', method: 'GET', url: 'http://a', status: 200, durationMs: 1, timestamp: '2024-01-02T00:00:00.000Z' },
+        { id: 'c', method: 'GET', url: 'http://a', status: 503, durationMs: 1, timestamp: '2024-01-03T00:00:00.000Z' }
+      ] }));
+    });
+
+    it('should delete matching entries and return the count', () => {
+      expect(history.clearHistory({ status: '5xx', before: '2024-01-02T12:00:00Z' })).toBe(1);
+      expect(history.getHistory().map(e => e.id)).toEqual(['c', 'b']);
+    });
+
+    it('should delete everything without filters', () => {
+      expect(history.clearHistory()).toBe(3);
+      expect(history.getHistory()).toEqual([]);
+    });
+
+    it('should not delete anything when a filter does not parse', () => {
+      expect(() => history.clearHistory({ before: 'someday' })).toThrow("Before 'someday' is not a date.");
+      expect(history.getHistory()).toHaveLength(3);
+    });
+  });
+
   describe('getHistory()', () => {
     it('should return empty array when no history exists', () => {
       const historyEntries = history.getHistory();
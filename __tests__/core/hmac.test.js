@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const hmac = require('../../src/core/hmac');
+const storage = require('../../src/core/storage');
+const { ConfigurationError, ValidationError } = require('../../src/core/errors');
+
+const TEST_STORAGE_DIR = path.join(os.tmpdir(), '.api-ex-test-hmac-' + Date.now());
+
+const date = new Date('2024-01-31T12:00:00.123Z');
+
+describe('HMAC Module', () => {
+  describe('validateHmacProfile()', () => {
+    it('should fill in the defaults', () => {
+      expect(hmac.validateHmacProfile({ secret: '{{SECRET}}', keyId: undefined })).toEqual({
+        type: 'hmac',
+        secret: '{{SECRET}}',
+        algorithm: 'sha256',
+        encoding: 'hex',
+        parts: ['method', 'path', 'timestamp', 'body-hash'],
+        separator: '\n',
+        timestampFormat: 'unix',
+        signatureHeader: 'X-Signature',
+        signatureFormat: '{signature}',
+        timestampHeader: 'X-Timestamp'
+      });
+    });
+
+    it('should parse parts, unescape the separator and drop the timestamp header for none', () => {
+      const profile = hmac.validateHmacProfile({
+        secret: 's',
+        algorithm: 'SHA512',
+        encoding: 'base64',
+        parts: 'method, url,header:Content-Type',
+        separator: '\\t|\\n',
+        timestampHeader: 'none'
+      });
+
+      expect(profile).toMatchObject({ algorithm: 'sha512', encoding: 'base64', parts: ['method', 'url', 'header:Content-Type'], separator: '\t|\n' });
+      expect(profile).not.toHaveProperty('timestampHeader');
+    });
+
+    it.each([
+      [{}, 'HMAC secret is required.'],
+      [{ secret: 's', algorithm: 'md5' }, "Unknown algorithm 'md5'. Valid algorithms: sha1, sha256, sha512."],
+      [{ secret: 's', encoding: 'base32' }, "Unknown encoding 'base32'. Valid encodings: hex, base64."],
+      [{ secret: 's', timestampFormat: 'rfc822' }, "Unknown timestamp format 'rfc822'. Valid timestamp formats: unix, unix-ms, iso, http."],
+      [{ secret: 's', parts: 'method,cookie' }, "Unknown part 'cookie'. Valid parts: method, path, query, url, host, timestamp, nonce, key-id, body, body-hash, header:<name>."],
+      [{ secret: 's', parts: ' , ' }, 'At least one part to sign is required.'],
+      [{ secret: 's', signatureFormat: 'HMAC {sig}' }, "Unknown signature format field '{sig}'."],
+      [{ secret: 's', signatureFormat: 'HMAC {keyId}', keyId: 'k' }, 'Signature format must include {signature}.'],
+      [{ secret: 's', parts: 'method,nonce' }, 'Signing the nonce needs --nonce-header or {nonce} in the signature format.'],
+      [{ secret: 's', keyIdHeader: 'X-Key' }, 'Sending the key id needs --key-id.']
+    ])('should reject %j', (input, message) => {
+      expect(() => hmac.validateHmacProfile(input)).toThrow(ValidationError);
+      expect(() => hmac.validateHmacProfile(input)).toThrow(message);
+    });
+  });
+
+  describe('formatTimestamp()', () => {
+    it('should format every timestamp format', () => {
+      expect(hmac.formatTimestamp(date, 'unix')).toBe('1706702400');
+      expect(hmac.formatTimestamp(date, 'unix-ms')).toBe('1706702400123');
+      expect(hmac.formatTimestamp(date, 'iso')).toBe('2024-01-31T12:00:00.123Z');
+      expect(hmac.formatTimestamp(date, 'http')).toBe('Wed, 31 Jan 2024 12:00:00 GMT');
+    });
+  });
+
+  describe('signRequest()', () => {
+    //RFC 2202 and RFC 4231 test case 2
+    it.each([
+      ['sha1', 'effcdf6ae5eb2fa2d27416d5f184df9c259a7c79'],
+      ['sha256', '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'],
+      ['sha512', '164b7a7bfcf819e2e395fbe73b56e0a387bd64222e831fd610270cd7ea2505549758bf75c05a994a6d034f65f8f0e6fdcaeab1a34d4a6b4b636e070a38bce737']
+    ])('should match the RFC test vector for %s', (algorithm, expected) => {
+      const profile = hmac.validateHmacProfile({ secret: 'Jefe', algorithm, parts: 'body' });
+
+      const { headers } = hmac.signRequest(profile, { method: 'POST', url: 'http://a/', data: 'what do ya want for nothing?' }, { date });
+
+      expect(headers).toEqual({ 'X-Signature': expected, 'X-Timestamp': '1706702400' });
+    });
+
+    it('should encode the signature as base64', () => {
+      const profile = hmac.validateHmacProfile({ secret: 'Jefe', encoding: 'base64', parts: 'body' });
+
+      const { headers } = hmac.signRequest(profile, { method: 'POST', url: 'http://a/', data: 'what do ya want for nothing?' }, { date });
+
+      expect(headers['X-Signature']).toBe('W9zBRr9gdU5qBCQmCJV1x1oAPwidJzmDnexYuWTsOEM=');
+    });
+
+    it('should build the string to sign from the parts in order', () => {
+      const profile = hmac.validateHmacProfile({
+        secret: 's',
+        parts: 'method,host,path,query,url,timestamp,nonce,key-id,header:content-type,header:X-Missing,body,body-hash',
+        separator: '|',
+        timestampFormat: 'iso',
+        nonceHeader: 'X-Nonce',
+        keyId: 'key1'
+      });
+
+      const { stringToSign } = hmac.signRequest(profile, {
+        method: 'put',
+        url: 'https://api.partner.com:8443/v1/orders?id=1&x=a%20b',
+        headers: { 'Content-Type': 'application/json' },
+        data: { id: 1 }
+      }, { date, nonce: 'n1' });
+
+      const bodyHash = crypto.createHash('sha256').update('{"id":1}').digest('hex');
+      expect(stringToSign).toBe([
+        'PUT',
+        'api.partner.com:8443',
+        '/v1/orders?id=1&x=a%20b',
+        'id=1&x=a%20b',
+        'https://api.partner.com:8443/v1/orders?id=1&x=a%20b',
+        '2024-01-31T12:00:00.123Z',
+        'n1',
+        'key1',
+        'application/json',
+        '',
+        '{"id":1}',
+        bodyHash
+      ].join('|'));
+    });
+
+    it('should hash an empty body for requests without one', () => {
+      const profile = hmac.validateHmacProfile({ secret: 's', algorithm: 'sha1', parts: 'body-hash' });
+
+      const { stringToSign } = hmac.signRequest(profile, { method: 'GET', url: 'http://a/' });
+
+      expect(stringToSign).toBe('da39a3ee5e6b4b0d3255bfef95601890afd80709');
+    });
+
+    it('should fill the signature format and send the timestamp, nonce and key id headers', () => {
+      const profile = hmac.validateHmacProfile({
+        secret: 's',
+        parts: 'method,timestamp,nonce',
+        signatureHeader: 'Authorization',
+        signatureFormat: 'HMAC-{algorithm} {keyId}:{nonce}:{signature}',
+        timestampHeader: 'X-Request-Time',
+        timestampFormat: 'unix-ms',
+        nonceHeader: 'X-Nonce',
+        keyId: 'key1',
+        keyIdHeader: 'X-Key-Id'
+      });
+
+      const { headers } = hmac.signRequest(profile, { method: 'GET', url: 'http://a/' }, { date, nonce: 'n1' });
+      const signature = crypto.createHmac('sha256', 's').update('GET\n1706702400123\nn1').digest('hex');
+
+      expect(headers).toEqual({
+        Authorization: `HMAC-sha256 key1:n1:${signature}`,
+        'X-Request-Time': '1706702400123',
+        'X-Nonce': 'n1',
+        'X-Key-Id': 'key1'
+      });
+    });
+
+    it('should use a new nonce for every request', () => {
+      const profile = hmac.validateHmacProfile({ secret: 's', nonceHeader: 'X-Nonce' });
+
+      const first = hmac.signRequest(profile, { method: 'GET', url: 'http://a/' });
+      const second = hmac.signRequest(profile, { method: 'GET', url: 'http://a/' });
+
+      expect(first.headers['X-Nonce']).toMatch(/^[0-9a-f]{32}$/);
+      expect(second.headers['X-Nonce']).not.toBe(first.headers['X-Nonce']);
+    });
+  });
+
+  describe('applyHmac()', () => {
+    it('should replace headers with the same name in a new headers object', () => {
+      const profile = hmac.validateHmacProfile({ secret: 's', signatureHeader: 'Authorization' });
+      const config = { method: 'GET', url: 'http://a/', headers: { authorization: 'old', Accept: 'text/plain' } };
+
+      const signed = hmac.applyHmac(profile, config, { date });
+
+      expect(Object.keys(signed.headers)).toEqual(['Accept', 'Authorization', 'X-Timestamp']);
+      expect(config.headers).toEqual({ authorization: 'old', Accept: 'text/plain' });
+    });
+  });
+
+  describe('loadHmacProfile()', () => {
+    beforeAll(() => {
+      storage.setStorageDir(TEST_STORAGE_DIR);
+    });
+
+    beforeEach(() => {
+      fs.rmSync(TEST_STORAGE_DIR, { recursive: true, force: true });
+      storage.initStorage();
+      storage.saveEnvironment('prod', { PARTNER_SECRET: 'prod-secret', PARTNER_KEY: 'k-prod' });
+      storage.saveAuthProfile('partner', hmac.validateHmacProfile({
+        secret: '{{PARTNER_SECRET}}', keyId: '{{PARTNER_KEY}}', keyIdHeader: 'X-Key-Id'
+      }));
+      storage.saveAuthProfile('corp', { type: 'oauth2', grant: 'client_credentials', tokenUrl: 'http://a', clientId: 'c' });
+    });
+
+    afterAll(() => {
+      fs.rmSync(TEST_STORAGE_DIR, { recursive: true, force: true });
+    });
+
+    it('should fill the placeholders from the given environment', () => {
+      expect(hmac.loadHmacProfile('partner', 'prod')).toMatchObject({ secret: 'prod-secret', keyId: 'k-prod', separator: '\n' });
+    });
+
+    it('should report values missing from the environment', () => {
+      expect(() => hmac.loadHmacProfile('partner')).toThrow(ValidationError);
+      expect(() => hmac.loadHmacProfile('partner')).toThrow(
+        'HMAC signing values are not set: {{PARTNER_SECRET}}, {{PARTNER_KEY}}. Add them to an environment and use --env.'
+      );
+    });
+
+    it('should refuse unknown and oauth2 profiles', () => {
+      expect(() => hmac.loadHmacProfile('nope', 'prod')).toThrow(ConfigurationError);
+      expect(() => hmac.loadHmacProfile('nope', 'prod')).toThrow('Unknown auth profile "nope". Available profiles: partner, corp.');
+      expect(() => hmac.loadHmacProfile('corp', 'prod')).toThrow('Auth profile "corp" is an oauth2 profile. Use --auth oauth2:corp.');
+    });
+  });
+});
@@ -1,8 +1,17 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const http = require('../../src/core/http');
+const oauth = require('../../src/core/oauth');
+const hmac = require('../../src/core/hmac');
+const { NetworkError, ValidationError } = require('../../src/core/errors');
 
 // Mock axios
 jest.mock('axios');
+jest.mock('../../src/core/oauth');
+jest.mock('../../src/core/hmac', () => ({
+  ...jest.requireActual('../../src/core/hmac'),
+  loadHmacProfile: jest.fn()
+}));
 
 describe('HTTP Module', () => {
   beforeEach(() => {
@@ -674,4 +683,184 @@ describe('HTTP Module', () => {
       expect(result.data).toEqual([1, 2, 3, 4, 5]);
     });
   });
+
+  describe('sendRequest() - Auth', () => {
+    const ok = { status: 200, statusText: 'OK', headers: {}, data: {} };
+
+    it('should add the auth header to a copy of the headers', async () => {
+      axios.mockResolvedValue(ok);
+      const headers = { Accept: 'application/json' };
+
+      await http.sendRequest({ method: 'GET', url: 'http://example.com/api', headers, auth: { type: 'bearer', token: 'abc' } });
+
+      expect(axios.mock.calls[0][0].headers).toEqual({ Accept: 'application/json', Authorization: 'Bearer abc' });
+      expect(headers).toEqual({ Accept: 'application/json' });
+    });
+
+    it('should add query API keys to the URL', async () => {
+      axios.mockResolvedValue(ok);
+
+      await http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'apikey', in: 'query', name: 'key', value: 'k1' } });
+
+      expect(axios.mock.calls[0][0].url).toBe('http://example.com/api?key=k1');
+    });
+
+    it('should answer a digest challenge and report the total duration', async () => {
+      axios
+        .mockResolvedValueOnce({
+          status: 401,
+          statusText: 'Unauthorized',
+          headers: { 'www-authenticate': 'Digest realm="api", qop="auth", nonce="abc123", opaque="xyz"' },
+          data: ''
+        })
+        .mockResolvedValueOnce({ ...ok, data: { user: 'ann' } });
+
+      const result = await http.sendRequest({
+        method: 'GET',
+        url: 'http://example.com/api/me?full=1',
+        auth: { type: 'digest', username: 'ann', password: 'pw' }
+      });
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(axios.mock.calls[0][0].headers).toEqual({});
+      expect(axios.mock.calls[1][0].headers.Authorization).toMatch(/^Digest username="ann", realm="api", nonce="abc123", uri="\/api\/me\?full=1", algorithm=MD5, response="[0-9a-f]{32}", qop=auth, nc=00000001, cnonce="[0-9a-f]{16}", opaque="xyz"$/);
+      expect(result.status).toBe(200);
+      expect(result.data).toEqual({ user: 'ann' });
+      expect(result.durationMs).toEqual(expect.any(Number));
+    });
+
+    it('should return the 401 when there is no digest challenge', async () => {
+      axios.mockResolvedValue({ status: 401, statusText: 'Unauthorized', headers: { 'www-authenticate': 'Basic realm="api"' }, data: '' });
+
+      const result = await http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'digest', username: 'ann', password: 'pw' } });
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(result.status).toBe(401);
+    });
+
+    it('should not retry digest requests that succeed first time', async () => {
+      axios.mockResolvedValue(ok);
+
+      await http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'digest', username: 'ann', password: 'pw' } });
+
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    it('should sign aws-sigv4 over the headers that are sent', async () => {
+      axios.mockResolvedValue(ok);
+
+      await http.sendRequest({
+        method: 'POST',
+        url: 'https://abc.execute-api.us-east-1.amazonaws.com/prod/orders',
+        data: '{"id":1}',
+        auth: { type: 'aws-sigv4', region: 'us-east-1', service: 'execute-api', accessKeyId: 'AKID', secretAccessKey: 'secret' }
+      });
+
+      const sent = axios.mock.calls[0][0].headers;
+      expect(sent['Content-Type']).toBe('application/json');
+      expect(sent['X-Amz-Date']).toMatch(/^\d{8}T\d{6}Z$/);
+      expect(sent.Authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=AKID\/\d{8}\/us-east-1\/execute-api\/aws4_request, SignedHeaders=content-type;host;x-amz-date, Signature=[0-9a-f]{64}$/);
+    });
+
+    it('should send the oauth2 profile token as bearer', async () => {
+      oauth.getAccessToken.mockResolvedValue({ token: { accessToken: 'tok1' }, source: 'cache' });
+      axios.mockResolvedValue(ok);
+
+      await http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'oauth2', profile: 'corp' } });
+
+      expect(oauth.getAccessToken).toHaveBeenCalledWith('corp', { env: null });
+      expect(axios.mock.calls[0][0].headers).toEqual({ Authorization: 'Bearer tok1' });
+    });
+
+    it('should pass the request env on to the oauth2 and hmac profiles', async () => {
+      oauth.getAccessToken.mockResolvedValue({ token: { accessToken: 'tok1' }, source: 'new' });
+      hmac.loadHmacProfile.mockReturnValue(hmac.validateHmacProfile({ secret: 'k' }));
+      axios.mockResolvedValue(ok);
+
+      await http.sendRequest({ method: 'GET', url: 'http://example.com/api', env: 'prod', auth: { type: 'oauth2', profile: 'corp' } });
+      await http.sendRequest({ method: 'GET', url: 'http://example.com/api', env: 'prod', auth: { type: 'hmac', profile: 'partner' } });
+
+      expect(oauth.getAccessToken).toHaveBeenCalledWith('corp', { env: 'prod' });
+      expect(hmac.loadHmacProfile).toHaveBeenCalledWith('partner', 'prod');
+    });
+
+    it('should not count the token request in durationMs', async () => {
+      oauth.getAccessToken.mockImplementation(() => new Promise(resolve => {
+        setTimeout(() => resolve({ token: { accessToken: 'tok1' }, source: 'new' }), 100);
+      }));
+      axios.mockResolvedValue(ok);
+
+      const result = await http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'oauth2', profile: 'corp' } });
+
+      expect(result.durationMs).toBeLessThan(100);
+    });
+
+    it('should replace a cached token the server rejects and retry once', async () => {
+      oauth.getAccessToken
+        .mockResolvedValueOnce({ token: { accessToken: 'old' }, source: 'cache' })
+        .mockResolvedValueOnce({ token: { accessToken: 'new' }, source: 'new' });
+      axios
+        .mockResolvedValueOnce({ status: 401, statusText: 'Unauthorized', headers: {}, data: '' })
+        .mockResolvedValueOnce(ok);
+
+      const result = await http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'oauth2', profile: 'corp' } });
+
+      expect(oauth.getAccessToken).toHaveBeenLastCalledWith('corp', { env: null, force: true });
+      expect(axios.mock.calls[1][0].headers).toEqual({ Authorization: 'Bearer new' });
+      expect(result.status).toBe(200);
+    });
+
+    it('should not retry when a token it just got is rejected', async () => {
+      oauth.getAccessToken.mockResolvedValue({ token: { accessToken: 'tok1' }, source: 'new' });
+      axios.mockResolvedValue({ status: 401, statusText: 'Unauthorized', headers: {}, data: '' });
+
+      const result = await http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'oauth2', profile: 'corp' } });
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(oauth.getAccessToken).toHaveBeenCalledTimes(1);
+      expect(result.status).toBe(401);
+    });
+
+    it('should pass token endpoint errors on as they are', async () => {
+      oauth.getAccessToken
+        .mockResolvedValueOnce({ token: { accessToken: 'old' }, source: 'cache' })
+        .mockRejectedValueOnce(new NetworkError('Token request to http://auth/token failed: 400 invalid_grant'));
+      axios.mockResolvedValue({ status: 401, statusText: 'Unauthorized', headers: {}, data: '' });
+
+      await expect(
+        http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'oauth2', profile: 'corp' } })
+      ).rejects.toThrow('Token request to http://auth/token failed: 400 invalid_grant');
+    });
+
+    it('should sign hmac over the interpolated request as it is sent', async () => {
+      hmac.loadHmacProfile.mockReturnValue(hmac.validateHmacProfile({ secret: 'k', parts: 'method,path,header:Content-Type,body' }));
+      axios.mockResolvedValue(ok);
+
+      await http.sendRequest({
+        method: 'post',
+        url: 'http://example.com/api?a=1',
+        data: { id: 1 },
+        auth: { type: 'hmac', profile: 'partner' }
+      });
+
+      expect(hmac.loadHmacProfile).toHaveBeenCalledWith('partner', null);
+
+      const sent = axios.mock.calls[0][0].headers;
+      const expected = crypto.createHmac('sha256', 'k').update('POST\n/api?a=1\napplication/json\n{"id":1}').digest('hex');
+      expect(sent['X-Signature']).toBe(expected);
+      expect(sent['X-Timestamp']).toMatch(/^\d{10}$/);
+      expect(sent.Authorization).toBeUndefined();
+    });
+
+    it('should not send when the hmac profile cannot be loaded', async () => {
+      hmac.loadHmacProfile.mockImplementation(() => {
+        throw new ValidationError('HMAC signing values are not set: {{PARTNER_SECRET}}. Add them to an environment and use --env.');
+      });
+
+      await expect(
+        http.sendRequest({ method: 'GET', url: 'http://example.com/api', auth: { type: 'hmac', profile: 'partner' } })
+      ).rejects.toThrow('HMAC signing values are not set: {{PARTNER_SECRET}}.');
+      expect(axios).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,190 @@
+const http = require('http');
+const net = require('net');
+const listen = require('../../src/core/listen');
+const { NetworkError } = require('../../src/core/errors');
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+function send(server, method, urlPath, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: urlPath, headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+//client that announces a body, sends part of it and hangs up
+function sendAborted(server, firstLine, host = '127.0.0.1') {
+  return new Promise(resolve => {
+    const socket = net.connect(server.address().port, '127.0.0.1', () => {
+      socket.write(`${firstLine}\r\nHost: ${host}\r\nContent-Length: 100\r\n\r\nabc`);
+      setTimeout(() => {
+        socket.destroy();
+        setTimeout(resolve, 50);
+      }, 20);
+    });
+  });
+}
+
+//raw request text => raw response text, for request lines http.request will not send
+function sendRaw(server, text) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    const socket = net.connect(server.address().port, '127.0.0.1', () => socket.end(text));
+    socket.setEncoding('utf-8');
+    socket.on('data', chunk => { data += chunk; });
+    socket.on('end', () => resolve(data));
+    socket.on('error', reject);
+  });
+}
+
+describe('Listen Module', () => {
+  describe('buildReply()', () => {
+    it('should add a content type for bodies that have none', () => {
+      expect(listen.buildReply({ status: 201, body: '{"ok":true}' })).toEqual({
+        status: 201, body: '{"ok":true}', headers: { 'Content-Type': 'application/json' }
+      });
+      expect(listen.buildReply({ body: 'thanks' }).headers).toEqual({ 'Content-Type': 'text/plain' });
+      expect(listen.buildReply({ body: 'a', headers: { 'content-type': 'text/xml' } }).headers).toEqual({ 'content-type': 'text/xml' });
+    });
+
+    it('should default to an empty 200', () => {
+      expect(listen.buildReply()).toEqual({ status: 200, body: '', headers: {} });
+    });
+  });
+
+  describe('startListenServer()', () => {
+    let server;
+    let entries;
+
+    beforeEach(() => {
+      entries = [];
+    });
+
+    afterEach(async () => {
+      await close(server);
+    });
+
+    it('should drop requests whose client hangs up mid-upload and keep serving', async () => {
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      server = await listen.startListenServer({ port: 0, onRequest: entry => entries.push(entry) });
+
+      await sendAborted(server, 'POST /hooks HTTP/1.1');
+      const response = await send(server, 'POST', '/hooks', 'ok');
+
+      process.removeListener('unhandledRejection', unhandled);
+      expect(unhandled).not.toHaveBeenCalled();
+      expect(response.status).toBe(200);
+      expect(entries.map(entry => entry.body)).toEqual(['ok']);
+    });
+
+    it('should answer and report requests whose target is not a valid url', async () => {
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      server = await listen.startListenServer({ port: 0, onRequest: entry => entries.push(entry) });
+
+      const raw = await sendRaw(server, 'GET http://[bad HTTP/1.1\r\nHost: 127.0.0.1\r\nConnection: close\r\n\r\n');
+      const response = await send(server, 'GET', '/hooks?a=1');
+
+      process.removeListener('unhandledRejection', unhandled);
+      expect(unhandled).not.toHaveBeenCalled();
+      expect(raw).toMatch(/^HTTP\/1\.1 200 /);
+      expect(response.status).toBe(200);
+      expect(entries.map(entry => [entry.path, entry.query])).toEqual([['http://[bad', {}], ['/hooks', { a: '1' }]]);
+    });
+
+    it('should reply with the configured answer and report the request', async () => {
+      server = await listen.startListenServer({
+        port: 0,
+        reply: listen.buildReply({ status: 202, body: '{"received":true}', headers: { 'X-Reply': 'yes' } }),
+        onRequest: entry => entries.push(entry)
+      });
+
+      const response = await send(server, 'POST', '/stripe?event=charge', '{"id":"evt_1"}', { 'Content-Type': 'application/json', 'Stripe-Signature': 'sig' });
+
+      expect(response.status).toBe(202);
+      expect(response.headers['x-reply']).toBe('yes');
+      expect(response.body).toBe('{"received":true}');
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        method: 'POST',
+        path: '/stripe',
+        query: { event: 'charge' },
+        body: '{"id":"evt_1"}',
+        bodyEncoding: 'utf-8',
+        status: 202,
+        forward: null,
+        durationMs: expect.any(Number)
+      });
+      expect(entries[0].headers['stripe-signature']).toBe('sig');
+    });
+
+    describe('with --forward', () => {
+      let target;
+      let received;
+
+      beforeAll(async () => {
+        target = http.createServer((req, res) => {
+          let body = '';
+          req.on('data', chunk => { body += chunk; });
+          req.on('end', () => {
+            received.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.writeHead(500, { 'Content-Type': 'text/plain', 'X-Dev': 'yes' });
+            res.end('handler crashed');
+          });
+        });
+        await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+      });
+
+      afterAll(async () => {
+        await close(target);
+      });
+
+      beforeEach(() => {
+        received = [];
+      });
+
+      it('should relay the request and pass the answer back', async () => {
+        const forward = `http://127.0.0.1:${target.address().port}/webhooks/github`;
+        server = await listen.startListenServer({ port: 0, forward, onRequest: entry => entries.push(entry) });
+
+        const response = await send(server, 'POST', '/anything?delivery=1', 'payload', { 'X-GitHub-Event': 'push' });
+
+        expect(received).toEqual([expect.objectContaining({ method: 'POST', url: '/webhooks/github?delivery=1', body: 'payload' })]);
+        expect(received[0].headers['x-github-event']).toBe('push');
+        expect(response.status).toBe(500);
+        expect(response.headers['x-dev']).toBe('yes');
+        expect(response.body).toBe('handler crashed');
+        expect(entries[0]).toMatchObject({
+          status: 500,
+          forward: { url: `${forward}?delivery=1`, status: 500, durationMs: expect.any(Number) }
+        });
+      });
+
+      it('should answer 502 when the target is down', async () => {
+        server = await listen.startListenServer({ port: 0, forward: 'http://127.0.0.1:1/hooks', onRequest: entry => entries.push(entry) });
+
+        const response = await send(server, 'POST', '/', 'payload');
+
+        expect(response.status).toBe(502);
+        expect(JSON.parse(response.body).error).toContain('POST http://127.0.0.1:1/hooks failed');
+        expect(entries[0]).toMatchObject({ status: 502, forward: { url: 'http://127.0.0.1:1/hooks', error: expect.stringContaining('failed') } });
+      });
+    });
+
+    it('should reject with NetworkError when the port is taken', async () => {
+      server = await listen.startListenServer({ port: 0 });
+
+      await expect(listen.startListenServer({ port: server.address().port })).rejects.toThrow(NetworkError);
+    });
+  });
+});
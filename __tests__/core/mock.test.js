@@ -0,0 +1,250 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const mock = require('../../src/core/mock');
+const { ValidationError, FileSystemError, NetworkError } = require('../../src/core/errors');
+
+const EXAMPLE_DIR = path.join(os.tmpdir(), '.api-ex-test-mock-' + Date.now());
+
+function writeExample(name, content) {
+  const file = path.join(EXAMPLE_DIR, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+//plain node client so the tests do not depend on the http module mocks elsewhere
+function send(server, method, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: urlPath, headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('Mock Module', () => {
+  beforeAll(() => {
+    fs.mkdirSync(EXAMPLE_DIR, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(EXAMPLE_DIR, { recursive: true, force: true });
+  });
+
+  describe('toRoutePath()', () => {
+    it('should drop a leading base url placeholder', () => {
+      expect(mock.toRoutePath('{{BASE_URL}}/users/{{id}}')).toBe('/users/{{id}}');
+      expect(mock.toRoutePath('{{BASE_URL}}')).toBe('/');
+    });
+
+    it('should take the path of full urls and keep placeholders', () => {
+      expect(mock.toRoutePath('https://api.example.com/v1/orders/{{orderId}}/items?page=2')).toBe('/v1/orders/{{orderId}}/items');
+      expect(mock.toRoutePath('https://{{HOST}}/health/')).toBe('/health');
+    });
+
+    it('should return null for urls it cannot parse', () => {
+      expect(mock.toRoutePath('not a url')).toBeNull();
+    });
+  });
+
+  describe('loadExample()', () => {
+    it('should pick the content type from the extension or the content', () => {
+      expect(mock.loadExample(writeExample('user.json', '{"id":1}'))).toEqual({ body: '{"id":1}', contentType: 'application/json' });
+      expect(mock.loadExample(writeExample('user.body', '[1,2]')).contentType).toBe('application/json');
+      expect(mock.loadExample(writeExample('hello.body', 'hello')).contentType).toBe('text/plain');
+      expect(mock.loadExample(writeExample('page.html', '<p>hi</p>')).contentType).toBe('text/html');
+    });
+
+    it('should throw FileSystemError for missing files', () => {
+      expect(() => mock.loadExample(path.join(EXAMPLE_DIR, 'missing.json'))).toThrow(FileSystemError);
+    });
+  });
+
+  describe('buildRoutes()', () => {
+    it('should take statuses from examples, history or default to 200', () => {
+      const example = writeExample('created.json', '{"id":9}');
+      const requests = [
+        { name: 'create-user', method: 'post', url: '{{BASE_URL}}/users', example, exampleStatus: 201 },
+        { name: 'get-user', method: 'GET', url: '{{BASE_URL}}/users/{{id}}' },
+        { name: 'health', method: 'GET', url: 'https://api.example.com/health' }
+      ];
+      const history = [
+        { method: 'GET', url: 'https://api.example.com/users/2', status: 404, savedRequestName: 'get-user' },
+        { method: 'GET', url: 'https://api.example.com/users/1', status: 200, savedRequestName: 'get-user' }
+      ];
+
+      const { routes, skipped } = mock.buildRoutes(requests, history);
+
+      expect(skipped).toEqual([]);
+      expect(routes.map(route => [route.method, route.path, route.status, route.source])).toEqual([
+        ['POST', '/users', 201, 'example'],
+        ['GET', '/users/{{id}}', 404, 'history'],
+        ['GET', '/health', 200, 'default']
+      ]);
+      expect(routes[0].body).toBe('{"id":9}');
+    });
+
+    it('should serve the response body of the last history entry when there is no example', () => {
+      const requests = [
+        { name: 'get-user', method: 'GET', url: '{{BASE_URL}}/users/{{id}}' },
+        { name: 'feed', method: 'GET', url: '{{BASE_URL}}/feed' },
+        { name: 'export', method: 'GET', url: '{{BASE_URL}}/export' },
+        { name: 'big', method: 'GET', url: '{{BASE_URL}}/big' },
+        { name: 'with-example', method: 'GET', url: '{{BASE_URL}}/x', example: writeExample('x.json', '{"from":"example"}') }
+      ];
+      const history = [
+        { status: 200, savedRequestName: 'get-user', response: { headers: { 'content-type': 'application/json; charset=utf-8' }, body: { id: 7 } } },
+        { status: 500, savedRequestName: 'get-user', response: { headers: {}, body: 'older' } },
+        { status: 200, savedRequestName: 'feed', response: { headers: { 'Content-Type': 'application/rss+xml' }, body: '<rss/>' } },
+        { status: 200, savedRequestName: 'export', response: { headers: {}, body: 'a,b' } },
+        { status: 200, savedRequestName: 'big', response: { headers: { 'content-type': 'application/json' }, body: '{"cut', bodyTruncated: true } },
+        { status: 200, savedRequestName: 'with-example', response: { headers: {}, body: 'from history' } }
+      ];
+
+      const { routes } = mock.buildRoutes(requests, history);
+
+      expect(routes.map(route => [route.name, route.status, route.source, route.body, route.contentType])).toEqual([
+        ['get-user', 200, 'history', '{"id":7}', 'application/json; charset=utf-8'],
+        ['feed', 200, 'history', '<rss/>', 'application/rss+xml'],
+        ['export', 200, 'history', 'a,b', 'text/plain'],
+        ['big', 200, 'history', '', null],
+        ['with-example', 200, 'example', '{"from":"example"}', 'application/json']
+      ]);
+    });
+
+    it('should skip duplicate routes, unparseable urls and missing examples', () => {
+      const { routes, skipped } = mock.buildRoutes([
+        { name: 'list-users', method: 'GET', url: '{{BASE_URL}}/users' },
+        { name: 'list-users-v2', method: 'GET', url: 'https://api.example.com/users?v=2' },
+        { name: 'broken', method: 'GET', url: 'nope' },
+        { name: 'no-example', method: 'GET', url: '{{BASE_URL}}/x', example: path.join(EXAMPLE_DIR, 'gone.json') }
+      ]);
+
+      expect(routes.map(route => route.name)).toEqual(['list-users']);
+      expect(skipped).toEqual([
+        { name: 'list-users-v2', reason: "same route as 'list-users'" },
+        { name: 'broken', reason: "URL 'nope' has no path" },
+        { name: 'no-example', reason: expect.stringContaining('Could not read example') }
+      ]);
+    });
+  });
+
+  describe('matchRoute()', () => {
+    const { routes } = mock.buildRoutes([
+      { name: 'get-user', method: 'GET', url: '{{BASE_URL}}/users/{{id}}' },
+      { name: 'me', method: 'GET', url: '{{BASE_URL}}/users/me' },
+      { name: 'avatar', method: 'GET', url: '{{BASE_URL}}/users/{{id}}/avatar-{{size}}.png' }
+    ]);
+
+    it('should prefer literal paths over placeholders', () => {
+      expect(mock.matchRoute(routes, 'GET', '/users/me').name).toBe('me');
+      expect(mock.matchRoute(routes, 'GET', '/users/42').name).toBe('get-user');
+      expect(mock.matchRoute(routes, 'GET', '/users/42/').name).toBe('get-user');
+    });
+
+    it('should match placeholders inside a segment', () => {
+      expect(mock.matchRoute(routes, 'GET', '/users/42/avatar-64.png').name).toBe('avatar');
+    });
+
+    it('should not match other methods or deeper paths', () => {
+      expect(mock.matchRoute(routes, 'DELETE', '/users/42')).toBeNull();
+      expect(mock.matchRoute(routes, 'GET', '/users/42/orders')).toBeNull();
+    });
+  });
+
+  describe('parseLatency()', () => {
+    it('should parse fixed values and ranges', () => {
+      expect(mock.parseLatency('200')).toEqual({ min: 200, max: 200 });
+      expect(mock.parseLatency('100-500')).toEqual({ min: 100, max: 500 });
+      expect(mock.parseLatency(undefined)).toEqual({ min: 0, max: 0 });
+    });
+
+    it('should throw ValidationError for anything else', () => {
+      expect(() => mock.parseLatency('fast')).toThrow(ValidationError);
+      expect(() => mock.parseLatency('500-100')).toThrow('range like 100-500');
+    });
+  });
+
+  describe('startMockServer()', () => {
+    let server;
+    let log;
+
+    beforeEach(async () => {
+      log = [];
+      const { routes } = mock.buildRoutes([
+        { name: 'get-user', method: 'GET', url: '{{BASE_URL}}/users/{{id}}', example: writeExample('ada.json', '{"name":"Ada"}') },
+        { name: 'delete-user', method: 'DELETE', url: '{{BASE_URL}}/users/{{id}}', exampleStatus: 204 }
+      ]);
+      server = await mock.startMockServer(routes, { port: 0, onRequest: entry => log.push(entry) });
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    it('should answer matching routes with the example body', async () => {
+      const response = await send(server, 'GET', '/users/7?expand=true');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/json');
+      expect(response.body).toBe('{"name":"Ada"}');
+      expect(log).toEqual([{ method: 'GET', path: '/users/7', status: 200, durationMs: expect.any(Number), name: 'get-user' }]);
+    });
+
+    it('should use the saved status', async () => {
+      const response = await send(server, 'DELETE', '/users/7');
+
+      expect(response.status).toBe(204);
+      expect(response.body).toBe('');
+    });
+
+    it('should answer 404 with a message for unknown routes', async () => {
+      const response = await send(server, 'POST', '/users');
+
+      expect(response.status).toBe(404);
+      expect(JSON.parse(response.body)).toEqual({ error: 'No saved request matches POST /users' });
+      expect(log[0]).toMatchObject({ status: 404, name: null });
+    });
+
+    it('should answer HEAD from the GET route and CORS preflights', async () => {
+      const head = await send(server, 'HEAD', '/users/7');
+      const preflight = await send(server, 'OPTIONS', '/users/7', {
+        Origin: 'http://localhost:3000',
+        'Access-Control-Request-Headers': 'authorization'
+      });
+
+      expect(head.status).toBe(200);
+      expect(head.body).toBe('');
+      expect(preflight.status).toBe(204);
+      expect(preflight.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+      expect(preflight.headers['access-control-allow-headers']).toBe('authorization');
+    });
+
+    it('should override every status and delay responses', async () => {
+      const { routes } = mock.buildRoutes([{ name: 'health', method: 'GET', url: '{{BASE_URL}}/health' }]);
+      const slow = await mock.startMockServer(routes, { port: 0, status: 503, latency: { min: 60, max: 60 } });
+
+      try {
+        const startTime = Date.now();
+        const response = await send(slow, 'GET', '/health');
+
+        expect(response.status).toBe(503);
+        expect(Date.now() - startTime).toBeGreaterThanOrEqual(55);
+      } finally {
+        await new Promise(resolve => slow.close(resolve));
+      }
+    });
+
+    it('should reject with NetworkError when the port is taken', async () => {
+      const port = server.address().port;
+
+      await expect(mock.startMockServer([], { port })).rejects.toThrow(NetworkError);
+      await expect(mock.startMockServer([], { port })).rejects.toThrow(`Port ${port} is already in use.`);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const oauth = require('../../src/core/oauth');
+const storage = require('../../src/core/storage');
+const { ConfigurationError, NetworkError, ValidationError } = require('../../src/core/errors');
+
+jest.mock('axios');
+
+const TEST_STORAGE_DIR = path.join(os.tmpdir(), '.api-ex-test-oauth-' + Date.now());
+
+const profile = {
+  grant: 'client_credentials',
+  tokenUrl: '{{AUTH_URL}}/token',
+  clientId: 'cli',
+  clientSecret: '{{SECRET}}',
+  clientAuth: 'basic',
+  scope: 'read write'
+};
+
+function tokenResponse(data, status = 200) {
+  return { status, statusText: status === 200 ? 'OK' : 'Bad Request', headers: {}, data };
+}
+
+function form(call) {
+  return Object.fromEntries(new URLSearchParams(axios.mock.calls[call][0].data));
+}
+
+describe('OAuth Module', () => {
+  beforeAll(() => {
+    storage.setStorageDir(TEST_STORAGE_DIR);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.rmSync(TEST_STORAGE_DIR, { recursive: true, force: true });
+    storage.initStorage();
+    storage.saveEnvironment('dev', { AUTH_URL: 'http://auth.dev', SECRET: 'dev-secret' });
+    storage.saveEnvironment('prod', { AUTH_URL: 'http://auth.prod', SECRET: 'prod-secret' });
+    storage.saveAuthProfile('corp', profile);
+  });
+
+  afterAll(() => {
+    fs.rmSync(TEST_STORAGE_DIR, { recursive: true, force: true });
+  });
+
+  describe('validateProfile()', () => {
+    it('should default the grant and client auth and drop empty fields', () => {
+      expect(oauth.validateProfile({ tokenUrl: 'http://a/token', clientId: 'c', scope: undefined })).toEqual({
+        type: 'oauth2',
+        grant: 'client_credentials',
+        tokenUrl: 'http://a/token',
+        clientId: 'c',
+        clientAuth: 'basic'
+      });
+    });
+
+    it.each([
+      [{ grant: 'implicit', tokenUrl: 'http://a', clientId: 'c' }, "Unknown grant 'implicit'. Valid grants: client_credentials, password, refresh_token."],
+      [{ tokenUrl: 'http://a', clientId: 'c', clientAuth: 'jwt' }, "Unknown client auth 'jwt'. Use basic or body."],
+      [{ clientId: 'c' }, 'Token URL is required.'],
+      [{ tokenUrl: 'http://a' }, 'Client id is required.'],
+      [{ grant: 'password', tokenUrl: 'http://a', clientId: 'c', username: 'ann' }, 'The password grant needs --username and --password.'],
+      [{ grant: 'refresh_token', tokenUrl: 'http://a', clientId: 'c' }, 'The refresh_token grant needs --refresh-token.']
+    ])('should reject %j', (input, message) => {
+      expect(() => oauth.validateProfile(input)).toThrow(ValidationError);
+      expect(() => oauth.validateProfile(input)).toThrow(message);
+    });
+  });
+
+  describe('getAccessToken()', () => {
+    it('should request a token with the environment filled in and cache it', async () => {
+      axios.mockResolvedValue(tokenResponse({ access_token: 'a1', token_type: 'bearer', expires_in: 3600 }));
+
+      const { token, source } = await oauth.getAccessToken('corp', { env: 'dev' });
+
+      expect(source).toBe('new');
+      expect(token).toMatchObject({ accessToken: 'a1', tokenType: 'bearer', refreshToken: null, scope: 'read write' });
+      expect(new Date(token.expiresAt).getTime() - Date.now()).toBeGreaterThan(3590 * 1000);
+
+      const request = axios.mock.calls[0][0];
+      expect(request).toMatchObject({ method: 'POST', url: 'http://auth.dev/token' });
+      expect(request.headers).toMatchObject({
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${Buffer.from('cli:dev-secret').toString('base64')}`
+      });
+      expect(form(0)).toEqual({ grant_type: 'client_credentials', scope: 'read write' });
+
+      const file = JSON.parse(fs.readFileSync(path.join(TEST_STORAGE_DIR, 'tokens.json'), 'utf-8'));
+      expect(file.tokens['corp:dev']).toEqual(token);
+    });
+
+    it('should reuse a cached token until it expires', async () => {
+      axios.mockResolvedValue(tokenResponse({ access_token: 'a1', expires_in: 3600 }));
+
+      await oauth.getAccessToken('corp', { env: 'dev' });
+      const again = await oauth.getAccessToken('corp', { env: 'dev' });
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(again).toMatchObject({ source: 'cache', token: { accessToken: 'a1' } });
+    });
+
+    it('should share one token request between concurrent callers', async () => {
+      axios.mockResolvedValue(tokenResponse({ access_token: 'a1', expires_in: 3600 }));
+
+      const results = await Promise.all([
+        oauth.getAccessToken('corp', { env: 'dev' }),
+        oauth.getAccessToken('corp', { env: 'dev' }),
+        oauth.getAccessToken('corp', { env: 'prod' })
+      ]);
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(results[1]).toBe(results[0]);
+      expect(results[0]).toMatchObject({ source: 'new', token: { accessToken: 'a1' } });
+    });
+
+    it('should not keep a failed token request for later callers', async () => {
+      axios
+        .mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { request: {} }))
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'a2' }));
+
+      await expect(oauth.getAccessToken('corp', { env: 'dev' })).rejects.toThrow();
+      const { token } = await oauth.getAccessToken('corp', { env: 'dev' });
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(token.accessToken).toBe('a2');
+    });
+
+    it('should cache tokens per environment', async () => {
+      axios
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'dev-token' }))
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'prod-token' }));
+
+      await oauth.getAccessToken('corp', { env: 'dev' });
+      const prod = await oauth.getAccessToken('corp', { env: 'prod' });
+
+      expect(axios.mock.calls[1][0].url).toBe('http://auth.prod/token');
+      expect(prod.token.accessToken).toBe('prod-token');
+      expect(oauth.getCachedToken('corp', 'dev').accessToken).toBe('dev-token');
+      expect(oauth.getCachedToken('corp', 'prod').accessToken).toBe('prod-token');
+    });
+
+    it('should treat tokens without expires_in as never expiring', async () => {
+      axios.mockResolvedValue(tokenResponse({ access_token: 'a1' }));
+
+      const { token } = await oauth.getAccessToken('corp', { env: 'dev' });
+
+      expect(token.expiresAt).toBeNull();
+      expect(oauth.isExpired(token)).toBe(false);
+    });
+
+    it('should count tokens about to expire as expired', () => {
+      const now = Date.now();
+
+      expect(oauth.isExpired({ expiresAt: new Date(now + 10 * 1000).toISOString() }, now)).toBe(true);
+      expect(oauth.isExpired({ expiresAt: new Date(now + 60 * 1000).toISOString() }, now)).toBe(false);
+    });
+
+    it('should use the refresh token when the cached token expired', async () => {
+      axios
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'a1', refresh_token: 'r1', expires_in: 10 }))
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'a2', expires_in: 3600 }));
+
+      await oauth.getAccessToken('corp', { env: 'dev' });
+      const { token, source } = await oauth.getAccessToken('corp', { env: 'dev' });
+
+      expect(source).toBe('refreshed');
+      expect(form(1)).toEqual({ grant_type: 'refresh_token', refresh_token: 'r1', scope: 'read write' });
+      expect(token).toMatchObject({ accessToken: 'a2', refreshToken: 'r1' });
+    });
+
+    it('should fall back to the profile grant when the refresh fails', async () => {
+      axios
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'a1', refresh_token: 'r1', expires_in: 10 }))
+        .mockResolvedValueOnce(tokenResponse({ error: 'invalid_grant' }, 400))
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'a3', expires_in: 3600 }));
+
+      await oauth.getAccessToken('corp', { env: 'dev' });
+      const { token, source } = await oauth.getAccessToken('corp', { env: 'dev' });
+
+      expect(source).toBe('new');
+      expect(form(2).grant_type).toBe('client_credentials');
+      expect(token.accessToken).toBe('a3');
+    });
+
+    it('should skip the cache with force', async () => {
+      axios
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'a1', expires_in: 3600 }))
+        .mockResolvedValueOnce(tokenResponse({ access_token: 'a2', expires_in: 3600 }));
+
+      await oauth.getAccessToken('corp', { env: 'dev' });
+      const { token } = await oauth.getAccessToken('corp', { env: 'dev', force: true });
+
+      expect(token.accessToken).toBe('a2');
+      expect(oauth.getCachedToken('corp', 'dev').accessToken).toBe('a2');
+    });
+
+    it('should send password grant fields and the client secret in the body', async () => {
+      storage.saveAuthProfile('app', {
+        grant: 'password', tokenUrl: 'http://auth/token', clientId: 'app', clientSecret: 's', clientAuth: 'body', username: 'ann', password: 'p&w'
+      });
+      axios.mockResolvedValue(tokenResponse({ access_token: 'a1' }));
+
+      await oauth.getAccessToken('app');
+
+      expect(axios.mock.calls[0][0].headers.Authorization).toBeUndefined();
+      expect(form(0)).toEqual({ grant_type: 'password', username: 'ann', password: 'p&w', client_id: 'app', client_secret: 's' });
+      expect(oauth.getCachedToken('app')).not.toBeNull();
+    });
+
+    it('should report token endpoint errors', async () => {
+      axios.mockResolvedValue(tokenResponse({ error: 'invalid_client', error_description: 'Bad secret' }, 401));
+
+      await expect(oauth.getAccessToken('corp', { env: 'dev' })).rejects.toThrow(NetworkError);
+      await expect(oauth.getAccessToken('corp', { env: 'dev' }))
+        .rejects.toThrow('Token request to http://auth.dev/token failed: 401 invalid_client (Bad secret)');
+      expect(oauth.getCachedToken('corp', 'dev')).toBeNull();
+    });
+
+    it('should report responses without an access token', async () => {
+      axios.mockResolvedValue(tokenResponse('<html>login</html>'));
+
+      await expect(oauth.getAccessToken('corp', { env: 'dev' }))
+        .rejects.toThrow('Token request to http://auth.dev/token failed: 200 no access_token in the response');
+    });
+
+    it('should report unreachable token endpoints', async () => {
+      axios.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await expect(oauth.getAccessToken('corp', { env: 'dev' }))
+        .rejects.toThrow('Unable to reach token endpoint http://auth.dev/token. connect ECONNREFUSED');
+    });
+
+    it('should list the profiles when the profile is unknown', async () => {
+      await expect(oauth.getAccessToken('nope')).rejects.toThrow(ConfigurationError);
+      await expect(oauth.getAccessToken('nope')).rejects.toThrow('Unknown auth profile "nope". Available profiles: corp.');
+    });
+
+    it('should refuse hmac profiles', async () => {
+      storage.saveAuthProfile('partner', { type: 'hmac', secret: 's' });
+
+      await expect(oauth.getAccessToken('partner')).rejects.toThrow('Auth profile "partner" is an hmac profile. Use --auth hmac:partner.');
+      expect(axios).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('clearTokens()', () => {
+    it('should remove the profile tokens in every environment', async () => {
+      storage.saveAuthProfile('corporate', profile);
+      axios.mockResolvedValue(tokenResponse({ access_token: 'a1' }));
+
+      await oauth.getAccessToken('corp', { env: 'dev' });
+      await oauth.getAccessToken('corp', { env: 'prod' });
+      await oauth.getAccessToken('corporate', { env: 'dev' });
+
+      expect(oauth.clearTokens('corp')).toBe(2);
+      expect(oauth.getCachedToken('corp', 'dev')).toBeNull();
+      expect(oauth.getCachedToken('corporate', 'dev')).not.toBeNull();
+    });
+  });
+});
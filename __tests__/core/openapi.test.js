@@ -0,0 +1,303 @@
+const openapi = require('../../src/core/openapi');
+
+const petstoreYaml = `
+openapi: 3.0.3
+info:
+  title: Pet Store
+  version: 1.0.0
+servers:
+  - url: https://{region}.pets.example.com/v1/
+    variables:
+      region:
+        default: eu
+security:
+  - bearerAuth: []
+components:
+  securitySchemes:
+    bearerAuth:
+      type: http
+      scheme: bearer
+    apiKey:
+      type: apiKey
+      in: header
+      name: X-API-Key
+    queryKey:
+      type: apiKey
+      in: query
+      name: key
+  parameters:
+    PetId:
+      name: petId
+      in: path
+      required: true
+      schema:
+        type: integer
+        example: 42
+  schemas:
+    Pet:
+      type: object
+      required: [name]
+      properties:
+        id:
+          type: integer
+          readOnly: true
+        name:
+          type: string
+          example: Rex
+        status:
+          type: string
+          enum: [available, sold]
+        born:
+          type: string
+          format: date
+        owner:
+          $ref: '#/components/schemas/Owner'
+        tags:
+          type: array
+          items:
+            type: string
+    Owner:
+      type: object
+      properties:
+        email:
+          type: string
+          format: email
+        pets:
+          type: array
+          items:
+            $ref: '#/components/schemas/Pet'
+paths:
+  /pets:
+    get:
+      operationId: listPets
+      tags: [pets]
+      parameters:
+        - name: limit
+          in: query
+          required: true
+          schema:
+            type: integer
+            default: 20
+        - name: offset
+          in: query
+          schema:
+            type: integer
+        - name: X-Request-Id
+          in: header
+          required: true
+          schema:
+            type: string
+    post:
+      operationId: createPet
+      tags: [pets]
+      requestBody:
+        content:
+          application/json:
+            schema:
+              $ref: '#/components/schemas/Pet'
+  /pets/{petId}:
+    parameters:
+      - $ref: '#/components/parameters/PetId'
+    get:
+      operationId: getPet
+      security:
+        - apiKey: []
+    delete:
+      security:
+        - queryKey: []
+    put:
+      operationId: updatePet
+      security: []
+      requestBody:
+        content:
+          application/x-www-form-urlencoded:
+            example:
+              name: Rex
+              status: sold
+  /pets/{petId}/photo:
+    post:
+      operationId: uploadPhoto
+      requestBody:
+        content:
+          image/png:
+            schema:
+              type: string
+              format: binary
+`;
+
+const swagger = {
+  swagger: '2.0',
+  info: { title: 'Legacy API' },
+  host: 'legacy.example.com',
+  basePath: '/api',
+  schemes: ['http', 'https'],
+  securityDefinitions: {
+    basic: { type: 'basic' }
+  },
+  definitions: {
+    User: { type: 'object', properties: { name: { type: 'string' }, admin: { type: 'boolean' } } }
+  },
+  paths: {
+    '/users': {
+      post: {
+        operationId: 'createUser',
+        security: [{ basic: [] }],
+        parameters: [{ name: 'body', in: 'body', schema: { $ref: '#/definitions/User' } }]
+      }
+    },
+    '/login': {
+      post: {
+        operationId: 'createUser',
+        consumes: ['application/x-www-form-urlencoded'],
+        parameters: [
+          { name: 'user', in: 'formData', type: 'string', default: 'ada' },
+          { name: 'remember', in: 'formData', type: 'boolean' }
+        ]
+      }
+    },
+    '/avatar': {
+      post: {
+        operationId: 'upload',
+        parameters: [{ name: 'file', in: 'formData', type: 'file' }]
+      }
+    }
+  }
+};
+
+describe('OpenAPI Module', () => {
+  describe('parseSpec()', () => {
+    it('should parse YAML and JSON specs', () => {
+      expect(openapi.parseSpec(petstoreYaml).info.title).toBe('Pet Store');
+      expect(openapi.parseSpec(JSON.stringify(swagger)).swagger).toBe('2.0');
+    });
+
+    it('should reject documents that are not specs', () => {
+      expect(() => openapi.parseSpec('name: x')).toThrow('not an OpenAPI 3 or Swagger 2 document');
+      expect(() => openapi.parseSpec('{ "openapi": "3.0.0" }')).toThrow('not an OpenAPI 3 or Swagger 2 document');
+    });
+
+    it('should reject invalid YAML', () => {
+      expect(() => openapi.parseSpec('a: [b')).toThrow('Spec is not valid JSON or YAML');
+    });
+  });
+
+  describe('resolveRef()', () => {
+    it('should follow local json pointers', () => {
+      const spec = { components: { schemas: { 'a/b': { type: 'string' } } } };
+      expect(openapi.resolveRef(spec, '#/components/schemas/a~1b')).toEqual({ type: 'string' });
+      expect(openapi.resolveRef(spec, 'other.yaml#/x')).toBeUndefined();
+    });
+  });
+
+  describe('exampleFromSchema()', () => {
+    it('should build examples and stop on recursive refs', () => {
+      const spec = openapi.parseSpec(petstoreYaml);
+
+      expect(openapi.exampleFromSchema(spec, { $ref: '#/components/schemas/Pet' })).toEqual({
+        name: 'Rex',
+        status: 'available',
+        born: '2024-01-01',
+        owner: { email: 'user@example.com', pets: [] },
+        tags: ['string']
+      });
+    });
+
+    it('should merge allOf and pick the first oneOf', () => {
+      const schema = {
+        allOf: [
+          { type: 'object', properties: { a: { type: 'integer' } } },
+          { oneOf: [{ type: 'object', properties: { b: { type: 'boolean' } } }, { type: 'string' }] }
+        ]
+      };
+
+      expect(openapi.exampleFromSchema({}, schema)).toEqual({ a: 0, b: true });
+    });
+
+    it('should handle 3.1 type arrays', () => {
+      expect(openapi.exampleFromSchema({}, { type: ['null', 'string'], format: 'uuid' })).toBe('00000000-0000-0000-0000-000000000000');
+    });
+  });
+
+  describe('getBaseUrl()', () => {
+    it('should use the first server with variable defaults', () => {
+      expect(openapi.getBaseUrl(openapi.parseSpec(petstoreYaml))).toBe('https://eu.pets.example.com/v1');
+    });
+
+    it('should build swagger 2 urls and prefer https', () => {
+      expect(openapi.getBaseUrl(swagger)).toBe('https://legacy.example.com/api');
+    });
+  });
+
+  describe('convertSpec()', () => {
+    const result = openapi.convertSpec(openapi.parseSpec(petstoreYaml));
+    const byName = (name) => result.requests.find(r => r.name === name);
+
+    it('should create one request per operation named from operationId', () => {
+      expect(result.name).toBe('Pet Store');
+      expect(result.requests.map(r => r.name)).toEqual([
+        'listPets', 'createPet', 'getPet', 'updatePet', 'delete-pets-petId', 'uploadPhoto'
+      ]);
+    });
+
+    it('should map required query and header params and global security', () => {
+      expect(byName('listPets')).toEqual({
+        name: 'listPets',
+        method: 'GET',
+        url: '{{baseUrl}}/pets?limit={{limit}}',
+        headers: ['X-Request-Id: {{X-Request-Id}}', 'Authorization: Bearer {{bearerAuth}}'],
+        data: '',
+        tags: ['pets']
+      });
+    });
+
+    it('should generate json bodies from schemas', () => {
+      const request = byName('createPet');
+
+      expect(request.headers).toContain('Content-Type: application/json');
+      expect(JSON.parse(request.data).name).toBe('Rex');
+    });
+
+    it('should use path params and operation security', () => {
+      expect(byName('getPet').url).toBe('{{baseUrl}}/pets/{{petId}}');
+      expect(byName('getPet').headers).toEqual(['X-API-Key: {{apiKey}}']);
+      expect(byName('delete-pets-petId').url).toBe('{{baseUrl}}/pets/{{petId}}?key={{queryKey}}');
+    });
+
+    it('should honor empty security and form bodies', () => {
+      expect(byName('updatePet').headers).toEqual(['Content-Type: application/x-www-form-urlencoded']);
+      expect(byName('updatePet').data).toBe('name=Rex&status=sold');
+    });
+
+    it('should collect variables with spec values or empty defaults', () => {
+      expect(result.variables).toEqual({
+        baseUrl: 'https://eu.pets.example.com/v1',
+        limit: '20',
+        'X-Request-Id': '',
+        bearerAuth: '',
+        petId: '42',
+        apiKey: '',
+        queryKey: ''
+      });
+    });
+
+    it('should report bodies it cannot import', () => {
+      expect(result.skipped).toEqual(['uploadPhoto: request body type not imported']);
+      expect(byName('uploadPhoto').data).toBe('');
+    });
+
+    it('should convert swagger 2 specs', () => {
+      const legacy = openapi.convertSpec(swagger);
+
+      expect(legacy.requests[0]).toEqual({
+        name: 'createUser',
+        method: 'POST',
+        url: '{{baseUrl}}/users',
+        headers: ['Authorization: Basic {{basic}}', 'Content-Type: application/json'],
+        data: '{"name":"string","admin":true}'
+      });
+      expect(legacy.requests[1].name).toBe('createUser-2');
+      expect(legacy.requests[1].data).toBe('user=ada&remember=true');
+      expect(legacy.skipped).toEqual(['upload: request body type not imported']);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const postman = require('../../src/core/postman');
+
+const collection = {
+  info: { name: 'My API', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+  auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{TOKEN}}', type: 'string' }] },
+  variable: [
+    { key: 'baseUrl', value: 'https://api.example.com' },
+    { key: 'off', value: 'x', disabled: true }
+  ],
+  item: [
+    {
+      name: 'Users',
+      item: [
+        {
+          name: 'Get User',
+          request: {
+            method: 'GET',
+            header: [
+              { key: 'Accept', value: 'application/json' },
+              { key: 'X-Off', value: '1', disabled: true }
+            ],
+            url: {
+              raw: '{{baseUrl}}/users/:id',
+              host: ['{{baseUrl}}'],
+              path: ['users', ':id'],
+              variable: [{ key: 'id', value: '42' }]
+            }
+          }
+        },
+        {
+          name: 'Create User',
+          event: [{ listen: 'test', script: { exec: ['pm.test()'] } }],
+          request: {
+            method: 'POST',
+            auth: { type: 'noauth' },
+            header: [],
+            body: { mode: 'raw', raw: '{"name": "{{name}}"}', options: { raw: { language: 'json' } } },
+            url: '{{baseUrl}}/users'
+          }
+        }
+      ]
+    },
+    {
+      name: 'Login',
+      request: {
+        method: 'POST',
+        auth: { type: 'oauth2', oauth2: [] },
+        body: {
+          mode: 'urlencoded',
+          urlencoded: [{ key: 'user', value: 'a b' }, { key: 'skip', value: '1', disabled: true }]
+        },
+        url: { protocol: 'https', host: ['auth', 'example', 'com'], path: ['login'], query: [{ key: 'v', value: '2' }] }
+      }
+    },
+    { name: 'Login', request: 'https://example.com/plain' }
+  ]
+};
+
+describe('Postman Module', () => {
+  describe('format detection', () => {
+    it('should detect collections', () => {
+      expect(postman.isPostmanCollection(collection)).toBe(true);
+      expect(postman.isPostmanEnvironment(collection)).toBe(false);
+    });
+
+    it('should detect environments', () => {
+      const env = { name: 'Dev', values: [] };
+      expect(postman.isPostmanEnvironment(env)).toBe(true);
+      expect(postman.isPostmanCollection(env)).toBe(false);
+    });
+
+    it('should reject other json', () => {
+      expect(postman.isPostmanCollection({})).toBe(false);
+      expect(postman.isPostmanEnvironment(null)).toBe(false);
+    });
+  });
+
+  describe('convertCollection()', () => {
+    const result = postman.convertCollection(collection);
+    const byName = (name) => result.requests.find(r => r.name === name);
+
+    it('should convert every request item including nested folders', () => {
+      expect(result.name).toBe('My API');
+      expect(result.requests.map(r => r.name)).toEqual(['Get-User', 'Create-User', 'Login', 'Login-2']);
+    });
+
+    it('should convert url, path variables, headers and inherited auth', () => {
+      expect(byName('Get-User')).toEqual({
+        name: 'Get-User',
+        method: 'GET',
+        url: '{{baseUrl}}/users/{{id}}',
+        headers: ['Accept: application/json', 'Authorization: Bearer {{TOKEN}}'],
+        data: '',
+        tags: ['Users']
+      });
+    });
+
+    it('should convert raw json bodies and respect noauth', () => {
+      expect(byName('Create-User').data).toBe('{"name": "{{name}}"}');
+      expect(byName('Create-User').headers).toEqual(['Content-Type: application/json']);
+    });
+
+    it('should build urls from parts and encode urlencoded bodies', () => {
+      const login = byName('Login');
+      expect(login.url).toBe('https://auth.example.com/login?v=2');
+      expect(login.data).toBe('user=a%20b');
+      expect(login.headers).toContain('Content-Type: application/x-www-form-urlencoded');
+    });
+
+    it('should handle string requests', () => {
+      expect(byName('Login-2').url).toBe('https://example.com/plain');
+      expect(byName('Login-2').method).toBe('GET');
+    });
+
+    it('should collect collection and path variables', () => {
+      expect(result.variables).toEqual({ baseUrl: 'https://api.example.com', id: '42' });
+    });
+
+    it('should report skipped scripts and auth types', () => {
+      expect(result.skipped).toEqual([
+        'Users / Create User: scripts not imported',
+        "Login: auth type 'oauth2' not imported"
+      ]);
+    });
+
+    it('should convert basic and apikey auth', () => {
+      const converted = postman.convertCollection({
+        info: { name: 'auth' },
+        item: [
+          { name: 'basic', request: { method: 'GET', url: 'http://a', auth: { type: 'basic', basic: [{ key: 'username', value: 'u' }, { key: 'password', value: 'p' }] } } },
+          { name: 'basic-var', request: { method: 'GET', url: 'http://a', auth: { type: 'basic', basic: [{ key: 'username', value: '{{USER}}' }] } } },
+          { name: 'key-header', request: { method: 'GET', url: 'http://a', auth: { type: 'apikey', apikey: [{ key: 'key', value: 'X-Key' }, { key: 'value', value: '{{KEY}}' }] } } },
+          { name: 'key-query', request: { method: 'GET', url: 'http://a?x=1', auth: { type: 'apikey', apikey: [{ key: 'key', value: 'k' }, { key: 'value', value: 'v' }, { key: 'in', value: 'query' }] } } }
+        ]
+      });
+
+      expect(converted.requests[0].headers).toEqual(['Authorization: Basic dTpw']);
+      expect(converted.requests[1].headers).toEqual([]);
+      expect(converted.requests[2].headers).toEqual(['X-Key: {{KEY}}']);
+      expect(converted.requests[3].url).toBe('http://a?x=1&k=v');
+      expect(converted.skipped).toEqual(["basic-var: auth type 'basic' not imported"]);
+    });
+
+    it('should convert graphql bodies and skip formdata and odd methods', () => {
+      const converted = postman.convertCollection({
+        info: { name: 'misc' },
+        item: [
+          { name: 'gql', request: { method: 'POST', url: 'http://a/graphql', body: { mode: 'graphql', graphql: { query: '{ me { id } }', variables: '{"a":1}' } } } },
+          { name: 'upload', request: { method: 'POST', url: 'http://a', body: { mode: 'formdata', formdata: [] } } },
+          { name: 'odd', request: { method: 'PROPFIND', url: 'http://a' } },
+          { name: 'dyn', request: { method: 'GET', url: 'http://a/{{$guid}}' } }
+        ]
+      });
+
+      expect(JSON.parse(converted.requests[0].data)).toEqual({ query: '{ me { id } }', variables: { a: 1 } });
+      expect(converted.requests.map(r => r.name)).toEqual(['gql', 'upload', 'dyn']);
+      expect(converted.skipped).toEqual([
+        "upload: body mode 'formdata' not imported",
+        'odd: unsupported method PROPFIND',
+        'dyn: dynamic variables {{$guid}} are not supported'
+      ]);
+    });
+  });
+
+  describe('convertEnvironment()', () => {
+    it('should convert enabled values', () => {
+      expect(postman.convertEnvironment({
+        name: 'Staging',
+        values: [
+          { key: 'baseUrl', value: 'https://staging', enabled: true },
+          { key: 'old', value: 'x', enabled: false },
+          { key: 'empty', value: null }
+        ]
+      })).toEqual({
+        name: 'Staging',
+        requests: [],
+        variables: { baseUrl: 'https://staging', empty: '' },
+        skipped: []
+      });
+    });
+  });
+});
@@ -221,6 +221,102 @@ describe('Printer Module', () => {
     });
   });
 
+  describe('printAssertionResults()', () => {
+    it('should print passed and failed assertions with summary', () => {
+      printer.printAssertionResults([
+        { expression: 'status=200', passed: true, message: null },
+        { expression: 'time < 100', passed: false, message: 'time was 250' }
+      ]);
+
+      const output = consoleOutput.join('\n');
+      expect(output).toContain('Assertions:');
+      expect(output).toContain('✓ status=200');
+      expect(output).toContain('✗ time < 100 (time was 250)');
+      expect(output).toContain('1 passed, 1 failed');
+    });
+
+    it('should print only passed count when all pass', () => {
+      printer.printAssertionResults([{ expression: 'status=200', passed: true, message: null }]);
+
+      expect(consoleOutput[consoleOutput.length - 1]).toBe(chalk.green('1 passed'));
+    });
+
+    it('should print nothing for empty results', () => {
+      printer.printAssertionResults([]);
+      printer.printAssertionResults(undefined);
+
+      expect(console.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('printCaptureResults()', () => {
+    it('should print captured values with env name', () => {
+      printer.printCaptureResults({ TOKEN: 'eyJhbGciOiJIUzI1NiJ9.secret', ID: 42, PIN: 'abc' }, [], 'dev');
+
+      const output = consoleOutput.join('\n');
+      expect(output).toContain("Captured into 'dev'");
+      expect(output).toContain('TOKEN=eyJh... (27 chars)');
+      expect(output).toContain('ID=*** (2 chars)');
+      expect(output).toContain('PIN=*** (3 chars)');
+      expect(output).not.toMatch(/secret|abc/);
+    });
+
+    it('should note values were not saved without env', () => {
+      printer.printCaptureResults({ TOKEN: 'abc' }, [], null);
+
+      expect(consoleOutput.join('\n')).toContain('not saved');
+    });
+
+    it('should warn about missing captures', () => {
+      printer.printCaptureResults({}, [{ name: 'ETAG', path: 'header.etag' }], 'dev');
+
+      expect(consoleOutput.join('\n')).toContain("Could not capture ETAG, 'header.etag' not found");
+    });
+  });
+
+  describe('printRequestLog()', () => {
+    it('should print method, path, status, duration and name', () => {
+      printer.printRequestLog({ method: 'GET', path: '/users/7', status: 200, durationMs: 12, name: 'get-user' });
+
+      expect(consoleOutput[0]).toContain('GET /users/7 ==> 200 (12ms)');
+      expect(consoleOutput[0]).toContain('get-user');
+    });
+
+    it('should leave the name out when there is none', () => {
+      printer.printRequestLog({ method: 'POST', path: '/missing', status: 404, durationMs: 1 });
+
+      expect(consoleOutput[0]).toMatch(/POST \/missing ==> 404 \(1ms\)$/);
+    });
+  });
+
+  describe('printIncomingRequest()', () => {
+    const base = { method: 'POST', path: '/hooks', status: 200, durationMs: 3, name: '#ab12cd34' };
+
+    it('should print the log line, headers and pretty json body', () => {
+      printer.printIncomingRequest({ ...base, headers: { 'content-type': 'application/json' }, body: '{"type":"ping"}', bodyEncoding: 'utf-8' });
+
+      expect(consoleOutput[0]).toContain('POST /hooks ==> 200 (3ms)');
+      expect(consoleOutput[0]).toContain('#ab12cd34');
+      expect(consoleOutput[1]).toBe('  content-type: application/json');
+      expect(consoleOutput.join('\n')).toContain(prettyjson.render({ type: 'ping' }));
+    });
+
+    it('should show form posts as fields and text as is', () => {
+      printer.printIncomingRequest({ ...base, headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: 'a=1&b=two', bodyEncoding: 'utf-8' });
+      expect(consoleOutput.join('\n')).toContain(prettyjson.render({ a: '1', b: 'two' }));
+
+      consoleOutput = [];
+      printer.printIncomingRequest({ ...base, headers: {}, body: 'hello', bodyEncoding: 'utf-8' });
+      expect(consoleOutput).toContain('hello');
+    });
+
+    it('should not print binary bodies', () => {
+      printer.printIncomingRequest({ ...base, headers: {}, body: 'AQID', bodyEncoding: 'base64' });
+
+      expect(consoleOutput.join('\n')).toContain('<3 bytes of binary data>');
+    });
+  });
+
   describe('printTable()', () => {
     it('should create and print a table with headers and rows', () => {
       const headers = ['Name', 'Method', 'URL'];
@@ -0,0 +1,53 @@
+const { PassThrough } = require('stream');
+const prompt = require('../../src/core/prompt');
+
+describe('Prompt Module', () => {
+  let input;
+  let output;
+
+  beforeEach(() => {
+    input = new PassThrough();
+    output = new PassThrough();
+  });
+
+  describe('confirm()', () => {
+    it.each([['y'], ['yes'], ['YES']])('should resolve true for %s', async (answer) => {
+      const answered = prompt.confirm('Delete?', input, output);
+      input.write(`${answer}\n`);
+
+      await expect(answered).resolves.toBe(true);
+    });
+
+    it.each([['n'], [''], ['maybe']])('should resolve false for %j', async (answer) => {
+      const answered = prompt.confirm('Delete?', input, output);
+      input.write(`${answer}\n`);
+
+      await expect(answered).resolves.toBe(false);
+    });
+
+    it('should resolve false when input ends without an answer', async () => {
+      const answered = prompt.confirm('Delete?', input, output);
+      input.end();
+
+      await expect(answered).resolves.toBe(false);
+    });
+
+    it('should show the question with the default', async () => {
+      let shown = '';
+      output.on('data', chunk => { shown += chunk; });
+
+      const answered = prompt.confirm('Delete 3 entries?', input, output);
+      input.write('n\n');
+      await answered;
+
+      expect(shown).toContain('Delete 3 entries? [y/N] ');
+    });
+  });
+
+  describe('canPrompt()', () => {
+    it('should need a terminal', () => {
+      expect(prompt.canPrompt({ isTTY: true })).toBe(true);
+      expect(prompt.canPrompt({})).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const proxy = require('../../src/core/proxy');
+const { ValidationError, FileSystemError, NetworkError } = require('../../src/core/errors');
+
+const RECORDING_DIR = path.join(os.tmpdir(), '.api-ex-test-proxy-' + Date.now());
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+//request sent the way http clients talk to a forward proxy, full url as the path
+function sendViaProxy(proxyServer, method, url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: proxyServer.address().port,
+      method,
+      path: url,
+      headers: { Host: new URL(url).host, ...headers }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+//client that announces a body, sends part of it and hangs up
+function sendAborted(server, firstLine, host = '127.0.0.1') {
+  return new Promise(resolve => {
+    const socket = net.connect(server.address().port, '127.0.0.1', () => {
+      socket.write(`${firstLine}\r\nHost: ${host}\r\nContent-Length: 100\r\n\r\nabc`);
+      setTimeout(() => {
+        socket.destroy();
+        setTimeout(resolve, 50);
+      }, 20);
+    });
+  });
+}
+
+describe('Proxy Module', () => {
+  let upstream;
+  let upstreamUrl;
+  let received;
+
+  beforeAll(async () => {
+    fs.mkdirSync(RECORDING_DIR, { recursive: true });
+
+    upstream = await listen(http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+
+        if (req.url === '/logo.png') {
+          res.writeHead(200, { 'Content-Type': 'image/png' });
+          res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+          return;
+        }
+
+        res.writeHead(req.url === '/missing' ? 404 : 201, { 'Content-Type': 'application/json', 'X-Upstream': 'yes' });
+        res.end(JSON.stringify({ path: req.url }));
+      });
+    }));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+  });
+
+  afterAll(async () => {
+    await close(upstream);
+    fs.rmSync(RECORDING_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  describe('filterHeaders()', () => {
+    it('should drop hop-by-hop headers case-insensitively', () => {
+      expect(proxy.filterHeaders({ Connection: 'keep-alive', 'Proxy-Connection': 'keep-alive', Accept: '*/*' })).toEqual({ Accept: '*/*' });
+      expect(proxy.filterHeaders({ Host: 'a', Accept: '*/*' }, ['host'])).toEqual({ Accept: '*/*' });
+    });
+  });
+
+  describe('encodeBody() and decodeBody()', () => {
+    it('should keep text readable and base64 encode binary bodies', () => {
+      expect(proxy.encodeBody(Buffer.from('{"a":1}'), 'application/json; charset=utf-8')).toEqual({ body: '{"a":1}', bodyEncoding: 'utf-8' });
+      expect(proxy.encodeBody(Buffer.from([1, 2, 3]), 'image/png')).toEqual({ body: 'AQID', bodyEncoding: 'base64' });
+      expect(proxy.encodeBody(Buffer.alloc(0), 'image/png')).toEqual({ body: '', bodyEncoding: 'utf-8' });
+    });
+
+    it('should turn recorded bodies back into buffers', () => {
+      expect(proxy.decodeBody({ body: 'AQID', bodyEncoding: 'base64' })).toEqual(Buffer.from([1, 2, 3]));
+      expect(proxy.decodeBody({ body: 'hi', bodyEncoding: 'utf-8' }).toString()).toBe('hi');
+    });
+  });
+
+  describe('recordings', () => {
+    const exchange = (method, url, status) => ({ method, url, response: { status, headers: {}, body: '', bodyEncoding: 'utf-8' } });
+
+    it('should replace the exchange for the same method and url', () => {
+      const recording = proxy.createRecording();
+      proxy.addExchange(recording, exchange('GET', 'http://a/users?page=1', 200));
+      proxy.addExchange(recording, exchange('GET', 'http://a/users?page=1', 500));
+      proxy.addExchange(recording, exchange('GET', 'http://a/users?page=2', 200));
+
+      expect(recording.exchanges.map(e => [e.url, e.response.status])).toEqual([
+        ['http://a/users?page=1', 500],
+        ['http://a/users?page=2', 200]
+      ]);
+    });
+
+    it('should find exact urls first, then the same path', () => {
+      const recording = proxy.createRecording();
+      proxy.addExchange(recording, exchange('GET', 'http://a/users?page=1', 200));
+      proxy.addExchange(recording, exchange('GET', 'http://a/users?page=2', 201));
+
+      expect(proxy.findExchange(recording, 'GET', 'http://a/users?page=2').response.status).toBe(201);
+      expect(proxy.findExchange(recording, 'GET', 'http://a/users?page=9').response.status).toBe(200);
+      expect(proxy.findExchange(recording, 'POST', 'http://a/users')).toBeNull();
+    });
+
+    it('should write and load recordings', () => {
+      const file = path.join(RECORDING_DIR, 'nested', 'recording.json');
+      const recording = proxy.addExchange(proxy.createRecording(), exchange('GET', 'http://a/', 200));
+
+      proxy.writeRecording(recording, file);
+
+      expect(proxy.loadRecording(file)).toEqual(recording);
+    });
+
+    it('should only allow missing files when asked', () => {
+      const file = path.join(RECORDING_DIR, 'missing.json');
+
+      expect(proxy.loadRecording(file, { allowMissing: true })).toEqual({ version: 1, exchanges: [] });
+      expect(() => proxy.loadRecording(file)).toThrow(FileSystemError);
+    });
+
+    it('should reject files that are not recordings', () => {
+      const invalid = path.join(RECORDING_DIR, 'invalid.json');
+      const other = path.join(RECORDING_DIR, 'other.json');
+      fs.writeFileSync(invalid, '{');
+      fs.writeFileSync(other, '{"requests":[]}');
+
+      expect(() => proxy.loadRecording(invalid)).toThrow(ValidationError);
+      expect(() => proxy.loadRecording(other)).toThrow('is not an api-ex recording');
+    });
+  });
+
+  describe('toSavedRequest()', () => {
+    const exchange = {
+      method: 'POST',
+      url: 'https://api.example.com/v1/users?notify=true',
+      request: {
+        headers: { host: 'api.example.com', 'content-type': 'application/json', 'content-length': '9', authorization: 'Bearer abc' },
+        body: '{"a":"b"}',
+        bodyEncoding: 'utf-8'
+      }
+    };
+
+    it('should name the request after method and path and keep useful headers', () => {
+      expect(proxy.toSavedRequest(exchange, [])).toEqual({
+        name: 'post-v1-users',
+        method: 'POST',
+        url: 'https://api.example.com/v1/users?notify=true',
+        headers: ['content-type: application/json', 'authorization: {{AUTHORIZATION}}'],
+        data: '{"a":"b"}'
+      });
+    });
+
+    it('should save credentials as placeholders', () => {
+      const withSecrets = {
+        ...exchange,
+        request: {
+          ...exchange.request,
+          headers: { cookie: 'sid=s3cr3t', 'x-api-key': 'k3y', 'x-csrf-token': 't0k', 'x-session-id': 's1d', accept: 'application/json' }
+        }
+      };
+
+      const saved = proxy.toSavedRequest(withSecrets, []);
+
+      expect(saved.headers).toEqual([
+        'cookie: {{COOKIE}}',
+        'x-api-key: {{X_API_KEY}}',
+        'x-csrf-token: {{X_CSRF_TOKEN}}',
+        'x-session-id: {{X_SESSION_ID}}',
+        'accept: application/json'
+      ]);
+      expect(JSON.stringify(saved)).not.toMatch(/s3cr3t|k3y|t0k|s1d/);
+    });
+
+    it('should skip method and path that are already saved', () => {
+      const requests = [{ name: 'create-user', method: 'post', url: 'https://staging.example.com/v1/users' }];
+
+      expect(proxy.toSavedRequest(exchange, requests)).toBeNull();
+    });
+
+    it('should add a suffix when the name is taken', () => {
+      const requests = [{ name: 'post-v1-users', method: 'GET', url: 'https://api.example.com/other' }];
+
+      expect(proxy.toSavedRequest(exchange, requests).name).toBe('post-v1-users-2');
+    });
+
+    it('should not save binary bodies', () => {
+      const binary = { ...exchange, request: { headers: {}, body: 'AQID', bodyEncoding: 'base64' } };
+
+      expect(proxy.toSavedRequest(binary, []).data).toBe('');
+    });
+  });
+
+  describe('startProxyServer()', () => {
+    let server;
+    let events;
+
+    afterEach(async () => {
+      await close(server);
+    });
+
+    it('should forward requests and report the exchange', async () => {
+      events = [];
+      server = await proxy.startProxyServer({ port: 0, onExchange: info => events.push(info) });
+
+      const response = await sendViaProxy(server, 'POST', `${upstreamUrl}/users?x=1`, '{"name":"Ada"}', {
+        'Content-Type': 'application/json',
+        'Accept-Encoding': 'gzip',
+        'Proxy-Connection': 'keep-alive'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.headers['x-upstream']).toBe('yes');
+      expect(JSON.parse(response.body.toString())).toEqual({ path: '/users?x=1' });
+
+      expect(received[0]).toMatchObject({ method: 'POST', url: '/users?x=1', body: '{"name":"Ada"}' });
+      expect(received[0].headers['accept-encoding']).toBeUndefined();
+      expect(received[0].headers['proxy-connection']).toBeUndefined();
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ method: 'POST', url: `${upstreamUrl}/users?x=1`, status: 201, mode: 'forward', error: null });
+      expect(events[0].exchange).toMatchObject({
+        method: 'POST',
+        url: `${upstreamUrl}/users?x=1`,
+        request: { body: '{"name":"Ada"}', bodyEncoding: 'utf-8' },
+        response: { status: 201, body: '{"path":"/users?x=1"}', bodyEncoding: 'utf-8' }
+      });
+    });
+
+    it('should drop requests whose client hangs up mid-upload and keep serving', async () => {
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      events = [];
+      server = await proxy.startProxyServer({ port: 0, onExchange: info => events.push(info) });
+
+      await sendAborted(server, `POST ${upstreamUrl}/users HTTP/1.1`, new URL(upstreamUrl).host);
+      const response = await sendViaProxy(server, 'POST', `${upstreamUrl}/users`, '{}');
+
+      process.removeListener('unhandledRejection', unhandled);
+      expect(unhandled).not.toHaveBeenCalled();
+      expect(response.status).toBe(201);
+      expect(received).toHaveLength(1);
+      expect(events).toHaveLength(1);
+    });
+
+    it('should keep binary bodies intact', async () => {
+      events = [];
+      server = await proxy.startProxyServer({ port: 0, onExchange: info => events.push(info) });
+
+      const response = await sendViaProxy(server, 'GET', `${upstreamUrl}/logo.png`);
+
+      expect(response.body).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+      expect(events[0].exchange.response).toMatchObject({ body: 'iVBORw==', bodyEncoding: 'base64' });
+    });
+
+    it('should answer 502 when upstream is down', async () => {
+      events = [];
+      server = await proxy.startProxyServer({ port: 0, onExchange: info => events.push(info) });
+
+      const response = await sendViaProxy(server, 'GET', 'http://127.0.0.1:1/down');
+
+      expect(response.status).toBe(502);
+      expect(JSON.parse(response.body.toString()).error).toContain('GET http://127.0.0.1:1/down failed');
+      expect(events[0]).toMatchObject({ status: 502, mode: 'error', exchange: null });
+    });
+
+    it('should reject requests that were not sent through a proxy', async () => {
+      server = await proxy.startProxyServer({ port: 0 });
+
+      const response = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: '/users' }, resolve).on('error', reject);
+      });
+      response.resume();
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    it('should replay recorded exchanges without calling upstream', async () => {
+      const recording = proxy.createRecording();
+      proxy.addExchange(recording, {
+        method: 'GET',
+        url: `${upstreamUrl}/users/1`,
+        response: { status: 200, headers: { 'content-type': 'application/json', 'x-recorded': 'yes' }, body: '{"id":1}', bodyEncoding: 'utf-8' }
+      });
+      events = [];
+      server = await proxy.startProxyServer({ port: 0, replay: recording, onExchange: info => events.push(info) });
+
+      const hit = await sendViaProxy(server, 'GET', `${upstreamUrl}/users/1?fresh=1`);
+      const miss = await sendViaProxy(server, 'DELETE', `${upstreamUrl}/users/1`);
+
+      expect(hit.status).toBe(200);
+      expect(hit.headers['x-recorded']).toBe('yes');
+      expect(hit.body.toString()).toBe('{"id":1}');
+      expect(miss.status).toBe(502);
+      expect(JSON.parse(miss.body.toString()).error).toBe(`No recorded response for DELETE ${upstreamUrl}/users/1`);
+      expect(received).toEqual([]);
+      expect(events.map(event => [event.mode, event.status])).toEqual([['replay', 200], ['miss', 502]]);
+    });
+
+    it('should reject with NetworkError when the port is taken', async () => {
+      server = await proxy.startProxyServer({ port: 0 });
+      const port = server.address().port;
+
+      await expect(proxy.startProxyServer({ port })).rejects.toThrow(NetworkError);
+    });
+  });
+});
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const reporters = require('../../src/core/reporters');
+const printer = require('../../src/core/printer');
+
+jest.mock('../../src/core/printer');
+
+const passed = {
+  name: 'login', method: 'POST', url: 'http://a/login', status: 200, durationMs: 120,
+  response: { status: 200 },
+  assertions: [{ expression: 'status=200', passed: true, message: null }],
+  passed: true, skipped: false, error: null
+};
+
+const failed = {
+  name: 'me', method: 'GET', url: 'http://a/me?x=1&y=<2>', status: 500, durationMs: 30,
+  response: { status: 500 },
+  assertions: [
+    { expression: 'status=200', passed: false, message: 'status was 500' },
+    { expression: 'time < 100', passed: true, message: null }
+  ],
+  passed: false, skipped: false, error: null
+};
+
+const errored = {
+  name: 'down', method: 'GET', url: 'http://down', status: null, durationMs: null,
+  assertions: [], passed: false, skipped: false, error: 'Unable to reach http://down'
+};
+
+const skipped = {
+  name: 'later', method: 'GET', url: 'http://a/later', status: null, durationMs: null,
+  assertions: [], passed: false, skipped: true, error: null
+};
+
+const plain = {
+  name: 'health', method: 'GET', url: 'http://a/health', status: 200, durationMs: 5,
+  assertions: [], passed: true, skipped: false, error: null
+};
+
+describe('Reporters Module', () => {
+  let consoleOutput;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleOutput = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => consoleOutput.push(args.join(' ')));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('summarizeResults()', () => {
+    it('should count outcomes and total time', () => {
+      expect(reporters.summarizeResults([passed, failed, errored, skipped])).toEqual({
+        total: 4, passed: 1, failed: 1, errors: 1, skipped: 1, durationMs: 150
+      });
+    });
+  });
+
+  describe('toTestCases()', () => {
+    it('should create one case per assertion', () => {
+      const cases = reporters.toTestCases(failed);
+      expect(cases.map(c => c.name)).toEqual(['status=200', 'time < 100']);
+      expect(cases[0].failure).toBe('status was 500');
+      expect(cases[1].failure).toBeNull();
+    });
+
+    it('should create one case for requests without assertions', () => {
+      const cases = reporters.toTestCases(plain);
+      expect(cases).toHaveLength(1);
+      expect(cases[0].name).toBe('GET http://a/health');
+      expect(cases[0].passed).toBe(true);
+    });
+
+    it('should mark errors and skips', () => {
+      expect(reporters.toTestCases(errored)[0].error).toBe('Unable to reach http://down');
+      expect(reporters.toTestCases(skipped)[0].skipped).toBe(true);
+    });
+  });
+
+  describe('renderJunit()', () => {
+    it('should render suites, cases and counts', () => {
+      const xml = reporters.renderJunit([passed, failed, errored, skipped], 'suite');
+
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(xml).toContain('<testsuites name="suite" tests="5" failures="1" errors="1" time="0.150">');
+      expect(xml).toContain('<testsuite name="me" tests="2" failures="1" errors="0" skipped="0" time="0.030">');
+      expect(xml).toContain('<property name="status" value="500"/>');
+      expect(xml).toContain('<failure message="status was 500">');
+      expect(xml).toContain('<error message="Unable to reach http://down"/>');
+      expect(xml).toContain('<skipped/>');
+    });
+
+    it('should escape xml characters', () => {
+      const xml = reporters.renderJunit([failed], 'suite');
+      expect(xml).toContain('http://a/me?x=1&amp;y=&lt;2&gt;');
+    });
+  });
+
+  describe('renderTap()', () => {
+    it('should render plan and ok/not ok lines', () => {
+      const tap = reporters.renderTap([passed, failed, skipped]).split('\n');
+
+      expect(tap[0]).toBe('TAP version 13');
+      expect(tap[1]).toBe('1..4');
+      expect(tap[2]).toBe('ok 1 - login: status=200');
+      expect(tap[3]).toBe('not ok 2 - me: status=200');
+      expect(tap).toContain('  message: "status was 500"');
+      expect(tap).toContain('  status: 500');
+      expect(tap).toContain('ok 3 - me: time < 100');
+      expect(tap).toContain('ok 4 - later: GET http://a/later # SKIP');
+    });
+  });
+
+  describe('renderJson()', () => {
+    it('should render summary and results without responses', () => {
+      const report = JSON.parse(reporters.renderJson([passed, errored]));
+
+      expect(report.summary.total).toBe(2);
+      expect(report.results[0]).toEqual({
+        name: 'login', method: 'POST', url: 'http://a/login', status: 200, durationMs: 120,
+        passed: true, skipped: false, error: null,
+        assertions: [{ expression: 'status=200', passed: true, message: null }]
+      });
+      expect(report.results[1].error).toBe('Unable to reach http://down');
+    });
+
+    it('should include iteration and row for data-driven runs', () => {
+      const report = JSON.parse(reporters.renderJson([{ ...passed, iteration: 1, row: { id: '1' } }]));
+
+      expect(report.results[0]).toEqual(expect.objectContaining({ iteration: 1, row: { id: '1' } }));
+    });
+  });
+
+  describe('getReporter()', () => {
+    it('should default to cli', () => {
+      expect(reporters.getReporter().name).toBe('cli');
+    });
+
+    it('should return machine reporters by name', () => {
+      expect(reporters.getReporter('junit').onEnd([plain])).toContain('<testsuites name="api-ex"');
+      expect(reporters.getReporter('tap').onEnd([plain])).toContain('TAP version 13');
+      expect(JSON.parse(reporters.getReporter('json').onEnd([plain])).summary.passed).toBe(1);
+    });
+
+    it('should throw ValidationError for unknown names', () => {
+      expect(() => reporters.getReporter('html')).toThrow("Unknown reporter 'html'. Valid reporters: cli, junit, tap, json.");
+    });
+  });
+
+  describe('cli reporter', () => {
+    it('should print a line per result and failed assertions', () => {
+      const cli = reporters.getReporter('cli');
+      cli.onResult(passed);
+      cli.onResult(failed);
+      cli.onResult(errored);
+
+      const output = consoleOutput.join('\n');
+      expect(output).toContain('✓ login');
+      expect(output).toContain('POST http://a/login ==> 200 (120ms)');
+      expect(output).toContain('✗ me');
+      expect(output).toContain('    ✗ status=200 (status was 500)');
+      expect(output).toContain('✗ down: Unable to reach http://down');
+    });
+
+    it('should print full responses in verbose mode', () => {
+      reporters.getReporter('cli', { verbose: true }).onResult(passed);
+
+      expect(printer.printSuccess).toHaveBeenCalledWith(passed.response, 'POST', 'http://a/login');
+      expect(printer.printAssertionResults).toHaveBeenCalledWith(passed.assertions);
+    });
+
+    it('should print a summary table on end', () => {
+      const output = reporters.getReporter('cli').onEnd([passed, skipped]);
+
+      expect(output).toBeNull();
+      expect(printer.printTable).toHaveBeenCalledWith(
+        ['Name', 'Method', 'Status', 'Time', 'Result'],
+        expect.any(Array)
+      );
+      expect(consoleOutput.join('\n')).toContain('1 passed, 0 failed, 0 error(s), 1 skipped (120ms)');
+    });
+  });
+
+  describe('cli reporter iterations', () => {
+    it('should print one table row per iteration with its data', () => {
+      const iteration = (number, row, result) => ({ ...result, name: `login #${number}`, iteration: number, row });
+
+      reporters.getReporter('cli').onEnd([
+        iteration(1, { user: 'ada', password: 'a-very-long-password-for-the-table' }, passed),
+        iteration(2, {}, failed)
+      ]);
+
+      expect(printer.printTable).toHaveBeenCalledWith(
+        ['#', 'Data', 'Status', 'Time', 'Result'],
+        [
+          ['1', 'user=ada, password=a-very-long-passwo...', '200', '120ms', 'PASS'],
+          ['2', '-', '500', '30ms', 'FAIL']
+        ]
+      );
+    });
+  });
+
+  describe('resolveReporters()', () => {
+    it('should use cli for console only by default', () => {
+      const resolved = reporters.resolveReporters({});
+      expect(resolved.console.name).toBe('cli');
+      expect(resolved.report).toBeNull();
+    });
+
+    it('should replace console output with report to stdout', () => {
+      const resolved = reporters.resolveReporters({ reporter: 'tap' });
+      expect(resolved.console).toBeNull();
+      expect(resolved.report.name).toBe('tap');
+    });
+
+    it('should keep console output when writing report to a file', () => {
+      const resolved = reporters.resolveReporters({ reporter: 'junit', reportFile: 'out.xml' });
+      expect(resolved.console.name).toBe('cli');
+      expect(resolved.report.name).toBe('junit');
+    });
+  });
+
+  describe('writeReport()', () => {
+    const reportDir = path.join(os.tmpdir(), '.api-ex-test-write-report-' + Date.now());
+
+    afterAll(() => {
+      fs.rmSync(reportDir, { recursive: true, force: true });
+    });
+
+    it('should print to stdout without a file', () => {
+      reporters.writeReport(reporters.getReporter('tap'), [plain]);
+      expect(consoleOutput[0]).toContain('TAP version 13');
+    });
+
+    it('should create directories and write the file', () => {
+      const file = path.join(reportDir, 'nested', 'report.json');
+      reporters.writeReport(reporters.getReporter('json'), [plain], file);
+
+      expect(JSON.parse(fs.readFileSync(file, 'utf-8')).summary.total).toBe(1);
+    });
+
+    it('should throw FileSystemError when file cannot be written', () => {
+      const file = path.join(reportDir, 'blocker');
+      fs.mkdirSync(reportDir, { recursive: true });
+      fs.writeFileSync(file, 'x');
+
+      expect(() => reporters.writeReport(reporters.getReporter('json'), [plain], path.join(file, 'r.json')))
+        .toThrow("Could not write report to");
+    });
+  });
+});
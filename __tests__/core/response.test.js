@@ -0,0 +1,69 @@
+const { getHeader, getResponseValue, isResponsePath } = require('../../src/core/response');
+
+const response = {
+  status: 201,
+  statusText: 'Created',
+  headers: { 'content-type': 'application/json', etag: 'W/"abc"' },
+  data: { access_token: 'tok', list: [{ name: 'a' }] },
+  durationMs: 42
+};
+
+describe('Response Module', () => {
+  describe('getHeader()', () => {
+    it('should find header regardless of case', () => {
+      expect(getHeader(response.headers, 'Content-Type')).toBe('application/json');
+      expect(getHeader(response.headers, 'ETAG')).toBe('W/"abc"');
+    });
+
+    it('should return undefined for missing header or headers', () => {
+      expect(getHeader(response.headers, 'x-missing')).toBeUndefined();
+      expect(getHeader(undefined, 'etag')).toBeUndefined();
+    });
+  });
+
+  describe('getResponseValue()', () => {
+    it('should read status, statusText and time', () => {
+      expect(getResponseValue(response, 'status')).toBe(201);
+      expect(getResponseValue(response, 'statusText')).toBe('Created');
+      expect(getResponseValue(response, 'time')).toBe(42);
+      expect(getResponseValue(response, 'durationMs')).toBe(42);
+    });
+
+    it('should read headers', () => {
+      expect(getResponseValue(response, 'header.etag')).toBe('W/"abc"');
+      expect(getResponseValue(response, 'headers')).toBe(response.headers);
+    });
+
+    it('should read body paths', () => {
+      expect(getResponseValue(response, 'body.access_token')).toBe('tok');
+      expect(getResponseValue(response, 'body.list[0].name')).toBe('a');
+      expect(getResponseValue(response, 'body')).toBe(response.data);
+    });
+
+    it('should parse string bodies as json', () => {
+      const textResponse = { ...response, data: '{"id": 5}' };
+      expect(getResponseValue(textResponse, 'body.id')).toBe(5);
+    });
+
+    it('should return undefined for missing paths', () => {
+      expect(getResponseValue(response, 'body.nope.deeper')).toBeUndefined();
+      expect(getResponseValue({ ...response, data: 'plain' }, 'body.id')).toBeUndefined();
+      expect(getResponseValue(response, 'unknown')).toBeUndefined();
+      expect(getResponseValue(null, 'status')).toBeUndefined();
+    });
+  });
+
+  describe('isResponsePath()', () => {
+    it('should accept known sources', () => {
+      expect(isResponsePath('status')).toBe(true);
+      expect(isResponsePath('body.a.b')).toBe(true);
+      expect(isResponsePath('header.etag')).toBe(true);
+    });
+
+    it('should reject unknown sources', () => {
+      expect(isResponsePath('foo.bar')).toBe(false);
+      expect(isResponsePath('')).toBe(false);
+      expect(isResponsePath(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,390 @@
+const runner = require('../../src/core/runner');
+const http = require('../../src/core/http');
+const history = require('../../src/core/history');
+const capture = require('../../src/core/capture');
+const { createContract } = require('../../src/core/contract');
+
+jest.mock('../../src/core/http');
+jest.mock('../../src/core/history');
+jest.mock('../../src/core/printer');
+jest.mock('../../src/core/capture', () => ({
+  ...jest.requireActual('../../src/core/capture'),
+  saveCaptures: jest.fn()
+}));
+
+const okResponse = (data = {}) => ({
+  status: 200,
+  statusText: 'OK',
+  headers: {},
+  data: data,
+  durationMs: 10
+});
+
+describe('Runner Module', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('parseHeaderList()', () => {
+    it('should turn header strings into an object', () => {
+      expect(runner.parseHeaderList(['Accept: json', 'X-Time: 12:00'])).toEqual({
+        Accept: 'json',
+        'X-Time': '12:00'
+      });
+    });
+
+    it('should skip entries without a colon', () => {
+      expect(runner.parseHeaderList(['bad'])).toEqual({});
+    });
+  });
+
+  describe('buildRequestConfig()', () => {
+    it('should build config from a saved request', () => {
+      expect(runner.buildRequestConfig({
+        name: 'x',
+        method: 'POST',
+        url: 'http://a',
+        headers: ['A: 1'],
+        data: '{}'
+      })).toEqual({ method: 'POST', url: 'http://a', headers: { A: '1' }, data: '{}' });
+    });
+
+    it('should handle missing headers', () => {
+      expect(runner.buildRequestConfig({ method: 'GET', url: 'http://a' }).headers).toEqual({});
+    });
+
+    it('should pass saved auth on', () => {
+      const auth = { type: 'bearer', token: '{{TOKEN}}' };
+
+      expect(runner.buildRequestConfig({ method: 'GET', url: 'http://a', auth }).auth).toBe(auth);
+      expect(runner.buildRequestConfig({ method: 'GET', url: 'http://a' })).not.toHaveProperty('auth');
+    });
+  });
+
+  describe('runSavedRequest()', () => {
+    it('should send, record history and pass with no assertions', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a' }, { envName: 'dev' });
+
+      expect(result.passed).toBe(true);
+      expect(result.status).toBe(200);
+      expect(result.durationMs).toBe(10);
+      expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({ url: 'http://a', env: 'dev' }));
+      expect(history.recordHistory).toHaveBeenCalledWith(expect.objectContaining({
+        savedRequestName: 'a',
+        env: 'dev'
+      }));
+    });
+
+    it('should interpolate with variables', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      const result = await runner.runSavedRequest(
+        { name: 'a', method: 'GET', url: '{{BASE}}/users', headers: ['Authorization: Bearer {{TOKEN}}'] },
+        { variables: { BASE: 'http://api', TOKEN: 't1' } }
+      );
+
+      expect(http.sendRequest).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'http://api/users',
+        headers: { Authorization: 'Bearer t1' }
+      }));
+      expect(result.url).toBe('http://api/users');
+    });
+
+    it('should fail when a saved assertion fails', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      const result = await runner.runSavedRequest({
+        name: 'a', method: 'GET', url: 'http://a', expect: ['status=201']
+      });
+
+      expect(result.passed).toBe(false);
+      expect(result.assertions[0].passed).toBe(false);
+      expect(result.error).toBeNull();
+    });
+
+    it('should extract saved captures', async () => {
+      http.sendRequest.mockResolvedValue(okResponse({ token: 'abc' }));
+
+      const result = await runner.runSavedRequest({
+        name: 'login', method: 'POST', url: 'http://a', capture: ['TOKEN=body.token']
+      });
+
+      expect(result.captured).toEqual({ TOKEN: 'abc' });
+    });
+
+    it('should add openapi contract results to the assertions', async () => {
+      http.sendRequest.mockResolvedValue({ ...okResponse({ id: 'x' }), headers: { 'content-type': 'application/json' } });
+      const contract = createContract({
+        openapi: '3.0.0',
+        paths: {
+          '/users/{id}': {
+            get: { responses: { 200: { content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'integer' } } } } } } } }
+          }
+        }
+      });
+
+      const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a/users/1' }, { contract });
+
+      expect(result.passed).toBe(false);
+      expect(result.assertions[result.assertions.length - 1]).toEqual({
+        expression: 'openapi body #/id', passed: false, actual: null, message: 'must be integer'
+      });
+    });
+
+    it('should validate against the saved schema', async () => {
+      const schemaFile = require('path').join(require('os').tmpdir(), `api-ex-runner-schema-${Date.now()}.json`);
+      require('fs').writeFileSync(schemaFile, JSON.stringify({ type: 'object', required: ['id'] }));
+      http.sendRequest.mockResolvedValue(okResponse({}));
+
+      try {
+        const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a', schema: schemaFile });
+
+        expect(result.passed).toBe(false);
+        expect(result.assertions).toEqual([{ expression: 'schema #/id', passed: false, actual: null, message: 'is required' }]);
+      } finally {
+        require('fs').unlinkSync(schemaFile);
+      }
+    });
+
+    it('should report missing saved schemas as errors', async () => {
+      const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a', schema: '/missing/schema.json' });
+
+      expect(result.error).toContain('Could not read schema');
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+
+    it('should record errors instead of throwing', async () => {
+      http.sendRequest.mockRejectedValue(new Error('Unable to reach http://a'));
+
+      const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a' });
+
+      expect(result.passed).toBe(false);
+      expect(result.error).toBe('Unable to reach http://a');
+      expect(history.recordHistory).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid saved assertions as errors', async () => {
+      const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a', expect: ['bad'] });
+
+      expect(result.error).toContain('Invalid assertion');
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('scripts', () => {
+    const fs = require('fs');
+    const scriptFile = (name, source) => {
+      const file = require('path').join(require('os').tmpdir(), `api-ex-runner-${name}-${Date.now()}.js`);
+      fs.writeFileSync(file, source);
+      return file;
+    };
+
+    let preScript, postScript, brokenScript;
+
+    beforeAll(() => {
+      preScript = scriptFile('pre', "env.set('SIG', 'signed-' + env.get('KEY')); req.headers['X-Sig'] = '{{SIG}}';");
+      postScript = scriptFile('post', "expect(res.status).toBe(201); env.set('ID', res.body.id);");
+      brokenScript = scriptFile('broken', "throw new Error('boom');");
+    });
+
+    afterAll(() => {
+      [preScript, postScript, brokenScript].forEach(file => fs.unlinkSync(file));
+    });
+
+    it('should run the pre-request script before interpolation', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      const result = await runner.runSavedRequest(
+        { name: 'a', method: 'GET', url: 'http://a', preScript: preScript },
+        { variables: { KEY: 'k' } }
+      );
+
+      expect(http.sendRequest.mock.calls[0][0].headers).toEqual({ 'X-Sig': 'signed-k' });
+      expect(result.captured).toEqual({ SIG: 'signed-k' });
+    });
+
+    it('should add post-response expect() results and values to the result', async () => {
+      http.sendRequest.mockResolvedValue(okResponse({ id: 9 }));
+
+      const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a', postScript: postScript });
+
+      expect(result.passed).toBe(false);
+      expect(result.assertions).toEqual([
+        { expression: 'script: expect 200 toBe 201', passed: false, actual: 200, message: 'got 200' }
+      ]);
+      expect(result.captured).toEqual({ ID: '9' });
+    });
+
+    it('should fail the request when the post-response script throws', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a', postScript: brokenScript });
+
+      expect(result.error).toBeNull();
+      expect(result.assertions[0]).toEqual(expect.objectContaining({ expression: 'post-response script', passed: false }));
+      expect(result.assertions[0].message).toContain('boom');
+    });
+
+    it('should record pre-request script errors without sending', async () => {
+      const result = await runner.runSavedRequest({ name: 'a', method: 'GET', url: 'http://a', preScript: brokenScript });
+
+      expect(result.error).toContain('boom');
+      expect(http.sendRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runCollection()', () => {
+    const login = { name: 'login', method: 'POST', url: 'http://a/login', capture: ['TOKEN=body.token'] };
+    const me = { name: 'me', method: 'GET', url: 'http://a/me', headers: ['Authorization: Bearer {{TOKEN}}'], expect: ['status=200'] };
+
+    it('should run requests in order and carry captures', async () => {
+      http.sendRequest
+        .mockResolvedValueOnce(okResponse({ token: 'abc' }))
+        .mockResolvedValueOnce(okResponse());
+
+      const results = await runner.runCollection([login, me], { variables: {} });
+
+      expect(results.map(r => r.name)).toEqual(['login', 'me']);
+      expect(http.sendRequest.mock.calls[1][0].headers).toEqual({ Authorization: 'Bearer abc' });
+      expect(capture.saveCaptures).not.toHaveBeenCalled();
+    });
+
+    it('should save captures into env when envName given', async () => {
+      http.sendRequest
+        .mockResolvedValueOnce(okResponse({ token: 'abc' }))
+        .mockResolvedValueOnce(okResponse());
+
+      await runner.runCollection([login, me], { variables: {}, envName: 'dev' });
+
+      expect(capture.saveCaptures).toHaveBeenCalledWith('dev', { TOKEN: 'abc' });
+    });
+
+    it('should not mutate the given variables', async () => {
+      http.sendRequest.mockResolvedValue(okResponse({ token: 'abc' }));
+      const variables = { BASE: 'x' };
+
+      await runner.runCollection([login], { variables });
+
+      expect(variables).toEqual({ BASE: 'x' });
+    });
+
+    it('should continue after failures by default', async () => {
+      http.sendRequest
+        .mockResolvedValueOnce({ ...okResponse(), status: 500 })
+        .mockResolvedValueOnce(okResponse());
+
+      const results = await runner.runCollection([me, me]);
+
+      expect(results.map(r => r.passed)).toEqual([false, true]);
+    });
+
+    it('should skip the rest after a failure with bail', async () => {
+      http.sendRequest.mockResolvedValue({ ...okResponse(), status: 500 });
+
+      const results = await runner.runCollection([me, login, me], { bail: true });
+
+      expect(http.sendRequest).toHaveBeenCalledTimes(1);
+      expect(results.map(r => r.skipped)).toEqual([false, true, true]);
+    });
+
+    it('should call onResult for each executed request', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+      const onResult = jest.fn();
+
+      await runner.runCollection([me, me], { onResult });
+
+      expect(onResult).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('runIterations()', () => {
+    const getUser = { name: 'get-user', method: 'GET', url: 'http://a/users/{{id}}', expect: ['status=200'] };
+
+    it('should run once per row with row values over the env variables', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      const results = await runner.runIterations(
+        { ...getUser, headers: ['X-Env: {{STAGE}}', 'X-Id: {{id}}'] },
+        [{ id: '1' }, { id: '2', STAGE: 'row' }],
+        { variables: { STAGE: 'dev', id: 'env' } }
+      );
+
+      expect(http.sendRequest.mock.calls.map(call => call[0].url)).toEqual(['http://a/users/1', 'http://a/users/2']);
+      expect(http.sendRequest.mock.calls[1][0].headers).toEqual({ 'X-Env': 'row', 'X-Id': '2' });
+      expect(results.map(r => [r.name, r.iteration, r.row])).toEqual([
+        ['get-user #1', 1, { id: '1' }],
+        ['get-user #2', 2, { id: '2', STAGE: 'row' }]
+      ]);
+    });
+
+    it('should repeat rows when there are more iterations than rows', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      const results = await runner.runIterations(getUser, [{ id: '1' }, { id: '2' }], { iterations: 3 });
+
+      expect(results.map(r => r.url)).toEqual(['http://a/users/1', 'http://a/users/2', 'http://a/users/1']);
+    });
+
+    it('should run without rows when only iterations are given', async () => {
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      const results = await runner.runIterations({ name: 'ping', method: 'GET', url: 'http://a' }, [], { iterations: 2 });
+
+      expect(results).toHaveLength(2);
+      expect(results[1].row).toEqual({});
+    });
+
+    it('should skip the remaining iterations with bail', async () => {
+      http.sendRequest
+        .mockResolvedValueOnce({ ...okResponse(), status: 500 })
+        .mockResolvedValue(okResponse());
+
+      const onResult = jest.fn();
+      const results = await runner.runIterations(getUser, [{ id: '1' }, { id: '2' }], { bail: true, onResult });
+
+      expect(http.sendRequest).toHaveBeenCalledTimes(1);
+      expect(results[1]).toEqual(expect.objectContaining({ name: 'get-user #2', skipped: true, row: { id: '2' } }));
+      expect(onResult).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait between iterations', async () => {
+      jest.useFakeTimers();
+      http.sendRequest.mockResolvedValue(okResponse());
+
+      try {
+        const running = runner.runIterations(getUser, [{ id: '1' }, { id: '2' }], { delayMs: 1000 });
+
+        await jest.advanceTimersByTimeAsync(999);
+        expect(http.sendRequest).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(1);
+        await running;
+        expect(http.sendRequest).toHaveBeenCalledTimes(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should carry captures to later iterations and save them', async () => {
+      http.sendRequest
+        .mockResolvedValueOnce(okResponse({ token: 'abc' }))
+        .mockResolvedValue(okResponse());
+
+      await runner.runIterations(
+        { name: 'a', method: 'GET', url: 'http://a/{{TOKEN}}', capture: ['TOKEN=body.token'] },
+        [{}, {}],
+        { variables: { TOKEN: 'none' }, envName: 'dev' }
+      );
+
+      expect(http.sendRequest.mock.calls[1][0].url).toBe('http://a/abc');
+      expect(capture.saveCaptures).toHaveBeenCalledWith('dev', { TOKEN: 'abc' });
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const schema = require('../../src/core/schema');
+
+const SCHEMA_DIR = path.join(os.tmpdir(), '.api-ex-test-schema-' + Date.now());
+
+function writeSchema(name, content) {
+  const file = path.join(SCHEMA_DIR, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+describe('Schema Module', () => {
+  describe('detectDialect()', () => {
+    it('should default to draft-07', () => {
+      expect(schema.detectDialect({})).toBe('draft-07');
+      expect(schema.detectDialect({ $schema: 'http://json-schema.org/draft-07/schema#' })).toBe('draft-07');
+    });
+
+    it('should detect 2020-12', () => {
+      expect(schema.detectDialect({ $schema: 'https://json-schema.org/draft/2020-12/schema' })).toBe('2020-12');
+    });
+  });
+
+  describe('createAjv()', () => {
+    it('should support formats and ignore unknown keywords', () => {
+      const validate = schema.createAjv().compile({ type: 'string', format: 'email', example: 'a@b.c' });
+
+      expect(validate('a@b.c')).toBe(true);
+      expect(validate('nope')).toBe(false);
+    });
+  });
+
+  describe('toSchemaErrors()', () => {
+    it('should point at missing and extra properties', () => {
+      const validate = schema.createAjv().compile({
+        type: 'object',
+        required: ['a~b'],
+        properties: { list: { type: 'array', items: { type: 'integer' } } },
+        additionalProperties: false
+      });
+
+      validate({ list: [1, 'x'], 'x/y': 1 });
+
+      expect(schema.toSchemaErrors(validate.errors)).toEqual([
+        { pointer: '#/a~0b', message: 'is required' },
+        { pointer: '#/x~1y', message: 'is not allowed' },
+        { pointer: '#/list/1', message: 'must be integer' }
+      ]);
+    });
+  });
+
+  describe('loadSchemaFile()', () => {
+    beforeAll(() => {
+      writeSchema('defs/address.json', {
+        type: 'object',
+        required: ['city'],
+        properties: { city: { type: 'string' }, zip: { $ref: '#/definitions/zip' } },
+        definitions: { zip: { type: 'string', pattern: '^[0-9]{5}$' } }
+      });
+      writeSchema('user.json', {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        required: ['id'],
+        properties: { id: { type: 'integer' }, address: { $ref: 'defs/address.json' } }
+      });
+      writeSchema('list.json', {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'array',
+        prefixItems: [{ type: 'string' }],
+        items: { $ref: './defs/address.json' }
+      });
+      writeSchema('hosted.json', {
+        $id: 'https://schemas.example.com/hosted.json',
+        properties: { address: { $ref: 'defs/address.json' } }
+      });
+      writeSchema('remote.json', { properties: { a: { $ref: 'https://other.example.com/a.json' } } });
+      writeSchema('broken.json', '{ nope');
+      writeSchema('invalid.json', { type: 'not-a-type' });
+    });
+
+    afterAll(() => {
+      fs.rmSync(SCHEMA_DIR, { recursive: true, force: true });
+    });
+
+    it('should resolve $ref to local files (draft-07)', async () => {
+      const validate = await schema.loadSchemaFile(path.join(SCHEMA_DIR, 'user.json'));
+
+      expect(validate({ id: 1, address: { city: 'Oslo', zip: '12345' } })).toBe(true);
+      expect(validate({ id: 1, address: { zip: '1' } })).toBe(false);
+      expect(schema.toSchemaErrors(validate.errors).map(e => e.pointer)).toEqual(['#/address/city', '#/address/zip']);
+    });
+
+    it('should use 2020-12 when the schema declares it', async () => {
+      const validate = await schema.loadSchemaFile(path.join(SCHEMA_DIR, 'list.json'));
+
+      expect(validate(['head', { city: 'Oslo' }])).toBe(true);
+      expect(validate([1, {}])).toBe(false);
+    });
+
+    it('should find files next to schemas with an http $id', async () => {
+      const validate = await schema.loadSchemaFile(path.join(SCHEMA_DIR, 'hosted.json'));
+
+      expect(validate({ address: {} })).toBe(false);
+    });
+
+    it('should reject remote refs, missing files and bad schemas', async () => {
+      await expect(schema.loadSchemaFile(path.join(SCHEMA_DIR, 'remote.json'))).rejects.toThrow('only local schema files are supported');
+      await expect(schema.loadSchemaFile(path.join(SCHEMA_DIR, 'missing.json'))).rejects.toThrow('Could not read schema');
+      await expect(schema.loadSchemaFile(path.join(SCHEMA_DIR, 'broken.json'))).rejects.toThrow('is not valid JSON');
+      await expect(schema.loadSchemaFile(path.join(SCHEMA_DIR, 'invalid.json'))).rejects.toThrow('Invalid JSON Schema');
+    });
+  });
+
+  describe('validateBody()', () => {
+    const validate = schema.createAjv().compile({ type: 'object', required: ['id'] });
+
+    it('should pass with one result naming the schema', () => {
+      expect(schema.validateBody(validate, '{"id":1}', 'user.json')).toEqual([
+        { expression: 'schema user.json', passed: true, actual: null, message: null }
+      ]);
+    });
+
+    it('should return one failed result per violation', () => {
+      expect(schema.validateBody(validate, {}, 'user.json')).toEqual([
+        { expression: 'schema #/id', passed: false, actual: null, message: 'is required' }
+      ]);
+      expect(schema.validateBody(validate, 'plain text', 'user.json')[0].message).toBe('must be object');
+    });
+  });
+});
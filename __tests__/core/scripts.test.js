@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scripts = require('../../src/core/scripts');
+const { ScriptError, ValidationError, FileSystemError } = require('../../src/core/errors');
+
+const SCRIPT_DIR = path.join(os.tmpdir(), '.api-ex-test-scripts-' + Date.now());
+
+function writeScript(name, source) {
+  const file = path.join(SCRIPT_DIR, name);
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+function run(source, context, options) {
+  return scripts.runScript(scripts.loadScript(writeScript('script.js', source)), context, options);
+}
+
+describe('Scripts Module', () => {
+  beforeAll(() => {
+    fs.mkdirSync(SCRIPT_DIR, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(SCRIPT_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('loadScript()', () => {
+    it('should throw FileSystemError for missing files', () => {
+      expect(() => scripts.loadScript(path.join(SCRIPT_DIR, 'missing.js'))).toThrow(FileSystemError);
+    });
+
+    it('should throw ValidationError for syntax errors', () => {
+      const file = writeScript('broken.js', 'req.headers[ = 1;');
+
+      expect(() => scripts.loadScript(file)).toThrow(ValidationError);
+      expect(() => scripts.loadScript(file)).toThrow('has a syntax error');
+    });
+  });
+
+  describe('runScript() before the request', () => {
+    const request = { method: 'POST', url: 'https://api.example.com/orders', headers: { Accept: 'application/json' }, data: '{"id":1}' };
+
+    it('should let the script change the request', () => {
+      const { request: changed } = run(`
+        req.method = 'put';
+        req.url += '?v=2';
+        req.headers['X-Count'] = 3;
+        delete req.headers.Accept;
+        req.data = JSON.stringify({ id: 2 });
+      `, { request });
+
+      expect(changed).toEqual({
+        method: 'PUT',
+        url: 'https://api.example.com/orders?v=2',
+        headers: { 'X-Count': '3' },
+        data: '{"id":2}'
+      });
+      expect(request.headers.Accept).toBe('application/json');
+    });
+
+    it('should keep auth, and let the script change it', () => {
+      const withAuth = { ...request, auth: { type: 'bearer', token: '{{TOKEN}}' } };
+
+      expect(run('', { request: withAuth }).request.auth).toEqual({ type: 'bearer', token: '{{TOKEN}}' });
+      expect(run("req.auth.token = 'fixed';", { request: withAuth }).request.auth).toEqual({ type: 'bearer', token: 'fixed' });
+      expect(run('delete req.auth;', { request: withAuth }).request).not.toHaveProperty('auth');
+    });
+
+    it('should read variables and return only the ones it set', () => {
+      const { variables } = run(`
+        env.set('GREETING', env.get('NAME') ? 'hi ' + env.get('NAME') : 'nobody');
+        env.set('EMPTY', null);
+        env.set('HAS_TOKEN', env.has('TOKEN'));
+      `, { request, variables: { NAME: 'ada' } });
+
+      expect(variables).toEqual({ GREETING: 'hi ada', EMPTY: '', HAS_TOKEN: 'false' });
+    });
+
+    it('should interpolate with env.replace, including values set by the script', () => {
+      const { request: changed } = run(`
+        env.set('TS', '1700000000');
+        req.headers['X-Signature'] = crypto.hmac('sha256', env.get('SECRET'), env.replace(req.url) + env.get('TS'));
+      `, { request: { ...request, url: '{{BASE}}/orders' }, variables: { BASE: 'https://api.example.com', SECRET: 'k' } });
+
+      const expected = require('crypto').createHmac('sha256', 'k').update('https://api.example.com/orders1700000000').digest('hex');
+      expect(changed.headers['X-Signature']).toBe(expected);
+    });
+
+    it('should provide crypto helpers', () => {
+      const { variables } = run(`
+        env.set('SHA', crypto.hash('sha256', 'abc'));
+        env.set('HMAC_B64', crypto.hmac('sha1', 'key', 'data', 'base64'));
+        env.set('UUID', crypto.uuid());
+        env.set('HEX', crypto.randomHex(4));
+        env.set('B64', crypto.base64('user:pass'));
+        env.set('PLAIN', crypto.fromBase64('dXNlcjpwYXNz'));
+      `, { request });
+
+      expect(variables.SHA).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+      expect(variables.HMAC_B64).toBe('EEFSxb/coHvGM+69RhmfAlXJ9J0=');
+      expect(variables.UUID).toMatch(/^[0-9a-f-]{36}$/);
+      expect(variables.HEX).toMatch(/^[0-9a-f]{8}$/);
+      expect(variables.B64).toBe('dXNlcjpwYXNz');
+      expect(variables.PLAIN).toBe('user:pass');
+    });
+
+    it('should send console output to onLog', () => {
+      const lines = [];
+      run('console.log("body", { a: 1 }, 2);', { request }, { onLog: line => lines.push(line) });
+
+      expect(lines).toEqual(['body {"a":1} 2']);
+    });
+
+    it('should finish promise callbacks before returning', () => {
+      const { variables } = run('Promise.resolve(1).then(value => env.set("DONE", value));', {});
+
+      expect(variables).toEqual({ DONE: '1' });
+    });
+
+    it('should not expose node globals', () => {
+      const { variables } = run(`
+        env.set('REQUIRE', typeof require);
+        env.set('PROCESS', typeof process);
+      `, { request });
+
+      expect(variables).toEqual({ REQUIRE: 'undefined', PROCESS: 'undefined' });
+    });
+  });
+
+  describe('runScript() after the response', () => {
+    const response = {
+      status: 201,
+      statusText: 'Created',
+      headers: { 'Content-Type': 'application/json' },
+      data: '{"id":7,"tags":["a","b"]}',
+      durationMs: 42
+    };
+
+    it('should expose the response and record expect() results', () => {
+      const { assertions, variables } = run(`
+        expect(res.status).toBe(201);
+        expect(res.header('content-type')).toMatch('json');
+        expect(res.body.tags).toContain('b');
+        expect(res.body, 'body has the id').toEqual({ id: 7, tags: ['a', 'b'] });
+        expect(res.durationMs).toBeLessThan(10);
+        expect(res.body.missing).toBeDefined();
+        env.set('ORDER_ID', res.body.id);
+      `, { request: {}, response });
+
+      expect(assertions).toEqual([
+        { expression: 'script: expect 201 toBe 201', passed: true, actual: 201, message: null },
+        { expression: 'script: expect application/json toMatch json', passed: true, actual: 'application/json', message: null },
+        { expression: 'script: expect ["a","b"] toContain b', passed: true, actual: ['a', 'b'], message: null },
+        { expression: 'script: body has the id', passed: true, actual: { id: 7, tags: ['a', 'b'] }, message: null },
+        { expression: 'script: expect 42 toBeLessThan 10', passed: false, actual: 42, message: 'got 42' },
+        { expression: 'script: expect undefined toBeDefined', passed: false, actual: null, message: 'got undefined' }
+      ]);
+      expect(variables).toEqual({ ORDER_ID: '7' });
+    });
+  });
+
+  describe('runScript() errors', () => {
+    it('should wrap thrown errors in ScriptError', () => {
+      expect(() => run('throw new Error("bad signature")', {})).toThrow(ScriptError);
+      expect(() => run('throw new Error("bad signature")', {})).toThrow("Script 'script.js' failed: bad signature");
+    });
+
+    it('should stop scripts that run too long', () => {
+      expect(() => run('while (true) {}', {}, { timeout: 50 })).toThrow('timed out after 50ms');
+    });
+
+    it('should reject a req that is not an object', () => {
+      expect(() => run('req = null', { request: { method: 'GET', url: 'http://a', headers: {} } })).toThrow('not an object');
+    });
+  });
+});
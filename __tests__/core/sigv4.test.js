@@ -0,0 +1,109 @@
+const sigv4 = require('../../src/core/sigv4');
+
+//credentials and time of the AWS Signature Version 4 test suite
+const auth = {
+  region: 'us-east-1',
+  service: 'service',
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+};
+const date = new Date('2015-08-30T12:36:00Z');
+
+function signature(headers) {
+  return headers.Authorization.match(/Signature=([0-9a-f]{64})$/)[1];
+}
+
+describe('SigV4 Module', () => {
+  describe('signRequest()', () => {
+    it('should match the get-vanilla example', () => {
+      const headers = sigv4.signRequest(auth, { method: 'GET', url: 'https://example.amazonaws.com/', headers: {} }, date);
+
+      expect(headers).toEqual({
+        'X-Amz-Date': '20150830T123600Z',
+        Authorization: 'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+          'SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+      });
+    });
+
+    it('should match the get-vanilla-query-order-key-case example', () => {
+      const headers = sigv4.signRequest(auth, { method: 'GET', url: 'https://example.amazonaws.com/?Param2=value2&Param1=value1' }, date);
+
+      expect(signature(headers)).toBe('b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500');
+    });
+
+    it('should match the post-x-www-form-urlencoded example', () => {
+      const headers = sigv4.signRequest(auth, {
+        method: 'POST',
+        url: 'https://example.amazonaws.com/',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        data: 'Param1=value1'
+      }, date);
+
+      expect(headers.Authorization).toContain('SignedHeaders=content-type;host;x-amz-date,');
+      expect(signature(headers)).toBe('ff11897932ad3f4e8b18135d722051e5ac45fc38421b1da7b9d196a0fe09473a');
+    });
+
+    it('should match the IAM ListUsers example', () => {
+      const headers = sigv4.signRequest({ ...auth, service: 'iam' }, {
+        method: 'GET',
+        url: 'https://iam.amazonaws.com/?Action=ListUsers&Version=2010-05-08',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' }
+      }, date);
+
+      expect(signature(headers)).toBe('5d672d79c15b13162d9279b0855cfba6789a8edb4c82c400e06b5924a6f2b5d7');
+    });
+
+    it('should sign and send the session token like the post-sts-header-before example', () => {
+      const sessionToken = 'AQoDYXdzEPT//////////wEXAMPLEtc764bNrC9SAPBSM22wDOk4x4HIZ8j4FZTwdQWLWsKWHGBuFqwAeMicRXmxfpSPfIeoIYRqTflfKD8YUuwthAx7mSEI/qkPpKPi/kMcGdQrmGdeehM4IC1NtBmUpp2wUE8phUZampKsburEDy0KPkyQDYwT7WZ0wq5VSXDvp75YU9HFvlRd8Tx6q6fE8YQcHNVXAkiY9q6d+xo0rKwT38xVqr7ZD0u0iPPkUL64lIZbqBAz+scqKmlzm8FDrypNC9Yjc8fPOLn9FX9KSYvKTr4rvx3iSIlTJabIQwj2ICCR/oLxBA==';
+
+      const headers = sigv4.signRequest({ ...auth, sessionToken }, { method: 'POST', url: 'https://example.amazonaws.com/' }, date);
+
+      expect(headers['X-Amz-Security-Token']).toBe(sessionToken);
+      expect(headers.Authorization).toContain('SignedHeaders=host;x-amz-date;x-amz-security-token,');
+      expect(signature(headers)).toBe('85d96828115b5dc0cfc3bd16ad9e210dd772bbebba041836c64533a82be05ead');
+    });
+
+    it('should send UNSIGNED-PAYLOAD instead of the body hash when asked', () => {
+      const signed = sigv4.signRequest(auth, { method: 'PUT', url: 'https://example.amazonaws.com/', data: 'a' }, date);
+      const unsigned = sigv4.signRequest({ ...auth, unsignedPayload: true }, { method: 'PUT', url: 'https://example.amazonaws.com/', data: 'a' }, date);
+      const otherBody = sigv4.signRequest({ ...auth, unsignedPayload: true }, { method: 'PUT', url: 'https://example.amazonaws.com/', data: 'b' }, date);
+
+      expect(signed['X-Amz-Content-Sha256']).toBeUndefined();
+      expect(unsigned['X-Amz-Content-Sha256']).toBe('UNSIGNED-PAYLOAD');
+      expect(unsigned.Authorization).toContain('x-amz-content-sha256');
+      expect(signature(otherBody)).toBe(signature(unsigned));
+    });
+
+    it('should always send the payload hash to s3', () => {
+      const headers = sigv4.signRequest({ ...auth, service: 's3' }, { method: 'GET', url: 'https://bucket.s3.amazonaws.com/a.txt' }, date);
+
+      expect(headers['X-Amz-Content-Sha256']).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    });
+
+    it('should sign the port, JSON bodies and leave user-agent out', () => {
+      const base = { method: 'POST', url: 'http://localhost:4566/', headers: { 'Content-Type': 'application/json' } };
+
+      const withAgent = sigv4.signRequest(auth, { ...base, headers: { ...base.headers, 'User-Agent': 'x' }, data: { a: 1 } }, date);
+      const asText = sigv4.signRequest(auth, { ...base, data: '{"a":1}' }, date);
+      const otherPort = sigv4.signRequest(auth, { ...base, url: 'http://localhost:4567/', data: '{"a":1}' }, date);
+
+      expect(withAgent).toEqual(asText);
+      expect(signature(otherPort)).not.toBe(signature(asText));
+    });
+  });
+
+  describe('canonicalUri()', () => {
+    it('should encode path segments twice, once for s3', () => {
+      expect(sigv4.canonicalUri('/documents%20and%20settings/', 'service')).toBe('/documents%2520and%2520settings/');
+      expect(sigv4.canonicalUri('/documents%20and%20settings/', 's3')).toBe('/documents%20and%20settings/');
+      expect(sigv4.canonicalUri('', 'service')).toBe('/');
+    });
+  });
+
+  describe('canonicalQuery()', () => {
+    it('should sort by name then value and encode everything but unreserved characters', () => {
+      expect(sigv4.canonicalQuery('?b=2&a=2&a=1&c')).toBe('a=1&a=2&b=2&c=');
+      expect(sigv4.canonicalQuery('?q=a b*&x=%7E')).toBe('q=a%20b%2A&x=~');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const stats = require('../../src/core/stats');
+
+function entry(overrides) {
+  return {
+    method: 'GET',
+    url: 'https://api.example.com/users/1',
+    status: 200,
+    durationMs: 100,
+    savedRequestName: null,
+    timestamp: '2024-01-15T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('Stats Module', () => {
+  describe('normalizeUrl()', () => {
+    it.each([
+      ['https://API.example.com/users/42/?page=2', 'https://api.example.com/users/:id'],
+      ['https://api.example.com/orders/3f2a9c1e-8b7d-4e6f-a5b4-c3d2e1f0a9b8/items', 'https://api.example.com/orders/:id/items'],
+      ['https://api.example.com/docs/507f1f77bcf86cd799439011', 'https://api.example.com/docs/:id'],
+      ['https://api.example.com/v2/users/me', 'https://api.example.com/v2/users/me'],
+      ['http://localhost:3000/', 'http://localhost:3000'],
+      ['not a url?x=1', 'not a url']
+    ])('should normalise %s', (url, expected) => {
+      expect(stats.normalizeUrl(url)).toBe(expected);
+    });
+  });
+
+  describe('groupKey()', () => {
+    it('should prefer the saved request name', () => {
+      expect(stats.groupKey(entry({ savedRequestName: 'get-user' }))).toBe('get-user');
+      expect(stats.groupKey(entry({ method: 'DELETE' }))).toBe('DELETE https://api.example.com/users/:id');
+    });
+  });
+
+  describe('sparkline()', () => {
+    it('should scale values between the lowest and highest block', () => {
+      expect(stats.sparkline([10, 20, 30, 40, 50, 60, 70, 80])).toBe('▁▂▃▄▅▆▇█');
+      expect(stats.sparkline([5, 5, 5])).toBe('▁▁▁');
+      expect(stats.sparkline([])).toBe('');
+    });
+
+    it('should average long runs down to the width', () => {
+      expect(stats.sparkline([10, 10, 10, 10, 90, 90, 90, 90], 2)).toBe('▁█');
+      expect(stats.sparkline(Array.from({ length: 100 }, (_, i) => i))).toHaveLength(20);
+    });
+  });
+
+  describe('summarizeHistory()', () => {
+    const entries = [
+      entry({ url: 'https://api.example.com/users/1', durationMs: 50, timestamp: '2024-01-15T10:00:00.000Z' }),
+      entry({ url: 'https://api.example.com/users/2?full=1', durationMs: 150, status: 500, timestamp: '2024-01-15T11:00:00.000Z' }),
+      entry({ url: 'https://api.example.com/users/3', durationMs: 100, timestamp: '2024-01-15T09:00:00.000Z' }),
+      entry({ method: 'POST', url: 'https://dev.example.com/orders', savedRequestName: 'create-order', durationMs: 300, timestamp: '2024-01-14T10:00:00.000Z' }),
+      entry({ method: 'POST', url: 'https://staging.example.com/orders', savedRequestName: 'create-order', durationMs: 200, status: 201, timestamp: '2024-01-16T10:00:00.000Z' })
+    ];
+
+    it('should group and summarise, largest group first', () => {
+      expect(stats.summarizeHistory(entries)).toEqual([
+        {
+          key: 'GET https://api.example.com/users/:id',
+          name: null,
+          method: 'GET',
+          url: 'https://api.example.com/users/:id',
+          count: 3,
+          successRate: 66.7,
+          minMs: 50,
+          avgMs: 100,
+          p95Ms: 150,
+          maxMs: 150,
+          first: '2024-01-15T09:00:00.000Z',
+          last: '2024-01-15T11:00:00.000Z'
+        },
+        {
+          key: 'create-order',
+          name: 'create-order',
+          method: 'POST',
+          url: 'https://staging.example.com/orders',
+          count: 2,
+          successRate: 100,
+          minMs: 200,
+          avgMs: 250,
+          p95Ms: 300,
+          maxMs: 300,
+          first: '2024-01-14T10:00:00.000Z',
+          last: '2024-01-16T10:00:00.000Z'
+        }
+      ]);
+    });
+
+    it('should add a trend in time order when asked', () => {
+      const groups = stats.summarizeHistory(entries, { trend: true });
+
+      expect(groups[0].trend).toBe('▅▁█');
+      expect(groups[1].trend).toBe('█▁');
+    });
+
+    it('should return no groups for no entries', () => {
+      expect(stats.summarizeHistory([])).toEqual([]);
+    });
+  });
+});
@@ -212,6 +212,30 @@ describe('Storage Module', () => {
       expect(requests[0].url).toBe('http://example.com/updated');
     });
 
+    it('should drop optional fields the overwriting request leaves out', () => {
+      storage.saveRequest({
+        name: 'r1',
+        method: 'GET',
+        url: 'http://example.com/x',
+        headers: [],
+        data: '',
+        auth: { type: 'bearer', token: 'abc' },
+        expect: ['status=200'],
+        capture: ['ID=body.id'],
+        tags: ['smoke'],
+        schema: '/tmp/schema.json',
+        preScript: '/tmp/pre.js',
+        postScript: '/tmp/post.js',
+        example: '/tmp/example.json',
+        exampleStatus: 201
+      });
+
+      const replacement = { name: 'r1', method: 'GET', url: 'http://example.com/y', headers: [], data: '' };
+      storage.saveRequest(replacement);
+
+      expect(storage.getRequests()).toEqual([replacement]);
+    });
+
     it('should persist data to file', () => {
       const request = {
         name: 'persist-test',
@@ -257,6 +281,29 @@ describe('Storage Module', () => {
     });
   });
 
+  describe('mergeEnvironment()', () => {
+    beforeEach(() => {
+      storage.initStorage();
+    });
+
+    it('should add variables and keep existing ones', () => {
+      storage.saveEnvironment('dev', { BASE_URL: 'http://localhost:3000', TOKEN: 'old' });
+      storage.mergeEnvironment('dev', { TOKEN: 'new', USER_ID: '7' });
+
+      expect(storage.getEnvironments().dev).toEqual({
+        BASE_URL: 'http://localhost:3000',
+        TOKEN: 'new',
+        USER_ID: '7'
+      });
+    });
+
+    it('should create a missing environment', () => {
+      storage.mergeEnvironment('fresh', { A: '1' });
+
+      expect(storage.getEnvironments().fresh).toEqual({ A: '1' });
+    });
+  });
+
   describe('saveEnvironment()', () => {
     beforeEach(() => {
       storage.initStorage();
@@ -380,6 +427,46 @@ describe('Storage Module', () => {
     });
   });
 
+  describe('auth profiles', () => {
+    beforeEach(() => {
+      storage.initStorage();
+    });
+
+    it('should save, list and remove profiles', () => {
+      expect(storage.getAuthProfiles()).toEqual({});
+
+      storage.saveAuthProfile('corp.v2', { grant: 'client_credentials', tokenUrl: 'http://a/token', clientId: 'c' });
+      storage.saveAuthProfile('other', { grant: 'password', tokenUrl: 'http://b/token', clientId: 'd' });
+
+      expect(Object.keys(storage.getAuthProfiles())).toEqual(['corp.v2', 'other']);
+      expect(JSON.parse(fs.readFileSync(TEST_DATA_FILE, 'utf-8')).authProfiles['corp.v2'].clientId).toBe('c');
+
+      storage.removeAuthProfile('corp.v2');
+      expect(Object.keys(storage.getAuthProfiles())).toEqual(['other']);
+    });
+
+    it('should throw when removing a profile that does not exist', () => {
+      expect(() => storage.removeAuthProfile('nope')).toThrow("Auth profile 'nope' does not exist");
+    });
+  });
+
+  describe('settings', () => {
+    beforeEach(() => {
+      storage.initStorage();
+    });
+
+    it('should set and remove settings in config.json', () => {
+      expect(storage.getSettings()).toEqual({});
+
+      storage.saveSetting(['history', 'maxEntries'], 200);
+      storage.saveSetting(['history', 'maxAge'], null);
+      expect(JSON.parse(fs.readFileSync(storage.getConfigFile(), 'utf-8'))).toEqual({ history: { maxEntries: 200, maxAge: null } });
+
+      storage.saveSetting('history', undefined);
+      expect(storage.getSettings()).toEqual({});
+    });
+  });
+
   describe('Integration: requests and environments together', () => {
     beforeEach(() => {
       storage.initStorage();
@@ -151,6 +151,21 @@ describe('Validation Module', () => {
     });
   });
 
+  describe('toRequestName()', () => {
+    it('should replace spaces and invalid characters', () => {
+      expect(validation.toRequestName('Get User / by:id')).toBe('Get-User-by-id');
+    });
+
+    it('should limit to 50 characters', () => {
+      expect(validation.toRequestName('a'.repeat(80))).toHaveLength(50);
+    });
+
+    it('should fall back for empty names', () => {
+      expect(validation.toRequestName('///')).toBe('request');
+      expect(validation.toRequestName(undefined)).toBe('request');
+    });
+  });
+
   describe('validateEnvironmentName()', () => {
     it('should return trimmed name for valid input', () => {
       expect(validation.validateEnvironmentName('production')).toBe('production');
@@ -214,6 +229,44 @@ describe('Validation Module', () => {
     });
   });
 
+  describe('validateInteger()', () => {
+    it('should return whole numbers at or above the minimum', () => {
+      expect(validation.validateInteger('5', 'Iterations', 1)).toBe(5);
+      expect(validation.validateInteger(0, 'Delay')).toBe(0);
+    });
+
+    it('should throw for fractions, text and values below the minimum', () => {
+      expect(() => validation.validateInteger('1.5', 'Delay')).toThrow('Delay must be a whole number of at least 0.');
+      expect(() => validation.validateInteger('abc', 'Delay')).toThrow('whole number');
+      expect(() => validation.validateInteger('0', 'Iterations', 1)).toThrow('Iterations must be a whole number of at least 1.');
+    });
+  });
+
+  describe('validateStatusCode()', () => {
+    it('should return status codes between 100 and 599', () => {
+      expect(validation.validateStatusCode('404')).toBe(404);
+      expect(validation.validateStatusCode(100)).toBe(100);
+    });
+
+    it('should throw for anything else', () => {
+      expect(() => validation.validateStatusCode('600', 'Example status')).toThrow('Example status must be between 100 and 599.');
+      expect(() => validation.validateStatusCode('99')).toThrow('Status must be a whole number of at least 100.');
+      expect(() => validation.validateStatusCode('ok')).toThrow('whole number');
+    });
+  });
+
+  describe('validatePort()', () => {
+    it('should return ports between 0 and 65535', () => {
+      expect(validation.validatePort('4000')).toBe(4000);
+      expect(validation.validatePort(0)).toBe(0);
+    });
+
+    it('should throw for anything else', () => {
+      expect(() => validation.validatePort('65536')).toThrow('Port must be between 0 and 65535.');
+      expect(() => validation.validatePort('http')).toThrow('Port must be a whole number');
+    });
+  });
+
   describe('validateTimeout()', () => {
     it('should return parsed number for valid timeout', () => {
       expect(validation.validateTimeout('30000')).toBe(30000);
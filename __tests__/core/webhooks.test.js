@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const webhooks = require('../../src/core/webhooks');
+const storage = require('../../src/core/storage');
+
+const TEST_STORAGE_DIR = path.join(os.tmpdir(), '.api-ex-test-webhooks-' + Date.now());
+
+function entry(pathname) {
+  return { method: 'POST', path: pathname, query: {}, headers: {}, body: '{}', bodyEncoding: 'utf-8', status: 200, durationMs: 1, forward: null };
+}
+
+describe('Webhooks Module', () => {
+  beforeAll(() => {
+    storage.setStorageDir(TEST_STORAGE_DIR);
+  });
+
+  beforeEach(() => {
+    fs.rmSync(TEST_STORAGE_DIR, { recursive: true, force: true });
+    storage.initStorage();
+  });
+
+  afterAll(() => {
+    fs.rmSync(TEST_STORAGE_DIR, { recursive: true, force: true });
+  });
+
+  it('should store entries in webhooks.json with an id and time', () => {
+    const stored = webhooks.recordWebhook(entry('/stripe'));
+
+    expect(stored).toMatchObject({ path: '/stripe', id: expect.stringMatching(/^[0-9a-f]{8}$/), receivedAt: expect.any(String) });
+
+    const file = JSON.parse(fs.readFileSync(path.join(TEST_STORAGE_DIR, 'webhooks.json'), 'utf-8'));
+    expect(file.webhooks).toEqual([stored]);
+  });
+
+  it('should throw without an entry', () => {
+    expect(() => webhooks.recordWebhook()).toThrow('Webhook entry is required');
+  });
+
+  it('should list newest first with a limit', () => {
+    ['/a', '/b', '/c'].forEach(p => webhooks.recordWebhook(entry(p)));
+
+    expect(webhooks.getWebhooks().map(w => w.path)).toEqual(['/c', '/b', '/a']);
+    expect(webhooks.getWebhooks({ limit: 2 }).map(w => w.path)).toEqual(['/c', '/b']);
+  });
+
+  it('should find entries by id', () => {
+    const stored = webhooks.recordWebhook(entry('/a'));
+
+    expect(webhooks.getWebhookById(stored.id)).toEqual(stored);
+    expect(webhooks.getWebhookById('nope')).toBeNull();
+  });
+
+  it('should keep only the newest MAX_WEBHOOKS entries', () => {
+    const file = path.join(TEST_STORAGE_DIR, 'webhooks.json');
+    const old = Array.from({ length: webhooks.MAX_WEBHOOKS }, (_, i) => ({ ...entry(`/${i}`), id: `id${i}` }));
+    fs.writeFileSync(file, JSON.stringify({ webhooks: old }));
+
+    webhooks.recordWebhook(entry('/new'));
+
+    const all = webhooks.getWebhooks({ limit: Infinity });
+    expect(all).toHaveLength(webhooks.MAX_WEBHOOKS);
+    expect(all[0].path).toBe('/new');
+    expect(all[all.length - 1].path).toBe('/1');
+  });
+
+  it('should clear all entries', () => {
+    webhooks.recordWebhook(entry('/a'));
+    webhooks.recordWebhook(entry('/b'));
+
+    expect(webhooks.clearWebhooks()).toBe(2);
+    expect(webhooks.getWebhooks()).toEqual([]);
+  });
+});
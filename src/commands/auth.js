@@ -0,0 +1,222 @@
+//auth profiles for --auth oauth2:<profile> and --auth hmac:<profile>, and cached oauth2 tokens
+
+const chalk = require('chalk');
+
+const {getAuthProfiles, saveAuthProfile, removeAuthProfile} = require('../core/storage');
+const {GRANTS, validateProfile, getAccessToken, clearTokens} = require('../core/oauth');
+const {HMAC_ALGORITHMS, HMAC_ENCODINGS, TIMESTAMP_FORMATS, HMAC_PARTS, validateHmacProfile} = require('../core/hmac');
+const {PROFILE_TYPES, profileType} = require('../core/profiles');
+const {ApiExError, ValidationError} = require('../core/errors');
+const {printTable} = require('../core/printer');
+const {validateProfileName, validateEnvironmentName, validateUrl} = require('../core/validation');
+
+
+//expiresAt => 'in 59m', 'expired 3m ago' or 'never'
+function formatExpiry(token, now = Date.now()) {
+  if (!token.expiresAt) {
+    return 'never';
+  }
+
+  const ms = new Date(token.expiresAt).getTime() - now;
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  const span = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+
+  return ms > 0 ? `in ${span}` : `expired ${span} ago`;
+}
+
+
+//auth add options => checked profile of options.type, throws ValidationError
+function buildProfile(options) {
+  const type = (options.type || 'oauth2').toLowerCase();
+
+  if (!PROFILE_TYPES.includes(type)) {
+    throw new ValidationError(`Unknown profile type '${type}'. Use ${PROFILE_TYPES.join(' or ')}.`);
+  }
+
+  if (type === 'hmac') {
+    return validateHmacProfile(options);
+  }
+
+  const profile = validateProfile(options);
+  validateUrl(profile.tokenUrl);
+  return profile;
+}
+
+
+//one line summary for auth list
+function describeProfile(profile) {
+  if (profileType(profile) === 'hmac') {
+    return `${profile.algorithm} ${profile.encoding}, ${profile.parts.join(' + ')} => ${profile.signatureHeader}`;
+  }
+
+  return `${profile.grant}, ${profile.tokenUrl}, client ${profile.clientId}`;
+}
+
+
+function register(program) {
+  const auth = program.command('auth').description('Manage OAuth2 and HMAC signing profiles and OAuth2 tokens');
+
+
+  //auth add
+  auth
+    .command('add <profile>')
+    .description('Add or replace an auth profile, values may use {{placeholders}}')
+    .option('--type <type>', `Profile type: ${PROFILE_TYPES.join(' or ')}`, 'oauth2')
+    .option('--token-url <url>', 'OAuth2: token endpoint URL')
+    .option('--grant <grant>', `OAuth2: ${GRANTS.join(', ')}`, 'client_credentials')
+    .option('--client-id <id>', 'OAuth2: client id')
+    .option('--client-secret <secret>', 'OAuth2: client secret')
+    .option('--client-auth <method>', 'OAuth2: send the client secret as basic auth or in the body', 'basic')
+    .option('--scope <scope>', 'OAuth2: scopes to request, space separated')
+    .option('--username <user>', 'OAuth2: username for the password grant')
+    .option('--password <password>', 'OAuth2: password for the password grant')
+    .option('--refresh-token <token>', 'OAuth2: refresh token for the refresh_token grant')
+    .option('--secret <secret>', 'HMAC: signing secret')
+    .option('--algorithm <algorithm>', `HMAC: ${HMAC_ALGORITHMS.join(', ')} (default: sha256)`)
+    .option('--encoding <encoding>', `HMAC: signature encoding, ${HMAC_ENCODINGS.join(' or ')} (default: hex)`)
+    .option('--parts <parts>', `HMAC: comma separated parts to sign in order, ${HMAC_PARTS.join(', ')}, header:<name> (default: method,path,timestamp,body-hash)`)
+    .option('--separator <separator>', 'HMAC: text between the parts, \\n and \\t allowed (default: \\n)')
+    .option('--timestamp-format <format>', `HMAC: ${TIMESTAMP_FORMATS.join(', ')} (default: unix)`)
+    .option('--signature-header <name>', 'HMAC: header for the signature (default: X-Signature)')
+    .option('--signature-format <format>', 'HMAC: signature header value with {signature}, {timestamp}, {nonce}, {keyId}, {algorithm} (default: {signature})')
+    .option('--timestamp-header <name>', 'HMAC: header for the timestamp, none to leave it out (default: X-Timestamp)')
+    .option('--nonce-header <name>', 'HMAC: header for a random nonce')
+    .option('--key-id <id>', 'HMAC: key id for the key-id part, {keyId} or --key-id-header')
+    .option('--key-id-header <name>', 'HMAC: header for the key id')
+    .action(async (name, options) => {
+
+      let profileName, profile;
+      try {
+        profileName = validateProfileName(name);
+        profile = buildProfile(options);
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      const replaced = Boolean(getAuthProfiles()[profileName]);
+      saveAuthProfile(profileName, profile);
+
+      //tokens of the old settings may not fit the new ones
+      const cleared = replaced ? clearTokens(profileName) : 0;
+
+      console.log(chalk.green(`Auth profile '${profileName}' ${replaced ? 'updated' : 'saved'}`));
+      if (profile.type === 'hmac') {
+        console.log(chalk.gray(`Algorithm: ${profile.algorithm}, ${profile.encoding}`));
+        console.log(chalk.gray(`Signs: ${profile.parts.join(', ')}`));
+        console.log(chalk.gray(`Signature header: ${profile.signatureHeader}`));
+      } else {
+        console.log(chalk.gray(`Grant: ${profile.grant}`));
+        console.log(chalk.gray(`Token URL: ${profile.tokenUrl}`));
+        console.log(chalk.gray(`Client: ${profile.clientId}`));
+        if (profile.scope) {
+          console.log(chalk.gray(`Scope: ${profile.scope}`));
+        }
+      }
+      if (cleared > 0) {
+        console.log(chalk.gray(`Cleared ${cleared} cached token(s).`));
+      }
+      console.log(chalk.gray(`Use it with --auth ${profile.type}:${profileName}`));
+    });
+
+
+  //auth list
+  auth
+    .command('list')
+    .alias('ls')
+    .description('List auth profiles')
+    .action(async () => {
+      const profiles = getAuthProfiles();
+      const names = Object.keys(profiles);
+
+      if (names.length === 0) {
+        console.log(chalk.gray('No auth profiles defined.'));
+        console.log(chalk.gray("Use 'api-ex auth add' to create one."));
+        return;
+      }
+
+      const headers = ['Profile', 'Type', 'Settings'];
+      const rows = names.map(name => [
+        chalk.cyan(name),
+        profileType(profiles[name]),
+        describeProfile(profiles[name])
+      ]);
+
+      printTable(headers, rows);
+    });
+
+
+  //auth rm
+  auth
+    .command('rm <profile>')
+    .alias('remove')
+    .description('Remove an auth profile and its cached tokens')
+    .action(async (name) => {
+      try {
+        const profileName = validateProfileName(name);
+        removeAuthProfile(profileName);
+        clearTokens(profileName);
+        console.log(chalk.green(`Auth profile '${profileName}' removed.`));
+
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        console.log(chalk.gray('Use "api-ex auth list" to see available profiles.'));
+        process.exit(1);
+      }
+    });
+
+
+  //auth token
+  auth
+    .command('token <profile>')
+    .description('Show the token for an OAuth2 profile, requesting one when none is cached or it expired')
+    .option('--env <env>', 'Environment for placeholders, tokens are cached per environment')
+    .option('--refresh', 'Request a new token even if the cached one is still valid')
+    .option('--raw', 'Print only the access token')
+    .action(async (name, options) => {
+
+      let profileName;
+      try {
+        profileName = validateProfileName(name);
+        if (options.env) {
+          validateEnvironmentName(options.env);
+        }
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      let result;
+      try {
+        result = await getAccessToken(profileName, {env: options.env || null, force: Boolean(options.refresh)});
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(error instanceof ApiExError ? error.code : 2);
+        return;
+      }
+
+      const {token, source} = result;
+
+      if (options.raw) {
+        console.log(token.accessToken);
+        return;
+      }
+
+      const sources = {cache: 'cache', refreshed: 'refreshed with the refresh token', new: 'new token'};
+
+      console.log(chalk.bold(`Profile: ${profileName}`));
+      console.log(`Environment: ${options.env || 'none'}`);
+      console.log(`Source: ${sources[source]}`);
+      console.log(`Type: ${token.tokenType}`);
+      console.log(`Expires: ${formatExpiry(token)}`);
+      console.log(`Scope: ${token.scope || '-'}`);
+      console.log(`Refresh token: ${token.refreshToken ? 'yes' : 'no'}`);
+      console.log(`Obtained: ${new Date(token.obtainedAt).toLocaleString()}`);
+      console.log('');
+      console.log(token.accessToken);
+    });
+}
+
+module.exports = register;
@@ -0,0 +1,241 @@
+//bench command
+//load test a saved request or a url and report latency percentiles
+//--json saves the results, --compare flags regressions against saved results
+
+const ora = require('ora');
+const chalk = require('chalk');
+
+const {getRequestByName} = require('../core/storage');
+const {getEnv, interpolateRequest} = require('../core/env');
+const {buildRequestConfig, parseHeaderList} = require('../core/runner');
+const {printTable} = require('../core/printer');
+const {ASSERTION_FAILURE_EXIT_CODE} = require('../core/assertions');
+const {
+  runBench, summarizeBench, renderHistogram, toBenchReport, writeBenchReport, loadBenchReport, compareBench
+} = require('../core/bench');
+const {
+  validateUrl, validateHttpMethod, validateTimeout, validateInteger, validateEnvironmentName
+} = require('../core/validation');
+const {ValidationError} = require('../core/errors');
+
+//default when neither --requests nor --duration is given
+const DEFAULT_REQUESTS = 100;
+
+
+function register(program) {
+  program
+    .command('bench [name]')
+    .description('Load test a saved request or --url and report latency')
+    .option('-u, --url <url>', 'URL to bench instead of a saved request')
+    .option('-X, --method <method>', 'HTTP method for --url', 'GET')
+    .option('-H, --header <header>', 'Request header (repeatable)', collect, [])
+    .option('-d, --data <data>', 'Request body')
+    .option('--env <env>', 'Environment name for variable interpolation')
+    .option('-c, --concurrency <n>', 'Requests in flight at once', '10')
+    .option('-n, --requests <n>', `Total requests to send (default: ${DEFAULT_REQUESTS})`)
+    .option('--duration <seconds>', 'Keep sending for this many seconds instead of a fixed count')
+    .option('--rate <n>', 'Limit to n requests per second across all workers')
+    .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+    .option('--json <file>', 'Write the results to a JSON file')
+    .option('--compare <file>', 'Compare with results saved by --json and flag regressions')
+    .option('--threshold <percent>', 'How much worse a metric may get before it counts as a regression', '10')
+    .action(async (name, options) => {
+
+      if (!name && !options.url) {
+        console.log(chalk.red('Error: Give a saved request name or --url.'));
+        console.log(chalk.gray('Usage: api-ex bench <name> [options] | api-ex bench --url <url> [options]'));
+        process.exit(1);
+        return;
+      }
+
+      //settings and request
+      let settings, requestConfig, baseline;
+      try {
+        if (options.requests && options.duration) {
+          throw new ValidationError('Use either --requests or --duration, not both.');
+        }
+
+        settings = {
+          name: name || null,
+          concurrency: validateInteger(options.concurrency, 'Concurrency', 1),
+          requests: options.duration ? null : validateInteger(options.requests || DEFAULT_REQUESTS, 'Requests', 1),
+          durationMs: options.duration ? validateInteger(options.duration, 'Duration', 1) * 1000 : null,
+          rate: options.rate ? validateInteger(options.rate, 'Rate', 1) : null,
+          threshold: validateInteger(options.threshold, 'Threshold', 0)
+        };
+
+        requestConfig = resolveRequest(name, options);
+        requestConfig.timeout = validateTimeout(options.timeout);
+
+        if (options.env) {
+          validateEnvironmentName(options.env);
+          requestConfig = {...interpolateRequest(requestConfig, getEnv(options.env)), env: options.env};
+        }
+
+        baseline = options.compare ? loadBenchReport(options.compare) : null;
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      const target = `${requestConfig.method} ${requestConfig.url}`;
+      const spinner = ora(`Benchmarking ${target}`).start();
+
+      const {samples, elapsedMs} = await runBench(requestConfig, {
+        ...settings,
+        onSample: (sample, done) => {
+          spinner.text = `Benchmarking ${target} (${done} sent)`;
+        }
+      });
+      spinner.stop();
+
+      const summary = summarizeBench(samples, elapsedMs);
+      const durations = samples.filter(sample => !sample.error).map(sample => sample.durationMs);
+      printSummary(target, settings, summary, durations);
+
+      if (options.json) {
+        try {
+          writeBenchReport(toBenchReport(requestConfig, settings, summary), options.json);
+          console.log(chalk.gray(`\nResults written to ${options.json}`));
+        } catch (error) {
+          console.log(chalk.red(`Error: ${error.message}`));
+          process.exit(2);
+          return;
+        }
+      }
+
+      if (baseline) {
+        const comparison = compareBench(summary, baseline.summary, settings.threshold);
+        printComparison(comparison, options.compare, settings.threshold);
+
+        if (comparison.some(row => row.regression)) {
+          process.exit(ASSERTION_FAILURE_EXIT_CODE);
+          return;
+        }
+      }
+
+      //nothing answered at all, likely a bad url or the server is down
+      if (samples.length > 0 && samples.every(sample => sample.error)) {
+        process.exit(2);
+      }
+    });
+}
+
+
+//saved request by name or --url/-X/-d, -H adds to either
+function resolveRequest(name, options) {
+  let requestConfig;
+
+  if (name) {
+    const savedRequest = getRequestByName(name);
+    if (!savedRequest) {
+      throw new ValidationError(`No saved request found with name '${name}'. Use "api-ex ls" to see all saved requests.`);
+    }
+
+    requestConfig = buildRequestConfig(savedRequest);
+  } else {
+    validateUrl(options.url);
+    requestConfig = {
+      method: validateHttpMethod(options.method),
+      url: options.url,
+      headers: {},
+      data: undefined
+    };
+  }
+
+  requestConfig.headers = {...requestConfig.headers, ...parseHeaderList(options.header)};
+  if (options.data) {
+    requestConfig.data = options.data;
+  }
+
+  return requestConfig;
+}
+
+
+function formatMs(value) {
+  return value === null || value === undefined ? '-' : `${value}ms`;
+}
+
+
+function printSummary(target, settings, summary, durations) {
+  const limit = settings.durationMs ? `${settings.durationMs / 1000}s` : `${settings.requests} requests`;
+  const rate = settings.rate ? `, max ${settings.rate} req/s` : '';
+
+  console.log(chalk.cyan(`${target}`));
+  console.log(chalk.gray(`${limit}, concurrency ${settings.concurrency}${rate}\n`));
+
+  console.log(`Requests:    ${summary.requests} in ${(summary.elapsedMs / 1000).toFixed(2)}s`);
+  console.log(`Throughput:  ${summary.throughput} req/s`);
+
+  const errorLine = `Errors:      ${summary.errors} (${summary.errorRate}%)`;
+  console.log(summary.errors > 0 ? chalk.red(errorLine) : errorLine);
+
+  Object.entries(summary.errorMessages).forEach(([message, count]) => {
+    console.log(chalk.red(`  ${count} x ${message}`));
+  });
+
+  const codes = Object.entries(summary.statusCodes);
+  if (codes.length > 0) {
+    console.log(chalk.gray('\nStatus codes:'));
+    codes.forEach(([status, count]) => {
+      const line = `  ${status}  ${count}`;
+      console.log(Number(status) >= 400 ? chalk.yellow(line) : line);
+    });
+  }
+
+  if (durations.length > 0) {
+    console.log(chalk.gray('\nLatency:'));
+    Object.entries(summary.latency).forEach(([key, value]) => {
+      console.log(`  ${key.padEnd(5)} ${formatMs(value)}`);
+    });
+
+    console.log(chalk.gray('\nHistogram:'));
+    renderHistogram(durations).forEach(line => console.log(`  ${line}`));
+  }
+}
+
+
+function printComparison(comparison, file, threshold) {
+  console.log(chalk.gray(`\nCompared with ${file} (threshold ${threshold}%):`));
+
+  const rows = comparison.map(row => {
+    const isRate = row.metric === 'throughput';
+    const isPercent = row.metric === 'error rate';
+    const format = (value) => {
+      if (value === null || value === undefined) {
+        return '-';
+      }
+      return isRate ? `${value} req/s` : isPercent ? `${value}%` : `${value}ms`;
+    };
+
+    let change = '-';
+    if (row.changePct !== null) {
+      change = `${row.changePct > 0 ? '+' : ''}${row.changePct}${isPercent ? ' pts' : '%'}`;
+    }
+
+    return [
+      row.metric,
+      format(row.baseline),
+      format(row.current),
+      row.regression ? chalk.red(`${change} REGRESSION`) : change
+    ];
+  });
+
+  printTable(['Metric', 'Baseline', 'Current', 'Change'], rows);
+
+  const regressions = comparison.filter(row => row.regression).map(row => row.metric);
+  if (regressions.length > 0) {
+    console.log(chalk.red(`Regressions: ${regressions.join(', ')}`));
+  } else {
+    console.log(chalk.green('No regressions'));
+  }
+}
+
+
+//repeatable options helper
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+module.exports = register;
@@ -0,0 +1,56 @@
+//export saved requests for other tools
+
+const chalk = require('chalk');
+
+const {getRequestByName} = require('../core/storage');
+const {getEnv, interpolateRequest} = require('../core/env');
+const {buildRequestConfig} = require('../core/runner');
+const {toCurl, curlAuthWarning} = require('../core/curl');
+const {validateEnvironmentName} = require('../core/validation');
+
+
+function register(program) {
+  const exportCommand = program.command('export').description('Export saved requests to other tools');
+
+
+  //export curl
+  exportCommand
+    .command('curl <name>')
+    .description('Print a saved request as a curl command')
+    .option('--env <env>', 'Environment name for variable interpolation')
+    .action(async (name, options) => {
+
+      const savedRequest = getRequestByName(name);
+      if (!savedRequest) {
+        console.log(chalk.red(`Error: No saved request found with name '${name}'.`));
+        console.log(chalk.gray('Use "api-ex ls" to see all saved requests.'));
+        process.exit(1);
+        return;
+      }
+
+      let requestConfig = buildRequestConfig(savedRequest);
+
+      if (options.env) {
+        try {
+          validateEnvironmentName(options.env);
+          requestConfig = interpolateRequest(requestConfig, getEnv(options.env));
+
+        } catch (error) {
+          console.log(chalk.red(`Error: ${error.message}`));
+          console.log(chalk.gray('Use "api-ex env list" to see available environments.'));
+          process.exit(1);
+          return;
+        }
+      }
+
+      //plain output so it can be piped or pasted, the warning goes to stderr
+      console.log(toCurl(requestConfig));
+
+      const warning = curlAuthWarning(requestConfig.auth);
+      if (warning) {
+        console.error(chalk.yellow(warning));
+      }
+    });
+}
+
+module.exports = register;
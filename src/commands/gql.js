@@ -7,9 +7,12 @@ const chalk = require('chalk');
 
 const {sendRequest} = require('../core/http');
 const {getEnv, interpolateRequest} = require('../core/env');
-const {recordHistory} = require('../core/history');
-const {printSuccess, printError, printDebug} = require('../core/printer');
+const {recordHistory, exchangeDetails} = require('../core/history');
+const {printSuccess, printError, printDebug, printAssertionResults} = require('../core/printer');
 const {validateUrl, validateEnvironmentName} = require('../core/validation');
+const {loadSchemaFile, validateBody} = require('../core/schema');
+const {hasFailures, ASSERTION_FAILURE_EXIT_CODE} = require('../core/assertions');
+const {parseAuth} = require('../core/auth');
 
 function register(program) {
   program
@@ -21,6 +24,8 @@ function register(program) {
     .option('--variables <json>', 'Variables as JSON string')
     .option('--env <env>', 'Environment name for variable interpolation')
     .option('-H, --header <header>', 'Request header (repeatable)', collect, [])
+    .option('--auth <auth>', 'Auth: basic:<user>:<pass>, bearer:<token>, apikey:header|query:<name>:<value>, digest:<user>:<pass>, oauth2:<profile>, aws-sigv4:<region>:<service> or hmac:<profile>')
+    .option('--schema <file>', 'Validate the response body against a JSON Schema file')
     .action(async (options) => {
 
       //check for either --query or --file
@@ -32,11 +37,19 @@ function register(program) {
       }
 
       // Validate inputs
+      let schemaValidator = null;
+      let auth = null;
       try {
         validateUrl(options.endpoint);
         if (options.env) {
           validateEnvironmentName(options.env);
         }
+        if (options.schema) {
+          schemaValidator = await loadSchemaFile(options.schema);
+        }
+        if (options.auth) {
+          auth = parseAuth(options.auth);
+        }
       } catch (error) {
         console.log(chalk.red(`Error: ${error.message}`));
         process.exit(1);
@@ -101,7 +114,12 @@ function register(program) {
         })
       };
 
+      if (auth) {
+        requestConfig.auth = auth;
+      }
+
       printDebug('Request before interpolation', requestConfig);
+      const template = requestConfig;
 
       //if --env, interp
       if (options.env) {
@@ -114,8 +132,9 @@ function register(program) {
       //send request
       const spinner = ora(`Sending GraphQL query to ${requestConfig.url}`).start();
 
+      let response;
       try {
-        const response = await sendRequest(requestConfig);
+        response = await sendRequest({...requestConfig, env: options.env});
         spinner.stop();
 
         //check for gql errors
@@ -134,7 +153,8 @@ function register(program) {
           url: requestConfig.url,
           status: response.status,
           durationMs: response.durationMs,
-          env: options.env || null
+          env: options.env || null,
+          ...exchangeDetails(requestConfig, response, template)
         });
         
 
@@ -142,9 +162,18 @@ function register(program) {
         spinner.stop();
         printError(error, 'POST', requestConfig.url);
         process.exit(2);
-
+        return;
       }
 
+      //check --schema against the whole response body, data and errors
+      if (schemaValidator) {
+        const results = validateBody(schemaValidator, response.data, path.basename(options.schema));
+        printAssertionResults(results);
+
+        if (hasFailures(results)) {
+          process.exit(ASSERTION_FAILURE_EXIT_CODE);
+        }
+      }
     });
 }
 
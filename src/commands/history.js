@@ -1,35 +1,75 @@
 //request history
 
+const fs = require('fs');
+const path = require('path');
+const ora = require('ora');
 const chalk = require('chalk');
-const {getHistory} = require('../core/history');
-const {printTable} = require('../core/printer');
+const prettyjson = require('prettyjson');
+const {
+  queryHistory, clearHistory, findHistoryEntry, recordHistory, exchangeDetails, entryToRequestConfig, entryToSavedRequest,
+  RETENTION_SETTINGS, getRetentionSettings, saveRetention
+} = require('../core/history');
+const {sendRequest} = require('../core/http');
+const {getEnv, interpolateRequest} = require('../core/env');
+const {saveRequest, getRequestByName, getConfigFile} = require('../core/storage');
+const {printTable, printSuccess, printError, printDebug} = require('../core/printer');
+const {confirm, canPrompt} = require('../core/prompt');
+const {summarizeHistory} = require('../core/stats');
+const {EXPORT_FORMATS, exportHistory} = require('../core/export');
+const {describeAuth} = require('../core/auth');
+const {isValidJson, validateEnvironmentName, validateTimeout, validateRequestName, validateInteger} = require('../core/validation');
 
 function register(program) {
-  program
+  const historyCommand = program
     .command('history')
     .description('View request history')
     .option('--limit <n>', 'Number of entries to show', '10')
+    .option('--page <n>', 'Page of --limit entries to show', '1')
     .option('--method <method>', 'Filter by HTTP method')
-    .option('--status <status>', 'Filter by status code')
+    .option('--status <status>', 'Filter by status code or class, e.g. 404 or 5xx')
+    .option('--since <time>', 'Only entries after this time, ISO date or relative like 2h')
+    .option('--until <time>', 'Only entries before this time, ISO date or relative like 2h')
+    .option('--url <pattern>', 'Filter by URL glob (* and ?) or /regex/')
+    .option('--env <env>', 'Filter by environment')
+    .option('--name <name>', 'Filter by saved request name')
+    .option('--min-duration <ms>', 'Only entries that took at least this long')
+    .option('--grep <text>', 'Search stored request and response bodies')
     .action(async (options) => {
       const limit = parseInt(options.limit) || 10;
-      let history = getHistory({limit});
 
-      //filter by method
-      if (options.method) {
-        const methodFilter = options.method.toUpperCase();
-        history = history.filter(entry => entry.method === methodFilter);
+      let page, result;
+      try {
+        page = validateInteger(options.page, 'Page', 1);
+        result = queryHistory({
+          limit: limit,
+          offset: (page - 1) * limit,
+          method: options.method,
+          status: options.status,
+          since: options.since,
+          until: options.until,
+          url: options.url,
+          env: options.env,
+          name: options.name,
+          minDuration: options.minDuration !== undefined ? validateInteger(options.minDuration, 'Minimum duration') : undefined,
+          grep: options.grep
+        });
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
       }
 
-      //filter by status
-      if (options.status) {
-        const statusFilter = parseInt(options.status);
-        history = history.filter(entry => entry.status === statusFilter);
-      }
+      const history = result.entries;
 
       if (history.length === 0) {
-        console.log(chalk.gray('No history yet.'));
-        console.log(chalk.gray("Run 'api-ex request' or api-ex run' to create history entries."));
+        if (result.total > 0) {
+          console.log(chalk.gray(`Page ${page} is empty, there are ${Math.ceil(result.total / limit)} page(s).`));
+        } else if (hasFilters(options)) {
+          console.log(chalk.gray('No history entries match the filters.'));
+        } else {
+          console.log(chalk.gray('No history yet.'));
+          console.log(chalk.gray("Run 'api-ex request' or api-ex run' to create history entries."));
+        }
         return;
       }
 
@@ -38,7 +78,7 @@ function register(program) {
         return date.toLocaleString();
       };
 
-      const headers = ['Time', 'Method', 'Status', 'Duration', 'URL'];
+      const headers = ['Time', 'Method', 'Status', 'Duration', 'URL', 'Id'];
       const rows = history.map(entry => {
 
         let status;
@@ -58,15 +98,485 @@ function register(program) {
           chalk.yellow(entry.method),
           status,
           chalk.gray(`${entry.durationMs}ms`),
-          urlDisplay
+          urlDisplay,
+          chalk.cyan(entry.id || '-')
         ];
 
       });
 
       printTable(headers, rows);
-      console.log(chalk.gray(`\nShowing ${history.length} most recent request(s)`));
+
+      if (result.total > history.length) {
+        const first = (page - 1) * limit + 1;
+        const pages = Math.ceil(result.total / limit);
+        console.log(chalk.gray(`\nShowing ${first}-${first + history.length - 1} of ${result.total} request(s), page ${page} of ${pages}`));
+        if (page < pages) {
+          console.log(chalk.gray(`Use --page ${page + 1} for more.`));
+        }
+      } else {
+        console.log(chalk.gray(`\nShowing ${history.length} most recent request(s)`));
+      }
       
     });
+
+
+  //history show <id>
+  historyCommand
+    .command('show <id>')
+    .description("Show the request and response of a history entry, use 'last' for the most recent one")
+    .action(async (id) => {
+      const entry = findHistoryEntry(id);
+      if (!entry) {
+        printMissing(id);
+        process.exit(1);
+        return;
+      }
+
+      showEntry(entry);
+    });
+
+
+  //history replay <id|last>
+  historyCommand
+    .command('replay <id>')
+    .description("Send a history entry again, use 'last' for the most recent one")
+    .option('--env <env>', 'Fill the original {{placeholders}} from this environment instead')
+    .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+    .action(async (id, localOptions, command) => {
+      //history's own --env filter picks the option up first
+      const options = command.optsWithGlobals();
+
+      const entry = findHistoryEntry(id);
+      if (!entry) {
+        printMissing(id);
+        process.exit(1);
+        return;
+      }
+
+      let requestConfig, template;
+      try {
+        const timeout = validateTimeout(options.timeout);
+        template = entryToRequestConfig(entry, {template: true});
+        requestConfig = entryToRequestConfig(entry);
+
+        if (options.env) {
+          validateEnvironmentName(options.env);
+          requestConfig = interpolateRequest(template, getEnv(options.env));
+        } else if (entry.env) {
+          //headers, body and auth are stored with their placeholders, fill them from the environment it was sent with
+          requestConfig = interpolateRequest(requestConfig, getEnv(entry.env));
+        }
+        requestConfig.timeout = timeout;
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      const spinner = ora(`Replaying #${entry.id}: ${requestConfig.method} ${requestConfig.url}`).start();
+
+      let response;
+      try {
+        printDebug('Final request config', requestConfig);
+        response = await sendRequest({...requestConfig, env: options.env || entry.env});
+        spinner.stop();
+      } catch (error) {
+        spinner.stop();
+        printError(error, requestConfig.method, requestConfig.url);
+        process.exit(2);
+        return;
+      }
+
+      printSuccess(response, requestConfig.method, requestConfig.url);
+
+      const stored = recordHistory({
+        method: requestConfig.method,
+        url: requestConfig.url,
+        status: response.status,
+        durationMs: response.durationMs,
+        env: options.env || entry.env || null,
+        savedRequestName: entry.savedRequestName || null,
+        ...exchangeDetails(requestConfig, response, template)
+      });
+      console.log(chalk.gray(`\nRecorded as #${stored.id}`));
+    });
+
+
+  //history clear [--before <time>] [--status <status>]
+  historyCommand
+    .command('clear')
+    .description('Delete history entries, all of them without filters')
+    .option('--before <time>', 'Only entries before this time, ISO date or relative like 30d')
+    .option('--status <status>', 'Only entries with this status code or class, e.g. 404 or 5xx')
+    .option('-y, --yes', 'Do not ask for confirmation')
+    .action(async (localOptions, command) => {
+      //history's own --status filter picks the option up first
+      const options = command.optsWithGlobals();
+      const filters = {before: options.before, status: options.status};
+
+      let matching;
+      try {
+        matching = queryHistory({...filters, limit: 0}).total;
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      if (matching === 0) {
+        console.log(chalk.gray('No history entries to delete.'));
+        return;
+      }
+
+      const question = `Delete ${matching} history ${matching === 1 ? 'entry' : 'entries'}${describeClear(options)}?`;
+
+      if (!options.yes) {
+        if (!canPrompt()) {
+          console.log(chalk.red(`Error: ${question} Pass --yes to confirm when not running in a terminal.`));
+          process.exit(1);
+          return;
+        }
+
+        if (!await confirm(question)) {
+          console.log(chalk.gray('Nothing deleted.'));
+          return;
+        }
+      }
+
+      const removed = clearHistory(filters);
+      console.log(chalk.green(`Deleted ${removed} history ${removed === 1 ? 'entry' : 'entries'}`));
+    });
+
+
+  //history save <id|last> <name>
+  historyCommand
+    .command('save <id> <name>')
+    .description('Save a history entry as a reusable request')
+    .action(async (id, name) => {
+      let validatedName, request;
+      try {
+        validatedName = validateRequestName(name);
+
+        const entry = findHistoryEntry(id);
+        if (!entry) {
+          printMissing(id);
+          process.exit(1);
+          return;
+        }
+
+        request = entryToSavedRequest(entry, validatedName);
+        if (!entry.request) {
+          console.log(chalk.yellow(`Warning: Headers and body were not stored for #${entry.id}, saving method and URL only.`));
+        }
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      if (getRequestByName(validatedName)) {
+        console.log(chalk.yellow(`Warning: Request '${validatedName}' already exists. Overwriting...`));
+      }
+
+      saveRequest(request);
+      console.log(chalk.green(`Saved request '${validatedName}'`));
+      console.log(chalk.gray(`Method: ${request.method}`));
+      console.log(chalk.gray(`URL: ${request.url}`));
+      if (request.headers.length > 0) {
+        console.log(chalk.gray(`Headers: ${request.headers.length}`));
+      }
+      if (request.auth) {
+        console.log(chalk.gray(`Auth: ${describeAuth(request.auth)}`));
+      }
+    });
+
+
+  //history stats
+  historyCommand
+    .command('stats')
+    .description('Count, success rate and latency per saved request or endpoint')
+    .option('--since <time>', 'Only entries after this time, ISO date or relative like 7d')
+    .option('--until <time>', 'Only entries before this time, ISO date or relative like 7d')
+    .option('--method <method>', 'Only this HTTP method')
+    .option('--url <pattern>', 'Only URLs matching a glob (* and ?) or /regex/')
+    .option('--env <env>', 'Only this environment')
+    .option('--name <name>', 'Only this saved request')
+    .option('--trend', 'Add a sparkline of durations, oldest to newest')
+    .option('--json', 'Print the statistics as JSON')
+    .action(async (localOptions, command) => {
+      //history's own filters pick the options up first
+      const options = command.optsWithGlobals();
+
+      let entries;
+      try {
+        entries = queryHistory({
+          limit: Infinity,
+          since: options.since,
+          until: options.until,
+          method: options.method,
+          url: options.url,
+          env: options.env,
+          name: options.name
+        }).entries;
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      const groups = summarizeHistory(entries, {trend: options.trend});
+
+      if (options.json) {
+        console.log(JSON.stringify({entries: entries.length, groups: groups}, null, 2));
+        return;
+      }
+
+      if (groups.length === 0) {
+        console.log(chalk.gray(hasFilters(options) ? 'No history entries match the filters.' : 'No history yet.'));
+        return;
+      }
+
+      const headers = ['Request', 'Count', 'Success', 'Min', 'Avg', 'p95', 'Max'];
+      if (options.trend) {
+        headers.push('Trend');
+      }
+
+      printTable(headers, groups.map(group => formatStatsRow(group, options.trend)));
+      console.log(chalk.gray(`\n${entries.length} request(s) in ${groups.length} group(s)`));
+    });
+
+
+  //history export
+  historyCommand
+    .command('export')
+    .description('Write history entries as HAR, CSV or NDJSON')
+    .option('--format <format>', `Output format: ${EXPORT_FORMATS.join(', ')}`, 'har')
+    .option('-o, --output <file>', 'Write to a file instead of stdout')
+    .option('--last <n>', 'Only the n most recent matching entries')
+    .option('--method <method>', 'Filter by HTTP method')
+    .option('--status <status>', 'Filter by status code or class, e.g. 404 or 5xx')
+    .option('--since <time>', 'Only entries after this time, ISO date or relative like 2h')
+    .option('--until <time>', 'Only entries before this time, ISO date or relative like 2h')
+    .option('--url <pattern>', 'Filter by URL glob (* and ?) or /regex/')
+    .option('--env <env>', 'Filter by environment')
+    .option('--name <name>', 'Filter by saved request name')
+    .option('--min-duration <ms>', 'Only entries that took at least this long')
+    .option('--grep <text>', 'Search stored request and response bodies')
+    .action(async (localOptions, command) => {
+      //history's own filters pick the options up first
+      const options = command.optsWithGlobals();
+
+      let content, count;
+      try {
+        const entries = queryHistory({
+          limit: options.last !== undefined ? validateInteger(options.last, 'Last', 1) : Infinity,
+          method: options.method,
+          status: options.status,
+          since: options.since,
+          until: options.until,
+          url: options.url,
+          env: options.env,
+          name: options.name,
+          minDuration: options.minDuration !== undefined ? validateInteger(options.minDuration, 'Minimum duration') : undefined,
+          grep: options.grep
+        }).entries;
+
+        count = entries.length;
+        content = exportHistory(entries, String(options.format).toLowerCase());
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      if (count === 0) {
+        console.log(chalk.gray(hasFilters(options) ? 'No history entries match the filters.' : 'No history yet.'));
+        return;
+      }
+
+      if (!options.output) {
+        process.stdout.write(content);
+        return;
+      }
+
+      try {
+        const filePath = path.resolve(process.cwd(), options.output);
+        fs.mkdirSync(path.dirname(filePath), {recursive: true});
+        fs.writeFileSync(filePath, content);
+      } catch (error) {
+        console.log(chalk.red(`Error: Could not write '${options.output}': ${error.message}`));
+        process.exit(2);
+        return;
+      }
+
+      console.log(chalk.green(`Exported ${count} history entries to ${options.output}`));
+    });
+
+
+  //history retention [--max-entries <n>] [--max-age <time>] [--max-bytes <n>] [--reset]
+  historyCommand
+    .command('retention')
+    .description('Show or change how much history is kept, by default the last 1000 entries within 10 MB')
+    .option('--max-entries <n>', 'Entries to keep, 0 or none for no limit (default: 1000)')
+    .option('--max-age <time>', 'Drop entries older than this, like 30d, 0 or none for no limit (default: none)')
+    .option('--max-bytes <n>', 'Keep history under this many bytes, 0 or none for no limit (default: 10485760)')
+    .option('--reset', 'Go back to the defaults')
+    .action((options) => {
+      const changes = {maxEntries: options.maxEntries, maxAge: options.maxAge, maxBytes: options.maxBytes};
+      const changed = Object.values(changes).some(value => value !== undefined);
+
+      try {
+        saveRetention(changes, {reset: options.reset});
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      if (options.reset || changed) {
+        console.log(chalk.green(`Saved history retention to ${getConfigFile()}`));
+        console.log(chalk.gray('It is applied the next time an entry is written, older entries past the limits are dropped then.'));
+      }
+
+      printRetention(getRetentionSettings());
+    });
+}
+
+
+function printRetention(settings) {
+  Object.entries(settings).forEach(([name, {value, source}]) => {
+    const shown = value ? String(value) : 'no limit';
+    const from = source === 'environment' ? RETENTION_SETTINGS[name].variable : source;
+
+    console.log(`${RETENTION_SETTINGS[name].label}: ${shown} ${chalk.gray(`(${from})`)}`);
+  });
+}
+
+
+function formatStatsRow(group, trend) {
+  let success;
+  if (group.successRate === 100) {
+    success = chalk.green(`${group.successRate}%`);
+  } else if (group.successRate >= 90) {
+    success = chalk.yellow(`${group.successRate}%`);
+  } else {
+    success = chalk.red(`${group.successRate}%`);
+  }
+
+  const row = [
+    group.name ? chalk.cyan(group.name) : `${chalk.yellow(group.method)} ${group.url}`,
+    group.count,
+    success,
+    `${group.minMs}ms`,
+    `${group.avgMs}ms`,
+    `${group.p95Ms}ms`,
+    `${group.maxMs}ms`
+  ];
+
+  if (trend) {
+    row.push(group.trend);
+  }
+  return row;
+}
+
+
+const FILTER_OPTIONS = ['method', 'status', 'since', 'until', 'url', 'env', 'name', 'minDuration', 'grep'];
+
+function hasFilters(options) {
+  return FILTER_OPTIONS.some(key => options[key] !== undefined);
+}
+
+
+function describeClear(options) {
+  const parts = [];
+  if (options.before) {
+    parts.push(`before ${options.before}`);
+  }
+  if (options.status) {
+    parts.push(`with status ${options.status}`);
+  }
+  return parts.length > 0 ? ` ${parts.join(' ')}` : '';
+}
+
+
+function printMissing(id) {
+  console.log(chalk.red(id === 'last' ? 'Error: History is empty.' : `Error: No history entry with id '${id}'.`));
+  console.log(chalk.gray('Use "api-ex history" to see entry ids.'));
+}
+
+
+function showEntry(entry) {
+  const details = [new Date(entry.timestamp).toLocaleString()];
+  if (entry.savedRequestName) {
+    details.push(`saved request '${entry.savedRequestName}'`);
+  }
+  if (entry.env) {
+    details.push(`env '${entry.env}'`);
+  }
+  console.log(chalk.gray(`#${entry.id} ${details.join(', ')}`));
+
+  if (!entry.request && !entry.response) {
+    console.log(chalk.green(`${entry.method} ${entry.url} ==> ${entry.status} (${entry.durationMs}ms)`));
+    console.log(chalk.gray('Headers and bodies were not stored for this entry.'));
+    return;
+  }
+
+  if (entry.request) {
+    console.log(chalk.cyan('\nRequest:'));
+    if (entry.request.auth) {
+      console.log(chalk.gray(`  Auth: ${describeAuth(entry.request.auth)}`));
+    }
+    printHeaders(entry.request.headers);
+    printBody(entry.request);
+  }
+
+  if (entry.response) {
+    console.log(chalk.cyan('\nResponse:'));
+    printHeaders(entry.response.headers);
+    console.log('');
+
+    printSuccess({
+      status: entry.status,
+      statusText: entry.response.statusText || '',
+      durationMs: entry.durationMs,
+      data: parseBody(entry.response.body)
+    }, entry.method, entry.url);
+
+    if (entry.response.bodyTruncated) {
+      console.log(chalk.yellow('(body truncated)'));
+    }
+  }
+}
+
+
+function printHeaders(headers = {}) {
+  Object.keys(headers).forEach(key => {
+    console.log(chalk.gray(`  ${key}: ${headers[key]}`));
+  });
+}
+
+
+function printBody(details) {
+  if (details.body === null || details.body === undefined || details.body === '') {
+    return;
+  }
+
+  const body = parseBody(details.body);
+  console.log('');
+  console.log(typeof body === 'object' ? prettyjson.render(body) : body);
+
+  if (details.bodyTruncated) {
+    console.log(chalk.yellow('(body truncated)'));
+  }
+}
+
+
+//stored json text back to an object for pretty printing
+function parseBody(body) {
+  if (typeof body === 'string' && isValidJson(body)) {
+    return JSON.parse(body);
+  }
+  return body === null ? '' : body;
 }
 
 module.exports = register;
\ No newline at end of file
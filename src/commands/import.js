@@ -0,0 +1,243 @@
+//import saved requests and environments from other tools
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const {saveRequest, getRequestByName, getEnvironments, mergeEnvironment} = require('../core/storage');
+const {printTable} = require('../core/printer');
+const {validateEnvironmentName, validateRequestName, validateUrl, toRequestName} = require('../core/validation');
+const postman = require('../core/postman');
+const {parseCurl, defaultRequestName} = require('../core/curl');
+const openapi = require('../core/openapi');
+const {isHar, convertHar} = require('../core/har');
+const {toUrlMatcher} = require('../core/history');
+
+
+function register(program) {
+  const importCommand = program.command('import').description('Import requests from other tools');
+
+
+  //import postman
+  importCommand
+    .command('postman <file>')
+    .description('Import a Postman v2.1 collection or environment export')
+    .option('--env <name>', 'Environment for the variables (default: collection or environment name)')
+    .option('--dry-run', 'Show what would be imported without saving')
+    .action(async (file, options) => {
+
+      const json = parseJson(readFile(file), file);
+
+      let imported;
+      if (postman.isPostmanCollection(json)) {
+        imported = postman.convertCollection(json);
+      } else if (postman.isPostmanEnvironment(json)) {
+        imported = postman.convertEnvironment(json);
+      } else {
+        console.log(chalk.red(`Error: '${file}' is not a Postman collection or environment export.`));
+        console.log(chalk.gray('Export from Postman with "Collection v2.1" format.'));
+        process.exit(1);
+        return;
+      }
+
+      let envName;
+      try {
+        envName = validateEnvironmentName(options.env || toRequestName(imported.name));
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      saveImport(imported, envName, options.dryRun);
+    });
+
+
+  //import openapi
+  importCommand
+    .command('openapi <file>')
+    .description('Import every operation of an OpenAPI 3 or Swagger 2 spec (YAML or JSON)')
+    .option('--env <name>', 'Environment for baseUrl and placeholders (default: spec title)')
+    .option('--dry-run', 'Show what would be imported without saving')
+    .action(async (file, options) => {
+
+      const content = readFile(file);
+
+      let imported, envName;
+      try {
+        imported = openapi.convertSpec(openapi.parseSpec(content));
+        envName = validateEnvironmentName(options.env || toRequestName(imported.name));
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      //spec values are defaults, never overwrite what is already set
+      const existing = (getEnvironments() || {})[envName] || {};
+      const variables = {};
+      Object.keys(imported.variables).forEach(key => {
+        if (!(key in existing)) {
+          variables[key] = imported.variables[key];
+        }
+      });
+
+      saveImport({...imported, variables}, envName, options.dryRun);
+    });
+
+
+  //import har
+  importCommand
+    .command('har <file>')
+    .description('Import the requests of a HAR file from browser devtools or "api-ex history export"')
+    .option('--url <pattern>', 'Only requests whose URL matches a glob (* and ?) or /regex/')
+    .option('--dry-run', 'Show what would be imported without saving')
+    .action(async (file, options) => {
+
+      const json = parseJson(readFile(file), file);
+
+      if (!isHar(json)) {
+        console.log(chalk.red(`Error: '${file}' is not a HAR file.`));
+        console.log(chalk.gray('Save one from the browser devtools Network tab with "Save all as HAR".'));
+        process.exit(1);
+        return;
+      }
+
+      let imported;
+      try {
+        imported = convertHar(json, {url: options.url ? toUrlMatcher(options.url) : null});
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      saveImport(imported, null, options.dryRun);
+    });
+
+
+  //import curl
+  importCommand
+    .command('curl [command]')
+    .description('Import a curl command line as a saved request (reads stdin if omitted)')
+    .option('-n, --name <name>', 'Name for the saved request (default: method and path)')
+    .option('--dry-run', 'Show what would be imported without saving')
+    .action(async (command, options) => {
+
+      if (!command || command === '-') {
+        if (process.stdin.isTTY) {
+          console.log(chalk.red('Error: Provide a curl command or pipe one on stdin.'));
+          console.log(chalk.gray(`Usage: api-ex import curl 'curl https://api.example.com/users'`));
+          process.exit(1);
+          return;
+        }
+
+        command = await readStdin();
+      }
+
+      let parsed;
+      try {
+        parsed = parseCurl(command);
+        validateUrl(parsed.request.url);
+        parsed.request.name = validateRequestName(options.name || defaultRequestName(parsed.request));
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      saveImport({
+        name: parsed.request.name,
+        requests: [parsed.request],
+        variables: {},
+        skipped: parsed.skipped
+      }, null, options.dryRun);
+    });
+}
+
+
+//whole of stdin as a string
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let content = '';
+
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', chunk => {
+      content += chunk;
+    });
+    process.stdin.on('end', () => resolve(content));
+    process.stdin.on('error', reject);
+  });
+}
+
+
+//read file as text, exits on failure
+function readFile(file) {
+  try {
+    return fs.readFileSync(path.resolve(process.cwd(), file), 'utf-8');
+  } catch (error) {
+    console.log(chalk.red(`Error: Could not read file '${file}'.`));
+    console.log(chalk.gray(error.message));
+    process.exit(1);
+    return null;
+  }
+}
+
+
+//parse json file content, exits on failure
+function parseJson(content, file) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    console.log(chalk.red(`Error: '${file}' is not valid JSON.`));
+    console.log(chalk.gray(error.message));
+    process.exit(1);
+    return null;
+  }
+}
+
+
+//save converted requests and variables, print summary
+//imported = requests, variables, skipped
+function saveImport(imported, envName, dryRun) {
+  const {requests, variables, skipped} = imported;
+
+  if (requests.length > 0) {
+    const headers = ['Name', 'Method', 'URL', 'Status'];
+    const rows = requests.map(request => [
+      chalk.cyan(request.name),
+      chalk.yellow(request.method),
+      request.url,
+      getRequestByName(request.name) ? chalk.yellow('updated') : chalk.green('new')
+    ]);
+
+    printTable(headers, rows);
+  }
+
+  const variableCount = Object.keys(variables).length;
+
+  if (!dryRun) {
+    requests.forEach(request => saveRequest(request));
+
+    if (variableCount > 0) {
+      mergeEnvironment(envName, variables);
+    }
+  }
+
+  const prefix = dryRun ? 'Would import' : 'Imported';
+  console.log(chalk.green(`${prefix} ${requests.length} request(s)`));
+
+  if (variableCount > 0) {
+    console.log(chalk.green(`${prefix} ${variableCount} variable(s) into environment '${envName}'`));
+    console.log(chalk.gray(`  ${Object.keys(variables).join(', ')}`));
+  }
+
+  if (skipped.length > 0) {
+    console.log(chalk.yellow(`\nSkipped ${skipped.length} item(s):`));
+    skipped.forEach(reason => {
+      console.log(chalk.yellow(`  - ${reason}`));
+    });
+  }
+}
+
+module.exports = register;
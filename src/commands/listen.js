@@ -0,0 +1,191 @@
+//listen command
+//request bin for webhooks: print and store every request, reply with a fixed answer
+//--forward relays each request to a local dev service
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const {recordWebhook, getWebhooks, getWebhookById, clearWebhooks} = require('../core/webhooks');
+const {printIncomingRequest, printTable} = require('../core/printer');
+const {buildReply, startListenServer} = require('../core/listen');
+const {parseHeaderList} = require('../core/runner');
+const {validatePort, validateStatusCode, validateTimeout, validateUrl, validateInteger} = require('../core/validation');
+const {ValidationError, FileSystemError} = require('../core/errors');
+
+
+function register(program) {
+  program
+    .command('listen')
+    .description('Receive webhooks on a local port, print and store them')
+    .option('-p, --port <port>', 'Port to listen on', '9000')
+    .option('--host <host>', 'Host to bind to', '127.0.0.1')
+    .option('--status <code>', 'Status to reply with', '200')
+    .option('--body <body>', 'Body to reply with')
+    .option('--body-file <file>', 'Reply with the contents of a file')
+    .option('-H, --header <header>', 'Header to reply with (repeatable)', collect, [])
+    .option('--forward <url>', 'Relay every request to this URL and reply with its response')
+    .option('--timeout <ms>', 'Timeout for --forward in milliseconds', '30000')
+    .option('--list', 'List stored requests instead of listening')
+    .option('-n, --limit <n>', 'Number of stored requests to list', '20')
+    .option('--show <id>', 'Print a stored request in full')
+    .option('--clear', 'Delete all stored requests')
+    .action(async (options) => {
+
+      if (options.list || options.show || options.clear) {
+        showStored(options);
+        return;
+      }
+
+      let port, reply, timeout;
+      try {
+        port = validatePort(options.port);
+        timeout = validateTimeout(options.timeout);
+
+        if (options.body && options.bodyFile) {
+          throw new ValidationError('Use either --body or --body-file, not both.');
+        }
+
+        if (options.forward) {
+          validateUrl(options.forward, false);
+        }
+
+        reply = buildReply({
+          status: validateStatusCode(options.status),
+          body: options.bodyFile ? readReplyFile(options.bodyFile) : (options.body || ''),
+          headers: parseHeaderList(options.header)
+        });
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      const onRequest = (entry) => {
+        let label = null;
+
+        if (entry.forward) {
+          label = entry.forward.error
+            ? `forward failed: ${entry.forward.error}`
+            : `forwarded to ${entry.forward.url} ==> ${entry.forward.status}`;
+        }
+
+        try {
+          const {id} = recordWebhook(entry);
+          label = label ? `#${id} ${label}` : `#${id}`;
+        } catch (error) {
+          console.log(chalk.red(`Error: Could not store request: ${error.message}`));
+        }
+
+        printIncomingRequest({...entry, path: displayPath(entry), name: label});
+      };
+
+      let server;
+      try {
+        server = await startListenServer({
+          port: port,
+          host: options.host,
+          reply: reply,
+          forward: options.forward || null,
+          timeout: timeout,
+          onRequest: onRequest
+        });
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(2);
+        return;
+      }
+
+      console.log(chalk.green(`Listening on http://${options.host}:${server.address().port}`));
+      if (options.forward) {
+        console.log(chalk.gray(`Forwarding to ${options.forward}`));
+      } else {
+        console.log(chalk.gray(`Replying ${reply.status}${reply.body ? ' with the configured body' : ''}`));
+      }
+      console.log(chalk.gray('Press Ctrl+C to stop.\n'));
+
+      process.once('SIGINT', () => {
+        server.close();
+        process.exit(0);
+      });
+    });
+}
+
+
+//path with the query string it came with
+function displayPath(entry) {
+  const query = new URLSearchParams(entry.query || {}).toString();
+  return query ? `${entry.path}?${query}` : entry.path;
+}
+
+
+function readReplyFile(file) {
+  try {
+    return fs.readFileSync(path.resolve(process.cwd(), file), 'utf-8');
+  } catch (error) {
+    throw new FileSystemError(`Could not read reply body '${file}': ${error.message}`);
+  }
+}
+
+
+//--list, --show <id> and --clear
+function showStored(options) {
+  if (options.clear) {
+    const count = clearWebhooks();
+    console.log(chalk.green(`Deleted ${count} stored request(s)`));
+    return;
+  }
+
+  if (options.show) {
+    const entry = getWebhookById(options.show);
+    if (!entry) {
+      console.log(chalk.red(`Error: No stored request with id '${options.show}'.`));
+      console.log(chalk.gray('Use "api-ex listen --list" to see stored requests.'));
+      process.exit(1);
+      return;
+    }
+
+    console.log(chalk.gray(`Received ${new Date(entry.receivedAt).toLocaleString()}`));
+    if (entry.forward) {
+      console.log(chalk.gray(`Forwarded to ${entry.forward.url} ==> ${entry.forward.error || entry.forward.status}`));
+    }
+    printIncomingRequest({...entry, path: displayPath(entry), name: `#${entry.id}`});
+    return;
+  }
+
+  let limit;
+  try {
+    limit = validateInteger(options.limit, 'Limit', 1);
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+    return;
+  }
+
+  const webhooks = getWebhooks({limit});
+  if (webhooks.length === 0) {
+    console.log(chalk.gray('No stored requests yet.'));
+    console.log(chalk.gray('Start "api-ex listen" and point a webhook at it.'));
+    return;
+  }
+
+  const rows = webhooks.map(entry => [
+    chalk.cyan(entry.id),
+    chalk.gray(new Date(entry.receivedAt).toLocaleString()),
+    chalk.yellow(entry.method),
+    displayPath(entry),
+    entry.status >= 400 ? chalk.red(entry.status) : chalk.green(entry.status),
+    entry.bodyEncoding === 'base64' ? `${Buffer.from(entry.body, 'base64').length} bytes` : `${Buffer.byteLength(entry.body || '')} bytes`
+  ]);
+
+  printTable(['Id', 'Received', 'Method', 'Path', 'Status', 'Body'], rows);
+  console.log(chalk.gray(`\nShowing ${webhooks.length} most recent request(s)`));
+}
+
+
+//repeatable options helper
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+module.exports = register;
@@ -0,0 +1,93 @@
+//mock command
+//serve canned responses for saved requests on a local port
+//frontend work can go on while the real backend is down
+
+const chalk = require('chalk');
+
+const {getRequests} = require('../core/storage');
+const {getHistory} = require('../core/history');
+const {printTable, printRequestLog} = require('../core/printer');
+const {buildRoutes, parseLatency, startMockServer} = require('../core/mock');
+const {validatePort, validateStatusCode} = require('../core/validation');
+
+
+function register(program) {
+  program
+    .command('mock')
+    .description('Start a local mock server answering for saved requests')
+    .option('-p, --port <port>', 'Port to listen on', '4000')
+    .option('--host <host>', 'Host to bind to', '127.0.0.1')
+    .option('-t, --tag <tag>', 'Only mock requests with this tag (repeatable)', collect, [])
+    .option('--latency <ms>', 'Delay every response, e.g. 200 or a random 100-500')
+    .option('--status <code>', 'Answer every route with this status instead')
+    .action(async (options) => {
+
+      let port, latency, status;
+      try {
+        port = validatePort(options.port);
+
+        latency = parseLatency(options.latency);
+        status = options.status ? validateStatusCode(options.status) : null;
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      let requests = getRequests();
+      if (options.tag.length > 0) {
+        requests = requests.filter(r => (r.tags || []).some(tag => options.tag.includes(tag)));
+      }
+
+      const {routes, skipped} = buildRoutes(requests, getHistory({limit: Infinity}));
+
+      skipped.forEach(item => {
+        console.log(chalk.yellow(`Skipped '${item.name}': ${item.reason}`));
+      });
+
+      if (routes.length === 0) {
+        console.log(chalk.red('Error: No saved requests to mock.'));
+        console.log(chalk.gray('Save some with "api-ex save <name> --url <url>" first.'));
+        process.exit(1);
+        return;
+      }
+
+      let server;
+      try {
+        server = await startMockServer(routes, {
+          port: port,
+          host: options.host,
+          latency: latency,
+          status: status,
+          onRequest: printRequestLog
+        });
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(2);
+        return;
+      }
+
+      const address = server.address();
+      console.log(chalk.green(`Mock server listening on http://${options.host}:${address.port}`));
+
+      printTable(
+        ['Method', 'Path', 'Status', 'Source', 'Request'],
+        routes.map(route => [route.method, route.path, status || route.status, route.source, route.name])
+      );
+
+      console.log(chalk.gray('Press Ctrl+C to stop.'));
+
+      process.once('SIGINT', () => {
+        server.close();
+        process.exit(0);
+      });
+    });
+}
+
+
+//repeatable options helper
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+module.exports = register;
@@ -0,0 +1,170 @@
+//proxy command
+//forward http proxy that records traffic into a recording file, history and saved requests
+//--replay answers from the recording without touching upstream
+
+const chalk = require('chalk');
+
+const {getRequests, saveRequest} = require('../core/storage');
+const {recordHistory} = require('../core/history');
+const {printRequestLog} = require('../core/printer');
+const {
+  DEFAULT_RECORDING_FILE, createRecording, loadRecording, writeRecording, addExchange, toSavedRequest, startProxyServer
+} = require('../core/proxy');
+const {validatePort, validateTimeout} = require('../core/validation');
+const {ValidationError} = require('../core/errors');
+
+//log labels per mode
+const MODE_LABELS = {
+  replay: 'replayed',
+  miss: 'not in recording'
+};
+
+
+function register(program) {
+  program
+    .command('proxy')
+    .description('Run a local HTTP proxy that records or replays traffic')
+    .option('-p, --port <port>', 'Port to listen on', '8080')
+    .option('--host <host>', 'Host to bind to', '127.0.0.1')
+    .option('--record [file]', `Record exchanges into a recording file and history (default: ${DEFAULT_RECORDING_FILE})`)
+    .option('--replay [file]', `Answer from a recording file instead of forwarding (default: ${DEFAULT_RECORDING_FILE})`)
+    .option('--save', 'With --record, also save one request per method and path')
+    .option('-t, --tag <tag>', 'Tag for requests saved with --save (repeatable)', collect, [])
+    .option('--timeout <ms>', 'Upstream timeout in milliseconds', '30000')
+    .action(async (options) => {
+
+      let port, timeout, recordFile, replayFile, recording;
+      try {
+        port = validatePort(options.port);
+        timeout = validateTimeout(options.timeout);
+
+        if (options.record && options.replay) {
+          throw new ValidationError('Use either --record or --replay, not both.');
+        }
+        if (options.save && !options.record) {
+          throw new ValidationError('--save only works with --record.');
+        }
+
+        recordFile = options.record ? fileOption(options.record) : null;
+        replayFile = options.replay ? fileOption(options.replay) : null;
+
+        if (recordFile) {
+          recording = loadRecording(recordFile, {allowMissing: true});
+        } else if (replayFile) {
+          recording = loadRecording(replayFile);
+        } else {
+          recording = createRecording();
+        }
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      const onExchange = (info) => {
+        let label = MODE_LABELS[info.mode] || info.error || null;
+
+        if (recordFile && info.exchange) {
+          label = recordExchange(info.exchange, recording, recordFile, options);
+        }
+
+        printRequestLog({
+          method: info.method,
+          path: info.url,
+          status: info.status,
+          durationMs: info.durationMs,
+          name: label
+        });
+      };
+
+      let server;
+      try {
+        server = await startProxyServer({
+          port: port,
+          host: options.host,
+          timeout: timeout,
+          replay: replayFile ? recording : null,
+          onExchange: onExchange,
+          onTunnel: (target) => console.log(chalk.gray(`CONNECT ${target} (https, passed through${recordFile ? ' without recording' : ''})`))
+        });
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(2);
+        return;
+      }
+
+      const proxyUrl = `http://${options.host}:${server.address().port}`;
+      console.log(chalk.green(`Proxy listening on ${proxyUrl}`));
+
+      if (recordFile) {
+        console.log(chalk.gray(`Recording to ${recordFile}${options.save ? ', saving new requests' : ''}`));
+      } else if (replayFile) {
+        console.log(chalk.gray(`Replaying ${recording.exchanges.length} exchange(s) from ${replayFile}, nothing is forwarded`));
+      }
+
+      console.log(chalk.gray(`Point your client at it, e.g. HTTP_PROXY=${proxyUrl}`));
+      console.log(chalk.gray('Press Ctrl+C to stop.'));
+
+      process.once('SIGINT', () => {
+        server.close();
+        process.exit(0);
+      });
+    });
+}
+
+
+//--record/--replay without a value => default file
+function fileOption(value) {
+  return value === true ? DEFAULT_RECORDING_FILE : value;
+}
+
+
+//store a forwarded exchange, returns the log label
+function recordExchange(exchange, recording, file, options) {
+  let savedName = null;
+
+  try {
+    writeRecording(addExchange(recording, exchange), file);
+
+    if (options.save) {
+      const request = toSavedRequest(exchange, getRequests());
+      if (request) {
+        if (options.tag.length > 0) {
+          request.tags = options.tag;
+        }
+        saveRequest(request);
+        savedName = request.name;
+      }
+    }
+
+    recordHistory({
+      method: exchange.method,
+      url: exchange.url,
+      status: exchange.response.status,
+      durationMs: exchange.durationMs,
+      env: null,
+      savedRequestName: savedName,
+      request: {headers: exchange.request.headers, body: textBody(exchange.request)},
+      response: {statusText: exchange.response.statusText, headers: exchange.response.headers, body: textBody(exchange.response)}
+    });
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return 'not recorded';
+  }
+
+  return savedName ? `recorded, saved as ${savedName}` : 'recorded';
+}
+
+
+//binary bodies are only kept in the recording
+function textBody(part) {
+  return part.bodyEncoding === 'base64' || !part.body ? null : part.body;
+}
+
+
+//repeatable options helper
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+module.exports = register;
@@ -1,12 +1,21 @@
 //send ad-hoc HTTP requests
 
+const path = require('path');
 const ora = require('ora');
 const chalk = require('chalk');
 
 const {sendRequest} = require('../core/http');
 const {getEnv, interpolateRequest} = require('../core/env');
-const {recordHistory} = require('../core/history');
-const {printSuccess, printError, printDebug} = require('../core/printer');
+const {recordHistory, exchangeDetails} = require('../core/history');
+const {printSuccess, printError, printDebug, printAssertionResults, printCaptureResults} = require('../core/printer');
+const {parseAssertions, runAssertions, hasFailures, ASSERTION_FAILURE_EXIT_CODE} = require('../core/assertions');
+const {parseCaptures, extractCaptures, saveCaptures} = require('../core/capture');
+const {resolveReporters, writeReport} = require('../core/reporters');
+const {createResult} = require('../core/runner');
+const {toCurl, curlAuthWarning} = require('../core/curl');
+const {parseAuth} = require('../core/auth');
+const {loadContract, validateContract} = require('../core/contract');
+const {loadSchemaFile, validateBody} = require('../core/schema');
 const {validateUrl, validateHttpMethod, validateTimeout, validateJsonData, validateEnvironmentName} = require('../core/validation');
 
 
@@ -20,8 +29,16 @@ function register(program) {
     .option('-u, --url <url>', 'Request URL (required)')
     .option('-H, --header <header>', 'Request header (repeatable)', collect, [])
     .option('-d, --data <data>', 'Request body (JSON or raw string)')
+    .option('--auth <auth>', 'Auth: basic:<user>:<pass>, bearer:<token>, apikey:header|query:<name>:<value>, digest:<user>:<pass>, oauth2:<profile>, aws-sigv4:<region>:<service> or hmac:<profile>')
     .option('--env <env>', 'Environment name for variable interpolation')
     .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+    .option('--expect <assertion>', 'Assert on the response, e.g. "status=200" (repeatable)', collect, [])
+    .option('--capture <rule>', 'Capture a response value into --env, e.g. TOKEN=body.token (repeatable)', collect, [])
+    .option('--reporter <name>', 'Output format: cli, junit, tap or json', 'cli')
+    .option('--report-file <path>', 'Write the --reporter output to a file instead of stdout')
+    .option('--print-curl', 'Print the request as a curl command instead of sending it')
+    .option('--openapi <spec>', 'Validate the response against an OpenAPI spec (YAML or JSON)')
+    .option('--schema <file>', 'Validate the response body against a JSON Schema file')
     .action(async (options) => {
 
       if (!options.url) {
@@ -31,7 +48,7 @@ function register(program) {
       }
 
       // Validate inputs
-      let validatedMethod, validatedTimeout;
+      let validatedMethod, validatedTimeout, auth, assertions, captures, reporters, contract, schemaValidator;
       try {
         validateUrl(options.url);
         validatedMethod = validateHttpMethod(options.method);
@@ -42,6 +59,12 @@ function register(program) {
         if (options.env) {
           validateEnvironmentName(options.env);
         }
+        auth = options.auth ? parseAuth(options.auth) : null;
+        assertions = parseAssertions(options.expect);
+        captures = parseCaptures(options.capture);
+        reporters = resolveReporters({reporter: options.reporter, reportFile: options.reportFile});
+        contract = options.openapi ? loadContract(options.openapi) : null;
+        schemaValidator = options.schema ? await loadSchemaFile(options.schema) : null;
       } catch (error) {
         console.log(chalk.red(`Error: ${error.message}`));
         process.exit(1);
@@ -72,6 +95,13 @@ function register(program) {
         timeout: validatedTimeout
       };
 
+      if (auth) {
+        requestConfig.auth = auth;
+      }
+
+      //as typed, before interpolation
+      const template = requestConfig;
+
       //if --env, load and interp
       if (options.env) {
         try {
@@ -90,33 +120,112 @@ function register(program) {
         }
       }
 
+      //show what would be sent, dont send
+      if (options.printCurl) {
+        console.log(toCurl(requestConfig));
+
+        //on stderr, the command on stdout stays pasteable
+        const warning = curlAuthWarning(requestConfig.auth);
+        if (warning) {
+          console.error(chalk.yellow(warning));
+        }
+        return;
+      }
+
       const spinner = ora(`Sending ${requestConfig.method} ${requestConfig.url}`).start();
 
       //send request
+      let response;
       try {
         printDebug('Final request config', requestConfig);
-        const response = await sendRequest(requestConfig);
+        response = await sendRequest({...requestConfig, env: options.env});
         spinner.stop();
 
-        printSuccess(response, requestConfig.method, requestConfig.url);
+        if (reporters.console) {
+          printSuccess(response, requestConfig.method, requestConfig.url);
+        }
 
         recordHistory({
           method: requestConfig.method,
           url: requestConfig.url,
           status: response.status,
           durationMs: response.durationMs,
-          env: options.env || null
+          env: options.env || null,
+          ...exchangeDetails(requestConfig, response, template)
         });
 
       } catch (error) {
         spinner.stop();
-        printError(error, requestConfig.method, requestConfig.url);
+
+        if (reporters.console) {
+          printError(error, requestConfig.method, requestConfig.url);
+        }
+
+        if (reporters.report) {
+          emitReport(reporters, options.reportFile, {
+            ...createResult({name: 'request', method: requestConfig.method, url: requestConfig.url}),
+            error: error.message
+          });
+        }
+
         process.exit(2);
+        return;
+      }
+
+      //store captured values in --env
+      if (captures.length > 0) {
+        const {values, missing} = extractCaptures(captures, response);
+
+        if (options.env && Object.keys(values).length > 0) {
+          saveCaptures(options.env, values);
+        }
+
+        if (reporters.console) {
+          printCaptureResults(values, missing, options.env || null);
+        }
+      }
+
+      //check --expect assertions, --openapi contract and --schema
+      const results = runAssertions(assertions, response);
+      if (contract) {
+        results.push(...validateContract(contract, requestConfig.method, requestConfig.url, response));
+      }
+      if (schemaValidator) {
+        results.push(...validateBody(schemaValidator, response.data, path.basename(options.schema)));
+      }
+
+      if (reporters.console && results.length > 0) {
+        printAssertionResults(results);
+      }
+
+      if (reporters.report) {
+        emitReport(reporters, options.reportFile, {
+          ...createResult({name: 'request', method: requestConfig.method, url: requestConfig.url}),
+          status: response.status,
+          durationMs: response.durationMs,
+          assertions: results,
+          passed: !hasFailures(results)
+        });
+      }
+
+      if (hasFailures(results)) {
+        process.exit(ASSERTION_FAILURE_EXIT_CODE);
       }
     });
 }
 
 
+//write single result --reporter output
+function emitReport(reporters, reportFile, result) {
+  try {
+    writeReport(reporters.report, [result], reportFile);
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exit(2);
+  }
+}
+
+
 function collect(value, previous) {
   return previous.concat([value]);
 }
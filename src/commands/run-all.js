@@ -0,0 +1,143 @@
+//run-all command
+//runs many saved requests in order with a summary
+//captured values carry from one request to the next
+
+const chalk = require('chalk');
+
+const {getRequests, getRequestByName} = require('../core/storage');
+const {getEnv} = require('../core/env');
+const {runCollection} = require('../core/runner');
+const {resolveReporters, writeReport, summarizeResults} = require('../core/reporters');
+const {ASSERTION_FAILURE_EXIT_CODE} = require('../core/assertions');
+const {validateEnvironmentName} = require('../core/validation');
+const {loadContract} = require('../core/contract');
+
+
+
+function register(program) {
+  program
+    .command('run-all [names...]')
+    .description('Execute saved requests in sequence and print a summary')
+    .option('--env <env>', 'Environment name for variable interpolation')
+    .option('-t, --tag <tag>', 'Only run requests with this tag (repeatable)', collect, [])
+    .option('--bail', 'Stop at the first failing request')
+    .option('--verbose', 'Print every response and assertion')
+    .option('--reporter <name>', 'Output format: cli, junit, tap or json', 'cli')
+    .option('--report-file <path>', 'Write the --reporter output to a file instead of stdout')
+    .option('--openapi <spec>', 'Validate every response against an OpenAPI spec (YAML or JSON)')
+    .action(async (names, options) => {
+
+      let reporters, contract;
+      try {
+        reporters = resolveReporters({
+          reporter: options.reporter,
+          reportFile: options.reportFile,
+          verbose: options.verbose,
+          suiteName: 'api-ex run-all'
+        });
+        contract = options.openapi ? loadContract(options.openapi) : null;
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      //pick requests | by name in given order, by tag, or all
+      let requests;
+      if (names.length > 0) {
+        requests = [];
+
+        for (const name of names) {
+          const savedRequest = getRequestByName(name);
+
+          if (!savedRequest) {
+            console.log(chalk.red(`Error: No saved request found with name '${name}'.`));
+            console.log(chalk.gray('Use "api-ex ls" to see all saved requests.'));
+            process.exit(1);
+            return;
+          }
+
+          requests.push(savedRequest);
+        }
+
+      } else {
+        requests = getRequests();
+      }
+
+      if (options.tag.length > 0) {
+        requests = requests.filter(r => (r.tags || []).some(tag => options.tag.includes(tag)));
+      }
+
+      if (requests.length === 0) {
+        console.log(chalk.yellow('No saved requests to run.'));
+        if (options.tag.length > 0) {
+          console.log(chalk.gray(`No requests tagged: ${options.tag.join(', ')}`));
+        }
+        process.exit(1);
+        return;
+      }
+
+      //load env vars
+      let variables = {};
+      if (options.env) {
+        try {
+          validateEnvironmentName(options.env);
+          variables = getEnv(options.env);
+
+        } catch (error) {
+          console.log(chalk.red(`Error: ${error.message}`));
+          console.log(chalk.gray('Use "api-ex env list" to see available environments.'));
+          process.exit(1);
+          return;
+        }
+      }
+
+      if (reporters.console) {
+        console.log(chalk.gray(`Running ${requests.length} request(s)...\n`));
+      }
+
+      const results = await runCollection(requests, {
+        variables: variables,
+        envName: options.env || null,
+        contract: contract,
+        bail: options.bail,
+        onResult: (result) => {
+          if (reporters.console) {
+            reporters.console.onResult(result);
+          }
+        }
+      });
+
+      if (reporters.console) {
+        reporters.console.onEnd(results);
+      }
+
+      if (reporters.report) {
+        try {
+          writeReport(reporters.report, results, options.reportFile);
+          if (options.reportFile) {
+            console.log(chalk.gray(`Report written to ${options.reportFile}`));
+          }
+        } catch (error) {
+          console.log(chalk.red(`Error: ${error.message}`));
+          process.exit(2);
+          return;
+        }
+      }
+
+      const summary = summarizeResults(results);
+      if (summary.errors > 0) {
+        process.exit(2);
+      } else if (summary.failed > 0) {
+        process.exit(ASSERTION_FAILURE_EXIT_CODE);
+      }
+    });
+}
+
+
+//repeatable options helper
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+module.exports = register;
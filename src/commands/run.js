@@ -1,15 +1,28 @@
 //run command
 //runs saved requests
 //can override and env interp
+//--data-file/--iterations run it once per data row
 
+const path = require('path');
 const ora = require('ora');
 const chalk = require('chalk');
 
 const {getRequestByName} = require('../core/storage');
 const {sendRequest} = require('../core/http');
 const {getEnv, interpolateRequest} = require('../core/env');
-const {recordHistory} = require('../core/history');
-const {printSuccess, printError, printDebug} = require('../core/printer');
+const {recordHistory, exchangeDetails} = require('../core/history');
+const {printSuccess, printError, printDebug, printAssertionResults, printCaptureResults} = require('../core/printer');
+const {parseAssertions, runAssertions, hasFailures, ASSERTION_FAILURE_EXIT_CODE} = require('../core/assertions');
+const {parseCaptures, extractCaptures, saveCaptures} = require('../core/capture');
+const {resolveReporters, writeReport, summarizeResults} = require('../core/reporters');
+const {createResult, scriptFailure, runIterations} = require('../core/runner');
+const {toCurl, curlAuthWarning} = require('../core/curl');
+const {loadContract, validateContract} = require('../core/contract');
+const {loadSchemaFile, validateBody} = require('../core/schema');
+const {loadScript, runScript} = require('../core/scripts');
+const {loadDataFile} = require('../core/datafile');
+const {validateInteger} = require('../core/validation');
+const {parseAuth} = require('../core/auth');
 
 
 
@@ -20,6 +33,20 @@ function register(program) {
     .option('--env <env>', 'Environment name for variable interpolation')
     .option('-H, --header <header>', 'Override request header (repeatable)', collect, [])
     .option('-d, --data <data>', 'Override request body')
+    .option('--auth <auth>', 'Override the saved auth: basic:<user>:<pass>, bearer:<token>, apikey:header|query:<name>:<value>, digest:<user>:<pass>, oauth2:<profile>, aws-sigv4:<region>:<service>, hmac:<profile> or none')
+    .option('--expect <assertion>', 'Assert on the response, added to saved assertions (repeatable)', collect, [])
+    .option('--capture <rule>', 'Capture a response value into --env, added to saved captures (repeatable)', collect, [])
+    .option('--reporter <name>', 'Output format: cli, junit, tap or json', 'cli')
+    .option('--report-file <path>', 'Write the --reporter output to a file instead of stdout')
+    .option('--print-curl', 'Print the request as a curl command instead of sending it')
+    .option('--openapi <spec>', 'Validate the response against an OpenAPI spec (YAML or JSON)')
+    .option('--schema <file>', 'Validate the response body against a JSON Schema file (overrides the saved one)')
+    .option('--pre-script <file>', 'Script run before the request is sent (overrides the saved one)')
+    .option('--post-script <file>', 'Script run after the response arrives (overrides the saved one)')
+    .option('--data-file <file>', 'Run once per row of a CSV or JSON file, columns become variables')
+    .option('--iterations <n>', 'Number of iterations (default: one per data row)')
+    .option('--delay <ms>', 'Wait between iterations in milliseconds', '0')
+    .option('--bail', 'Stop at the first failing iteration')
     .action(async (name, options) => {
 
       const savedRequest = getRequestByName(name);
@@ -29,6 +56,48 @@ function register(program) {
         process.exit(1);
       }
 
+      //saved assertions/captures + --expect/--capture, --reporter, --openapi, --schema and scripts
+      const schemaFile = options.schema || savedRequest.schema || null;
+      const preScriptFile = options.preScript || savedRequest.preScript || null;
+      const postScriptFile = options.postScript || savedRequest.postScript || null;
+      const isDataDriven = Boolean(options.dataFile || options.iterations);
+      let auth, assertions, captures, reporters, contract, schemaValidator, preScript, postScript, rows, iterations, delayMs;
+      try {
+        auth = options.auth ? parseAuth(options.auth) : (savedRequest.auth || null);
+        assertions = parseAssertions([...(savedRequest.expect || []), ...options.expect]);
+        captures = parseCaptures([...(savedRequest.capture || []), ...options.capture]);
+        reporters = resolveReporters({
+          reporter: options.reporter,
+          reportFile: options.reportFile,
+          suiteName: isDataDriven ? `api-ex run ${name}` : undefined
+        });
+        contract = options.openapi ? loadContract(options.openapi) : null;
+        schemaValidator = schemaFile ? await loadSchemaFile(schemaFile) : null;
+        preScript = preScriptFile ? loadScript(preScriptFile) : null;
+        postScript = postScriptFile ? loadScript(postScriptFile) : null;
+        rows = options.dataFile ? loadDataFile(options.dataFile) : [{}];
+        iterations = options.iterations ? validateInteger(options.iterations, 'Iterations', 1) : null;
+        delayMs = validateInteger(options.delay, 'Delay', 0);
+      } catch (error) {
+        console.log(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+        return;
+      }
+
+      if (isDataDriven) {
+        if (options.printCurl) {
+          console.log(chalk.red('Error: --print-curl cannot be combined with --data-file or --iterations.'));
+          process.exit(1);
+          return;
+        }
+
+        await runDataDriven(savedRequest, options, {
+          rows, iterations, delayMs, reporters, contract, auth,
+          schema: schemaFile, preScript: preScriptFile, postScript: postScriptFile
+        });
+        return;
+      }
+
       let requestConfig = {
         method: savedRequest.method,
         url: savedRequest.url,
@@ -36,6 +105,10 @@ function register(program) {
         data: savedRequest.data
       };
 
+      if (auth) {
+        requestConfig.auth = auth;
+      }
+
       //parse headers
       if (savedRequest.headers && savedRequest.headers.length > 0) {
         savedRequest.headers.forEach(h => {
@@ -74,36 +147,71 @@ function register(program) {
         requestConfig.data = options.data;
       }
 
-      //if --env, interp
+      //load --env
+      let env = null;
       if (options.env) {
         try {
-          const env = getEnv(options.env);
-
+          env = getEnv(options.env);
           printDebug('Environment loaded', env);
-          printDebug('Request before interpolation', requestConfig);
-
-          requestConfig = interpolateRequest(requestConfig, env);
-          printDebug('Request after interpolation', requestConfig);
-
 
         } catch (error) {
           console.log(chalk.red(`Error: ${error.message}`));
           console.log(chalk.gray('Use "api-ex env list" to see available environments.'));
           process.exit(1);
+          return;
+        }
+      }
 
+      //pre-request script, runs before interpolation so env.set values fill {{KEY}}s
+      let scriptValues = {};
+      if (preScript) {
+        try {
+          const pre = runScript(preScript, {request: requestConfig, variables: env || {}});
+          requestConfig = pre.request;
+          scriptValues = pre.variables;
+        } catch (error) {
+          console.log(chalk.red(`Error: ${error.message}`));
+          process.exit(2);
+          return;
         }
       }
 
+      //before interpolation, kept in history for replay --env
+      const template = requestConfig;
+
+      //if --env or script variables, interp
+      const variables = {...(env || {}), ...scriptValues};
+      if (options.env || Object.keys(scriptValues).length > 0) {
+        printDebug('Request before interpolation', requestConfig);
+        requestConfig = interpolateRequest(requestConfig, variables);
+        printDebug('Request after interpolation', requestConfig);
+      }
+
+
 
+      //show what would be sent, dont send
+      if (options.printCurl) {
+        console.log(toCurl(requestConfig));
+
+        //on stderr, the command on stdout stays pasteable
+        const warning = curlAuthWarning(requestConfig.auth);
+        if (warning) {
+          console.error(chalk.yellow(warning));
+        }
+        return;
+      }
 
       const spinner = ora(`Running '${name}': ${requestConfig.method} ${requestConfig.url}`).start();
 
+      let response;
       try {
         printDebug('Final request config', requestConfig);
-        const response = await sendRequest(requestConfig);
+        response = await sendRequest({...requestConfig, env: options.env});
         spinner.stop();
 
-        printSuccess(response, requestConfig.method, requestConfig.url);
+        if (reporters.console) {
+          printSuccess(response, requestConfig.method, requestConfig.url);
+        }
 
         recordHistory({
           method: requestConfig.method,
@@ -111,20 +219,169 @@ function register(program) {
           status: response.status,
           durationMs: response.durationMs,
           env: options.env || null,
-          savedRequestName: name
+          savedRequestName: name,
+          ...exchangeDetails(requestConfig, response, template)
         });
 
 
       } catch (error) {
         spinner.stop();
-        printError(error, requestConfig.method, requestConfig.url);
+
+        if (reporters.console) {
+          printError(error, requestConfig.method, requestConfig.url);
+        }
+
+        if (reporters.report) {
+          emitReport(reporters, options.reportFile, {
+            ...createResult({name: name, method: requestConfig.method, url: requestConfig.url}),
+            error: error.message
+          });
+        }
+
         process.exit(2);
+        return;
+      }
+
+      //post-response script, its expect() calls join the assertions
+      let post = null;
+      if (postScript) {
+        try {
+          post = runScript(postScript, {request: requestConfig, response: response, variables: variables});
+        } catch (error) {
+          post = scriptFailure(error);
+        }
+        Object.assign(scriptValues, post.variables);
+      }
+
+      //store captured and script values in --env
+      if (captures.length > 0 || Object.keys(scriptValues).length > 0) {
+        const {values: capturedValues, missing} = extractCaptures(captures, response);
+        const values = {...scriptValues, ...capturedValues};
+
+        if (options.env && Object.keys(values).length > 0) {
+          saveCaptures(options.env, values);
+        }
 
+        if (reporters.console) {
+          printCaptureResults(values, missing, options.env || null);
+        }
       }
 
+      //check saved and --expect assertions, --openapi contract and schema
+      const results = runAssertions(assertions, response);
+      if (post) {
+        results.push(...post.assertions);
+      }
+      if (contract) {
+        results.push(...validateContract(contract, requestConfig.method, requestConfig.url, response));
+      }
+      if (schemaValidator) {
+        results.push(...validateBody(schemaValidator, response.data, path.basename(schemaFile)));
+      }
+
+      if (reporters.console && results.length > 0) {
+        printAssertionResults(results);
+      }
+
+      if (reporters.report) {
+        emitReport(reporters, options.reportFile, {
+          ...createResult({name: name, method: requestConfig.method, url: requestConfig.url}),
+          status: response.status,
+          durationMs: response.durationMs,
+          assertions: results,
+          passed: !hasFailures(results)
+        });
+      }
+
+      if (hasFailures(results)) {
+        process.exit(ASSERTION_FAILURE_EXIT_CODE);
+      }
     });
 }
 
+//--data-file / --iterations, one run per row with a summary like run-all
+async function runDataDriven(savedRequest, options, settings) {
+  const {reporters} = settings;
+
+  //overrides become part of the request every iteration runs
+  const request = {
+    ...savedRequest,
+    headers: [...(savedRequest.headers || []), ...options.header],
+    data: options.data || savedRequest.data,
+    auth: settings.auth,
+    expect: [...(savedRequest.expect || []), ...options.expect],
+    capture: [...(savedRequest.capture || []), ...options.capture],
+    schema: settings.schema,
+    preScript: settings.preScript,
+    postScript: settings.postScript
+  };
+
+  let variables = {};
+  if (options.env) {
+    try {
+      variables = getEnv(options.env);
+    } catch (error) {
+      console.log(chalk.red(`Error: ${error.message}`));
+      console.log(chalk.gray('Use "api-ex env list" to see available environments.'));
+      process.exit(1);
+      return;
+    }
+  }
+
+  const total = settings.iterations || settings.rows.length;
+  if (reporters.console) {
+    console.log(chalk.gray(`Running '${savedRequest.name}' ${total} time(s)...\n`));
+  }
+
+  const results = await runIterations(request, settings.rows, {
+    variables: variables,
+    envName: options.env || null,
+    contract: settings.contract,
+    iterations: settings.iterations,
+    delayMs: settings.delayMs,
+    bail: options.bail,
+    onResult: (result) => {
+      if (reporters.console) {
+        reporters.console.onResult(result);
+      }
+    }
+  });
+
+  if (reporters.console) {
+    reporters.console.onEnd(results);
+  }
+
+  if (reporters.report) {
+    try {
+      writeReport(reporters.report, results, options.reportFile);
+      if (options.reportFile) {
+        console.log(chalk.gray(`Report written to ${options.reportFile}`));
+      }
+    } catch (error) {
+      console.log(chalk.red(`Error: ${error.message}`));
+      process.exit(2);
+      return;
+    }
+  }
+
+  const summary = summarizeResults(results);
+  if (summary.errors > 0) {
+    process.exit(2);
+  } else if (summary.failed > 0) {
+    process.exit(ASSERTION_FAILURE_EXIT_CODE);
+  }
+}
+
+//write single result --reporter output
+function emitReport(reporters, reportFile, result) {
+  try {
+    writeReport(reporters.report, [result], reportFile);
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exit(2);
+  }
+}
+
 //repeatable options helper
 function collect(value, previous) {
   return previous.concat([value]);
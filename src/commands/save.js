@@ -2,9 +2,16 @@
 //save reusable requests
 //uses commander for this
 
+const path = require('path');
 const chalk = require('chalk');
 const {saveRequest, getRequestByName} = require('../core/storage');
-const {validateRequestName, validateUrl, validateHttpMethod, validateJsonData} = require('../core/validation');
+const {validateRequestName, validateUrl, validateHttpMethod, validateJsonData, validateStatusCode} = require('../core/validation');
+const {parseAssertions} = require('../core/assertions');
+const {parseCaptures} = require('../core/capture');
+const {loadSchemaFile} = require('../core/schema');
+const {loadScript} = require('../core/scripts');
+const {loadExample} = require('../core/mock');
+const {parseAuth, describeAuth} = require('../core/auth');
 
 
 //register the save command
@@ -16,6 +23,15 @@ function register(program) {
     .option('-u, --url <url>', 'Request URL (required)')
     .option('-H, --header <header>', 'Request header (repeatable)', collect, [])
     .option('-d, --data <data>', 'Request body')
+    .option('--auth <auth>', 'Auth: basic:<user>:<pass>, bearer:<token>, apikey:header|query:<name>:<value>, digest:<user>:<pass>, oauth2:<profile>, aws-sigv4:<region>:<service> or hmac:<profile>')
+    .option('--expect <assertion>', 'Assertion checked on every run, e.g. "status=200" (repeatable)', collect, [])
+    .option('--capture <rule>', 'Capture a response value into --env on every run, e.g. TOKEN=body.token (repeatable)', collect, [])
+    .option('-t, --tag <tag>', 'Tag for grouping with run-all --tag (repeatable)', collect, [])
+    .option('--schema <file>', 'JSON Schema file the response body is validated against on every run')
+    .option('--pre-script <file>', 'Script run before the request is sent on every run')
+    .option('--post-script <file>', 'Script run after the response arrives on every run')
+    .option('--example <file>', 'Response body served for this request by api-ex mock')
+    .option('--example-status <code>', 'Status served for this request by api-ex mock')
     .action(async (name, options) => {
 
       if (!options.url) {
@@ -25,7 +41,7 @@ function register(program) {
       }
 
       // Validate inputs
-      let validatedName, validatedMethod;
+      let validatedName, validatedMethod, auth, exampleStatus;
       try {
         validatedName = validateRequestName(name);
         validateUrl(options.url);
@@ -33,6 +49,24 @@ function register(program) {
         if (options.data) {
           validateJsonData(options.data);
         }
+        auth = options.auth ? parseAuth(options.auth) : null;
+        parseAssertions(options.expect);
+        parseCaptures(options.capture);
+        if (options.schema) {
+          await loadSchemaFile(options.schema);
+        }
+        if (options.preScript) {
+          loadScript(options.preScript);
+        }
+        if (options.postScript) {
+          loadScript(options.postScript);
+        }
+        if (options.example) {
+          loadExample(options.example);
+        }
+        if (options.exampleStatus) {
+          exampleStatus = validateStatusCode(options.exampleStatus, 'Example status');
+        }
       } catch (error) {
         console.log(chalk.red(`Error: ${error.message}`));
         process.exit(1);
@@ -53,6 +87,45 @@ function register(program) {
         data: options.data || ''
       };
 
+      //optional fields, only stored when given
+      //auth keeps its {{placeholders}}, they are filled from --env on every run
+      if (auth) {
+        request.auth = auth;
+      }
+
+      if (options.expect.length > 0) {
+        request.expect = options.expect;
+      }
+
+      if (options.capture.length > 0) {
+        request.capture = options.capture;
+      }
+
+      if (options.tag.length > 0) {
+        request.tags = options.tag;
+      }
+
+      //absolute so run works from any directory
+      if (options.schema) {
+        request.schema = path.resolve(process.cwd(), options.schema);
+      }
+
+      if (options.preScript) {
+        request.preScript = path.resolve(process.cwd(), options.preScript);
+      }
+
+      if (options.postScript) {
+        request.postScript = path.resolve(process.cwd(), options.postScript);
+      }
+
+      if (options.example) {
+        request.example = path.resolve(process.cwd(), options.example);
+      }
+
+      if (exampleStatus) {
+        request.exampleStatus = exampleStatus;
+      }
+
       saveRequest(request);
       console.log(chalk.green(`Saved request '${name}'`));
 
@@ -64,6 +137,39 @@ function register(program) {
         console.log(chalk.gray(`Headers: ${request.headers.length}`));
       } 
 
+      if (request.auth) {
+        console.log(chalk.gray(`Auth: ${describeAuth(request.auth)}`));
+      }
+
+      if (request.expect) {
+        console.log(chalk.gray(`Assertions: ${request.expect.length}`));
+      }
+
+      if (request.tags) {
+        console.log(chalk.gray(`Tags: ${request.tags.join(', ')}`));
+      }
+
+      if (request.capture) {
+        console.log(chalk.gray(`Captures: ${request.capture.map(c => c.split('=')[0]).join(', ')}`));
+      }
+
+      if (request.schema) {
+        console.log(chalk.gray(`Schema: ${request.schema}`));
+      }
+
+      if (request.preScript) {
+        console.log(chalk.gray(`Pre-request script: ${request.preScript}`));
+      }
+
+      if (request.postScript) {
+        console.log(chalk.gray(`Post-response script: ${request.postScript}`));
+      }
+
+      if (request.example || request.exampleStatus) {
+        const exampleStatusText = request.exampleStatus ? ` (status ${request.exampleStatus})` : '';
+        console.log(chalk.gray(`Mock example: ${request.example || 'no body'}${exampleStatusText}`));
+      }
+
       if (request.data) {
         console.log(chalk.gray(`  Body: ${request.data.substring(0, 50)}${request.data.length > 50 ? '...' : ''}`));
       }
@@ -0,0 +1,179 @@
+//response assertions
+//"status=200", "body.user.id exists", "header.content-type ~ json", "time < 500"
+
+const {ValidationError} = require('./errors');
+const {getResponseValue, isResponsePath} = require('./response');
+
+//exit code when a response doesnt pass its assertions
+const ASSERTION_FAILURE_EXIT_CODE = 3;
+
+const COMPARISON_REGEX = /^\s*([^\s=!<>~]+)\s*(==|!=|<=|>=|!~|=|<|>|~)\s*(.*?)\s*$/;
+const EXISTS_REGEX = /^\s*([^\s=!<>~]+)\s+(exists|!exists)\s*$/;
+
+
+//"abc" or 'abc' => abc
+function unquote(value) {
+  if (value.length >= 2) {
+    const first = value[0];
+    const last = value[value.length - 1];
+
+    if ((first === '"' || first === "'") && first === last) {
+      return value.substring(1, value.length - 1);
+    }
+  }
+
+  return value;
+}
+
+
+//string form used for comparing and printing
+function formatValue(value) {
+  if (value === undefined) {
+    return 'undefined';
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+
+//expression => {expression, path, operator, expected}
+function parseAssertion(expression) {
+  if (!expression || typeof expression !== 'string' || !expression.trim()) {
+    throw new ValidationError('Assertion cannot be empty.');
+  }
+
+  let assertion;
+
+  const existsMatch = expression.match(EXISTS_REGEX);
+  const comparisonMatch = expression.match(COMPARISON_REGEX);
+
+  if (existsMatch) {
+    assertion = {
+      expression: expression.trim(),
+      path: existsMatch[1],
+      operator: existsMatch[2],
+      expected: null
+    };
+
+  } else if (comparisonMatch) {
+    assertion = {
+      expression: expression.trim(),
+      path: comparisonMatch[1],
+      operator: comparisonMatch[2] === '==' ? '=' : comparisonMatch[2],
+      expected: unquote(comparisonMatch[3])
+    };
+
+  } else {
+    throw new ValidationError(`Invalid assertion '${expression}'. Expected format: <path> <operator> <value>, e.g. "status=200".`);
+  }
+
+  if (!isResponsePath(assertion.path)) {
+    throw new ValidationError(`Invalid assertion '${expression}'. Path must start with status, time, header or body.`);
+  }
+
+  if (['<', '>', '<=', '>='].includes(assertion.operator) && isNaN(Number(assertion.expected))) {
+    throw new ValidationError(`Invalid assertion '${expression}'. Operator ${assertion.operator} needs a number.`);
+  }
+
+  if (assertion.operator === '~' || assertion.operator === '!~') {
+    try {
+      new RegExp(assertion.expected);
+    } catch (error) {
+      throw new ValidationError(`Invalid assertion '${expression}'. ${error.message}`);
+    }
+  }
+
+  return assertion;
+}
+
+
+function parseAssertions(expressions = []) {
+  return expressions.map(parseAssertion);
+}
+
+
+//check one assertion against the response
+//result = expression, passed, actual, message
+function evaluateAssertion(assertion, response) {
+  const actual = getResponseValue(response, assertion.path);
+  const actualStr = formatValue(actual);
+  let passed;
+
+  switch (assertion.operator) {
+    case 'exists':
+      passed = actual !== undefined;
+      break;
+
+    case '!exists':
+      passed = actual === undefined;
+      break;
+
+    case '=':
+      passed = actual !== undefined && actualStr === assertion.expected;
+      break;
+
+    case '!=':
+      passed = actualStr !== assertion.expected;
+      break;
+
+    case '~':
+      passed = actual !== undefined && new RegExp(assertion.expected).test(actualStr);
+      break;
+
+    case '!~':
+      passed = !(actual !== undefined && new RegExp(assertion.expected).test(actualStr));
+      break;
+
+    default: {
+      const left = Number(actual);
+      const right = Number(assertion.expected);
+
+      if (actual === undefined || actual === null || isNaN(left)) {
+        passed = false;
+        break;
+      }
+
+      if (assertion.operator === '<') passed = left < right;
+      if (assertion.operator === '>') passed = left > right;
+      if (assertion.operator === '<=') passed = left <= right;
+      if (assertion.operator === '>=') passed = left >= right;
+    }
+  }
+
+  let message = null;
+  if (!passed) {
+    message = `${assertion.path} was ${actualStr}`;
+  }
+
+  return {
+    expression: assertion.expression,
+    passed: passed,
+    actual: actual,
+    message: message
+  };
+}
+
+
+function runAssertions(assertions = [], response) {
+  return assertions.map(assertion => evaluateAssertion(assertion, response));
+}
+
+
+function hasFailures(results = []) {
+  return results.some(result => !result.passed);
+}
+
+
+module.exports = {
+  ASSERTION_FAILURE_EXIT_CODE,
+  formatValue,
+  parseAssertion,
+  parseAssertions,
+  evaluateAssertion,
+  runAssertions,
+  hasFailures
+};
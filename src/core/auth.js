@@ -0,0 +1,295 @@
+//auth helpers for --auth and the auth field of saved requests
+//auth = {type, ...} with {{placeholders}} in its values, filled by interpolateRequest
+//basic, bearer and apikey turn into a header or query parameter at send time
+//digest needs the server's 401 challenge first, sendRequest does that round trip
+//oauth2 names a profile (core/oauth), sendRequest gets its token and sends it as bearer
+//aws-sigv4 signs the final request (core/sigv4), credentials come from {{AWS_*}} environment values
+//hmac names a signing profile (core/hmac), sendRequest signs the final request with it
+
+const crypto = require('crypto');
+const {signRequest} = require('./sigv4');
+const {ValidationError} = require('./errors');
+
+const AUTH_TYPES = ['basic', 'bearer', 'apikey', 'digest', 'oauth2', 'aws-sigv4', 'hmac'];
+
+const AUTH_USAGE = 'Use basic:<user>:<password>, bearer:<token>, apikey:header:<name>:<value>, apikey:query:<name>:<value>, digest:<user>:<password>, oauth2:<profile>, aws-sigv4:<region>:<service>, hmac:<profile> or none.';
+
+//flags after aws-sigv4:<region>:<service>
+const AWS_SIGV4_OPTIONS = ['session-token', 'unsigned-payload'];
+
+//digest algorithm names => node hash names
+const DIGEST_HASHES = {
+  'MD5': 'md5',
+  'SHA-256': 'sha256',
+  'SHA-512-256': 'sha512-256'
+};
+
+
+//text after the first n colons, so passwords and tokens may contain colons
+function splitAuth(spec, count) {
+  const parts = spec.split(':');
+  return [...parts.slice(0, count), parts.slice(count).join(':')];
+}
+
+
+//--auth value => auth object, null for 'none'
+//basic:user:pass, bearer:token, apikey:header|query:name:value, digest:user:pass, oauth2:profile, hmac:profile
+//aws-sigv4:region:service[:session-token][:unsigned-payload]
+function parseAuth(spec) {
+  if (typeof spec !== 'string' || !spec.trim()) {
+    throw new ValidationError(`Auth is required. ${AUTH_USAGE}`);
+  }
+
+  const value = spec.trim();
+  const type = value.split(':')[0].toLowerCase();
+
+  if (type === 'none' && value.length === 4) {
+    return null;
+  }
+
+  switch (type) {
+    case 'basic':
+    case 'digest': {
+      const [, username, password] = splitAuth(value, 2);
+      if (!username || value.split(':').length < 3) {
+        throw new ValidationError(`Invalid ${type} auth '${spec}'. Use ${type}:<user>:<password>.`);
+      }
+      return {type, username, password};
+    }
+
+    case 'bearer': {
+      const [, token] = splitAuth(value, 1);
+      if (!token) {
+        throw new ValidationError(`Invalid bearer auth '${spec}'. Use bearer:<token>.`);
+      }
+      return {type, token};
+    }
+
+    case 'apikey': {
+      const [, location, name, key] = splitAuth(value, 3);
+      if (!['header', 'query'].includes(location) || !name || value.split(':').length < 4) {
+        throw new ValidationError(`Invalid apikey auth '${spec}'. Use apikey:header:<name>:<value> or apikey:query:<name>:<value>.`);
+      }
+      return {type, in: location, name, value: key};
+    }
+
+    case 'oauth2':
+    case 'hmac': {
+      const [, profile] = splitAuth(value, 1);
+      if (!profile) {
+        throw new ValidationError(`Invalid ${type} auth '${spec}'. Use ${type}:<profile>.`);
+      }
+      return {type, profile};
+    }
+
+    case 'aws-sigv4': {
+      const [, region, service, ...options] = value.split(':');
+      if (!region || !service) {
+        throw new ValidationError(`Invalid aws-sigv4 auth '${spec}'. Use aws-sigv4:<region>:<service>[:session-token][:unsigned-payload].`);
+      }
+
+      const unknown = options.find(option => !AWS_SIGV4_OPTIONS.includes(option));
+      if (unknown !== undefined) {
+        throw new ValidationError(`Unknown aws-sigv4 option '${unknown}'. Use ${AWS_SIGV4_OPTIONS.join(' or ')}.`);
+      }
+
+      //placeholders, so the keys live in environments and not in saved requests
+      const auth = {
+        type,
+        region,
+        service,
+        accessKeyId: '{{AWS_ACCESS_KEY_ID}}',
+        secretAccessKey: '{{AWS_SECRET_ACCESS_KEY}}'
+      };
+      if (options.includes('session-token')) {
+        auth.sessionToken = '{{AWS_SESSION_TOKEN}}';
+      }
+      if (options.includes('unsigned-payload')) {
+        auth.unsignedPayload = true;
+      }
+      return auth;
+    }
+
+    default:
+      throw new ValidationError(`Unknown auth type '${type}'. ${AUTH_USAGE}`);
+  }
+}
+
+
+//auth => short description without secrets, for summaries and history show
+function describeAuth(auth) {
+  if (!auth) {
+    return 'none';
+  }
+
+  switch (auth.type) {
+    case 'basic':
+    case 'digest':
+      return `${auth.type} (user ${auth.username})`;
+    case 'apikey':
+      return `apikey (${auth.in} ${auth.name})`;
+    case 'oauth2':
+    case 'hmac':
+      return `${auth.type} (profile ${auth.profile})`;
+    case 'aws-sigv4':
+      return `aws-sigv4 (${auth.region} ${auth.service})`;
+    default:
+      return auth.type;
+  }
+}
+
+
+//set a header, replacing one with the same name in any case
+function setHeader(headers, name, value) {
+  Object.keys(headers)
+    .filter(key => key.toLowerCase() === name.toLowerCase())
+    .forEach(key => delete headers[key]);
+
+  headers[name] = value;
+}
+
+
+//request config with auth => config with the header or query parameter added
+//new headers object, the caller's config is left as is
+//aws-sigv4 signs with the current time, so this runs right before sending
+//digest, oauth2 and hmac are returned unchanged, sendRequest handles them
+function applyAuth(config) {
+  const auth = config.auth;
+  if (!auth) {
+    return config;
+  }
+
+  const headers = {...(config.headers || {})};
+  let url = config.url;
+
+  switch (auth.type) {
+    case 'basic':
+      setHeader(headers, 'Authorization', `Basic ${Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64')}`);
+      break;
+
+    case 'bearer':
+      setHeader(headers, 'Authorization', `Bearer ${auth.token}`);
+      break;
+
+    case 'apikey':
+      if (auth.in === 'query') {
+        const separator = url.includes('?') ? '&' : '?';
+        url = `${url}${separator}${encodeURIComponent(auth.name)}=${encodeURIComponent(auth.value || '')}`;
+      } else {
+        setHeader(headers, auth.name, auth.value || '');
+      }
+      break;
+
+    case 'aws-sigv4': {
+      //left over {{placeholders}} mean the request was sent without --env or the value is missing there
+      const unset = ['region', 'service', 'accessKeyId', 'secretAccessKey', 'sessionToken']
+        .filter(field => field in auth && (!auth[field] || /{{[^{}]*}}/.test(auth[field])))
+        .map(field => auth[field] || field);
+
+      if (unset.length > 0) {
+        throw new ValidationError(`AWS signing values are not set: ${unset.join(', ')}. Add them to an environment and use --env.`);
+      }
+
+      Object.entries(signRequest(auth, {...config, headers, url})).forEach(([name, value]) => setHeader(headers, name, value));
+      break;
+    }
+
+    case 'digest':
+    case 'oauth2':
+    case 'hmac':
+      return config;
+
+    default:
+      throw new ValidationError(`Unknown auth type '${auth.type}'. Valid types: ${AUTH_TYPES.join(', ')}.`);
+  }
+
+  return {...config, headers, url};
+}
+
+
+//WWW-Authenticate header => digest challenge {realm, nonce, qop, algorithm, opaque}, null if there is none
+//the header may list other schemes too, like Basic
+function parseDigestChallenge(header) {
+  const text = Array.isArray(header) ? header.join(', ') : String(header || '');
+  const start = text.search(/(^|[\s,])Digest\s/i);
+  if (start === -1) {
+    return null;
+  }
+
+  const params = {};
+  const param = /\s*,?\s*([A-Za-z][\w-]*)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,"]+))/y;
+  param.lastIndex = text.toLowerCase().indexOf('digest', start) + 'digest'.length;
+
+  let match;
+  while ((match = param.exec(text)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+
+  return params.nonce ? params : null;
+}
+
+
+//digest Authorization header for a challenge, RFC 7616
+//request = method, url, data, cnonce and nc can be fixed for tests
+function digestAuthorization(auth, challenge, request) {
+  const algorithm = challenge.algorithm || 'MD5';
+  const sess = /-sess$/i.test(algorithm);
+  const hashName = DIGEST_HASHES[algorithm.replace(/-sess$/i, '').toUpperCase()];
+
+  if (!hashName) {
+    throw new ValidationError(`Unsupported digest algorithm '${algorithm}'.`);
+  }
+
+  const hash = (text) => crypto.createHash(hashName).update(text).digest('hex');
+  const parsed = new URL(request.url);
+  const uri = `${parsed.pathname}${parsed.search}`;
+  const cnonce = request.cnonce || crypto.randomBytes(8).toString('hex');
+  const nc = request.nc || '00000001';
+
+  const offered = (challenge.qop || '').split(',').map(q => q.trim()).filter(Boolean);
+  const qop = offered.includes('auth') ? 'auth' : (offered.includes('auth-int') ? 'auth-int' : null);
+
+  let ha1 = hash(`${auth.username}:${challenge.realm || ''}:${auth.password || ''}`);
+  if (sess) {
+    ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+  }
+
+  let ha2 = hash(`${request.method.toUpperCase()}:${uri}`);
+  if (qop === 'auth-int') {
+    const body = request.data === undefined || request.data === null ? '' : (typeof request.data === 'string' ? request.data : JSON.stringify(request.data));
+    ha2 = hash(`${request.method.toUpperCase()}:${uri}:${hash(body)}`);
+  }
+
+  const response = qop
+    ? hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+  const fields = [
+    `username="${auth.username}"`,
+    `realm="${challenge.realm || ''}"`,
+    `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`,
+    `algorithm=${algorithm}`,
+    `response="${response}"`
+  ];
+
+  if (qop) {
+    fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+  }
+  if (challenge.opaque) {
+    fields.push(`opaque="${challenge.opaque}"`);
+  }
+
+  return `Digest ${fields.join(', ')}`;
+}
+
+
+module.exports = {
+  AUTH_TYPES,
+  parseAuth,
+  describeAuth,
+  setHeader,
+  applyAuth,
+  parseDigestChallenge,
+  digestAuthorization
+};
@@ -0,0 +1,291 @@
+//load testing for one request
+//drives sendRequest with n workers, optional rate limit, then summarizes latency
+
+const fs = require('fs');
+const path = require('path');
+const {sendRequest} = require('./http');
+const {ValidationError, FileSystemError} = require('./errors');
+
+const BENCH_FORMAT_VERSION = 1;
+const PERCENTILES = [50, 90, 95, 99];
+
+//metrics compared against a baseline, higher = worse unless noted
+const COMPARED_METRICS = [
+  {key: 'throughput', label: 'throughput', higherIsBetter: true},
+  {key: 'errorRate', label: 'error rate'},
+  {key: 'mean', label: 'mean'},
+  {key: 'p50', label: 'p50'},
+  {key: 'p90', label: 'p90'},
+  {key: 'p95', label: 'p95'},
+  {key: 'p99', label: 'p99'},
+  {key: 'max', label: 'max'}
+];
+
+
+function sleep(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+
+//send the request over and over
+//options = concurrency, requests (total) or durationMs, rate (req/s over all workers), onSample(sample)
+//returns {samples: [{status, durationMs, error}], elapsedMs}
+async function runBench(requestConfig, options = {}) {
+  const concurrency = options.concurrency || 1;
+  const total = options.requests || null;
+  const deadline = options.durationMs ? Date.now() + options.durationMs : null;
+  const samples = [];
+  const startTime = Date.now();
+  let started = 0;
+
+  //claim the next request slot, null when done
+  const next = () => {
+    if (total !== null && started >= total) {
+      return null;
+    }
+    if (deadline !== null && Date.now() >= deadline) {
+      return null;
+    }
+
+    started += 1;
+    return started - 1;
+  };
+
+  const worker = async () => {
+    let index = next();
+
+    while (index !== null) {
+      //with --rate, request i starts i/rate seconds in
+      if (options.rate) {
+        const startAt = startTime + (index * 1000) / options.rate;
+        await sleep(startAt - Date.now());
+
+        if (deadline !== null && Date.now() >= deadline) {
+          return;
+        }
+      }
+
+      let sample;
+      try {
+        //fresh headers each time, sendRequest adds content-type to them
+        const response = await sendRequest({...requestConfig, headers: {...(requestConfig.headers || {})}});
+        sample = {status: response.status, durationMs: response.durationMs, error: null};
+      } catch (error) {
+        sample = {status: null, durationMs: null, error: error.message};
+      }
+
+      samples.push(sample);
+      if (options.onSample) {
+        options.onSample(sample, samples.length);
+      }
+
+      index = next();
+    }
+  };
+
+  await Promise.all(Array.from({length: concurrency}, worker));
+
+  return {samples, elapsedMs: Date.now() - startTime};
+}
+
+
+//nearest rank percentile of a sorted list
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+
+//samples => totals, status codes and latency percentiles
+//errors = no response or a 4xx/5xx status, latency counts every response
+function summarizeBench(samples, elapsedMs) {
+  const durations = samples
+    .filter(sample => !sample.error)
+    .map(sample => sample.durationMs)
+    .sort((a, b) => a - b);
+
+  const errors = samples.filter(sample => sample.error || sample.status >= 400).length;
+  const statusCodes = {};
+  const errorMessages = {};
+
+  samples.forEach(sample => {
+    if (sample.error) {
+      errorMessages[sample.error] = (errorMessages[sample.error] || 0) + 1;
+    } else {
+      statusCodes[sample.status] = (statusCodes[sample.status] || 0) + 1;
+    }
+  });
+
+  const latency = {
+    min: durations.length > 0 ? durations[0] : null,
+    mean: durations.length > 0 ? round(durations.reduce((sum, d) => sum + d, 0) / durations.length) : null
+  };
+  PERCENTILES.forEach(p => {
+    latency[`p${p}`] = percentile(durations, p);
+  });
+  latency.max = durations.length > 0 ? durations[durations.length - 1] : null;
+
+  return {
+    requests: samples.length,
+    errors: errors,
+    errorRate: samples.length > 0 ? round((errors / samples.length) * 100) : 0,
+    elapsedMs: elapsedMs,
+    throughput: elapsedMs > 0 ? round((samples.length / elapsedMs) * 1000) : 0,
+    statusCodes: statusCodes,
+    errorMessages: errorMessages,
+    latency: latency
+  };
+}
+
+
+//latencies => histogram lines like "  12ms - 15ms | ████ 34"
+function renderHistogram(durations, buckets = 10, width = 40) {
+  if (durations.length === 0) {
+    return [];
+  }
+
+  //reduce, spreading a long run into Math.min would overflow the stack
+  const min = durations.reduce((a, b) => Math.min(a, b));
+  const max = durations.reduce((a, b) => Math.max(a, b));
+  const count = max === min ? 1 : buckets;
+  const size = (max - min) / count || 1;
+  const counts = new Array(count).fill(0);
+
+  durations.forEach(duration => {
+    counts[Math.min(count - 1, Math.floor((duration - min) / size))] += 1;
+  });
+
+  const peak = Math.max(...counts);
+  const labels = counts.map((_, index) => {
+    const from = Math.round(min + index * size);
+    const to = index === count - 1 ? max : Math.round(min + (index + 1) * size);
+    return `${from}ms - ${to}ms`;
+  });
+  const labelWidth = Math.max(...labels.map(label => label.length));
+
+  return counts.map((bucketCount, index) => {
+    const bar = '█'.repeat(Math.round((bucketCount / peak) * width));
+    return `${labels[index].padStart(labelWidth)} | ${bar}${bar ? ' ' : ''}${bucketCount}`;
+  });
+}
+
+
+//result file written by --json and read by --compare
+function toBenchReport(requestConfig, settings, summary) {
+  return {
+    version: BENCH_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    request: {
+      name: settings.name || null,
+      method: requestConfig.method,
+      url: requestConfig.url
+    },
+    settings: {
+      concurrency: settings.concurrency,
+      requests: settings.requests || null,
+      durationMs: settings.durationMs || null,
+      rate: settings.rate || null
+    },
+    summary: summary
+  };
+}
+
+
+function writeBenchReport(report, file) {
+  try {
+    const filePath = path.resolve(process.cwd(), file);
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    fs.writeFileSync(filePath, JSON.stringify(report, null, 2) + '\n');
+  } catch (error) {
+    throw new FileSystemError(`Could not write bench results to '${file}': ${error.message}`);
+  }
+}
+
+
+function loadBenchReport(file) {
+  let content;
+
+  try {
+    content = fs.readFileSync(path.resolve(process.cwd(), file), 'utf-8');
+  } catch (error) {
+    throw new FileSystemError(`Could not read bench results '${file}': ${error.message}`);
+  }
+
+  let report;
+  try {
+    report = JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`Bench results '${file}' are not valid JSON: ${error.message}`);
+  }
+
+  if (!report || !report.summary || !report.summary.latency) {
+    throw new ValidationError(`'${file}' is not an api-ex bench results file.`);
+  }
+
+  return report;
+}
+
+
+function metricValue(summary, key) {
+  if (key === 'throughput' || key === 'errorRate') {
+    return summary[key];
+  }
+
+  return summary.latency[key];
+}
+
+
+//current vs baseline summary, regression = worse by more than thresholdPct
+//error rate is compared in percentage points, the rest relative
+function compareBench(current, baseline, thresholdPct = 10) {
+  return COMPARED_METRICS.map(metric => {
+    const before = metricValue(baseline, metric.key);
+    const after = metricValue(current, metric.key);
+
+    if (before === null || before === undefined || after === null || after === undefined) {
+      return {metric: metric.label, baseline: before, current: after, changePct: null, regression: false};
+    }
+
+    let changePct;
+    let worseBy;
+
+    if (metric.key === 'errorRate') {
+      changePct = round(after - before);
+      worseBy = changePct;
+    } else {
+      changePct = before === 0 ? (after === 0 ? 0 : 100) : round(((after - before) / before) * 100);
+      worseBy = metric.higherIsBetter ? -changePct : changePct;
+    }
+
+    return {
+      metric: metric.label,
+      baseline: before,
+      current: after,
+      changePct: changePct,
+      regression: worseBy > thresholdPct
+    };
+  });
+}
+
+
+module.exports = {
+  PERCENTILES,
+  runBench,
+  percentile,
+  summarizeBench,
+  renderHistogram,
+  toBenchReport,
+  writeBenchReport,
+  loadBenchReport,
+  compareBench
+};
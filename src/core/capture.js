@@ -0,0 +1,77 @@
+//capture values from a response into an environment
+//"TOKEN=body.access_token", "ETAG=header.etag"
+
+const {mergeEnvironment} = require('./storage');
+const {ValidationError} = require('./errors');
+const {getResponseValue, isResponsePath} = require('./response');
+
+
+//rule => {name, path}
+function parseCapture(rule) {
+  if (!rule || typeof rule !== 'string') {
+    throw new ValidationError('Capture rule cannot be empty.');
+  }
+
+  const equalsIndex = rule.indexOf('=');
+  if (equalsIndex === -1) {
+    throw new ValidationError(`Invalid capture '${rule}'. Expected format: NAME=path, e.g. TOKEN=body.access_token.`);
+  }
+
+  const name = rule.substring(0, equalsIndex).trim();
+  const path = rule.substring(equalsIndex + 1).trim();
+
+  //same chars allowed in {{KEY}}
+  if (!name || /[{}\s]/.test(name)) {
+    throw new ValidationError(`Invalid capture '${rule}'. Variable name cannot be empty or contain spaces or braces.`);
+  }
+
+  if (!isResponsePath(path)) {
+    throw new ValidationError(`Invalid capture '${rule}'. Path must start with status, time, header or body.`);
+  }
+
+  return {name, path};
+}
+
+
+function parseCaptures(rules = []) {
+  return rules.map(parseCapture);
+}
+
+
+//pull every rule out of the response
+//values = {NAME: string}, missing = rules with nothing to capture
+function extractCaptures(captures = [], response) {
+  const values = {};
+  const missing = [];
+
+  captures.forEach(capture => {
+    const value = getResponseValue(response, capture.path);
+
+    if (value === undefined || value === null) {
+      missing.push(capture);
+      return;
+    }
+
+    if (typeof value === 'object') {
+      values[capture.name] = JSON.stringify(value);
+    } else {
+      values[capture.name] = String(value);
+    }
+  });
+
+  return {values, missing};
+}
+
+
+//merge captured values into env, keep existing vars
+function saveCaptures(envName, values) {
+  mergeEnvironment(envName, values);
+}
+
+
+module.exports = {
+  parseCapture,
+  parseCaptures,
+  extractCaptures,
+  saveCaptures
+};
@@ -0,0 +1,354 @@
+//contract testing against an openapi 3 / swagger 2 spec
+//matches method + url to an operation and checks status, content type and body schema
+//results have the same shape as assertion results so printers, reporters and exit codes apply
+
+const fs = require('fs');
+const path = require('path');
+const {MissingRefError} = require('ajv');
+const {parseSpec, resolveRef} = require('./openapi');
+const {createAjv, toSchemaErrors} = require('./schema');
+const {getHeader} = require('./response');
+const {FileSystemError} = require('./errors');
+
+
+//read and prepare a spec file
+function loadContract(file) {
+  let content;
+
+  try {
+    content = fs.readFileSync(path.resolve(process.cwd(), file), 'utf-8');
+  } catch (error) {
+    throw new FileSystemError(`Could not read OpenAPI spec '${file}': ${error.message}`);
+  }
+
+  return createContract(parseSpec(content));
+}
+
+
+//spec => contract with a schema validator cache
+function createContract(spec) {
+  const isOpenApi31 = typeof spec.openapi === 'string' && spec.openapi.startsWith('3.1');
+  const normalized = isOpenApi31 ? spec : normalizeSchemas(JSON.parse(JSON.stringify(spec)));
+
+  const ajv = createAjv(isOpenApi31 ? '2020-12' : 'draft-07');
+  //whole spec as one schema so local $refs resolve, not itself a json schema
+  ajv.addSchema(normalized, 'openapi', undefined, false);
+
+  return {
+    spec: normalized,
+    ajv: ajv,
+    validators: new Map()
+  };
+}
+
+
+//openapi 3.0 / swagger 2 schema quirks => plain json schema
+//nullable/x-nullable => type + null, boolean exclusiveMinimum/Maximum => numbers
+function normalizeSchemas(node) {
+  if (Array.isArray(node)) {
+    node.forEach(normalizeSchemas);
+    return node;
+  }
+
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  if ((node.nullable === true || node['x-nullable'] === true) && node.type && !Array.isArray(node.type)) {
+    node.type = [node.type, 'null'];
+    if (Array.isArray(node.enum) && !node.enum.includes(null)) {
+      node.enum = [...node.enum, null];
+    }
+  }
+
+  if (typeof node.exclusiveMinimum === 'boolean') {
+    if (node.exclusiveMinimum && node.minimum !== undefined) {
+      node.exclusiveMinimum = node.minimum;
+      delete node.minimum;
+    } else {
+      delete node.exclusiveMinimum;
+    }
+  }
+
+  if (typeof node.exclusiveMaximum === 'boolean') {
+    if (node.exclusiveMaximum && node.maximum !== undefined) {
+      node.exclusiveMaximum = node.maximum;
+      delete node.maximum;
+    } else {
+      delete node.exclusiveMaximum;
+    }
+  }
+
+  Object.values(node).forEach(normalizeSchemas);
+  return node;
+}
+
+
+//base paths the spec is served under, longest first
+function getBasePaths(spec) {
+  const basePaths = new Set(['']);
+
+  if (String(spec.swagger) === '2.0') {
+    basePaths.add((spec.basePath || '').replace(/\/$/, ''));
+  }
+
+  (spec.servers || []).forEach(server => {
+    if (!server || !server.url) {
+      return;
+    }
+
+    const serverUrl = server.url.replace(/{([^}]+)}/g, (match, name) => {
+      const variable = (server.variables || {})[name];
+      return variable && variable.default !== undefined ? String(variable.default) : 'placeholder';
+    });
+
+    try {
+      basePaths.add(new URL(serverUrl, 'http://placeholder').pathname.replace(/\/$/, ''));
+    } catch {
+      //unparseable server urls are ignored
+    }
+  });
+
+  return [...basePaths].sort((a, b) => b.length - a.length);
+}
+
+
+function templateToRegex(template) {
+  const pattern = template
+    .split(/({[^}]+})/)
+    .map(part => (/^{[^}]+}$/.test(part) ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+
+  return new RegExp(`^${pattern}/?$`);
+}
+
+
+//method + url => {template, method, operation, pathItem} or null
+//literal paths win over templated ones, /pets/mine before /pets/{id}
+function findOperation(contract, method, url) {
+  const {spec} = contract;
+  const lowerMethod = String(method).toLowerCase();
+
+  let pathname;
+  try {
+    pathname = decodeURI(new URL(url).pathname);
+  } catch {
+    return null;
+  }
+
+  const templates = Object.keys(spec.paths || {})
+    .filter(template => spec.paths[template] && spec.paths[template][lowerMethod])
+    .sort((a, b) => (a.match(/{/g) || []).length - (b.match(/{/g) || []).length);
+
+  for (const basePath of getBasePaths(spec)) {
+    if (basePath && pathname !== basePath && !pathname.startsWith(`${basePath}/`)) {
+      continue;
+    }
+
+    const rest = pathname.substring(basePath.length) || '/';
+    const template = templates.find(t => templateToRegex(t).test(rest));
+
+    if (template) {
+      return {
+        template: template,
+        method: lowerMethod,
+        operation: spec.paths[template][lowerMethod],
+        pathItem: spec.paths[template]
+      };
+    }
+  }
+
+  return null;
+}
+
+
+//"#/paths/~1pets/get" style pointer for ajv refs
+function toPointer(segments) {
+  return '#/' + segments
+    .map(segment => encodeURIComponent(String(segment).replace(/~/g, '~0').replace(/\//g, '~1')))
+    .join('/');
+}
+
+
+//compiled validator for a schema inside the spec, cached by pointer
+function getValidator(contract, segments) {
+  const pointer = toPointer(segments);
+
+  if (!contract.validators.has(pointer)) {
+    contract.validators.set(pointer, contract.ajv.compile({$ref: `openapi${pointer}`}));
+  }
+
+  return contract.validators.get(pointer);
+}
+
+
+//declared response for a status: exact, then 2XX, then default
+function findResponseKey(responses, status) {
+  const keys = Object.keys(responses || {});
+  const range = `${String(status).charAt(0)}XX`;
+
+  return keys.find(key => key === String(status)) ||
+    keys.find(key => key.toUpperCase() === range) ||
+    keys.find(key => key === 'default') ||
+    null;
+}
+
+
+//application/json; charset=utf-8 => application/json
+function baseMediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+
+function mediaTypeMatches(declared, actual) {
+  const [declaredType, declaredSubtype] = declared.toLowerCase().split('/');
+  const [actualType, actualSubtype] = actual.split('/');
+
+  return (declaredType === '*' || declaredType === actualType) &&
+    (declaredSubtype === '*' || declaredSubtype === actualSubtype);
+}
+
+
+function isJsonType(contentType) {
+  return /^application\/([\w.-]+\+)?json$/i.test(contentType);
+}
+
+
+function hasBody(data) {
+  return data !== undefined && data !== null && data !== '';
+}
+
+
+//follow a $ref on a response object
+function resolveResponse(spec, response, segments) {
+  if (!response || !response.$ref || !response.$ref.startsWith('#/')) {
+    return {response, segments};
+  }
+
+  const refSegments = response.$ref
+    .substring(2)
+    .split('/')
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  return resolveResponse(spec, resolveRef(spec, response.$ref), refSegments);
+}
+
+
+function result(expression, passed, actual, message) {
+  return {expression, passed, actual, message: passed ? null : message};
+}
+
+
+//check a response against the contract
+//returns assertion style results, one per check or body error
+function validateContract(contract, method, url, response) {
+  const {spec} = contract;
+  const match = findOperation(contract, method, url);
+
+  if (!match) {
+    let pathname = url;
+    try {
+      pathname = new URL(url).pathname;
+    } catch {
+      //keep the raw url
+    }
+
+    return [result(`openapi ${String(method).toUpperCase()} ${pathname}`, false, null, 'no matching operation in spec')];
+  }
+
+  const label = `${match.method.toUpperCase()} ${match.template}`;
+  const results = [];
+
+  //status
+  const responses = match.operation.responses || {};
+  const responseKey = findResponseKey(responses, response.status);
+
+  if (!responseKey) {
+    results.push(result(`openapi status ${response.status}`, false, response.status,
+      `not declared for ${label} (declared: ${Object.keys(responses).join(', ') || 'none'})`));
+    return results;
+  }
+
+  results.push(result(`openapi status ${response.status}`, true, response.status));
+
+  const {response: declared, segments: responseSegments} = resolveResponse(
+    spec, responses[responseKey], ['paths', match.template, match.method, 'responses', responseKey]
+  );
+
+  if (!declared || !hasBody(response.data)) {
+    return results;
+  }
+
+  //content type, swagger 2 has one schema + produces
+  const actualType = baseMediaType(getHeader(response.headers, 'content-type'));
+  let mediaTypes, schemaSegments;
+
+  if (String(spec.swagger) === '2.0') {
+    mediaTypes = declared.schema ? (match.operation.produces || spec.produces || ['application/json']) : [];
+    schemaSegments = () => [...responseSegments, 'schema'];
+  } else {
+    mediaTypes = Object.keys(declared.content || {});
+    schemaSegments = (mediaType) => [...responseSegments, 'content', mediaType, 'schema'];
+  }
+
+  if (mediaTypes.length === 0) {
+    return results;
+  }
+
+  const mediaType = mediaTypes.find(type => actualType && mediaTypeMatches(type, actualType));
+
+  if (!mediaType) {
+    results.push(result('openapi content-type', false, actualType || null,
+      `${actualType || 'missing'} not declared for ${label} ${responseKey} (declared: ${mediaTypes.join(', ')})`));
+    return results;
+  }
+
+  results.push(result(`openapi content-type ${actualType}`, true, actualType));
+
+  //body schema, json only
+  const hasSchema = String(spec.swagger) === '2.0' ? Boolean(declared.schema) : Boolean(declared.content[mediaType].schema);
+  if (!isJsonType(actualType) || !hasSchema) {
+    return results;
+  }
+
+  let body = response.data;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      results.push(result('openapi body', false, null, 'response body is not valid JSON'));
+      return results;
+    }
+  }
+
+  //schemas with a $ref outside the spec, or otherwise broken, fail the body check
+  let validate;
+  try {
+    validate = getValidator(contract, schemaSegments(mediaType));
+  } catch (error) {
+    const message = error instanceof MissingRefError
+      ? `schema $ref '${error.missingRef.replace(/^openapi/, '')}' cannot be resolved`
+      : `invalid schema: ${error.message}`;
+
+    results.push(result('openapi body', false, null, message));
+    return results;
+  }
+
+  if (validate(body)) {
+    results.push(result(`openapi body matches ${label} ${responseKey}`, true, null));
+  } else {
+    toSchemaErrors(validate.errors).forEach(error => {
+      results.push(result(`openapi body ${error.pointer}`, false, null, error.message));
+    });
+  }
+
+  return results;
+}
+
+
+module.exports = {
+  loadContract,
+  createContract,
+  findOperation,
+  validateContract
+};
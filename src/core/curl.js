@@ -0,0 +1,578 @@
+//parse curl command lines into saved requests
+//and print requests back out as curl commands
+
+const {ValidationError} = require('./errors');
+const {validateHttpMethod, toRequestName} = require('./validation');
+const {applyAuth} = require('./auth');
+
+//options that take a value => what they set
+const VALUE_OPTIONS = {
+  '-X': 'method',
+  '--request': 'method',
+  '-H': 'header',
+  '--header': 'header',
+  '-d': 'data',
+  '--data': 'data',
+  '--data-ascii': 'data',
+  '--data-binary': 'data',
+  '--data-raw': 'raw',
+  '--data-urlencode': 'urlencode',
+  '--json': 'json',
+  '-u': 'user',
+  '--user': 'user',
+  '-A': 'agent',
+  '--user-agent': 'agent',
+  '-e': 'referer',
+  '--referer': 'referer',
+  '-b': 'cookie',
+  '--cookie': 'cookie',
+  '--url': 'url',
+  '-F': 'form',
+  '--form': 'form',
+  '--aws-sigv4': 'sigv4'
+};
+
+//options without a value that change the request
+const FLAG_OPTIONS = {
+  '-G': 'get',
+  '--get': 'get',
+  '-I': 'head',
+  '--head': 'head',
+  '--digest': 'digest'
+};
+
+//output/transport options that dont change what is sent
+//--compressed is here too, axios already asks for and decodes gzip
+const IGNORED_FLAGS = [
+  '-s', '--silent', '-S', '--show-error', '-k', '--insecure', '-L', '--location',
+  '-v', '--verbose', '-i', '--include', '-f', '--fail', '-g', '--globoff',
+  '-N', '--no-buffer', '--compressed', '--http1.1', '--http2', '-#', '--progress-bar', '--basic'
+];
+
+const IGNORED_VALUE_OPTIONS = [
+  '-o', '--output', '-m', '--max-time', '--connect-timeout', '--retry', '-w', '--write-out',
+  '-x', '--proxy', '--cacert', '--cert', '--key', '--resolve', '-c', '--cookie-jar'
+];
+
+
+//ansi-c $'...' escapes
+const ANSI_ESCAPES = {n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"', '0': '\0'};
+
+
+//split a command line like a posix shell would
+//handles '...', "...", $'...', backslash escapes and line continuations
+function tokenize(command) {
+  const text = String(command || '');
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    //line continuation
+    if (ch === '\\' && (text[i + 1] === '\n' || (text[i + 1] === '\r' && text[i + 2] === '\n'))) {
+      i += text[i + 1] === '\r' ? 3 : 2;
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+      i += 1;
+      continue;
+    }
+
+    inToken = true;
+
+    if (ch === '\'') {
+      const end = text.indexOf('\'', i + 1);
+      if (end === -1) {
+        throw new ValidationError('Unterminated single quote in curl command.');
+      }
+
+      current += text.substring(i + 1, end);
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '$' && text[i + 1] === '\'') {
+      i += 2;
+      while (i < text.length && text[i] !== '\'') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+
+          if (next === 'x' && /^[0-9a-fA-F]{2}$/.test(text.substr(i + 2, 2))) {
+            current += String.fromCharCode(parseInt(text.substr(i + 2, 2), 16));
+            i += 4;
+          } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substr(i + 2, 4))) {
+            current += String.fromCharCode(parseInt(text.substr(i + 2, 4), 16));
+            i += 6;
+          } else {
+            current += next in ANSI_ESCAPES ? ANSI_ESCAPES[next] : `\\${next}`;
+            i += 2;
+          }
+          continue;
+        }
+
+        current += text[i];
+        i += 1;
+      }
+
+      if (i >= text.length) {
+        throw new ValidationError('Unterminated $\'...\' quote in curl command.');
+      }
+
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      i += 1;
+      while (i < text.length && text[i] !== '"') {
+        //inside double quotes only these can be escaped
+        if (text[i] === '\\' && ['"', '\\', '$', '`', '\n'].includes(text[i + 1])) {
+          if (text[i + 1] !== '\n') {
+            current += text[i + 1];
+          }
+          i += 2;
+          continue;
+        }
+
+        current += text[i];
+        i += 1;
+      }
+
+      if (i >= text.length) {
+        throw new ValidationError('Unterminated double quote in curl command.');
+      }
+
+      i += 1;
+      continue;
+    }
+
+    if (ch === '\\' && i + 1 < text.length) {
+      current += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    current += ch;
+    i += 1;
+  }
+
+  if (inToken) {
+    tokens.push(current);
+  }
+
+  return tokens;
+}
+
+
+//-XPOST, -sSL => [option, attached value] pairs
+function expandShortOptions(token) {
+  const option = token.substring(0, 2);
+
+  if (VALUE_OPTIONS[option] || IGNORED_VALUE_OPTIONS.includes(option)) {
+    return [[option, token.substring(2)]];
+  }
+
+  return token.substring(1).split('').map(c => [`-${c}`, null]);
+}
+
+
+function hasHeader(headers, name) {
+  return headers.some(h => h.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+}
+
+
+//--data-urlencode 'name=value' / 'value'
+function urlencodeData(value) {
+  const equalsIndex = value.indexOf('=');
+
+  if (equalsIndex === -1) {
+    return encodeURIComponent(value);
+  }
+
+  const name = value.substring(0, equalsIndex);
+  const encoded = encodeURIComponent(value.substring(equalsIndex + 1));
+
+  return name ? `${name}=${encoded}` : encoded;
+}
+
+
+//curl command => {request: {method, url, headers, data}, skipped}
+//skipped = things that were not imported
+function parseCurl(command) {
+  const tokens = tokenize(command);
+
+  if (tokens[0] === 'curl') {
+    tokens.shift();
+  }
+
+  if (tokens.length === 0) {
+    throw new ValidationError('Curl command is empty.');
+  }
+
+  const state = {
+    method: null,
+    url: null,
+    headers: [],
+    data: [],
+    formData: false,
+    json: false,
+    get: false,
+    head: false,
+    digest: false,
+    user: undefined,
+    sigv4: undefined
+  };
+  const skipped = [];
+
+  //apply one option
+  const apply = (option, value) => {
+    switch (VALUE_OPTIONS[option]) {
+      case 'method':
+        state.method = value;
+        break;
+
+      case 'header':
+        //"Name;" sends an empty header, "Name:" removes one
+        if (/^[^:]+;$/.test(value.trim())) {
+          state.headers.push(`${value.trim().slice(0, -1)}: `);
+        } else if (value.indexOf(':') > 0 && value.substring(value.indexOf(':') + 1).trim()) {
+          state.headers.push(value.trim());
+        } else {
+          skipped.push(`header '${value}' has no value`);
+        }
+        break;
+
+      case 'data':
+        if (value.startsWith('@')) {
+          skipped.push(`${option} ${value}: data from files is not imported`);
+        } else {
+          //-d strips newlines just like curl does for files
+          state.data.push(option === '--data-binary' ? value : value.replace(/[\r\n]/g, ''));
+          state.formData = true;
+        }
+        break;
+
+      case 'raw':
+        state.data.push(value);
+        state.formData = true;
+        break;
+
+      case 'urlencode':
+        state.data.push(urlencodeData(value));
+        state.formData = true;
+        break;
+
+      case 'json':
+        state.data.push(value);
+        state.json = true;
+        break;
+
+      case 'user':
+        state.user = value;
+        break;
+
+      case 'sigv4':
+        state.sigv4 = value;
+        break;
+
+      case 'agent':
+        state.headers.push(`User-Agent: ${value}`);
+        break;
+
+      case 'referer':
+        state.headers.push(`Referer: ${value}`);
+        break;
+
+      case 'cookie':
+        if (value.includes('=')) {
+          state.headers.push(`Cookie: ${value}`);
+        } else {
+          skipped.push(`${option} ${value}: cookie files are not imported`);
+        }
+        break;
+
+      case 'url':
+        state.url = value;
+        break;
+
+      case 'form':
+        skipped.push(`${option} ${value}: multipart form data is not imported`);
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    //positional = url
+    if (!token.startsWith('-') || token === '-') {
+      if (state.url === null) {
+        state.url = token;
+      } else {
+        skipped.push(`extra argument '${token}' ignored`);
+      }
+      continue;
+    }
+
+    const options = token.startsWith('--') ? [[token, null]] : expandShortOptions(token);
+
+    for (const [option, attached] of options) {
+      const takesValue = Boolean(VALUE_OPTIONS[option]) || IGNORED_VALUE_OPTIONS.includes(option);
+
+      if (takesValue) {
+        let value = attached;
+        if (!value) {
+          i += 1;
+          value = tokens[i];
+        }
+
+        if (value === undefined) {
+          throw new ValidationError(`Curl option ${option} is missing its value.`);
+        }
+
+        if (VALUE_OPTIONS[option]) {
+          apply(option, value);
+        }
+        continue;
+      }
+
+      if (FLAG_OPTIONS[option]) {
+        state[FLAG_OPTIONS[option]] = true;
+        continue;
+      }
+
+      if (!IGNORED_FLAGS.includes(option)) {
+        skipped.push(`unknown option ${option} ignored`);
+      }
+    }
+  }
+
+  if (!state.url) {
+    throw new ValidationError('Curl command has no URL.');
+  }
+
+  //curl defaults to http
+  let url = state.url;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+    url = `http://${url}`;
+  }
+
+  let data = state.data.join('&');
+
+  //-G moves the data into the query string
+  if (state.get && data) {
+    url = `${url}${url.includes('?') ? '&' : '?'}${data}`;
+    data = '';
+  }
+
+  let method;
+  if (state.method) {
+    method = validateHttpMethod(state.method);
+  } else if (state.head) {
+    method = 'HEAD';
+  } else if (data) {
+    method = 'POST';
+  } else {
+    method = 'GET';
+  }
+
+  const headers = state.headers;
+
+  //same default content types curl sends
+  if (data && state.json) {
+    if (!hasHeader(headers, 'Content-Type')) {
+      headers.push('Content-Type: application/json');
+    }
+    if (!hasHeader(headers, 'Accept')) {
+      headers.push('Accept: application/json');
+    }
+  } else if (data && state.formData && !hasHeader(headers, 'Content-Type')) {
+    headers.push('Content-Type: application/x-www-form-urlencoded');
+  }
+
+  const request = {method, url, headers, data};
+
+  //--aws-sigv4 aws:amz:<region>:<service> with -u <key>:<secret>
+  //the token and unsigned payload headers become auth options, curl would sign them
+  const [, , region, service] = (state.sigv4 || '').split(':');
+  if (state.sigv4 !== undefined && (!region || !service)) {
+    skipped.push(`--aws-sigv4 ${state.sigv4}: region and service are needed to import AWS signing`);
+  }
+
+  //the keys become {{AWS_*}} placeholders like --auth aws-sigv4, so they are not saved with the request
+  if (region && service && state.user !== undefined) {
+    request.auth = {
+      type: 'aws-sigv4',
+      region: region,
+      service: service,
+      accessKeyId: '{{AWS_ACCESS_KEY_ID}}',
+      secretAccessKey: '{{AWS_SECRET_ACCESS_KEY}}'
+    };
+
+    const given = [state.user];
+    request.headers = headers.filter(header => {
+      const [name, ...rest] = header.split(':');
+      const value = rest.join(':').trim();
+
+      if (name.trim().toLowerCase() === 'x-amz-security-token') {
+        request.auth.sessionToken = '{{AWS_SESSION_TOKEN}}';
+        given.push(value);
+        return false;
+      }
+      if (name.trim().toLowerCase() === 'x-amz-content-sha256' && value === 'UNSIGNED-PAYLOAD') {
+        request.auth.unsignedPayload = true;
+        return false;
+      }
+      return true;
+    });
+
+    //commands printed from saved requests already carry the placeholders
+    if (given.some(value => !value.includes('{{'))) {
+      const names = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', ...(request.auth.sessionToken ? ['AWS_SESSION_TOKEN'] : [])];
+      skipped.push(`AWS keys are not imported: add ${names.join(', ')} to an environment and use --env`);
+    }
+
+  //-u is basic auth, digest with --digest
+  } else if (state.user !== undefined) {
+    const colonIndex = state.user.indexOf(':');
+    request.auth = {
+      type: state.digest ? 'digest' : 'basic',
+      username: colonIndex === -1 ? state.user : state.user.substring(0, colonIndex),
+      password: colonIndex === -1 ? '' : state.user.substring(colonIndex + 1)
+    };
+  }
+
+  return {
+    request: request,
+    skipped
+  };
+}
+
+
+//name from method and url path, e.g. "post-api-users"
+function defaultRequestName(request) {
+  const urlPath = request.url
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, '')
+    .split(/[?#]/)[0];
+
+  const segments = urlPath
+    .split('/')
+    .map(segment => segment.replace(/[{}]/g, ''))
+    .filter(Boolean);
+
+  return toRequestName([request.method.toLowerCase(), ...segments].join('-'));
+}
+
+
+
+//quote for posix shells, only when needed
+function shellQuote(value) {
+  const text = String(value);
+
+  if (text === '') {
+    return '\'\'';
+  }
+
+  if (/^[A-Za-z0-9_\-.,:/@%+=]+$/.test(text)) {
+    return text;
+  }
+
+  return `'${text.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+
+//warning for auth toCurl leaves out, null when all of it is in the command
+//oauth2 tokens are fetched and hmac signatures computed when sending, curl can do neither
+function curlAuthWarning(auth) {
+  if (auth && auth.type === 'oauth2') {
+    return `Warning: oauth2 auth is left out of the curl command. Add -H "Authorization: Bearer $(api-ex auth token ${auth.profile} --raw)" to send a token.`;
+  }
+
+  if (auth && auth.type === 'hmac') {
+    return `Warning: hmac signing with profile "${auth.profile}" is left out of the curl command, curl cannot sign the request.`;
+  }
+
+  return null;
+}
+
+
+//request config {method, url, headers {}, data, auth} => curl command
+//one option per line so long requests stay readable
+//basic and digest auth become -u, aws-sigv4 curl's own --aws-sigv4
+//the other types their header or query parameter, oauth2 and hmac are left out (see curlAuthWarning)
+function toCurl(request) {
+  const auth = request.auth;
+  const userAuth = Boolean(auth && (auth.type === 'basic' || auth.type === 'digest'));
+  const sigv4 = Boolean(auth && auth.type === 'aws-sigv4');
+  const config = auth && !userAuth && !sigv4 ? applyAuth(request) : request;
+  const method = (config.method || 'GET').toUpperCase();
+  const headers = {...(config.headers || {})};
+
+  let data = config.data;
+  if (data !== undefined && data !== null && typeof data !== 'string') {
+    data = JSON.stringify(data);
+  }
+
+  //sendRequest defaults bodies to json
+  const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+  if (data && !hasContentType) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  let first = 'curl';
+  if (method === 'HEAD') {
+    first += ' --head';
+  } else if (method !== 'GET' || data) {
+    first += ` -X ${method}`;
+  }
+  first += ` ${shellQuote(config.url)}`;
+
+  if (sigv4 && auth.sessionToken) {
+    headers['X-Amz-Security-Token'] = auth.sessionToken;
+  }
+  if (sigv4 && auth.unsignedPayload) {
+    headers['X-Amz-Content-Sha256'] = 'UNSIGNED-PAYLOAD';
+  }
+
+  const lines = [first];
+
+  Object.entries(headers).forEach(([key, value]) => {
+    lines.push(`-H ${shellQuote(`${key}: ${value}`)}`);
+  });
+
+  if (userAuth) {
+    lines.push(`${auth.type === 'digest' ? '--digest ' : ''}-u ${shellQuote(`${auth.username}:${auth.password || ''}`)}`);
+  }
+
+  if (sigv4) {
+    lines.push(`--aws-sigv4 ${shellQuote(`aws:amz:${auth.region}:${auth.service}`)} -u ${shellQuote(`${auth.accessKeyId}:${auth.secretAccessKey}`)}`);
+  }
+
+  if (data) {
+    lines.push(`--data-raw ${shellQuote(data)}`);
+  }
+
+  return lines.join(' \\\n  ');
+}
+
+
+module.exports = {
+  tokenize,
+  parseCurl,
+  defaultRequestName,
+  shellQuote,
+  curlAuthWarning,
+  toCurl
+};
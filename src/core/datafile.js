@@ -0,0 +1,156 @@
+//data files for data-driven runs
+//csv with a header row or a json array of objects => [{column: value}]
+
+const fs = require('fs');
+const path = require('path');
+const {ValidationError, FileSystemError} = require('./errors');
+
+
+//rfc 4180 csv => array of string arrays
+//quoted fields can hold commas, newlines and "" escaped quotes
+function parseCsvRecords(content) {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+      } else if (ch === '"') {
+        inQuotes = false;
+        i += 1;
+      } else {
+        field += ch;
+        i += 1;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      field += ch;
+    }
+
+    i += 1;
+  }
+
+  if (inQuotes) {
+    throw new ValidationError('Unterminated quoted field in CSV.');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  //blank lines are not rows
+  return records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+
+//csv with a header row => rows
+function parseCsv(content) {
+  const [header, ...records] = parseCsvRecords(content);
+
+  if (!header) {
+    throw new ValidationError('CSV data file is empty.');
+  }
+
+  const columns = header.map(column => column.trim());
+  if (columns.some(column => !column)) {
+    throw new ValidationError('CSV header has an empty column name.');
+  }
+
+  return records.map((record, index) => {
+    if (record.length !== columns.length) {
+      throw new ValidationError(`CSV row ${index + 2} has ${record.length} field(s), expected ${columns.length}.`);
+    }
+
+    const row = {};
+    columns.forEach((column, columnIndex) => {
+      row[column] = record[columnIndex];
+    });
+    return row;
+  });
+}
+
+
+//json array of objects => rows, nested values as json strings
+function parseJsonRows(content) {
+  let data;
+
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`JSON data file is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(data) || data.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    throw new ValidationError('JSON data file must be an array of objects.');
+  }
+
+  return data.map(item => {
+    const row = {};
+
+    Object.entries(item).forEach(([key, value]) => {
+      if (value === null || value === undefined) {
+        row[key] = '';
+      } else if (typeof value === 'object') {
+        row[key] = JSON.stringify(value);
+      } else {
+        row[key] = String(value);
+      }
+    });
+
+    return row;
+  });
+}
+
+
+//.csv/.json by extension, otherwise by content
+function loadDataFile(file) {
+  let content;
+
+  try {
+    content = fs.readFileSync(path.resolve(process.cwd(), file), 'utf-8');
+  } catch (error) {
+    throw new FileSystemError(`Could not read data file '${file}': ${error.message}`);
+  }
+
+  const extension = path.extname(file).toLowerCase();
+  const looksLikeJson = extension === '.json' || (extension !== '.csv' && /^\s*\[/.test(content));
+  const rows = looksLikeJson ? parseJsonRows(content) : parseCsv(content);
+
+  if (rows.length === 0) {
+    throw new ValidationError(`Data file '${file}' has no rows.`);
+  }
+
+  return rows;
+}
+
+
+module.exports = {
+  parseCsv,
+  parseJsonRows,
+  loadDataFile
+};
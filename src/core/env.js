@@ -116,6 +116,17 @@ function interpolateRequest(request = {}, env = {}) {
         result.data = interpolate(result.data, env);
     }
 
+    //auth values like {{TOKEN}} in --auth bearer:{{TOKEN}}
+    if (result.auth && typeof result.auth === 'object') {
+        const auth = {};
+
+        Object.keys(result.auth).forEach((key) => {
+            auth[key] = interpolate(result.auth[key], env);
+        });
+
+        result.auth = auth;
+    }
+
     return result;
 
 }
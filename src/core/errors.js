@@ -36,10 +36,18 @@ class FileSystemError extends ApiExError {
   }
 }
 
+class ScriptError extends ApiExError {
+  constructor(message) {
+    super(message, 2);
+    this.name = 'ScriptError';
+  }
+}
+
 module.exports = {
   ApiExError,
   NetworkError,
   ValidationError,
   ConfigurationError,
-  FileSystemError
+  FileSystemError,
+  ScriptError
 };
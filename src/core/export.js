@@ -0,0 +1,56 @@
+//history export formats for api-ex history export
+//har for devtools and har viewers, csv for spreadsheets, ndjson for scripts
+
+const {toHar} = require('./har');
+const {ValidationError} = require('./errors');
+
+const EXPORT_FORMATS = ['har', 'csv', 'ndjson'];
+
+const CSV_COLUMNS = ['id', 'timestamp', 'method', 'url', 'status', 'durationMs', 'env', 'savedRequestName'];
+
+
+//quote fields that need it, double the quotes inside
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+
+//one row per entry, summary columns only
+function toCsv(entries) {
+  const lines = [CSV_COLUMNS.join(',')];
+  entries.forEach(entry => {
+    lines.push(CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+
+//one stored entry per line, headers and bodies included
+function toNdjson(entries) {
+  return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
+
+
+//entries (newest first, as queryHistory returns them) => file content
+function exportHistory(entries, format) {
+  switch (format) {
+    case 'har':
+      return JSON.stringify(toHar(entries), null, 2) + '\n';
+    case 'csv':
+      return toCsv(entries);
+    case 'ndjson':
+      return toNdjson(entries);
+    default:
+      throw new ValidationError(`Unknown export format '${format}'. Valid formats: ${EXPORT_FORMATS.join(', ')}.`);
+  }
+}
+
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvField,
+  toCsv,
+  toNdjson,
+  exportHistory
+};
@@ -0,0 +1,238 @@
+//HAR 1.2 files, the format browser devtools save and load
+//history entries => har log for history export, har log => saved requests for import har
+
+const packageJson = require('../../package.json');
+const {toRequestName} = require('./validation');
+const {getHeader} = require('./response');
+const {defaultRequestName} = require('./curl');
+
+const VALID_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+//set by the client on every request, not worth saving
+const NOT_IMPORTED_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'keep-alive'];
+
+
+//{name: value} => [{name, value}], repeated headers like set-cookie get one item per value
+function toHarHeaders(headers = {}) {
+  const list = [];
+
+  Object.keys(headers).forEach(name => {
+    const values = Array.isArray(headers[name]) ? headers[name] : [headers[name]];
+    values.forEach(value => list.push({name: name, value: value == null ? '' : String(value)}));
+  });
+
+  return list;
+}
+
+
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({name, value}));
+  } catch {
+    return [];
+  }
+}
+
+
+//stored body => text, null when nothing was stored
+function toText(body) {
+  if (body === null || body === undefined) {
+    return null;
+  }
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+
+function toMimeType(headers, body) {
+  const contentType = getHeader(headers, 'content-type');
+  if (contentType) {
+    return String(contentType);
+  }
+  return body !== null && typeof body === 'object' ? 'application/json' : 'text/plain';
+}
+
+
+//one history entry => har entry
+//entries without stored details get empty headers and no bodies
+//history ids, env and saved request name go into _ fields, which har allows for custom data
+function toHarEntry(entry) {
+  const request = entry.request || {};
+  const response = entry.response || {};
+  const duration = entry.durationMs || 0;
+  const sent = toText(request.body);
+  const received = toText(response.body);
+
+  const harEntry = {
+    startedDateTime: new Date(new Date(entry.timestamp).getTime() - duration).toISOString(),
+    time: duration,
+    request: {
+      method: entry.method,
+      url: entry.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.headers),
+      queryString: toQueryString(entry.url),
+      headersSize: -1,
+      bodySize: sent === null ? (entry.request ? 0 : -1) : Buffer.byteLength(sent)
+    },
+    response: {
+      status: entry.status,
+      statusText: response.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(response.headers),
+      content: {
+        size: received === null ? 0 : Buffer.byteLength(received),
+        mimeType: toMimeType(response.headers, response.body)
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: received === null ? -1 : Buffer.byteLength(received)
+    },
+    cache: {},
+    timings: {send: 0, wait: duration, receive: 0},
+    _id: entry.id,
+    _env: entry.env || null,
+    _savedRequestName: entry.savedRequestName || null
+  };
+
+  if (sent !== null) {
+    harEntry.request.postData = {mimeType: toMimeType(request.headers, request.body), text: sent};
+    if (request.bodyTruncated) {
+      harEntry.request.postData.comment = 'Body was cut to fit history.';
+    }
+  }
+
+  if (received !== null) {
+    harEntry.response.content.text = received;
+    if (response.bodyTruncated) {
+      harEntry.response.content.comment = 'Body was cut to fit history.';
+    }
+  }
+
+  return harEntry;
+}
+
+
+//history entries => har document, oldest entry first like a devtools recording
+function toHar(entries) {
+  const ordered = entries.slice().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return {
+    log: {
+      version: '1.2',
+      creator: {name: 'api-ex', version: packageJson.version},
+      entries: ordered.map(toHarEntry)
+    }
+  };
+}
+
+
+function isHar(json) {
+  return Boolean(json && json.log && Array.isArray(json.log.entries));
+}
+
+
+//postData => body text, urlencoded params when only those were saved
+//returns null when the body cannot be imported
+function harBody(postData) {
+  if (!postData) {
+    return '';
+  }
+
+  if (typeof postData.text === 'string') {
+    return postData.text;
+  }
+
+  const params = postData.params || [];
+  if (params.some(param => param.fileName)) {
+    return null;
+  }
+
+  return params
+    .map(param => `${encodeURIComponent(param.name)}=${encodeURIComponent(param.value == null ? '' : param.value)}`)
+    .join('&');
+}
+
+
+//har document => {name, requests, variables, skipped}
+//options.url = RegExp, only entries whose URL matches
+function convertHar(har, options = {}) {
+  const requests = [];
+  const skipped = [];
+  const usedNames = new Set();
+
+  const uniqueName = (name) => {
+    let candidate = name;
+    let count = 2;
+
+    while (usedNames.has(candidate)) {
+      const suffix = `-${count}`;
+      candidate = name.substring(0, 50 - suffix.length) + suffix;
+      count += 1;
+    }
+
+    usedNames.add(candidate);
+    return candidate;
+  };
+
+  har.log.entries.forEach(harEntry => {
+    const source = (harEntry && harEntry.request) || {};
+    const method = String(source.method || 'GET').toUpperCase();
+    const url = source.url || '';
+    const label = `${method} ${url}`;
+
+    if (options.url && !options.url.test(url)) {
+      return;
+    }
+
+    if (!/^https?:\/\//i.test(url)) {
+      skipped.push(`${label}: not an http(s) URL`);
+      return;
+    }
+
+    if (!VALID_METHODS.includes(method)) {
+      skipped.push(`${label}: unsupported method ${method}`);
+      return;
+    }
+
+    const data = harBody(source.postData);
+    if (data === null) {
+      skipped.push(`${label}: file uploads are not imported`);
+      return;
+    }
+
+    //http/2 pseudo headers like :authority start with a colon
+    const headers = (source.headers || [])
+      .filter(header => header && header.name && !header.name.startsWith(':') &&
+        !NOT_IMPORTED_HEADERS.includes(header.name.toLowerCase()))
+      .map(header => `${header.name}: ${header.value == null ? '' : header.value}`);
+
+    if (data && source.postData.mimeType && !headers.some(header => header.toLowerCase().startsWith('content-type:'))) {
+      headers.push(`Content-Type: ${source.postData.mimeType}`);
+    }
+
+    requests.push({
+      name: uniqueName(toRequestName(harEntry._savedRequestName || defaultRequestName({method, url}))),
+      method: method,
+      url: url,
+      headers: headers,
+      data: data
+    });
+  });
+
+  return {
+    name: (har.log.creator && har.log.creator.name) || 'har',
+    requests: requests,
+    variables: {},
+    skipped: skipped
+  };
+}
+
+
+module.exports = {
+  toHarEntry,
+  toHar,
+  isHar,
+  convertHar
+};
@@ -1,8 +1,31 @@
 //request history for user to see
 
+const crypto = require('crypto');
 const low = require('lowdb');
 const FileSync = require('lowdb/adapters/FileSync');
 const storage = require('./storage');
+const {ValidationError} = require('./errors');
+
+//bodies bigger than this are cut, override with API_EX_HISTORY_MAX_BODY
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024;
+
+//retention enforced on every write, change with history retention or API_EX_HISTORY_MAX_ENTRIES, _MAX_AGE and _MAX_BYTES
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+//retention settings, stored under history in config.json, the environment variable wins
+//maxAge is a relative time like 30d, 0 and null = no limit
+const RETENTION_SETTINGS = {
+  maxEntries: {variable: 'API_EX_HISTORY_MAX_ENTRIES', label: 'Max entries', defaultValue: DEFAULT_MAX_ENTRIES},
+  maxAge: {variable: 'API_EX_HISTORY_MAX_AGE', label: 'Max age', defaultValue: null},
+  maxBytes: {variable: 'API_EX_HISTORY_MAX_BYTES', label: 'Max bytes', defaultValue: DEFAULT_MAX_BYTES}
+};
+
+//relative times like 2h for --since, --until and API_EX_HISTORY_MAX_AGE
+const TIME_UNITS = {s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000};
+
+//set again by the http client when a stored request is sent
+const NOT_RESENT_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding'];
 
 
 //db per history file
@@ -18,58 +41,521 @@ function getHistoryDb() {
 
 
 
-//just append to history.json with timestamp 
+//request and response details for a history entry
+//requestConfig = method, url, headers, data as sent, response = from sendRequest
+//template = the request before {{placeholders}} were filled
+//headers, body and auth are stored from the template, so secrets filled in from an environment never reach history
+//replay fills them again from the entry's environment
+function exchangeDetails(requestConfig, response, template) {
+  const written = template || requestConfig;
+  const request = {
+    headers: written.headers || {},
+    body: written.data !== undefined ? written.data : null
+  };
+
+  //auth as configured, the header it turns into is added when sending
+  if (written.auth) {
+    request.auth = written.auth;
+  }
+
+  //the entry has the url as sent, the template one is kept for replay --env and history save
+  if (template && template.url !== requestConfig.url) {
+    request.template = {url: template.url, ...request};
+  }
+
+  return {
+    request: request,
+    response: {
+      statusText: response.statusText,
+      headers: response.headers || {},
+      body: response.data !== undefined ? response.data : null
+    }
+  };
+}
+
+
+
+//API_EX_HISTORY_BODIES=0 keeps headers and bodies out of history
+function shouldStoreDetails() {
+  return process.env.API_EX_HISTORY_BODIES !== '0';
+}
+
+
+function getMaxBodyBytes() {
+  const max = parseInt(process.env.API_EX_HISTORY_MAX_BODY, 10);
+  return Number.isInteger(max) && max >= 0 ? max : DEFAULT_MAX_BODY_BYTES;
+}
+
+
+
+//body as stored, cut to maxBytes
+//objects stay objects when they fit, cut ones become text
+function capBody(body, maxBytes) {
+  if (body === null || body === undefined) {
+    return {body: null, truncated: false};
+  }
+
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  if (Buffer.byteLength(text) <= maxBytes) {
+    return {body: body, truncated: false};
+  }
+
+  return {body: Buffer.from(text).subarray(0, maxBytes).toString(), truncated: true};
+}
+
+
+function capDetails(details, maxBytes) {
+  if (!details) {
+    return undefined;
+  }
+
+  const {body, truncated} = capBody(details.body, maxBytes);
+  const capped = {...details, body: body};
+  if (truncated) {
+    capped.bodyTruncated = true;
+  }
+  return capped;
+}
+
+
+
+//just append to history.json with id and timestamp
 //entry = method, url, status, durationMs, env, savedRequestName
+//optional request = headers, body and response = statusText, headers, body (see exchangeDetails)
+//returns the stored entry
 function recordHistory(entry) {
   if (!entry) {
     throw new Error('History entry is required');
   }
 
+  const {request, response, ...summary} = entry;
+
   const db = getHistoryDb();
-  const entryWithTimestamp = {
-    ...entry,
+  const stored = {
+    id: crypto.randomBytes(4).toString('hex'),
+    ...summary,
     timestamp: new Date().toISOString()
   };
 
-  db.get('history').push(entryWithTimestamp).write();
+  if (shouldStoreDetails()) {
+    const maxBytes = getMaxBodyBytes();
+    if (request) {
+      stored.request = capDetails(request, maxBytes);
+    }
+    if (response) {
+      stored.response = capDetails(response, maxBytes);
+    }
+  }
+
+  const history = db.get('history').value();
+  history.push(stored);
+  db.set('history', pruneHistory(history, getRetention())).write();
+
+  return stored;
 }
 
 
 
+//retention value as typed => stored value, undefined when it does not parse
+//none = no limit
+function parseRetentionValue(name, value) {
+  const text = String(value).trim().toLowerCase();
+
+  if (name === 'maxAge') {
+    if (text === 'none' || text === '0') {
+      return null;
+    }
+    return /^\d+[smhdw]$/.test(text) ? text : undefined;
+  }
+
+  if (text === 'none') {
+    return 0;
+  }
+  return /^\d+$/.test(text) ? Number(text) : undefined;
+}
+
+
+//each retention setting => {value, source}, source = environment, config or default
+//values that do not parse are skipped
+function getRetentionSettings() {
+  const stored = storage.getSettings().history || {};
+  const settings = {};
+
+  Object.entries(RETENTION_SETTINGS).forEach(([name, {variable, defaultValue}]) => {
+    const fromEnv = process.env[variable] !== undefined ? parseRetentionValue(name, process.env[variable]) : undefined;
+    const fromConfig = stored[name] !== undefined ? parseRetentionValue(name, stored[name] === null ? 'none' : stored[name]) : undefined;
+
+    if (fromEnv !== undefined) {
+      settings[name] = {value: fromEnv, source: 'environment'};
+    } else if (fromConfig !== undefined) {
+      settings[name] = {value: fromConfig, source: 'config'};
+    } else {
+      settings[name] = {value: defaultValue, source: 'default'};
+    }
+  });
+
+  return settings;
+}
+
+
+//changes = maxEntries, maxAge, maxBytes as typed, saved to config.json
+//options.reset = drop the saved settings first, back to the defaults
+//throws ValidationError before saving anything when one does not parse
+function saveRetention(changes, options = {}) {
+  const parsed = {};
+
+  Object.keys(RETENTION_SETTINGS).filter(name => changes[name] !== undefined).forEach(name => {
+    const value = parseRetentionValue(name, changes[name]);
+
+    if (value === undefined) {
+      const format = name === 'maxAge' ? 'a number with s, m, h, d or w, like 30d' : 'a whole number';
+      throw new ValidationError(`${RETENTION_SETTINGS[name].label} '${changes[name]}' must be ${format}, or 0 or none for no limit.`);
+    }
+    parsed[name] = value;
+  });
+
+  if (options.reset) {
+    storage.saveSetting('history', undefined);
+  }
+  Object.entries(parsed).forEach(([name, value]) => storage.saveSetting(['history', name], value));
+}
+
+
+//limits for pruneHistory, 0 or null = no limit
+function getRetention() {
+  const settings = getRetentionSettings();
+  const maxAge = settings.maxAge.value && settings.maxAge.value.match(/^(\d+)([smhdw])$/);
+
+  return {
+    maxEntries: settings.maxEntries.value,
+    maxAgeMs: maxAge ? Number(maxAge[1]) * TIME_UNITS[maxAge[2]] || null : null,
+    maxBytes: settings.maxBytes.value
+  };
+}
+
+
+
+//entries left after applying retention, oldest first
+//drops by age, then the oldest past maxEntries, then the oldest until the rest fits maxBytes
+//the newest entry is always kept
+function pruneHistory(history, retention, now = Date.now()) {
+  let kept = history.slice().sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const newest = kept[kept.length - 1];
+
+  if (retention.maxAgeMs) {
+    const cutoff = now - retention.maxAgeMs;
+    kept = kept.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+  }
+
+  if (retention.maxEntries && kept.length > retention.maxEntries) {
+    kept = kept.slice(-retention.maxEntries);
+  }
+
+  if (retention.maxBytes) {
+    let bytes = 0;
+    let start = kept.length;
+
+    while (start > 0) {
+      const size = Buffer.byteLength(JSON.stringify(kept[start - 1]));
+      if (bytes + size > retention.maxBytes) {
+        break;
+      }
+      bytes += size;
+      start -= 1;
+    }
+
+    kept = kept.slice(start);
+  }
+
+  if (newest && !kept.includes(newest)) {
+    kept.push(newest);
+  }
+
+  return kept;
+}
+
+
+
+//delete entries matching the filters of createHistoryFilter, all of them without filters
+//returns how many were removed
+function clearHistory(filters = {}) {
+  const db = getHistoryDb();
+  const matches = createHistoryFilter(filters);
+  const history = db.get('history').value();
+  const kept = history.filter(entry => !matches(entry));
+
+  db.set('history', kept).write();
+  return history.length - kept.length;
+}
+
+
+
+//single entry by id, null if not
+function getHistoryById(id) {
+  return getHistoryDb().get('history').find({id}).value() || null;
+}
 
 
 
+//"2h", "30m", "7d" (that long ago) or an ISO date => Date
+function parseTime(value, label = 'Time', now = Date.now()) {
+  const text = String(value).trim();
+  const relative = text.match(/^(\d+)([smhdw])$/);
+
+  if (relative) {
+    return new Date(now - Number(relative[1]) * TIME_UNITS[relative[2]]);
+  }
+
+  const date = new Date(text);
+  if (!text || isNaN(date.getTime())) {
+    throw new ValidationError(`${label} '${value}' is not a date. Use an ISO date like 2024-01-15T10:00 or a relative time like 30m, 2h or 7d.`);
+  }
+  return date;
+}
+
+
+
+//"404" or a class like "5xx" => {min, max}
+function parseStatusFilter(value) {
+  const text = String(value).trim().toLowerCase();
+  const statusClass = text.match(/^([1-5])xx$/);
+
+  if (statusClass) {
+    const min = Number(statusClass[1]) * 100;
+    return {min: min, max: min + 99};
+  }
+
+  if (!/^\d{3}$/.test(text)) {
+    throw new ValidationError(`Status filter '${value}' must be a status code like 404 or a class like 5xx.`);
+  }
+  return {min: Number(text), max: Number(text)};
+}
+
+
+
+//"/regex/flags" or a glob over the whole URL, * = anything and ? = one character
+function toUrlMatcher(pattern) {
+  const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      throw new ValidationError(`Invalid URL pattern '${pattern}': ${error.message}`);
+    }
+  }
+
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+
+
+//stored bodies as text for --grep
+function bodyText(details) {
+  if (!details || details.body === null || details.body === undefined) {
+    return '';
+  }
+  return typeof details.body === 'string' ? details.body : JSON.stringify(details.body);
+}
+
+
+
+//filters = method, status, since, before, until, url, env, name, minDuration, grep, as typed on the command line
+//returns entry => boolean, throws ValidationError for filters that do not parse
+function createHistoryFilter(filters = {}) {
+  const checks = [];
+
+  if (filters.method) {
+    const method = String(filters.method).toUpperCase();
+    checks.push(entry => entry.method === method);
+  }
+
+  if (filters.status !== undefined && filters.status !== null) {
+    const {min, max} = parseStatusFilter(filters.status);
+    checks.push(entry => entry.status >= min && entry.status <= max);
+  }
+
+  if (filters.since) {
+    const since = parseTime(filters.since, 'Since').getTime();
+    checks.push(entry => new Date(entry.timestamp).getTime() >= since);
+  }
+
+  if (filters.before) {
+    const before = parseTime(filters.before, 'Before').getTime();
+    checks.push(entry => new Date(entry.timestamp).getTime() < before);
+  }
+
+  if (filters.until) {
+    const until = parseTime(filters.until, 'Until').getTime();
+    checks.push(entry => new Date(entry.timestamp).getTime() <= until);
+  }
+
+  if (filters.url) {
+    const matcher = toUrlMatcher(filters.url);
+    checks.push(entry => matcher.test(entry.url));
+  }
+
+  if (filters.env) {
+    checks.push(entry => entry.env === filters.env);
+  }
+
+  if (filters.name) {
+    checks.push(entry => entry.savedRequestName === filters.name);
+  }
+
+  if (filters.minDuration !== undefined && filters.minDuration !== null) {
+    checks.push(entry => entry.durationMs >= filters.minDuration);
+  }
+
+  if (filters.grep) {
+    const text = String(filters.grep).toLowerCase();
+    checks.push(entry => bodyText(entry.request).toLowerCase().includes(text) || bodyText(entry.response).toLowerCase().includes(text));
+  }
+
+  return entry => checks.every(check => check(entry));
+}
+
+
+
+//newest first, filtered before paging
+//options = limit (default 10), offset and the filters of createHistoryFilter
+//returns {entries, total} where total counts every matching entry
+function queryHistory(options = {}) {
+  const {limit = 10, offset = 0, ...filters} = options;
+  const matches = createHistoryFilter(filters);
+
+  const history = getHistoryDb().get('history').value()
+    .filter(matches)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return {
+    entries: history.slice(offset, offset + limit),
+    total: history.length
+  };
+}
+
+
 
 //to output record history when user wants to see
+//same options as queryHistory
 function getHistory(options = {}) {
-  const db = getHistoryDb();
+  return queryHistory(options).entries;
+}
+
 
-  //history array
-  let history = db.get('history').value();
 
-  //sort by timestamp
-  history = history.sort((a, b) => {
-    const dateA = new Date(a.timestamp);
-    const dateB = new Date(b.timestamp);
+//id or 'last' => entry, null if not
+function findHistoryEntry(id) {
+  if (id === 'last') {
+    return getHistory({limit: 1})[0] || null;
+  }
+  return getHistoryById(id);
+}
+
+
+
+//stored request of an entry, the template one when asked for and stored
+function storedRequest(entry, useTemplate) {
+  if (!entry.request) {
+    return null;
+  }
 
-    return dateB - dateA; //desc
+  if (entry.request.bodyTruncated) {
+    throw new ValidationError(`The request body of history entry '${entry.id}' was cut to fit history and cannot be reused.`);
+  }
+
+  const source = useTemplate && entry.request.template ? entry.request.template : {...entry.request, url: entry.url};
+  const headers = {};
+  Object.keys(source.headers || {}).forEach(key => {
+    if (!NOT_RESENT_HEADERS.includes(key.toLowerCase())) {
+      headers[key] = source.headers[key];
+    }
   });
 
-  //default limit of 10
-  let limit;
-  if (options.limit !== undefined) {
-    limit = options.limit;
-  } else {
-    limit = 10;
+  return {url: source.url, headers: headers, body: source.body, auth: source.auth || null};
+}
+
+
+
+//history entry => request config for sendRequest
+//options.template = use the request before interpolation, to fill with another env
+function entryToRequestConfig(entry, options = {}) {
+  const request = storedRequest(entry, options.template);
+  if (!request) {
+    throw new ValidationError(`History entry '${entry.id}' has no stored request headers and body.`);
+  }
+
+  const config = {
+    method: entry.method,
+    url: request.url,
+    headers: request.headers
+  };
+
+  if (request.body !== null && request.body !== undefined) {
+    config.data = request.body;
+  }
+
+  if (request.auth) {
+    config.auth = request.auth;
   }
 
-  return history.slice(0, limit);
+  return config;
+}
+
+
+
+//history entry => saved request, {{placeholders}} kept when the template was stored
+function entryToSavedRequest(entry, name) {
+  const request = storedRequest(entry, true) || {url: entry.url, headers: {}, body: null};
+  let data = request.body;
+
+  if (data === null || data === undefined) {
+    data = '';
+  } else if (typeof data !== 'string') {
+    data = JSON.stringify(data);
+  }
+
+  const savedRequest = {
+    name: name,
+    method: entry.method,
+    url: request.url,
+    headers: Object.keys(request.headers).map(key => `${key}: ${request.headers[key]}`),
+    data: data
+  };
+
+  if (request.auth) {
+    savedRequest.auth = request.auth;
+  }
 
+  return savedRequest;
 }
 
 
 
 module.exports = {
+  DEFAULT_MAX_BODY_BYTES,
+  DEFAULT_MAX_ENTRIES,
+  DEFAULT_MAX_BYTES,
+  RETENTION_SETTINGS,
+  exchangeDetails,
   recordHistory,
-  getHistory
+  getRetentionSettings,
+  saveRetention,
+  getRetention,
+  pruneHistory,
+  clearHistory,
+  parseTime,
+  parseStatusFilter,
+  toUrlMatcher,
+  createHistoryFilter,
+  queryHistory,
+  getHistory,
+  getHistoryById,
+  findHistoryEntry,
+  entryToRequestConfig,
+  entryToSavedRequest
 };
\ No newline at end of file
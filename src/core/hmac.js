@@ -0,0 +1,239 @@
+//hmac request signing for --auth hmac:<profile>
+//a profile (api-ex auth add --type hmac) says which parts of the request go into the string to sign,
+//how they are joined and hashed, and which headers carry the signature, timestamp, nonce and key id
+//sendRequest signs after interpolation, over the url, headers and body as they are sent
+
+const crypto = require('crypto');
+const {getEnv} = require('./env');
+const {getProfile, resolveProfile} = require('./profiles');
+const {setHeader} = require('./auth');
+const {printDebug} = require('./printer');
+const {ValidationError} = require('./errors');
+
+const HMAC_ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+const HMAC_ENCODINGS = ['hex', 'base64'];
+
+//unix = seconds, unix-ms = milliseconds, iso = 2024-01-31T12:00:00.000Z, http = Wed, 31 Jan 2024 12:00:00 GMT
+const TIMESTAMP_FORMATS = ['unix', 'unix-ms', 'iso', 'http'];
+
+//path = path and query string, body-hash = plain hash of the body with the profile's algorithm and encoding
+//header:<name> = value of a request header
+const HMAC_PARTS = ['method', 'path', 'query', 'url', 'host', 'timestamp', 'nonce', 'key-id', 'body', 'body-hash'];
+
+//placeholders of the signature header value
+const FORMAT_FIELDS = ['signature', 'timestamp', 'nonce', 'keyId', 'algorithm'];
+
+const DEFAULTS = {
+  algorithm: 'sha256',
+  encoding: 'hex',
+  parts: ['method', 'path', 'timestamp', 'body-hash'],
+  separator: '\n',
+  timestampFormat: 'unix',
+  signatureHeader: 'X-Signature',
+  signatureFormat: '{signature}',
+  timestampHeader: 'X-Timestamp'
+};
+
+
+//'method, path,header:Content-Type' => ['method', 'path', 'header:Content-Type']
+function parseParts(parts) {
+  const list = Array.isArray(parts) ? parts : String(parts).split(',');
+  const trimmed = list.map(part => part.trim()).filter(Boolean);
+
+  if (trimmed.length === 0) {
+    throw new ValidationError('At least one part to sign is required.');
+  }
+
+  const unknown = trimmed.find(part => !HMAC_PARTS.includes(part) && !/^header:\S+$/.test(part));
+  if (unknown) {
+    throw new ValidationError(`Unknown part '${unknown}'. Valid parts: ${HMAC_PARTS.join(', ')}, header:<name>.`);
+  }
+
+  return trimmed;
+}
+
+
+//\n, \t and \\ typed on the command line => the characters themselves
+function unescapeSeparator(separator) {
+  return separator.replace(/\\([nt\\])/g, (match, ch) => ({n: '\n', t: '\t', '\\': '\\'})[ch]);
+}
+
+
+function checkChoice(value, choices, label) {
+  if (!choices.includes(value)) {
+    throw new ValidationError(`Unknown ${label} '${value}'. Valid ${label}s: ${choices.join(', ')}.`);
+  }
+}
+
+
+//profile as given to auth add --type hmac => checked profile with defaults, throws ValidationError
+function validateHmacProfile(profile) {
+  const checked = {type: 'hmac'};
+
+  Object.keys(DEFAULTS).forEach(field => {
+    checked[field] = profile[field] !== undefined && profile[field] !== '' ? profile[field] : DEFAULTS[field];
+  });
+
+  checked.algorithm = checked.algorithm.toLowerCase();
+  checked.encoding = checked.encoding.toLowerCase();
+  checked.timestampFormat = checked.timestampFormat.toLowerCase();
+
+  checkChoice(checked.algorithm, HMAC_ALGORITHMS, 'algorithm');
+  checkChoice(checked.encoding, HMAC_ENCODINGS, 'encoding');
+  checkChoice(checked.timestampFormat, TIMESTAMP_FORMATS, 'timestamp format');
+
+  if (!profile.secret) {
+    throw new ValidationError('HMAC secret is required.');
+  }
+
+  checked.parts = parseParts(checked.parts);
+  checked.separator = unescapeSeparator(checked.separator);
+
+  const fields = (checked.signatureFormat.match(/{[^{}]*}/g) || []).map(field => field.slice(1, -1));
+  const unknownField = fields.find(field => !FORMAT_FIELDS.includes(field));
+  if (unknownField !== undefined) {
+    throw new ValidationError(`Unknown signature format field '{${unknownField}}'. Use ${FORMAT_FIELDS.map(field => `{${field}}`).join(', ')}.`);
+  }
+  if (!fields.includes('signature')) {
+    throw new ValidationError('Signature format must include {signature}.');
+  }
+
+  //a signed nonce the server never sees cannot be checked
+  if (checked.parts.includes('nonce') && !profile.nonceHeader && !fields.includes('nonce')) {
+    throw new ValidationError('Signing the nonce needs --nonce-header or {nonce} in the signature format.');
+  }
+  if ((checked.parts.includes('key-id') || fields.includes('keyId') || profile.keyIdHeader) && !profile.keyId) {
+    throw new ValidationError('Sending the key id needs --key-id.');
+  }
+
+  //none = do not send the timestamp header
+  if (checked.timestampHeader.toLowerCase() === 'none') {
+    delete checked.timestampHeader;
+  }
+
+  checked.secret = profile.secret;
+  ['nonceHeader', 'keyId', 'keyIdHeader'].forEach(field => {
+    if (profile[field]) {
+      checked[field] = profile[field];
+    }
+  });
+
+  return checked;
+}
+
+
+function formatTimestamp(date, format) {
+  switch (format) {
+    case 'unix-ms':
+      return String(date.getTime());
+    case 'iso':
+      return date.toISOString();
+    case 'http':
+      return date.toUTCString();
+    default:
+      return String(Math.floor(date.getTime() / 1000));
+  }
+}
+
+
+function bodyText(data) {
+  if (data === undefined || data === null) {
+    return '';
+  }
+  return typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data);
+}
+
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+  return key === undefined ? '' : String(headers[key]);
+}
+
+
+//profile = checked and resolved profile, request = method, url, headers, data
+//options.date and options.nonce are for tests, a fresh time and random nonce otherwise
+//returns {headers, stringToSign}, headers = the ones to add
+function signRequest(profile, request, options = {}) {
+  const url = new URL(request.url);
+  const timestamp = formatTimestamp(options.date || new Date(), profile.timestampFormat);
+  const nonce = options.nonce || crypto.randomBytes(16).toString('hex');
+  const body = bodyText(request.data);
+
+  const values = {
+    method: request.method.toUpperCase(),
+    path: url.pathname + url.search,
+    query: url.search.replace(/^\?/, ''),
+    url: url.href,
+    host: url.host,
+    timestamp: timestamp,
+    nonce: nonce,
+    'key-id': profile.keyId || '',
+    body: body,
+    'body-hash': crypto.createHash(profile.algorithm).update(body).digest(profile.encoding)
+  };
+
+  const stringToSign = profile.parts
+    .map(part => (part.startsWith('header:') ? headerValue(request.headers, part.substring(7)) : values[part]))
+    .join(profile.separator);
+
+  const signature = crypto.createHmac(profile.algorithm, profile.secret).update(stringToSign).digest(profile.encoding);
+
+  const fields = {signature, timestamp, nonce, keyId: profile.keyId || '', algorithm: profile.algorithm};
+  const headers = {
+    [profile.signatureHeader]: profile.signatureFormat.replace(/{(\w+)}/g, (match, field) => fields[field])
+  };
+
+  if (profile.timestampHeader) {
+    headers[profile.timestampHeader] = timestamp;
+  }
+  if (profile.nonceHeader) {
+    headers[profile.nonceHeader] = nonce;
+  }
+  if (profile.keyIdHeader) {
+    headers[profile.keyIdHeader] = profile.keyId;
+  }
+
+  return {headers, stringToSign};
+}
+
+
+//hmac profile with its placeholders filled from the env environment
+//throws ValidationError when the secret or key id is still a placeholder
+function loadHmacProfile(profileName, env = null) {
+  const profile = resolveProfile(getProfile(profileName, 'hmac'), env ? getEnv(env) : {});
+
+  const unset = ['secret', 'keyId']
+    .filter(field => field in profile && (!profile[field] || /{{[^{}]*}}/.test(profile[field])))
+    .map(field => profile[field] || field);
+
+  if (unset.length > 0) {
+    throw new ValidationError(`HMAC signing values are not set: ${unset.join(', ')}. Add them to an environment and use --env.`);
+  }
+
+  return profile;
+}
+
+
+//request config => config with the signature headers added to a new headers object
+function applyHmac(profile, config, options = {}) {
+  const {headers, stringToSign} = signRequest(profile, config, options);
+  const signed = {...(config.headers || {})};
+
+  printDebug('HMAC string to sign', JSON.stringify(stringToSign));
+  Object.entries(headers).forEach(([name, value]) => setHeader(signed, name, value));
+
+  return {...config, headers: signed};
+}
+
+
+module.exports = {
+  HMAC_ALGORITHMS,
+  HMAC_ENCODINGS,
+  TIMESTAMP_FORMATS,
+  HMAC_PARTS,
+  validateHmacProfile,
+  formatTimestamp,
+  signRequest,
+  loadHmacProfile,
+  applyHmac
+};
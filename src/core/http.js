@@ -1,9 +1,17 @@
 const axios = require('axios');
 const {printDebug} = require('./printer');
-const {NetworkError, ValidationError} = require('./errors');
+const {applyAuth, setHeader, parseDigestChallenge, digestAuthorization} = require('./auth');
+const {getAccessToken} = require('./oauth');
+const {loadHmacProfile, applyHmac} = require('./hmac');
+const {ApiExError, NetworkError, ValidationError} = require('./errors');
 
 //http request sending with axios
-//request = method, url, headers, data, timeout
+//request = method, url, headers, data, timeout, auth (see core/auth)
+//env = environment the oauth2 and hmac profiles fill their placeholders from, oauth2 tokens are cached per environment
+//auth headers are added to a copy, config.headers keeps what the caller set
+//digest auth answers the server's 401 challenge with a second request
+//oauth2 auth sends the profile's token as bearer, a cached token that gets a 401 is replaced once
+//aws-sigv4 and hmac are signed over the headers and body as they are here, after the json content type default
 //promsise obj = normalized response with status, statusText, headers, data, duration
 async function sendRequest(config) {
   if (!config) {
@@ -25,14 +33,29 @@ async function sendRequest(config) {
     headers['Content-Type'] = 'application/json';
   }
 
-  const startTime = Date.now();
+  //outside the try, so token endpoint and profile errors keep their own message
+  let auth = config.auth;
+  let tokenSource = null;
+  let signing = null;
+  if (auth && auth.type === 'oauth2') {
+    const {token, source} = await getAccessToken(auth.profile, {env: config.env || null});
+    auth = {type: 'bearer', token: token.accessToken};
+    tokenSource = source;
+  } else if (auth && auth.type === 'hmac') {
+    signing = loadHmacProfile(auth.profile, config.env || null);
+  }
 
   //axios request
   try {
+    let authorized = applyAuth({...config, headers: headers, auth: auth});
+    if (signing) {
+      authorized = applyHmac(signing, authorized);
+    }
+
     const axiosConfig = {
       method: config.method,
-      url: config.url,
-      headers: headers,
+      url: authorized.url,
+      headers: authorized.headers,
       data: config.data,
       timeout: timeout,
       validateStatus: () => true //all status codes good
@@ -46,7 +69,28 @@ async function sendRequest(config) {
       timeout: axiosConfig.timeout
     });
 
-    const response = await axios(axiosConfig);
+    //timed from here, a token request is not part of the request's duration
+    const startTime = Date.now();
+    let response = await axios(axiosConfig);
+
+    if (config.auth && config.auth.type === 'digest' && response.status === 401) {
+      const challenge = parseDigestChallenge(response.headers['www-authenticate']);
+
+      if (challenge) {
+        printDebug('Digest challenge', challenge);
+        const headers = {...axiosConfig.headers};
+        setHeader(headers, 'Authorization', digestAuthorization(config.auth, challenge, axiosConfig));
+        response = await axios({...axiosConfig, headers: headers});
+      }
+    }
+
+    if (tokenSource === 'cache' && response.status === 401) {
+      printDebug('Cached token was rejected, requesting a new one');
+      const {token} = await getAccessToken(config.auth.profile, {env: config.env || null, force: true});
+      const headers = {...axiosConfig.headers};
+      setHeader(headers, 'Authorization', `Bearer ${token.accessToken}`);
+      response = await axios({...axiosConfig, headers: headers});
+    }
 
     const durationMs = Date.now() - startTime;
 
@@ -64,7 +108,10 @@ async function sendRequest(config) {
 
   } catch (error) {
 
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+    if (error instanceof ApiExError) {
+      throw error;
+
+    } else if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
       //timeout error
       throw new NetworkError(`Request timeout after ${timeout}ms: ${config.method} ${config.url}`);
 
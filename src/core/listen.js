@@ -0,0 +1,127 @@
+//webhook receiver for api-ex listen
+//answers every request with a fixed reply, or relays it to --forward and passes that answer back
+
+const http = require('http');
+const {isValidJson} = require('./validation');
+const {getHeader} = require('./response');
+const {filterHeaders, encodeBody, readBody, forwardRequest} = require('./proxy');
+const {NetworkError} = require('./errors');
+
+//headers the forward target gets from the relay itself
+const NOT_FORWARDED_HEADERS = ['host', 'content-length', 'connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'accept-encoding'];
+
+
+//status, body, headers => reply sent to every caller
+//bodies without a Content-Type header get json or text/plain
+function buildReply({status = 200, body = '', headers = {}} = {}) {
+  const replyHeaders = {...headers};
+
+  if (body && !getHeader(replyHeaders, 'content-type')) {
+    replyHeaders['Content-Type'] = isValidJson(body) ? 'application/json' : 'text/plain';
+  }
+
+  return {status, body, headers: replyHeaders};
+}
+
+
+//forward url with the caller's query string added
+function forwardUrl(base, search) {
+  if (!search) {
+    return base;
+  }
+
+  return `${base}${base.includes('?') ? '&' : '?'}${search.substring(1)}`;
+}
+
+
+//start listening
+//options = port, host, reply (from buildReply), forward (url), timeout, onRequest(entry)
+//entry = method, path, query, headers, body, bodyEncoding, status, durationMs, forward
+//resolves with the listening http.Server
+function startListenServer(options = {}) {
+  const reply = options.reply || buildReply();
+
+  const server = http.createServer(async (req, res) => {
+    const startTime = Date.now();
+
+    //a target that is not a valid url, like http://[bad, is reported as it came
+    let url = null;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      //keep the raw target
+    }
+
+    //a caller that hangs up mid-upload has nobody left to answer, drop the request
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      res.destroy();
+      return;
+    }
+
+    const entry = {
+      method: req.method.toUpperCase(),
+      path: url ? url.pathname : req.url,
+      query: url ? Object.fromEntries(url.searchParams) : {},
+      headers: req.headers,
+      ...encodeBody(body, req.headers['content-type']),
+      status: reply.status,
+      forward: null
+    };
+
+    if (options.forward) {
+      const target = forwardUrl(options.forward, url ? url.search : '');
+
+      try {
+        const response = await forwardRequest({
+          method: entry.method,
+          url: target,
+          headers: filterHeaders(req.headers, NOT_FORWARDED_HEADERS),
+          body: body
+        }, {timeout: options.timeout});
+
+        entry.status = response.status;
+        entry.forward = {url: target, status: response.status, durationMs: response.durationMs};
+
+        res.writeHead(response.status, {
+          ...filterHeaders(response.headers, ['content-length', 'connection', 'keep-alive', 'transfer-encoding']),
+          'content-length': response.body.length
+        });
+        res.end(response.body);
+      } catch (error) {
+        entry.status = 502;
+        entry.forward = {url: target, error: error.message};
+
+        res.writeHead(502, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({error: error.message}));
+      }
+    } else {
+      res.writeHead(reply.status, reply.headers);
+      res.end(reply.body);
+    }
+
+    if (options.onRequest) {
+      options.onRequest({...entry, durationMs: Date.now() - startTime});
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', (error) => {
+      if (error.code === 'EADDRINUSE') {
+        reject(new NetworkError(`Port ${options.port} is already in use.`));
+      } else {
+        reject(new NetworkError(`Could not start listener: ${error.message}`));
+      }
+    });
+
+    server.listen(options.port || 0, options.host || '127.0.0.1', () => resolve(server));
+  });
+}
+
+
+module.exports = {
+  buildReply,
+  startListenServer
+};
@@ -0,0 +1,283 @@
+//local mock server built from saved requests
+//routes match method + path, {{placeholders}} in the path match any segment
+//bodies come from example files or the last history entry, statuses from the example, the last history entry or 200
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {ValidationError, FileSystemError, NetworkError} = require('./errors');
+
+const PLACEHOLDER = /\{\{\s*[^}]+?\s*\}\}/g;
+
+//content types for example files, anything else is sniffed
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.txt': 'text/plain'
+};
+
+
+//saved request url => path template, {{BASE_URL}}/users/{{id}}?x=1 => /users/{{id}}
+//null when the url has no usable path
+function toRoutePath(url) {
+  let rest = String(url || '').trim();
+
+  //leading placeholder is the base url, everything after it is the path
+  const base = rest.match(/^\{\{[^}]+\}\}/);
+  if (base) {
+    rest = rest.substring(base[0].length);
+  } else {
+    //swap placeholders for tokens so URL can parse it, then swap back
+    const placeholders = [];
+    const tokenized = rest.replace(PLACEHOLDER, (match) => {
+      placeholders.push(match);
+      return `__mock${placeholders.length - 1}__`;
+    });
+
+    try {
+      rest = new URL(tokenized).pathname.replace(/__mock(\d+)__/g, (_, index) => placeholders[Number(index)]);
+    } catch {
+      return null;
+    }
+  }
+
+  rest = rest.split(/[?#]/)[0];
+  if (!rest.startsWith('/')) {
+    rest = `/${rest}`;
+  }
+
+  return rest.length > 1 ? rest.replace(/\/+$/, '') : '/';
+}
+
+
+//path template => regex, placeholders match one segment
+function templateToRegex(template) {
+  const pattern = template
+    .split(/(\{\{[^}]+\}\})/)
+    .map(part => (/^\{\{[^}]+\}\}$/.test(part) ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+
+  return new RegExp(`^${pattern}/?$`);
+}
+
+
+//json when it parses, plain text otherwise
+function sniffContentType(body) {
+  try {
+    JSON.parse(body);
+    return 'application/json';
+  } catch {
+    return 'text/plain';
+  }
+}
+
+
+//example file => {body, contentType}
+function loadExample(file) {
+  let body;
+
+  try {
+    body = fs.readFileSync(path.resolve(process.cwd(), file), 'utf-8');
+  } catch (error) {
+    throw new FileSystemError(`Could not read example '${file}': ${error.message}`);
+  }
+
+  return {body, contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || sniffContentType(body)};
+}
+
+
+//history entry => {body, contentType} of its response, null when the body was not stored or was cut
+function historyResponse(entry) {
+  const response = entry.response;
+  if (!response || response.body === null || response.body === undefined || response.bodyTruncated) {
+    return null;
+  }
+
+  const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+  const headers = response.headers || {};
+  const header = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+
+  return {body, contentType: header ? String(headers[header]) : sniffContentType(body)};
+}
+
+
+//saved requests + history (newest first) => routes
+//returns {routes, skipped: [{name, reason}]}
+function buildRoutes(requests, history = []) {
+  const routes = [];
+  const skipped = [];
+
+  //latest history entry per saved request
+  const lastEntries = {};
+  history.forEach(entry => {
+    if (entry.savedRequestName && entry.status && !lastEntries[entry.savedRequestName]) {
+      lastEntries[entry.savedRequestName] = entry;
+    }
+  });
+
+  requests.forEach(request => {
+    const template = toRoutePath(request.url);
+    if (!template) {
+      skipped.push({name: request.name, reason: `URL '${request.url}' has no path`});
+      return;
+    }
+
+    const method = String(request.method || 'GET').toUpperCase();
+    const duplicate = routes.find(route => route.method === method && route.path === template);
+    if (duplicate) {
+      skipped.push({name: request.name, reason: `same route as '${duplicate.name}'`});
+      return;
+    }
+
+    const route = {
+      name: request.name,
+      method: method,
+      path: template,
+      regex: templateToRegex(template),
+      status: 200,
+      source: 'default',
+      body: '',
+      contentType: null
+    };
+
+    const lastEntry = lastEntries[request.name];
+    if (lastEntry) {
+      Object.assign(route, historyResponse(lastEntry), {status: lastEntry.status, source: 'history'});
+    }
+
+    if (request.example) {
+      try {
+        Object.assign(route, loadExample(request.example), {source: 'example'});
+      } catch (error) {
+        skipped.push({name: request.name, reason: error.message});
+        return;
+      }
+    }
+
+    if (request.exampleStatus) {
+      route.status = request.exampleStatus;
+      route.source = 'example';
+    }
+
+    routes.push(route);
+  });
+
+  return {routes, skipped};
+}
+
+
+//method + path => route or null
+//literal paths win over templated ones, /users/me before /users/{{id}}
+function matchRoute(routes, method, pathname) {
+  const candidates = routes
+    .filter(route => route.method === method && route.regex.test(pathname))
+    .sort((a, b) => (a.path.match(PLACEHOLDER) || []).length - (b.path.match(PLACEHOLDER) || []).length);
+
+  return candidates[0] || null;
+}
+
+
+//"200" or "100-500" => {min, max}
+function parseLatency(value) {
+  if (value === undefined || value === null || value === '') {
+    return {min: 0, max: 0};
+  }
+
+  const match = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+  if (!match || (match[2] !== undefined && Number(match[2]) < Number(match[1]))) {
+    throw new ValidationError(`Latency must be milliseconds like 200 or a range like 100-500, got '${value}'.`);
+  }
+
+  const min = Number(match[1]);
+  return {min, max: match[2] !== undefined ? Number(match[2]) : min};
+}
+
+
+function pickLatency(latency) {
+  return latency.min + Math.floor(Math.random() * (latency.max - latency.min + 1));
+}
+
+
+//start serving routes
+//options = port, host, latency {min, max}, status (overrides every route), onRequest(entry)
+//resolves with the listening http.Server
+function startMockServer(routes, options = {}) {
+  const latency = options.latency || {min: 0, max: 0};
+
+  const server = http.createServer((req, res) => {
+    const startTime = Date.now();
+    const method = req.method.toUpperCase();
+    let pathname;
+    try {
+      pathname = decodeURI(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+      pathname = req.url;
+    }
+
+    //body is not used, just drain it
+    req.resume();
+
+    //browsers calling from a dev server need cors
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS');
+
+    //HEAD is answered by the GET route without a body
+    const route = matchRoute(routes, method, pathname) || (method === 'HEAD' ? matchRoute(routes, 'GET', pathname) : null);
+
+    const respond = (status, body, contentType) => {
+      if (contentType) {
+        res.setHeader('Content-Type', contentType);
+      }
+      res.statusCode = status;
+      res.end(method === 'HEAD' ? undefined : body);
+
+      if (options.onRequest) {
+        options.onRequest({
+          method: method,
+          path: pathname,
+          status: status,
+          durationMs: Date.now() - startTime,
+          name: route ? route.name : null
+        });
+      }
+    };
+
+    if (!route && method === 'OPTIONS') {
+      respond(204, '');
+      return;
+    }
+
+    if (!route) {
+      respond(404, JSON.stringify({error: `No saved request matches ${method} ${pathname}`}), 'application/json');
+      return;
+    }
+
+    setTimeout(() => {
+      respond(options.status || route.status, route.body, route.contentType);
+    }, pickLatency(latency));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', (error) => {
+      if (error.code === 'EADDRINUSE') {
+        reject(new NetworkError(`Port ${options.port} is already in use.`));
+      } else {
+        reject(new NetworkError(`Could not start mock server: ${error.message}`));
+      }
+    });
+
+    server.listen(options.port || 0, options.host || '127.0.0.1', () => resolve(server));
+  });
+}
+
+
+module.exports = {
+  toRoutePath,
+  loadExample,
+  buildRoutes,
+  matchRoute,
+  parseLatency,
+  startMockServer
+};
@@ -0,0 +1,244 @@
+//oauth2 tokens for --auth oauth2:<profile>
+//a profile (api-ex auth add) says where and how to get a token, {{placeholders}} in it are filled from the environment
+//tokens are cached in tokens.json per profile and environment until they expire
+
+const axios = require('axios');
+const low = require('lowdb');
+const FileSync = require('lowdb/adapters/FileSync');
+const storage = require('./storage');
+const {getEnv} = require('./env');
+const {getProfile, resolveProfile} = require('./profiles');
+const {printDebug} = require('./printer');
+const {NetworkError, ValidationError} = require('./errors');
+
+const GRANTS = ['client_credentials', 'password', 'refresh_token'];
+
+//basic = client id and secret in an Authorization header, body = as form fields
+const CLIENT_AUTH_METHODS = ['basic', 'body'];
+
+//tokens this close to expiring are replaced, so they do not run out on the way
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+//token requests on the way, by token key, so concurrent requests share one
+const pendingTokens = new Map();
+
+function getTokensDb() {
+  const adapter = new FileSync(storage.getTokensFile());
+  const db = low(adapter);
+
+  db.defaults({tokens: {}}).write();
+  return db;
+}
+
+
+//profile names and env names cannot contain colons, so keys never clash
+function tokenKey(profileName, env) {
+  return env ? `${profileName}:${env}` : profileName;
+}
+
+
+//profile as given to auth add => checked profile, throws ValidationError
+function validateProfile(profile) {
+  const grant = profile.grant || 'client_credentials';
+  const clientAuth = profile.clientAuth || 'basic';
+
+  if (!GRANTS.includes(grant)) {
+    throw new ValidationError(`Unknown grant '${grant}'. Valid grants: ${GRANTS.join(', ')}.`);
+  }
+
+  if (!CLIENT_AUTH_METHODS.includes(clientAuth)) {
+    throw new ValidationError(`Unknown client auth '${clientAuth}'. Use ${CLIENT_AUTH_METHODS.join(' or ')}.`);
+  }
+
+  if (!profile.tokenUrl) {
+    throw new ValidationError('Token URL is required.');
+  }
+
+  if (!profile.clientId) {
+    throw new ValidationError('Client id is required.');
+  }
+
+  if (grant === 'password' && (!profile.username || !profile.password)) {
+    throw new ValidationError('The password grant needs --username and --password.');
+  }
+
+  if (grant === 'refresh_token' && !profile.refreshToken) {
+    throw new ValidationError('The refresh_token grant needs --refresh-token.');
+  }
+
+  const checked = {type: 'oauth2', grant, tokenUrl: profile.tokenUrl, clientId: profile.clientId, clientAuth};
+  ['clientSecret', 'scope', 'username', 'password', 'refreshToken'].forEach(field => {
+    if (profile[field]) {
+      checked[field] = profile[field];
+    }
+  });
+
+  return checked;
+}
+
+
+function isExpired(token, now = Date.now()) {
+  return Boolean(token.expiresAt) && new Date(token.expiresAt).getTime() - EXPIRY_MARGIN_MS <= now;
+}
+
+
+//form fields for the profile's own grant
+function grantParams(profile) {
+  switch (profile.grant) {
+    case 'password':
+      return {grant_type: 'password', username: profile.username, password: profile.password};
+    case 'refresh_token':
+      return {grant_type: 'refresh_token', refresh_token: profile.refreshToken};
+    default:
+      return {grant_type: 'client_credentials'};
+  }
+}
+
+
+//POST to the token endpoint, resolves to the token response json
+async function requestToken(profile, params) {
+  const form = new URLSearchParams(params);
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Accept': 'application/json'
+  };
+
+  if (profile.scope) {
+    form.set('scope', profile.scope);
+  }
+
+  if (profile.clientSecret && profile.clientAuth !== 'body') {
+    const credentials = `${encodeURIComponent(profile.clientId)}:${encodeURIComponent(profile.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', profile.clientId);
+    if (profile.clientSecret) {
+      form.set('client_secret', profile.clientSecret);
+    }
+  }
+
+  printDebug('Token request', {url: profile.tokenUrl, grant: params.grant_type});
+
+  let response;
+  try {
+    response = await axios({
+      method: 'POST',
+      url: profile.tokenUrl,
+      headers: headers,
+      data: form.toString(),
+      timeout: 30000,
+      validateStatus: () => true
+    });
+  } catch (error) {
+    throw new NetworkError(`Unable to reach token endpoint ${profile.tokenUrl}. ${error.message}`);
+  }
+
+  const data = response.data && typeof response.data === 'object' ? response.data : {};
+
+  if (response.status < 200 || response.status >= 300 || !data.access_token) {
+    let reason;
+    if (data.error) {
+      reason = data.error_description ? `${data.error} (${data.error_description})` : data.error;
+    } else if (response.status < 300) {
+      reason = 'no access_token in the response';
+    } else {
+      reason = response.statusText;
+    }
+
+    throw new NetworkError(`Token request to ${profile.tokenUrl} failed: ${response.status} ${reason}`);
+  }
+
+  return data;
+}
+
+
+//token response => cached token
+//servers that do not send a new refresh token keep the old one valid
+function toCachedToken(data, profile, previous, now = Date.now()) {
+  return {
+    accessToken: data.access_token,
+    tokenType: data.token_type || 'Bearer',
+    refreshToken: data.refresh_token || (previous && previous.refreshToken) || null,
+    scope: data.scope || profile.scope || null,
+    expiresAt: data.expires_in ? new Date(now + Number(data.expires_in) * 1000).toISOString() : null,
+    obtainedAt: new Date(now).toISOString()
+  };
+}
+
+
+//cached token or null, expired ones included
+function getCachedToken(profileName, env = null) {
+  return getTokensDb().get(['tokens', tokenKey(profileName, env)]).value() || null;
+}
+
+
+//new token for a resolved profile, cached under its token key => {token, source}
+//an expired token with a refresh token is refreshed, a failed refresh falls back to the profile's grant
+async function fetchToken(profileName, env, profile, cached) {
+  let data = null;
+  let source = 'new';
+
+  if (cached && cached.refreshToken) {
+    try {
+      data = await requestToken(profile, {grant_type: 'refresh_token', refresh_token: cached.refreshToken});
+      source = 'refreshed';
+    } catch (error) {
+      printDebug('Token refresh failed, requesting a new token', error.message);
+    }
+  }
+
+  if (!data) {
+    data = await requestToken(profile, grantParams(profile));
+  }
+
+  const token = toCachedToken(data, profile, cached);
+  getTokensDb().set(['tokens', tokenKey(profileName, env)], token).write();
+
+  return {token, source};
+}
+
+
+//token for a profile => {token, source}, source = cache, refreshed or new
+//options.env = environment for placeholders and the cache, options.force = skip the cache
+//callers that find no usable token while one is being requested wait for that one
+async function getAccessToken(profileName, options = {}) {
+  const env = options.env || null;
+  const profile = resolveProfile(getProfile(profileName, 'oauth2'), env ? getEnv(env) : {});
+  const cached = getCachedToken(profileName, env);
+
+  if (cached && !options.force && !isExpired(cached)) {
+    return {token: cached, source: 'cache'};
+  }
+
+  const key = tokenKey(profileName, env);
+  if (!pendingTokens.has(key)) {
+    pendingTokens.set(key, fetchToken(profileName, env, profile, cached).finally(() => pendingTokens.delete(key)));
+  }
+
+  return pendingTokens.get(key);
+}
+
+
+//drop the cached tokens of a profile in every environment, returns how many
+function clearTokens(profileName) {
+  const db = getTokensDb();
+  const tokens = db.get('tokens').value();
+  const keys = Object.keys(tokens).filter(key => key === profileName || key.startsWith(`${profileName}:`));
+
+  keys.forEach(key => delete tokens[key]);
+  db.set('tokens', tokens).write();
+
+  return keys.length;
+}
+
+
+module.exports = {
+  GRANTS,
+  CLIENT_AUTH_METHODS,
+  validateProfile,
+  isExpired,
+  requestToken,
+  getCachedToken,
+  getAccessToken,
+  clearTokens
+};
@@ -0,0 +1,531 @@
+//convert openapi 3 / swagger 2 specs into api-ex saved requests
+//one request per operation, named from operationId
+//base url, parameters and credentials become {{placeholders}}
+
+const yaml = require('js-yaml');
+const {ValidationError} = require('./errors');
+const {toRequestName} = require('./validation');
+
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const MAX_EXAMPLE_DEPTH = 8;
+
+
+//file content => spec object, json or yaml
+function parseSpec(content) {
+  let spec;
+
+  try {
+    spec = JSON.parse(content);
+  } catch {
+    try {
+      spec = yaml.load(content);
+    } catch (error) {
+      throw new ValidationError(`Spec is not valid JSON or YAML: ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  if (!isOpenApiSpec(spec)) {
+    throw new ValidationError('File is not an OpenAPI 3 or Swagger 2 document.');
+  }
+
+  return spec;
+}
+
+
+function isOpenApiSpec(spec) {
+  return Boolean(spec && typeof spec === 'object' && spec.paths &&
+    ((typeof spec.openapi === 'string' && spec.openapi.startsWith('3')) || String(spec.swagger) === '2.0'));
+}
+
+
+function isSwagger2(spec) {
+  return String(spec.swagger) === '2.0';
+}
+
+
+//local json pointer refs only, "#/components/schemas/Pet"
+function resolveRef(spec, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+    return undefined;
+  }
+
+  return ref
+    .substring(2)
+    .split('/')
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (node == null ? undefined : node[key]), spec);
+}
+
+
+//follow $ref chains on any spec object
+function deref(spec, value) {
+  let current = value;
+  const seen = new Set();
+
+  while (current && current.$ref && !seen.has(current.$ref)) {
+    seen.add(current.$ref);
+    current = resolveRef(spec, current.$ref);
+  }
+
+  return current;
+}
+
+
+//placeholder values for string formats
+function exampleString(schema) {
+  switch (schema.format) {
+    case 'date-time':
+      return '2024-01-01T00:00:00Z';
+    case 'date':
+      return '2024-01-01';
+    case 'email':
+      return 'user@example.com';
+    case 'uuid':
+      return '00000000-0000-0000-0000-000000000000';
+    case 'uri':
+    case 'url':
+      return 'https://example.com';
+    default:
+      return 'string';
+  }
+}
+
+
+//schema => example value
+//uses example/default/enum when given, otherwise builds one from the types
+//refs = $refs on the current path, stops recursive schemas
+function exampleFromSchema(spec, schema, refs = [], depth = 0) {
+  if (!schema || depth > MAX_EXAMPLE_DEPTH) {
+    return null;
+  }
+
+  if (schema.$ref) {
+    if (refs.includes(schema.$ref)) {
+      return null;
+    }
+    return exampleFromSchema(spec, resolveRef(spec, schema.$ref), [...refs, schema.$ref], depth + 1);
+  }
+
+  if (schema.example !== undefined) {
+    return schema.example;
+  }
+
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    return schema.examples[0];
+  }
+
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+
+  if (schema.const !== undefined) {
+    return schema.const;
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((merged, part) => {
+      const value = exampleFromSchema(spec, part, refs, depth + 1);
+      return value && typeof value === 'object' && !Array.isArray(value) ? {...merged, ...value} : merged;
+    }, {});
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    return exampleFromSchema(spec, variants[0], refs, depth + 1);
+  }
+
+  //3.1 type arrays, ["string", "null"]
+  let type = schema.type;
+  if (Array.isArray(type)) {
+    type = type.find(t => t !== 'null') || 'null';
+  }
+
+  if (!type) {
+    type = schema.properties ? 'object' : (schema.items ? 'array' : undefined);
+  }
+
+  switch (type) {
+    case 'object': {
+      const example = {};
+      Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        const resolved = deref(spec, property) || {};
+        if (resolved.readOnly) {
+          return;
+        }
+        example[key] = exampleFromSchema(spec, property, refs, depth + 1);
+      });
+      return example;
+    }
+
+    case 'array': {
+      const item = exampleFromSchema(spec, schema.items, refs, depth + 1);
+      return item === null ? [] : [item];
+    }
+
+    case 'string':
+      return exampleString(schema);
+
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+
+    case 'boolean':
+      return true;
+
+    default:
+      return null;
+  }
+}
+
+
+//first usable example from a media type object
+function exampleFromMediaType(spec, mediaType) {
+  if (mediaType.example !== undefined) {
+    return mediaType.example;
+  }
+
+  if (mediaType.examples && typeof mediaType.examples === 'object') {
+    const first = deref(spec, Object.values(mediaType.examples)[0]);
+    if (first && first.value !== undefined) {
+      return first.value;
+    }
+  }
+
+  return exampleFromSchema(spec, mediaType.schema);
+}
+
+
+//object => a=1&b=2
+function toFormBody(value) {
+  if (!value || typeof value !== 'object') {
+    return '';
+  }
+
+  return Object.entries(value)
+    .map(([key, v]) => `${encodeURIComponent(key)}=${encodeURIComponent(typeof v === 'object' ? JSON.stringify(v) : v)}`)
+    .join('&');
+}
+
+
+function isJsonType(contentType) {
+  return /^application\/([\w.-]+\+)?json\b/i.test(contentType);
+}
+
+
+//openapi 3 requestBody => {contentType, data} or null when not supported
+function convertRequestBody(spec, requestBody) {
+  const body = deref(spec, requestBody);
+  const content = (body && body.content) || {};
+  const types = Object.keys(content);
+
+  if (types.length === 0) {
+    return {contentType: null, data: ''};
+  }
+
+  const jsonType = types.find(isJsonType);
+  if (jsonType) {
+    const example = exampleFromMediaType(spec, content[jsonType]);
+    return {contentType: jsonType, data: example === null ? '' : JSON.stringify(example)};
+  }
+
+  if (content['application/x-www-form-urlencoded']) {
+    return {
+      contentType: 'application/x-www-form-urlencoded',
+      data: toFormBody(exampleFromMediaType(spec, content['application/x-www-form-urlencoded']))
+    };
+  }
+
+  const textType = types.find(type => type.startsWith('text/'));
+  if (textType) {
+    const example = exampleFromMediaType(spec, content[textType]);
+    return {contentType: textType, data: example === null ? '' : String(example)};
+  }
+
+  return null;
+}
+
+
+//swagger 2 body/formData params => {contentType, data} or null when not supported
+function convertSwagger2Body(spec, operation, parameters) {
+  const consumes = operation.consumes || spec.consumes || ['application/json'];
+  const bodyParam = parameters.find(p => p.in === 'body');
+  const formParams = parameters.filter(p => p.in === 'formData');
+
+  if (bodyParam) {
+    const contentType = consumes.find(isJsonType) || consumes[0];
+    const example = exampleFromSchema(spec, bodyParam.schema);
+    return {contentType, data: example === null ? '' : JSON.stringify(example)};
+  }
+
+  if (formParams.length > 0) {
+    if (formParams.some(p => p.type === 'file')) {
+      return null;
+    }
+
+    const value = {};
+    formParams.forEach(p => {
+      value[p.name] = exampleFromSchema(spec, p);
+    });
+    return {contentType: 'application/x-www-form-urlencoded', data: toFormBody(value)};
+  }
+
+  return {contentType: null, data: ''};
+}
+
+
+//{{baseUrl}} value from servers (3) or host/basePath/schemes (2)
+function getBaseUrl(spec) {
+  if (isSwagger2(spec)) {
+    if (!spec.host) {
+      return spec.basePath || '';
+    }
+
+    const scheme = (spec.schemes || []).includes('https') ? 'https' : ((spec.schemes || [])[0] || 'https');
+    return `${scheme}://${spec.host}${spec.basePath || ''}`.replace(/\/$/, '');
+  }
+
+  const server = (spec.servers || [])[0];
+  if (!server || !server.url) {
+    return '';
+  }
+
+  //fill server variables with their defaults
+  return server.url
+    .replace(/{([^}]+)}/g, (match, name) => {
+      const variable = (server.variables || {})[name];
+      return variable && variable.default !== undefined ? String(variable.default) : match;
+    })
+    .replace(/\/$/, '');
+}
+
+
+//path level params + operation params, operation wins
+function mergeParameters(spec, pathItem, operation) {
+  const merged = new Map();
+
+  [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(param => {
+    const resolved = deref(spec, param);
+    if (resolved && resolved.name && resolved.in) {
+      merged.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+  });
+
+  return [...merged.values()];
+}
+
+
+//param example value for the env, '' when the spec has none
+//swagger 2 params carry type/default themselves, openapi 3 has a schema
+function parameterValue(spec, param) {
+  const schema = deref(spec, param.schema) || param;
+  let value;
+
+  if (param.example !== undefined) {
+    value = param.example;
+  } else if (schema.example !== undefined) {
+    value = schema.example;
+  } else if (schema.default !== undefined) {
+    value = schema.default;
+  } else if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    value = schema.enum[0];
+  }
+
+  if (value === null || value === undefined || typeof value === 'object') {
+    return '';
+  }
+
+  return String(value);
+}
+
+
+//security requirement => headers / query params with {{schemeName}}
+function applySecurity(spec, requirements, request, context) {
+  const requirement = (requirements || []).find(r => r && Object.keys(r).length > 0);
+  if (!requirement) {
+    return;
+  }
+
+  const schemes = isSwagger2(spec)
+    ? (spec.securityDefinitions || {})
+    : ((spec.components || {}).securitySchemes || {});
+
+  Object.keys(requirement).forEach(name => {
+    const scheme = deref(spec, schemes[name]);
+    const placeholder = `{{${name}}}`;
+
+    if (!scheme) {
+      context.skipped.push(`${request.name}: unknown security scheme '${name}'`);
+      return;
+    }
+
+    const type = scheme.type === 'http' ? (scheme.scheme || '').toLowerCase() : scheme.type;
+
+    switch (type) {
+      case 'bearer':
+      case 'oauth2':
+      case 'openIdConnect':
+        request.headers.push(`Authorization: Bearer ${placeholder}`);
+        break;
+
+      case 'basic':
+        request.headers.push(`Authorization: Basic ${placeholder}`);
+        break;
+
+      case 'apiKey':
+        if (scheme.in === 'query') {
+          request.query.push(`${scheme.name}=${placeholder}`);
+        } else if (scheme.in === 'cookie') {
+          request.headers.push(`Cookie: ${scheme.name}=${placeholder}`);
+        } else {
+          request.headers.push(`${scheme.name}: ${placeholder}`);
+        }
+        break;
+
+      default:
+        context.skipped.push(`${request.name}: security scheme '${name}' (${type}) not imported`);
+        return;
+    }
+
+    context.addVariable(name, '');
+  });
+}
+
+
+//single operation => saved request
+function convertOperation(spec, pathName, method, pathItem, operation, context) {
+  const name = context.uniqueName(toRequestName(operation.operationId || [
+    method,
+    ...pathName.split('/').map(segment => segment.replace(/[{}]/g, ''))
+  ].filter(Boolean).join('-')));
+
+  const request = {
+    name: name,
+    headers: [],
+    query: []
+  };
+
+  const parameters = mergeParameters(spec, pathItem, operation);
+
+  //{petId} => {{petId}}
+  const urlPath = pathName.replace(/{([^}]+)}/g, (match, param) => {
+    const definition = parameters.find(p => p.in === 'path' && p.name === param);
+    context.addVariable(param, definition ? parameterValue(spec, definition) : '');
+    return `{{${param}}}`;
+  });
+
+  parameters.forEach(param => {
+    if (!param.required) {
+      return;
+    }
+
+    if (param.in === 'query') {
+      request.query.push(`${param.name}={{${param.name}}}`);
+      context.addVariable(param.name, parameterValue(spec, param));
+    } else if (param.in === 'header') {
+      request.headers.push(`${param.name}: {{${param.name}}}`);
+      context.addVariable(param.name, parameterValue(spec, param));
+    }
+  });
+
+  applySecurity(spec, operation.security || spec.security, request, context);
+
+  const body = isSwagger2(spec)
+    ? convertSwagger2Body(spec, operation, parameters)
+    : convertRequestBody(spec, operation.requestBody);
+
+  let data = '';
+  if (body === null) {
+    context.skipped.push(`${name}: request body type not imported`);
+  } else {
+    data = body.data;
+    if (body.contentType && !request.headers.some(h => h.toLowerCase().startsWith('content-type:'))) {
+      request.headers.push(`Content-Type: ${body.contentType}`);
+    }
+  }
+
+  const savedRequest = {
+    name: name,
+    method: method.toUpperCase(),
+    url: `{{baseUrl}}${urlPath}${request.query.length > 0 ? '?' + request.query.join('&') : ''}`,
+    headers: request.headers,
+    data: data
+  };
+
+  if (Array.isArray(operation.tags) && operation.tags.length > 0) {
+    savedRequest.tags = operation.tags.map(toRequestName);
+  }
+
+  return savedRequest;
+}
+
+
+//spec => {name, requests, variables, skipped}
+//variables hold every placeholder, '' when the spec has no value for it
+function convertSpec(spec) {
+  const requests = [];
+  const skipped = [];
+  const variables = {baseUrl: getBaseUrl(spec)};
+  const usedNames = new Set();
+
+  const context = {
+    skipped: skipped,
+
+    addVariable(name, value) {
+      if (!(name in variables) || (variables[name] === '' && value !== '')) {
+        variables[name] = value;
+      }
+    },
+
+    uniqueName(name) {
+      let candidate = name;
+      let count = 2;
+
+      while (usedNames.has(candidate)) {
+        const suffix = `-${count}`;
+        candidate = name.substring(0, 50 - suffix.length) + suffix;
+        count += 1;
+      }
+
+      usedNames.add(candidate);
+      return candidate;
+    }
+  };
+
+  Object.entries(spec.paths || {}).forEach(([pathName, rawPathItem]) => {
+    const pathItem = deref(spec, rawPathItem) || {};
+
+    OPERATION_METHODS.forEach(method => {
+      const operation = pathItem[method];
+      if (!operation) {
+        return;
+      }
+
+      requests.push(convertOperation(spec, pathName, method, pathItem, operation, context));
+    });
+
+    if (pathItem.trace) {
+      skipped.push(`TRACE ${pathName}: unsupported method`);
+    }
+  });
+
+  return {
+    name: (spec.info && spec.info.title) || 'openapi',
+    requests: requests,
+    variables: variables,
+    skipped: skipped
+  };
+}
+
+
+module.exports = {
+  parseSpec,
+  isOpenApiSpec,
+  resolveRef,
+  exampleFromSchema,
+  getBaseUrl,
+  convertSpec
+};
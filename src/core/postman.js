@@ -0,0 +1,349 @@
+//convert postman v2.1 collections and environments
+//into api-ex saved requests and env variables
+//postman {{var}} placeholders work as-is with env interpolation
+
+const {toRequestName} = require('./validation');
+
+const VALID_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+
+//collection export vs environment export
+function isPostmanEnvironment(json) {
+  return Boolean(json && Array.isArray(json.values) && !Array.isArray(json.item));
+}
+
+
+function isPostmanCollection(json) {
+  return Boolean(json && json.info && Array.isArray(json.item));
+}
+
+
+//[{key, value, disabled}] => {key: value}
+function toVariables(list = []) {
+  const variables = {};
+
+  list.forEach(v => {
+    if (!v || !v.key || v.disabled || v.enabled === false) {
+      return;
+    }
+
+    variables[v.key] = v.value == null ? '' : String(v.value);
+  });
+
+  return variables;
+}
+
+
+//postman auth params are [{key, value}]
+function authParam(auth, type, key) {
+  const params = auth[type];
+
+  if (Array.isArray(params)) {
+    const param = params.find(p => p.key === key);
+    return param ? param.value : undefined;
+  }
+
+  //v2.0 style objects
+  if (params && typeof params === 'object') {
+    return params[key];
+  }
+
+  return undefined;
+}
+
+
+//url string or object => string, :pathVars => {{pathVars}}
+function convertUrl(url, variables) {
+  if (!url) {
+    return '';
+  }
+
+  if (typeof url === 'string') {
+    return url;
+  }
+
+  let raw = url.raw;
+
+  if (!raw) {
+    const host = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+    const urlPath = Array.isArray(url.path) ? url.path.join('/') : (url.path || '');
+    const protocol = url.protocol ? `${url.protocol}://` : '';
+
+    raw = `${protocol}${host}${urlPath ? '/' + urlPath : ''}`;
+
+    const query = (url.query || []).filter(q => !q.disabled);
+    if (query.length > 0) {
+      raw += '?' + query.map(q => `${q.key}=${q.value == null ? '' : q.value}`).join('&');
+    }
+  }
+
+  (url.variable || []).forEach(v => {
+    if (!v || !v.key) {
+      return;
+    }
+
+    raw = raw.replace(new RegExp(`/:${v.key}(?=/|\\?|#|$)`, 'g'), `/{{${v.key}}}`);
+
+    if (v.value != null && v.value !== '' && !(v.key in variables)) {
+      variables[v.key] = String(v.value);
+    }
+  });
+
+  return raw;
+}
+
+
+//auth => headers / url changes, false if not understood
+function convertAuth(auth, request) {
+  if (!auth || auth.type === 'noauth') {
+    return true;
+  }
+
+  switch (auth.type) {
+    case 'bearer': {
+      const token = authParam(auth, 'bearer', 'token') || '';
+      request.headers.push(`Authorization: Bearer ${token}`);
+      return true;
+    }
+
+    case 'basic': {
+      const username = authParam(auth, 'basic', 'username') || '';
+      const password = authParam(auth, 'basic', 'password') || '';
+
+      //cant base64 a placeholder
+      if (`${username}${password}`.includes('{{')) {
+        return false;
+      }
+
+      const encoded = Buffer.from(`${username}:${password}`).toString('base64');
+      request.headers.push(`Authorization: Basic ${encoded}`);
+      return true;
+    }
+
+    case 'apikey': {
+      const key = authParam(auth, 'apikey', 'key');
+      const value = authParam(auth, 'apikey', 'value') || '';
+      const location = authParam(auth, 'apikey', 'in') || 'header';
+
+      if (!key) {
+        return false;
+      }
+
+      if (location === 'query') {
+        const separator = request.url.includes('?') ? '&' : '?';
+        request.url = `${request.url}${separator}${key}=${value}`;
+      } else {
+        request.headers.push(`${key}: ${value}`);
+      }
+      return true;
+    }
+
+    default:
+      return false;
+  }
+}
+
+
+function hasHeader(headers, name) {
+  return headers.some(h => h.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+}
+
+
+//body modes => data string, false if not supported
+function convertBody(body, request) {
+  if (!body || body.disabled) {
+    return true;
+  }
+
+  switch (body.mode) {
+    case 'raw':
+      request.data = body.raw || '';
+
+      if (request.data && body.options && body.options.raw && body.options.raw.language === 'json' && !hasHeader(request.headers, 'Content-Type')) {
+        request.headers.push('Content-Type: application/json');
+      }
+      return true;
+
+    case 'urlencoded':
+      request.data = (body.urlencoded || [])
+        .filter(p => !p.disabled)
+        .map(p => `${encodeURIComponent(p.key)}=${encodeURIComponent(p.value == null ? '' : p.value)}`)
+        .join('&');
+
+      if (!hasHeader(request.headers, 'Content-Type')) {
+        request.headers.push('Content-Type: application/x-www-form-urlencoded');
+      }
+      return true;
+
+    case 'graphql': {
+      const graphql = body.graphql || {};
+      let variables = {};
+
+      try {
+        variables = graphql.variables ? JSON.parse(graphql.variables) : {};
+      } catch {
+        return false;
+      }
+
+      request.data = JSON.stringify({query: graphql.query || '', variables: variables});
+
+      if (!hasHeader(request.headers, 'Content-Type')) {
+        request.headers.push('Content-Type: application/json');
+      }
+      return true;
+    }
+
+    default:
+      return false;
+  }
+}
+
+
+//single item => saved request, skips go into skipped
+function convertItem(item, context) {
+  const source = item.request;
+  const label = [...context.folders, item.name].join(' / ');
+
+  let postmanRequest;
+  if (typeof source === 'string') {
+    postmanRequest = {method: 'GET', url: source};
+  } else {
+    postmanRequest = source || {};
+  }
+
+  const method = (postmanRequest.method || 'GET').toUpperCase();
+  if (!VALID_METHODS.includes(method)) {
+    context.skipped.push(`${label}: unsupported method ${method}`);
+    return null;
+  }
+
+  const request = {
+    name: context.uniqueName(toRequestName(item.name)),
+    method: method,
+    url: convertUrl(postmanRequest.url, context.variables),
+    headers: [],
+    data: ''
+  };
+
+  (postmanRequest.header || []).forEach(h => {
+    if (h && h.key && !h.disabled) {
+      request.headers.push(`${h.key}: ${h.value == null ? '' : h.value}`);
+    }
+  });
+
+  //request auth, else nearest folder/collection auth
+  const auth = postmanRequest.auth || context.auth;
+  if (!convertAuth(auth, request)) {
+    context.skipped.push(`${label}: auth type '${auth.type}' not imported`);
+  }
+
+  if (!convertBody(postmanRequest.body, request)) {
+    context.skipped.push(`${label}: body mode '${postmanRequest.body.mode}' not imported`);
+  }
+
+  if ((item.event || []).some(e => e && e.script)) {
+    context.skipped.push(`${label}: scripts not imported`);
+  }
+
+  const dynamic = `${request.url} ${request.headers.join(' ')} ${request.data}`.match(/{{\s*\$[^}]*}}/g);
+  if (dynamic) {
+    context.skipped.push(`${label}: dynamic variables ${[...new Set(dynamic)].join(', ')} are not supported`);
+  }
+
+  if (context.folders.length > 0) {
+    request.tags = context.folders.map(toRequestName);
+  }
+
+  return request;
+}
+
+
+//walk folders and items
+function walkItems(items, context) {
+  items.forEach(item => {
+    if (!item) {
+      return;
+    }
+
+    //folder
+    if (Array.isArray(item.item)) {
+      if ((item.event || []).some(e => e && e.script)) {
+        context.skipped.push(`${[...context.folders, item.name].join(' / ')}: folder scripts not imported`);
+      }
+
+      walkItems(item.item, {
+        ...context,
+        folders: [...context.folders, item.name],
+        auth: item.auth || context.auth
+      });
+      return;
+    }
+
+    const request = convertItem(item, context);
+    if (request) {
+      context.requests.push(request);
+    }
+  });
+}
+
+
+//collection json => {name, requests, variables, skipped}
+function convertCollection(collection) {
+  const variables = toVariables(collection.variable);
+  const requests = [];
+  const skipped = [];
+  const usedNames = new Set();
+
+  const uniqueName = (name) => {
+    let candidate = name;
+    let count = 2;
+
+    while (usedNames.has(candidate)) {
+      const suffix = `-${count}`;
+      candidate = name.substring(0, 50 - suffix.length) + suffix;
+      count += 1;
+    }
+
+    usedNames.add(candidate);
+    return candidate;
+  };
+
+  if ((collection.event || []).some(e => e && e.script)) {
+    skipped.push('collection scripts not imported');
+  }
+
+  walkItems(collection.item, {
+    folders: [],
+    auth: collection.auth,
+    variables: variables,
+    requests: requests,
+    skipped: skipped,
+    uniqueName: uniqueName
+  });
+
+  return {
+    name: collection.info.name || 'postman',
+    requests: requests,
+    variables: variables,
+    skipped: skipped
+  };
+}
+
+
+//environment json => {name, variables, skipped}
+function convertEnvironment(environment) {
+  return {
+    name: environment.name || 'postman',
+    requests: [],
+    variables: toVariables(environment.values),
+    skipped: []
+  };
+}
+
+
+module.exports = {
+  isPostmanCollection,
+  isPostmanEnvironment,
+  convertCollection,
+  convertEnvironment
+};
@@ -62,6 +62,123 @@ function printError(error, method, url) {
 
 
 
+//pass/fail report for --expect
+function printAssertionResults(results) {
+  if (!results || results.length === 0) {
+    return;
+  }
+
+  console.log(chalk.gray('\nAssertions:'));
+
+  results.forEach(result => {
+    if (result.passed) {
+      console.log(chalk.green(`  ✓ ${result.expression}`));
+    } else {
+      console.log(chalk.red(`  ✗ ${result.expression} (${result.message})`));
+    }
+  });
+
+  const failed = results.filter(r => !r.passed).length;
+  const passed = results.length - failed;
+
+  if (failed > 0) {
+    console.log(chalk.red(`${passed} passed, ${failed} failed`));
+  } else {
+    console.log(chalk.green(`${passed} passed`));
+  }
+}
+
+
+
+//what --capture pulled out of the response
+//envName null = values were not saved anywhere
+//captured value as printed, captures are often tokens and output often ends up in CI logs
+//"eyJhbGciOi..." => "eyJh... (212 chars)", short values are not shown at all
+function maskValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const length = text === undefined ? 0 : text.length;
+
+  return length > 8 ? `${text.substring(0, 4)}... (${length} chars)` : `*** (${length} chars)`;
+}
+
+
+function printCaptureResults(values, missing, envName) {
+  const names = Object.keys(values || {});
+
+  if (names.length > 0) {
+    if (envName) {
+      console.log(chalk.gray(`\nCaptured into '${envName}':`));
+    } else {
+      console.log(chalk.yellow('\nCaptured (not saved, use --env to store):'));
+    }
+
+    names.forEach(name => {
+      console.log(chalk.gray(`  ${name}=${maskValue(values[name])}`));
+    });
+  }
+
+  (missing || []).forEach(capture => {
+    console.log(chalk.yellow(`Warning: Could not capture ${capture.name}, '${capture.path}' not found in response.`));
+  });
+}
+
+
+
+//one line per request handled by a local server
+//entry = method, path, status, durationMs, name (optional)
+function printRequestLog(entry) {
+  const time = new Date().toLocaleTimeString();
+  const line = `${entry.method} ${entry.path} ==> ${entry.status} (${entry.durationMs}ms)`;
+
+  let colored;
+  if (entry.status >= 500) {
+    colored = chalk.red(line);
+  } else if (entry.status >= 400) {
+    colored = chalk.yellow(line);
+  } else {
+    colored = chalk.green(line);
+  }
+
+  console.log(`${chalk.gray(time)} ${colored}${entry.name ? chalk.gray(` ${entry.name}`) : ''}`);
+}
+
+
+
+//request caught by a local server: log line, headers and pretty body
+//entry = printRequestLog fields + headers, body, bodyEncoding
+function printIncomingRequest(entry) {
+  printRequestLog(entry);
+
+  Object.entries(entry.headers || {}).forEach(([key, value]) => {
+    console.log(chalk.gray(`  ${key}: ${value}`));
+  });
+
+  if (entry.body) {
+    console.log('');
+
+    if (entry.bodyEncoding === 'base64') {
+      console.log(chalk.gray(`  <${Buffer.from(entry.body, 'base64').length} bytes of binary data>`));
+    } else {
+      let data = entry.body;
+      try {
+        data = JSON.parse(entry.body);
+      } catch {
+        //form posts are easier to read as fields
+        const contentType = String((entry.headers || {})['content-type'] || '');
+        if (contentType.includes('application/x-www-form-urlencoded')) {
+          data = Object.fromEntries(new URLSearchParams(entry.body));
+        }
+      }
+
+      console.log(data && typeof data === 'object' ? prettyjson.render(data) : data);
+    }
+  }
+
+  console.log('');
+}
+
+
+
 //use cli-tabl3
 function printTable(headers, rows) {
   const table = new Table({head: headers});
@@ -89,5 +206,9 @@ module.exports = {
   printSuccess,
   printError,
   printTable,
-  printDebug
+  printDebug,
+  printAssertionResults,
+  printCaptureResults,
+  printRequestLog,
+  printIncomingRequest
 };
@@ -0,0 +1,55 @@
+//auth profiles (api-ex auth add), oauth2 and hmac
+//{{placeholders}} in a profile are filled from the environment of the running command
+
+const storage = require('./storage');
+const {interpolate} = require('./env');
+const {ConfigurationError} = require('./errors');
+
+const PROFILE_TYPES = ['oauth2', 'hmac'];
+
+//profiles saved before hmac existed have no type
+function profileType(profile) {
+  return profile.type || 'oauth2';
+}
+
+
+//stored profile of the given type, throws ConfigurationError
+function getProfile(name, type) {
+  const profiles = storage.getAuthProfiles();
+  const profile = profiles[name];
+
+  if (!profile) {
+    const available = Object.keys(profiles);
+    const suffix = available.length
+      ? `Available profiles: ${available.join(', ')}.`
+      : 'No auth profiles have been defined yet.';
+
+    throw new ConfigurationError(`Unknown auth profile "${name}". ${suffix}`);
+  }
+
+  if (profileType(profile) !== type) {
+    throw new ConfigurationError(`Auth profile "${name}" is an ${profileType(profile)} profile. Use --auth ${profileType(profile)}:${name}.`);
+  }
+
+  return profile;
+}
+
+
+//profile with its {{placeholders}} filled, lists and flags are kept as they are
+function resolveProfile(profile, variables = {}) {
+  const resolved = {};
+
+  Object.keys(profile).forEach(field => {
+    resolved[field] = interpolate(profile[field], variables);
+  });
+
+  return resolved;
+}
+
+
+module.exports = {
+  PROFILE_TYPES,
+  profileType,
+  getProfile,
+  resolveProfile
+};
@@ -0,0 +1,32 @@
+//yes/no questions on the terminal
+
+const readline = require('readline');
+
+
+//resolves true for y or yes, anything else is no
+//streams can be swapped for tests
+function confirm(question, input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({input, output});
+
+  return new Promise((resolve) => {
+    //input ending without an answer is a no
+    rl.on('close', () => resolve(false));
+
+    rl.question(`${question} [y/N] `, (answer) => {
+      resolve(/^y(es)?$/i.test(answer.trim()));
+      rl.close();
+    });
+  });
+}
+
+
+//can anyone answer a prompt
+function canPrompt(input = process.stdin) {
+  return Boolean(input.isTTY);
+}
+
+
+module.exports = {
+  confirm,
+  canPrompt
+};
@@ -0,0 +1,385 @@
+//record and replay http proxy
+//forwards absolute-form requests upstream, or answers them from a recording file
+//https CONNECT tunnels are passed through but cannot be recorded
+
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const {toRoutePath} = require('./mock');
+const {defaultRequestName} = require('./curl');
+const {ValidationError, FileSystemError, NetworkError} = require('./errors');
+
+const RECORDING_FORMAT_VERSION = 1;
+const DEFAULT_RECORDING_FILE = 'api-ex-recording.json';
+
+//headers for one connection only, never forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+//headers left out of saved requests, the client sets them
+const UNSAVED_HEADERS = [...HOP_BY_HOP_HEADERS, 'host', 'content-length', 'accept-encoding'];
+
+//credentials a client sent, saved as {{placeholders}} so they do not end up in ls, exports and curl output
+const SECRET_HEADER = /^(authorization|proxy-authorization|cookie)$|api[-_]?key|token|secret|session/i;
+
+
+//drop hop-by-hop headers and anything else listed
+function filterHeaders(headers, excluded = HOP_BY_HOP_HEADERS) {
+  const filtered = {};
+
+  Object.entries(headers || {}).forEach(([key, value]) => {
+    if (!excluded.includes(key.toLowerCase())) {
+      filtered[key] = value;
+    }
+  });
+
+  return filtered;
+}
+
+
+function isTextType(contentType) {
+  const type = String(contentType || '').toLowerCase();
+  return !type || /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/.test(type);
+}
+
+
+//body buffer => {body, bodyEncoding}, text stays readable in the recording
+function encodeBody(buffer, contentType) {
+  if (!buffer || buffer.length === 0) {
+    return {body: '', bodyEncoding: 'utf-8'};
+  }
+
+  if (isTextType(contentType)) {
+    return {body: buffer.toString('utf-8'), bodyEncoding: 'utf-8'};
+  }
+
+  return {body: buffer.toString('base64'), bodyEncoding: 'base64'};
+}
+
+
+function decodeBody(recorded) {
+  return Buffer.from(recorded.body || '', recorded.bodyEncoding === 'base64' ? 'base64' : 'utf-8');
+}
+
+
+function readBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+
+function createRecording() {
+  return {version: RECORDING_FORMAT_VERSION, exchanges: []};
+}
+
+
+//recording file => {version, exchanges}
+//missing files are fine when recording, they are created on the first exchange
+function loadRecording(file, {allowMissing = false} = {}) {
+  const filePath = path.resolve(process.cwd(), file);
+
+  if (allowMissing && !fs.existsSync(filePath)) {
+    return createRecording();
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new FileSystemError(`Could not read recording '${file}': ${error.message}`);
+  }
+
+  let recording;
+  try {
+    recording = JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`Recording '${file}' is not valid JSON: ${error.message}`);
+  }
+
+  if (!recording || !Array.isArray(recording.exchanges)) {
+    throw new ValidationError(`'${file}' is not an api-ex recording.`);
+  }
+
+  return recording;
+}
+
+
+function writeRecording(recording, file) {
+  try {
+    const filePath = path.resolve(process.cwd(), file);
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    fs.writeFileSync(filePath, JSON.stringify(recording, null, 2) + '\n');
+  } catch (error) {
+    throw new FileSystemError(`Could not write recording '${file}': ${error.message}`);
+  }
+}
+
+
+//add or replace the exchange for the same method + url, latest wins
+function addExchange(recording, exchange) {
+  const index = recording.exchanges.findIndex(e => e.method === exchange.method && e.url === exchange.url);
+
+  if (index === -1) {
+    recording.exchanges.push(exchange);
+  } else {
+    recording.exchanges[index] = exchange;
+  }
+
+  return recording;
+}
+
+
+function stripQuery(url) {
+  return String(url).split(/[?#]/)[0];
+}
+
+
+//exact method + url first, then the same path with any query string
+function findExchange(recording, method, url) {
+  const exchanges = recording.exchanges.filter(e => e.method === method);
+
+  return exchanges.find(e => e.url === url) ||
+    exchanges.find(e => stripQuery(e.url) === stripQuery(url)) ||
+    null;
+}
+
+
+//send one request upstream with node http, bodies stay raw buffers
+//returns {status, statusText, headers, body, durationMs}
+function forwardRequest(request, options = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(request.url);
+    const client = target.protocol === 'https:' ? https : http;
+    const startTime = Date.now();
+
+    const upstream = client.request(target, {
+      method: request.method,
+      headers: request.headers,
+      timeout: options.timeout || 30000
+    }, (res) => {
+      readBody(res).then(body => {
+        resolve({
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: res.headers,
+          body: body,
+          durationMs: Date.now() - startTime
+        });
+      }, reject);
+    });
+
+    upstream.on('timeout', () => {
+      upstream.destroy(new Error(`timeout of ${options.timeout || 30000}ms exceeded`));
+    });
+    upstream.on('error', error => reject(new NetworkError(`${request.method} ${request.url} failed: ${error.message}`)));
+
+    upstream.end(request.body && request.body.length > 0 ? request.body : undefined);
+  });
+}
+
+
+//incoming request + upstream response => recording entry
+function toExchange(request, response) {
+  return {
+    method: request.method,
+    url: request.url,
+    recordedAt: new Date().toISOString(),
+    durationMs: response.durationMs,
+    request: {
+      headers: request.headers,
+      ...encodeBody(request.body, request.headers['content-type'])
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: filterHeaders(response.headers, [...HOP_BY_HOP_HEADERS, 'content-length']),
+      ...encodeBody(response.body, response.headers['content-type'])
+    }
+  };
+}
+
+
+//recorded exchange => saved request, null when one already exists for method + path
+//requests = saved requests so far, names get -2, -3 suffixes when taken
+function toSavedRequest(exchange, requests) {
+  const routePath = toRoutePath(exchange.url);
+  const duplicate = requests.some(r => String(r.method).toUpperCase() === exchange.method && toRoutePath(r.url) === routePath);
+  if (duplicate) {
+    return null;
+  }
+
+  const baseName = defaultRequestName({method: exchange.method, url: exchange.url});
+  let name = baseName;
+  for (let i = 2; requests.some(r => r.name === name); i++) {
+    name = `${baseName.substring(0, 50 - String(i).length - 1)}-${i}`;
+  }
+
+  const headers = Object.entries(filterHeaders(exchange.request.headers, UNSAVED_HEADERS))
+    .map(([key, value]) => {
+      if (SECRET_HEADER.test(key)) {
+        //x-api-key => {{X_API_KEY}}
+        return `${key}: {{${key.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}}}`;
+      }
+      return `${key}: ${Array.isArray(value) ? value.join(', ') : value}`;
+    });
+
+  return {
+    name: name,
+    method: exchange.method,
+    url: exchange.url,
+    headers: headers,
+    data: exchange.request.bodyEncoding === 'base64' ? '' : exchange.request.body
+  };
+}
+
+
+function sendJsonError(res, status, message) {
+  res.writeHead(status, {'Content-Type': 'application/json'});
+  res.end(JSON.stringify({error: message}));
+}
+
+
+//start the proxy
+//options = port, host, timeout, replay (recording to answer from, nothing is forwarded),
+//onExchange({method, url, status, durationMs, mode, exchange, error}) after each request,
+//onTunnel(host) for CONNECT
+//mode = forward (exchange set), replay, miss or error
+//resolves with the listening http.Server
+function startProxyServer(options = {}) {
+  const server = http.createServer(async (req, res) => {
+    const startTime = Date.now();
+    const method = req.method.toUpperCase();
+
+    //forward proxies get the full url, anything else was not sent through a proxy
+    if (!/^https?:\/\//i.test(req.url)) {
+      req.resume();
+      sendJsonError(res, 400, 'api-ex proxy only handles proxied requests, set it as the HTTP proxy of your client.');
+      return;
+    }
+
+    //a client that hangs up mid-upload has nobody left to answer, drop the exchange
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      res.destroy();
+      return;
+    }
+
+    const request = {
+      method: method,
+      url: req.url,
+      //upstream should send plain bodies so recordings stay readable
+      headers: filterHeaders(req.headers, [...HOP_BY_HOP_HEADERS, 'accept-encoding']),
+      body: body
+    };
+
+    if (options.replay) {
+      const exchange = findExchange(options.replay, method, req.url);
+
+      if (!exchange) {
+        sendJsonError(res, 502, `No recorded response for ${method} ${req.url}`);
+        notify(options, {method, url: req.url, status: 502, startTime, mode: 'miss'});
+        return;
+      }
+
+      const replayBody = decodeBody(exchange.response);
+      res.writeHead(exchange.response.status, {...exchange.response.headers, 'content-length': replayBody.length});
+      res.end(method === 'HEAD' ? undefined : replayBody);
+      notify(options, {method, url: req.url, status: exchange.response.status, startTime, mode: 'replay'});
+      return;
+    }
+
+    let response;
+    try {
+      response = await forwardRequest(request, {timeout: options.timeout});
+    } catch (error) {
+      sendJsonError(res, 502, error.message);
+      notify(options, {method, url: req.url, status: 502, startTime, mode: 'error', error: error.message});
+      return;
+    }
+
+    res.writeHead(response.status, {
+      ...filterHeaders(response.headers, [...HOP_BY_HOP_HEADERS, 'content-length']),
+      'content-length': response.body.length
+    });
+    res.end(response.body);
+
+    notify(options, {method, url: req.url, status: response.status, startTime, mode: 'forward', exchange: toExchange(request, response)});
+  });
+
+  //https goes through as an opaque tunnel
+  server.on('connect', (req, clientSocket, head) => {
+    if (options.replay) {
+      clientSocket.end('HTTP/1.1 501 Not Implemented\r\n\r\n');
+      return;
+    }
+
+    const [host, port] = req.url.split(':');
+    const upstream = net.connect(Number(port) || 443, host, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+
+    upstream.on('error', () => clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n'));
+    clientSocket.on('error', () => upstream.destroy());
+
+    if (options.onTunnel) {
+      options.onTunnel(req.url);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', (error) => {
+      if (error.code === 'EADDRINUSE') {
+        reject(new NetworkError(`Port ${options.port} is already in use.`));
+      } else {
+        reject(new NetworkError(`Could not start proxy: ${error.message}`));
+      }
+    });
+
+    server.listen(options.port || 0, options.host || '127.0.0.1', () => resolve(server));
+  });
+}
+
+
+function notify(options, {startTime, ...info}) {
+  if (options.onExchange) {
+    options.onExchange({exchange: null, error: null, ...info, durationMs: Date.now() - startTime});
+  }
+}
+
+
+module.exports = {
+  DEFAULT_RECORDING_FILE,
+  filterHeaders,
+  encodeBody,
+  decodeBody,
+  readBody,
+  createRecording,
+  loadRecording,
+  writeRecording,
+  addExchange,
+  findExchange,
+  forwardRequest,
+  toExchange,
+  toSavedRequest,
+  startProxyServer
+};
@@ -0,0 +1,379 @@
+//reporters for run results
+//cli = chalk console output (default), junit/tap/json = machine readable for CI
+//result = name, method, url, status, durationMs, assertions, passed, skipped, error
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const {printSuccess, printTable, printAssertionResults} = require('./printer');
+const {ValidationError, FileSystemError} = require('./errors');
+
+const REPORTER_NAMES = ['cli', 'junit', 'tap', 'json'];
+
+
+//totals for a list of results
+function summarizeResults(results) {
+  const summary = {
+    total: results.length,
+    passed: 0,
+    failed: 0,
+    errors: 0,
+    skipped: 0,
+    durationMs: 0
+  };
+
+  results.forEach(result => {
+    if (result.skipped) {
+      summary.skipped += 1;
+    } else if (result.error) {
+      summary.errors += 1;
+    } else if (result.passed) {
+      summary.passed += 1;
+    } else {
+      summary.failed += 1;
+    }
+
+    summary.durationMs += result.durationMs || 0;
+  });
+
+  return summary;
+}
+
+
+//one test case per assertion, or one for the request when it has none
+function toTestCases(result) {
+  const base = {
+    request: result.name,
+    status: result.status,
+    durationMs: result.durationMs
+  };
+
+  if (result.skipped) {
+    return [{...base, name: `${result.method} ${result.url}`, passed: false, skipped: true, error: null, failure: null}];
+  }
+
+  if (result.error) {
+    return [{...base, name: `${result.method} ${result.url}`, passed: false, skipped: false, error: result.error, failure: null}];
+  }
+
+  if (!result.assertions || result.assertions.length === 0) {
+    return [{...base, name: `${result.method} ${result.url}`, passed: true, skipped: false, error: null, failure: null}];
+  }
+
+  return result.assertions.map(assertion => ({
+    ...base,
+    name: assertion.expression,
+    passed: assertion.passed,
+    skipped: false,
+    error: null,
+    failure: assertion.passed ? null : assertion.message
+  }));
+}
+
+
+
+//cli
+
+function formatOutcome(result) {
+  if (result.skipped) {
+    return chalk.gray('SKIPPED');
+  }
+
+  if (result.error) {
+    return chalk.red('ERROR');
+  }
+
+  if (result.passed) {
+    return chalk.green('PASS');
+  }
+
+  return chalk.red('FAIL');
+}
+
+
+//{id: '1', name: 'Ada'} => "id=1, name=Ada", shortened for the table
+function formatRow(row, maxLength = 40) {
+  const text = Object.entries(row || {}).map(([key, value]) => `${key}=${value}`).join(', ');
+
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text || '-';
+}
+
+
+function createCliReporter(options = {}) {
+  return {
+    name: 'cli',
+
+    //one line per request as it finishes
+    onResult(result) {
+      if (result.error) {
+        console.log(chalk.red(`✗ ${result.name}: ${result.error}`));
+        return;
+      }
+
+      const line = `${result.method} ${result.url} ==> ${result.status} (${result.durationMs}ms)`;
+
+      if (result.passed) {
+        console.log(chalk.green(`✓ ${result.name}`) + ' ' + chalk.gray(line));
+      } else {
+        console.log(chalk.red(`✗ ${result.name}`) + ' ' + chalk.gray(line));
+      }
+
+      if (options.verbose) {
+        printSuccess(result.response, result.method, result.url);
+        printAssertionResults(result.assertions);
+        console.log('');
+
+      } else {
+        result.assertions
+          .filter(assertion => !assertion.passed)
+          .forEach(assertion => {
+            console.log(chalk.red(`    ✗ ${assertion.expression} (${assertion.message})`));
+          });
+      }
+    },
+
+    //summary table, printed directly
+    //data-driven runs get one row per iteration with its data
+    onEnd(results) {
+      const summary = summarizeResults(results);
+      const isIterations = results.length > 0 && results[0].iteration !== undefined;
+
+      const headers = isIterations ? ['#', 'Data', 'Status', 'Time', 'Result'] : ['Name', 'Method', 'Status', 'Time', 'Result'];
+      const rows = results.map(result => [
+        isIterations ? String(result.iteration) : chalk.cyan(result.name),
+        isIterations ? chalk.gray(formatRow(result.row)) : chalk.yellow(result.method),
+        result.status === null ? '-' : String(result.status),
+        result.durationMs === null ? '-' : `${result.durationMs}ms`,
+        formatOutcome(result)
+      ]);
+
+      console.log('');
+      printTable(headers, rows);
+
+      const totals = `${summary.passed} passed, ${summary.failed} failed, ${summary.errors} error(s), ${summary.skipped} skipped (${summary.durationMs}ms)`;
+      if (summary.failed + summary.errors > 0) {
+        console.log(chalk.red(totals));
+      } else {
+        console.log(chalk.green(totals));
+      }
+
+      return null;
+    }
+  };
+}
+
+
+
+//junit xml
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+
+function seconds(durationMs) {
+  return ((durationMs || 0) / 1000).toFixed(3);
+}
+
+
+function renderJunit(results, suiteName) {
+  const summary = summarizeResults(results);
+  const allCases = results.map(toTestCases);
+  const caseCount = allCases.reduce((count, cases) => count + cases.length, 0);
+  const failureCount = allCases.reduce((count, cases) => count + cases.filter(c => c.failure !== null).length, 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suiteName)}" tests="${caseCount}" failures="${failureCount}" errors="${summary.errors}" time="${seconds(summary.durationMs)}">`
+  ];
+
+  results.forEach((result, index) => {
+    const cases = allCases[index];
+    const failures = cases.filter(c => c.failure !== null).length;
+    const errors = cases.filter(c => c.error !== null).length;
+    const skipped = cases.filter(c => c.skipped).length;
+
+    lines.push(`  <testsuite name="${escapeXml(result.name)}" tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${seconds(result.durationMs)}">`);
+    lines.push('    <properties>');
+    lines.push(`      <property name="method" value="${escapeXml(result.method)}"/>`);
+    lines.push(`      <property name="url" value="${escapeXml(result.url)}"/>`);
+    lines.push(`      <property name="status" value="${result.status === null ? '' : result.status}"/>`);
+    lines.push('    </properties>');
+
+    cases.forEach(testCase => {
+      const open = `    <testcase classname="${escapeXml(result.name)}" name="${escapeXml(testCase.name)}" time="${seconds(testCase.durationMs)}"`;
+
+      if (testCase.skipped) {
+        lines.push(`${open}>`);
+        lines.push('      <skipped/>');
+        lines.push('    </testcase>');
+
+      } else if (testCase.error !== null) {
+        lines.push(`${open}>`);
+        lines.push(`      <error message="${escapeXml(testCase.error)}"/>`);
+        lines.push('    </testcase>');
+
+      } else if (testCase.failure !== null) {
+        lines.push(`${open}>`);
+        lines.push(`      <failure message="${escapeXml(testCase.failure)}">${escapeXml(`${testCase.name}: ${testCase.failure} (status ${testCase.status})`)}</failure>`);
+        lines.push('    </testcase>');
+
+      } else {
+        lines.push(`${open}/>`);
+      }
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+
+
+//tap version 13
+
+function renderTap(results) {
+  const cases = [].concat(...results.map(toTestCases));
+  const lines = ['TAP version 13', `1..${cases.length}`];
+
+  cases.forEach((testCase, index) => {
+    const description = `${testCase.request}: ${testCase.name}`;
+
+    if (testCase.skipped) {
+      lines.push(`ok ${index + 1} - ${description} # SKIP`);
+      return;
+    }
+
+    if (testCase.passed) {
+      lines.push(`ok ${index + 1} - ${description}`);
+      return;
+    }
+
+    lines.push(`not ok ${index + 1} - ${description}`);
+    lines.push('  ---');
+    lines.push(`  message: ${JSON.stringify(testCase.error || testCase.failure)}`);
+    lines.push(`  status: ${testCase.status === null ? 'null' : testCase.status}`);
+    lines.push(`  durationMs: ${testCase.durationMs === null ? 'null' : testCase.durationMs}`);
+    lines.push('  ...');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+
+
+//json
+
+function renderJson(results) {
+  const report = {
+    summary: summarizeResults(results),
+    results: results.map(result => ({
+      name: result.name,
+      method: result.method,
+      url: result.url,
+      status: result.status,
+      durationMs: result.durationMs,
+      passed: result.passed,
+      skipped: result.skipped,
+      error: result.error,
+      ...(result.iteration !== undefined ? {iteration: result.iteration, row: result.row} : {}),
+      assertions: (result.assertions || []).map(assertion => ({
+        expression: assertion.expression,
+        passed: assertion.passed,
+        message: assertion.message
+      }))
+    }))
+  };
+
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+
+//file based reporters render everything at the end
+function createFormatReporter(name, render, suiteName) {
+  return {
+    name: name,
+    onResult() {},
+    onEnd(results) {
+      return render(results, suiteName);
+    }
+  };
+}
+
+
+//reporter by name
+//options = verbose (cli), suiteName (junit)
+function getReporter(name = 'cli', options = {}) {
+  const suiteName = options.suiteName || 'api-ex';
+
+  switch (name) {
+    case 'cli':
+      return createCliReporter(options);
+    case 'junit':
+      return createFormatReporter('junit', renderJunit, suiteName);
+    case 'tap':
+      return createFormatReporter('tap', renderTap, suiteName);
+    case 'json':
+      return createFormatReporter('json', renderJson, suiteName);
+    default:
+      throw new ValidationError(`Unknown reporter '${name}'. Valid reporters: ${REPORTER_NAMES.join(', ')}.`);
+  }
+}
+
+
+//reporters for a command's --reporter and --report-file
+//console = cli output or null, report = machine reporter or null
+//machine reports replace console output unless written to a file
+function resolveReporters(options = {}) {
+  const reporter = getReporter(options.reporter || 'cli', options);
+
+  if (reporter.name === 'cli') {
+    return {console: reporter, report: null};
+  }
+
+  let consoleReporter = null;
+  if (options.reportFile) {
+    consoleReporter = getReporter('cli', options);
+  }
+
+  return {console: consoleReporter, report: reporter};
+}
+
+
+//render report and write to file, stdout if no file
+function writeReport(reporter, results, reportFile) {
+  const output = reporter.onEnd(results);
+
+  if (!reportFile) {
+    console.log(output.trimEnd());
+    return;
+  }
+
+  try {
+    const filePath = path.resolve(process.cwd(), reportFile);
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    fs.writeFileSync(filePath, output);
+  } catch (error) {
+    throw new FileSystemError(`Could not write report to '${reportFile}': ${error.message}`);
+  }
+}
+
+
+module.exports = {
+  REPORTER_NAMES,
+  getReporter,
+  resolveReporters,
+  writeReport,
+  summarizeResults,
+  toTestCases,
+  renderJunit,
+  renderTap,
+  renderJson
+};
@@ -0,0 +1,111 @@
+//read values out of a normalized response
+//path = status | statusText | time | header.<name> | body[.a.b[0].c]
+
+
+//case insensitive header lookup
+function getHeader(headers, name) {
+  if (!headers || typeof headers !== 'object' || !name) {
+    return undefined;
+  }
+
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers).find(k => k.toLowerCase() === wanted);
+
+  if (key === undefined) {
+    return undefined;
+  }
+
+  return headers[key];
+}
+
+
+//body.items[0].id => ['items', '0', 'id']
+function splitPath(path) {
+  return path
+    .replace(/\[(\w+)\]/g, '.$1')
+    .split('.')
+    .filter(segment => segment !== '');
+}
+
+
+//walk an object by segments, undefined if anything is missing
+function getByPath(value, segments) {
+  let current = value;
+
+  for (const segment of segments) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+
+    //string bodies that are really json
+    if (typeof current === 'string') {
+      try {
+        current = JSON.parse(current);
+      } catch {
+        return undefined;
+      }
+    }
+
+    if (typeof current !== 'object') {
+      return undefined;
+    }
+
+    current = current[segment];
+  }
+
+  return current;
+}
+
+
+function isResponsePath(path) {
+  if (!path || typeof path !== 'string') {
+    return false;
+  }
+
+  const [source] = splitPath(path);
+  return ['status', 'statusText', 'time', 'duration', 'durationMs', 'body', 'header', 'headers'].includes(source);
+}
+
+
+//get value from response for a path like body.user.id
+function getResponseValue(response, path) {
+  if (!response || !isResponsePath(path)) {
+    return undefined;
+  }
+
+  const [source, ...rest] = splitPath(path);
+
+  switch (source) {
+    case 'status':
+      return response.status;
+
+    case 'statusText':
+      return response.statusText;
+
+    case 'time':
+    case 'duration':
+    case 'durationMs':
+      return response.durationMs;
+
+    case 'header':
+    case 'headers':
+      if (rest.length === 0) {
+        return response.headers;
+      }
+      //header names can have dots
+      return getHeader(response.headers, path.substring(source.length + 1));
+
+    case 'body':
+      return getByPath(response.data, rest);
+
+    default:
+      return undefined;
+  }
+}
+
+
+module.exports = {
+  getHeader,
+  getResponseValue,
+  isResponsePath
+};
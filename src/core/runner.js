@@ -0,0 +1,283 @@
+//run saved requests without the cli around them
+//used by run-all to run many requests in a row
+
+const path = require('path');
+const {sendRequest} = require('./http');
+const {interpolateRequest} = require('./env');
+const {recordHistory, exchangeDetails} = require('./history');
+const {printDebug} = require('./printer');
+const {parseAssertions, runAssertions, hasFailures} = require('./assertions');
+const {parseCaptures, extractCaptures, saveCaptures} = require('./capture');
+const {validateContract} = require('./contract');
+const {loadSchemaFile, validateBody} = require('./schema');
+const {loadScript, runScript} = require('./scripts');
+
+
+//['Key: Value'] => {Key: 'Value'}, bad entries skipped
+function parseHeaderList(list = []) {
+  const headers = {};
+
+  list.forEach(h => {
+    const colonIndex = h.indexOf(':');
+    if (colonIndex === -1) {
+      return;
+    }
+
+    const key = h.substring(0, colonIndex).trim();
+    const value = h.substring(colonIndex + 1).trim();
+    headers[key] = value;
+  });
+
+  return headers;
+}
+
+
+//saved request => config for sendRequest
+function buildRequestConfig(savedRequest) {
+  const config = {
+    method: savedRequest.method,
+    url: savedRequest.url,
+    headers: parseHeaderList(savedRequest.headers || []),
+    data: savedRequest.data
+  };
+
+  if (savedRequest.auth) {
+    config.auth = savedRequest.auth;
+  }
+
+  return config;
+}
+
+
+//blank result for a saved request
+function createResult(savedRequest) {
+  return {
+    name: savedRequest.name,
+    method: savedRequest.method,
+    url: savedRequest.url,
+    status: null,
+    durationMs: null,
+    response: null,
+    assertions: [],
+    captured: {},
+    missingCaptures: [],
+    passed: false,
+    skipped: false,
+    error: null
+  };
+}
+
+
+//post-response script errors fail the request like an assertion
+function scriptFailure(error) {
+  return {
+    variables: {},
+    assertions: [{expression: 'post-response script', passed: false, actual: null, message: error.message}]
+  };
+}
+
+
+//run one saved request, never throws for request problems
+//options = variables, envName, contract (checks responses against an openapi spec)
+//result = name, method, url, status, durationMs, assertions, captured, passed, skipped, error
+//captured includes values set with env.set in scripts
+async function runSavedRequest(savedRequest, options = {}) {
+  const result = createResult(savedRequest);
+
+  try {
+    const assertions = parseAssertions(savedRequest.expect || []);
+    const captures = parseCaptures(savedRequest.capture || []);
+    const schemaValidator = savedRequest.schema ? await loadSchemaFile(savedRequest.schema) : null;
+    const preScript = savedRequest.preScript ? loadScript(savedRequest.preScript) : null;
+    const postScript = savedRequest.postScript ? loadScript(savedRequest.postScript) : null;
+
+    let requestConfig = buildRequestConfig(savedRequest);
+    let variables = options.variables;
+    let scriptValues = {};
+
+    //pre-request script sees the request before interpolation
+    if (preScript) {
+      const pre = runScript(preScript, {request: requestConfig, variables: variables});
+      requestConfig = pre.request;
+      scriptValues = pre.variables;
+      variables = {...(variables || {}), ...scriptValues};
+    }
+
+    const template = requestConfig;
+    if (variables) {
+      requestConfig = interpolateRequest(requestConfig, variables);
+    }
+
+    result.url = requestConfig.url;
+    printDebug(`Request config for '${savedRequest.name}'`, requestConfig);
+
+    const response = await sendRequest({...requestConfig, env: options.envName});
+
+    result.status = response.status;
+    result.durationMs = response.durationMs;
+    result.response = response;
+
+    recordHistory({
+      method: requestConfig.method,
+      url: requestConfig.url,
+      status: response.status,
+      durationMs: response.durationMs,
+      env: options.envName || null,
+      savedRequestName: savedRequest.name,
+      ...exchangeDetails(requestConfig, response, template)
+    });
+
+    result.assertions = runAssertions(assertions, response);
+    if (options.contract) {
+      result.assertions.push(...validateContract(options.contract, requestConfig.method, requestConfig.url, response));
+    }
+    if (schemaValidator) {
+      result.assertions.push(...validateBody(schemaValidator, response.data, path.basename(savedRequest.schema)));
+    }
+
+    if (postScript) {
+      let post;
+      try {
+        post = runScript(postScript, {request: requestConfig, response: response, variables: variables});
+      } catch (error) {
+        post = scriptFailure(error);
+      }
+
+      result.assertions.push(...post.assertions);
+      Object.assign(scriptValues, post.variables);
+    }
+
+    const {values, missing} = extractCaptures(captures, response);
+    result.captured = {...scriptValues, ...values};
+    result.missingCaptures = missing;
+
+    result.passed = !hasFailures(result.assertions);
+
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+
+//run requests in order, captured values carry to the next ones
+//options = variables, envName, contract, bail, onResult(result)
+async function runCollection(requests, options = {}) {
+  const variables = {...(options.variables || {})};
+  const results = [];
+  let stopped = false;
+
+  for (const savedRequest of requests) {
+    if (stopped) {
+      results.push({...createResult(savedRequest), skipped: true});
+      continue;
+    }
+
+    const result = await runSavedRequest(savedRequest, {
+      variables: variables,
+      envName: options.envName,
+      contract: options.contract
+    });
+
+    //next requests see captured values
+    if (Object.keys(result.captured).length > 0) {
+      Object.assign(variables, result.captured);
+
+      if (options.envName) {
+        saveCaptures(options.envName, result.captured);
+      }
+    }
+
+    results.push(result);
+
+    if (options.onResult) {
+      options.onResult(result);
+    }
+
+    if (!result.passed && options.bail) {
+      stopped = true;
+    }
+  }
+
+  return results;
+}
+
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
+//run one saved request once per data row
+//row values are layered over the env variables, captures carry to later iterations
+//options = variables, envName, contract, iterations (rows repeat when larger), delayMs, bail, onResult(result)
+//results have iteration (1 based) and row
+async function runIterations(savedRequest, rows, options = {}) {
+  const dataRows = rows && rows.length > 0 ? rows : [{}];
+  const iterations = options.iterations || dataRows.length;
+  const carried = {...(options.variables || {})};
+  const results = [];
+  let stopped = false;
+
+  for (let index = 0; index < iterations; index++) {
+    const row = dataRows[index % dataRows.length];
+    const base = {
+      ...createResult(savedRequest),
+      name: `${savedRequest.name} #${index + 1}`,
+      iteration: index + 1,
+      row: row
+    };
+
+    if (stopped) {
+      results.push({...base, skipped: true});
+      continue;
+    }
+
+    if (index > 0 && options.delayMs) {
+      await sleep(options.delayMs);
+    }
+
+    const result = {
+      ...(await runSavedRequest(savedRequest, {
+        variables: {...carried, ...row},
+        envName: options.envName,
+        contract: options.contract
+      })),
+      name: base.name,
+      iteration: base.iteration,
+      row: row
+    };
+
+    if (Object.keys(result.captured).length > 0) {
+      Object.assign(carried, result.captured);
+
+      if (options.envName) {
+        saveCaptures(options.envName, result.captured);
+      }
+    }
+
+    results.push(result);
+
+    if (options.onResult) {
+      options.onResult(result);
+    }
+
+    if (!result.passed && options.bail) {
+      stopped = true;
+    }
+  }
+
+  return results;
+}
+
+
+module.exports = {
+  parseHeaderList,
+  buildRequestConfig,
+  runSavedRequest,
+  createResult,
+  scriptFailure,
+  runCollection,
+  runIterations
+};
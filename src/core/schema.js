@@ -0,0 +1,168 @@
+//json schema validation with ajv
+//draft-07 and 2020-12, errors as json pointers into the validated value
+
+const fs = require('fs');
+const path = require('path');
+const {pathToFileURL, fileURLToPath} = require('url');
+const Ajv = require('ajv');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const {ApiExError, ValidationError, FileSystemError} = require('./errors');
+
+
+//dialect from $schema, draft-07 unless it says 2020-12
+function detectDialect(schema) {
+  const declared = schema && typeof schema.$schema === 'string' ? schema.$schema : '';
+
+  if (/2020-12/.test(declared)) {
+    return '2020-12';
+  }
+
+  return 'draft-07';
+}
+
+
+//ajv instance for a dialect
+//strict off so openapi keywords like example/nullable dont throw
+function createAjv(dialect = 'draft-07', extraOptions = {}) {
+  const options = {
+    allErrors: true,
+    strict: false,
+    logger: false,
+    ...extraOptions
+  };
+
+  const ajv = dialect === '2020-12' ? new Ajv2020(options) : new Ajv(options);
+  addFormats(ajv);
+
+  return ajv;
+}
+
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+
+//ajv errors => [{pointer, message}], pointer like "#/items/0/id"
+function toSchemaErrors(errors = []) {
+  const seen = new Set();
+  const results = [];
+
+  (errors || []).forEach(error => {
+    let pointer = error.instancePath || '';
+    let message = error.message;
+
+    if (error.keyword === 'required') {
+      pointer += `/${escapePointer(error.params.missingProperty)}`;
+      message = 'is required';
+    } else if (error.keyword === 'additionalProperties' || error.keyword === 'unevaluatedProperties') {
+      pointer += `/${escapePointer(error.params.additionalProperty || error.params.unevaluatedProperty)}`;
+      message = 'is not allowed';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+    }
+
+    const key = `#${pointer} ${message}`;
+    if (seen.has(key)) {
+      return;
+    }
+
+    seen.add(key);
+    results.push({pointer: `#${pointer}`, message});
+  });
+
+  return results;
+}
+
+
+//read and parse one schema file
+function readSchemaFile(filePath) {
+  let content;
+
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new FileSystemError(`Could not read schema '${filePath}': ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`Schema '${filePath}' is not valid JSON: ${error.message}`);
+  }
+}
+
+
+//$ref to another file => that schema
+//refs resolve against the root $id, which is the file url unless the schema sets one
+function loadReferencedSchema(uri, rootId, rootFile) {
+  if (uri.startsWith('file:')) {
+    return readSchemaFile(fileURLToPath(uri));
+  }
+
+  //schema with an http $id, look for the file next to the root schema
+  const rootBase = rootId.substring(0, rootId.lastIndexOf('/') + 1);
+  if (!uri.startsWith(rootBase)) {
+    throw new ValidationError(`Cannot load '${uri}', only local schema files are supported.`);
+  }
+
+  return readSchemaFile(path.join(path.dirname(rootFile), decodeURIComponent(uri.substring(rootBase.length))));
+}
+
+
+//schema file => compiled validate function
+async function loadSchemaFile(file) {
+  const filePath = path.resolve(process.cwd(), file);
+  const schema = readSchemaFile(filePath);
+  const rootId = schema.$id || pathToFileURL(filePath).href;
+
+  const ajv = createAjv(detectDialect(schema), {
+    loadSchema: async (uri) => loadReferencedSchema(uri, rootId, filePath)
+  });
+
+  try {
+    return await ajv.compileAsync({...schema, $id: rootId});
+  } catch (error) {
+    if (error instanceof ApiExError) {
+      throw error;
+    }
+    throw new ValidationError(`Invalid JSON Schema '${file}': ${error.message}`);
+  }
+}
+
+
+//response body => assertion style results, one per violation
+//label names the schema in the passing result
+function validateBody(validate, body, label) {
+  let data = body;
+
+  //string bodies that are really json
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      //validate as a plain string
+    }
+  }
+
+  if (validate(data)) {
+    return [{expression: `schema ${label}`, passed: true, actual: null, message: null}];
+  }
+
+  return toSchemaErrors(validate.errors).map(error => ({
+    expression: `schema ${error.pointer}`,
+    passed: false,
+    actual: null,
+    message: error.message
+  }));
+}
+
+
+module.exports = {
+  detectDialect,
+  createAjv,
+  toSchemaErrors,
+  loadSchemaFile,
+  validateBody
+};
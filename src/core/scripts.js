@@ -0,0 +1,196 @@
+//pre-request and post-response scripts
+//plain javascript run in a vm context with req, res, env, expect, crypto and console
+//vm is not a security boundary, scripts are trusted like the rest of your config
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const nodeCrypto = require('crypto');
+const chalk = require('chalk');
+const {interpolate} = require('./env');
+const {getHeader} = require('./response');
+const {formatValue} = require('./assertions');
+const {ValidationError, FileSystemError, ScriptError} = require('./errors');
+
+//scripts are synchronous, anything longer is stopped
+const SCRIPT_TIMEOUT_MS = 1000;
+
+
+//script file => {file, script}, syntax errors are thrown here
+function loadScript(file) {
+  const filePath = path.resolve(process.cwd(), file);
+  let source;
+
+  try {
+    source = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    throw new FileSystemError(`Could not read script '${file}': ${error.message}`);
+  }
+
+  try {
+    return {
+      file: filePath,
+      script: new vm.Script(source, {filename: filePath})
+    };
+  } catch (error) {
+    throw new ValidationError(`Script '${file}' has a syntax error: ${error.message}`);
+  }
+}
+
+
+//host values => plain copies, nothing shared with the script
+function copy(value) {
+  const json = JSON.stringify(value);
+  return json === undefined ? undefined : JSON.parse(json);
+}
+
+
+//string bodies that are really json
+function parseBody(data) {
+  if (typeof data !== 'string') {
+    return data;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+
+//expect(actual, label).toBe(expected) style checks
+//failures are recorded as assertion results, never thrown
+function createExpect(results) {
+  return (actual, label) => {
+    const check = (name, expected, passed, hasExpected = true) => {
+      const expression = label || `expect ${formatValue(actual)} ${name}${hasExpected ? ` ${formatValue(expected)}` : ''}`;
+
+      results.push({
+        expression: `script: ${expression}`,
+        passed: Boolean(passed),
+        actual: actual === undefined ? null : copy(actual),
+        message: passed ? null : `got ${formatValue(actual)}`
+      });
+    };
+
+    return {
+      toBe: (expected) => check('toBe', expected, Object.is(actual, expected)),
+      toEqual: (expected) => check('toEqual', expected, formatValue(actual) === formatValue(expected)),
+      toContain: (expected) => check('toContain', expected, actual != null && typeof actual.includes === 'function' && actual.includes(expected)),
+      toMatch: (expected) => check('toMatch', String(expected), actual != null && new RegExp(expected).test(String(actual))),
+      toBeTruthy: () => check('toBeTruthy', null, Boolean(actual), false),
+      toBeDefined: () => check('toBeDefined', null, actual !== undefined && actual !== null, false),
+      toBeLessThan: (expected) => check('toBeLessThan', expected, Number(actual) < Number(expected)),
+      toBeGreaterThan: (expected) => check('toBeGreaterThan', expected, Number(actual) > Number(expected))
+    };
+  };
+}
+
+
+//hashing helpers, encoding is hex unless given
+const cryptoHelpers = {
+  hmac: (algorithm, key, data, encoding = 'hex') => nodeCrypto.createHmac(algorithm, key).update(String(data)).digest(encoding),
+  hash: (algorithm, data, encoding = 'hex') => nodeCrypto.createHash(algorithm).update(String(data)).digest(encoding),
+  uuid: () => nodeCrypto.randomUUID(),
+  randomHex: (bytes = 16) => nodeCrypto.randomBytes(bytes).toString('hex'),
+  base64: (data) => Buffer.from(String(data)).toString('base64'),
+  fromBase64: (data) => Buffer.from(String(data), 'base64').toString('utf-8')
+};
+
+
+//script result request => config for sendRequest
+function toRequestConfig(req) {
+  if (!req || typeof req !== 'object') {
+    throw new ScriptError('Script replaced req with something that is not an object.');
+  }
+
+  const headers = {};
+  Object.entries(req.headers || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      headers[key] = String(value);
+    }
+  });
+
+  const config = {
+    method: String(req.method || 'GET').toUpperCase(),
+    url: String(req.url),
+    headers: headers,
+    data: req.data
+  };
+
+  //req.auth can be changed or removed by the script like the rest
+  if (req.auth && typeof req.auth === 'object') {
+    config.auth = req.auth;
+  }
+
+  return config;
+}
+
+
+//run a loaded script
+//context = request, response (post only), variables
+//returns {request, variables set by the script, assertions from expect}
+function runScript(loaded, context = {}, options = {}) {
+  const variables = {...(context.variables || {})};
+  const setVariables = {};
+  const assertions = [];
+  const onLog = options.onLog || ((line) => console.error(chalk.gray(`[script] ${line}`)));
+  const log = (...args) => onLog(args.map(arg => (typeof arg === 'string' ? arg : formatValue(arg))).join(' '));
+
+  const sandbox = {
+    req: copy(context.request),
+    env: {
+      get: (key) => variables[key],
+      has: (key) => Object.prototype.hasOwnProperty.call(variables, key),
+      set: (key, value) => {
+        variables[key] = value == null ? '' : String(value);
+        setVariables[key] = variables[key];
+      },
+      //{{KEY}} with current variables, for signing what will be sent
+      replace: (text) => interpolate(text, variables)
+    },
+    expect: createExpect(assertions),
+    crypto: cryptoHelpers,
+    console: {log: log, info: log, warn: log, error: log}
+  };
+
+  if (context.response) {
+    const response = context.response;
+
+    sandbox.res = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: copy(response.headers || {}),
+      body: copy(parseBody(response.data)),
+      durationMs: response.durationMs,
+      header: (name) => getHeader(response.headers, name)
+    };
+  }
+
+  //promises settle inside the time limit too
+  const vmContext = vm.createContext(sandbox, {microtaskMode: 'afterEvaluate'});
+
+  try {
+    loaded.script.runInContext(vmContext, {timeout: options.timeout || SCRIPT_TIMEOUT_MS});
+  } catch (error) {
+    const message = error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+      ? `timed out after ${options.timeout || SCRIPT_TIMEOUT_MS}ms`
+      : (error && error.message) || String(error);
+
+    throw new ScriptError(`Script '${path.basename(loaded.file)}' failed: ${message}`);
+  }
+
+  return {
+    request: context.request ? toRequestConfig(sandbox.req) : null,
+    variables: setVariables,
+    assertions: assertions
+  };
+}
+
+
+module.exports = {
+  SCRIPT_TIMEOUT_MS,
+  loadScript,
+  runScript
+};
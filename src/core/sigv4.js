@@ -0,0 +1,137 @@
+//AWS Signature Version 4 for --auth aws-sigv4
+//signs the method, url, headers and body exactly as they are sent
+//https://docs.aws.amazon.com/IAM/latest/UserGuide/create-signed-request.html
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+//headers proxies and clients may change or add, signing them breaks requests
+const UNSIGNED_HEADERS = ['authorization', 'connection', 'user-agent', 'expect', 'x-amzn-trace-id'];
+
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function hmac(key, text) {
+  return crypto.createHmac('sha256', key).update(text).digest();
+}
+
+
+//encodeURIComponent leaves !'()* alone, aws wants them encoded
+function uriEncode(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+
+//path segments encoded once for s3, twice for every other service
+function canonicalUri(pathname, service) {
+  const segments = (pathname || '/').split('/').map(segment => {
+    const once = uriEncode(safeDecode(segment));
+    return service === 's3' ? once : uriEncode(once);
+  });
+
+  return segments.join('/') || '/';
+}
+
+
+//query parameters encoded and sorted by name, then value
+function canonicalQuery(search) {
+  return search.replace(/^\?/, '')
+    .split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const equalsIndex = pair.indexOf('=');
+      const name = equalsIndex === -1 ? pair : pair.substring(0, equalsIndex);
+      const value = equalsIndex === -1 ? '' : pair.substring(equalsIndex + 1);
+      return [uriEncode(safeDecode(name)), uriEncode(safeDecode(value))];
+    })
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+
+//20150830T123600Z
+function amzDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+
+//auth = region, service, accessKeyId, secretAccessKey, sessionToken, unsignedPayload
+//request = method, url, headers, data
+//returns the headers to add: X-Amz-Date, Authorization and the optional X-Amz-* ones
+function signRequest(auth, request, date = new Date()) {
+  const url = new URL(request.url);
+  const timestamp = amzDate(date);
+  const day = timestamp.substring(0, 8);
+
+  let body = request.data;
+  if (body === undefined || body === null) {
+    body = '';
+  } else if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    body = JSON.stringify(body);
+  }
+
+  const payloadHash = auth.unsignedPayload ? UNSIGNED_PAYLOAD : sha256(body);
+
+  const added = {'X-Amz-Date': timestamp};
+  if (auth.sessionToken) {
+    added['X-Amz-Security-Token'] = auth.sessionToken;
+  }
+  //s3 wants the payload hash as a header too
+  if (auth.service === 's3' || auth.unsignedPayload) {
+    added['X-Amz-Content-Sha256'] = payloadHash;
+  }
+
+  //lower-case names, trimmed values, host first unless the caller set one
+  const signed = {host: url.host};
+  Object.entries({...(request.headers || {}), ...added}).forEach(([name, value]) => {
+    const key = name.toLowerCase();
+    if (!UNSIGNED_HEADERS.includes(key) && value !== undefined && value !== null) {
+      signed[key] = String(value).trim().replace(/\s+/g, ' ');
+    }
+  });
+
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    request.method.toUpperCase(),
+    canonicalUri(url.pathname, auth.service),
+    canonicalQuery(url.search),
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${day}/${auth.region}/${auth.service}/aws4_request`;
+  const stringToSign = [ALGORITHM, timestamp, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['aws4_request', auth.service, auth.region, day]
+    .reduceRight((key, part) => hmac(key, part), `AWS4${auth.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...added,
+    Authorization: `${ALGORITHM} Credential=${auth.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+
+module.exports = {
+  UNSIGNED_PAYLOAD,
+  canonicalUri,
+  canonicalQuery,
+  signRequest
+};
@@ -0,0 +1,116 @@
+//per endpoint statistics over history for api-ex history stats
+
+const {percentile} = require('./bench');
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+//path segments that are ids: numbers, uuids, long hex like mongo ids
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+
+//https://API.example.com/users/42/?page=2 => https://api.example.com/users/:id
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return String(url).split('?')[0];
+  }
+
+  const pathname = parsed.pathname
+    .split('/')
+    .map(segment => ID_SEGMENT.test(segment) ? ':id' : segment)
+    .join('/')
+    .replace(/\/+$/, '');
+
+  return `${parsed.protocol}//${parsed.host}${pathname}`;
+}
+
+
+//saved request name, or method + normalised url for ad-hoc requests
+function groupKey(entry) {
+  return entry.savedRequestName || `${entry.method} ${normalizeUrl(entry.url)}`;
+}
+
+
+//values => one block character each, long runs averaged down to width
+function sparkline(values, width = 20) {
+  if (values.length === 0) {
+    return '';
+  }
+
+  let points = values;
+  if (values.length > width) {
+    points = [];
+    for (let i = 0; i < width; i++) {
+      const chunk = values.slice(Math.floor((i * values.length) / width), Math.floor(((i + 1) * values.length) / width));
+      points.push(chunk.reduce((sum, value) => sum + value, 0) / chunk.length);
+    }
+  }
+
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const top = SPARK_CHARS.length - 1;
+
+  return points
+    .map(value => SPARK_CHARS[max === min ? 0 : Math.round(((value - min) / (max - min)) * top)])
+    .join('');
+}
+
+
+//history entries => groups sorted by count
+//group = key, name, method, url, count, successRate (%), minMs, avgMs, p95Ms, maxMs, first, last
+//options.trend adds a sparkline of durations, oldest to newest
+function summarizeHistory(entries, options = {}) {
+  const byKey = new Map();
+
+  entries
+    .slice()
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(entry => {
+      const key = groupKey(entry);
+      if (!byKey.has(key)) {
+        byKey.set(key, []);
+      }
+      byKey.get(key).push(entry);
+    });
+
+  const groups = [];
+  byKey.forEach((group, key) => {
+    const durations = group.map(entry => entry.durationMs);
+    const sorted = durations.slice().sort((a, b) => a - b);
+    const successes = group.filter(entry => entry.status < 400).length;
+    const latest = group[group.length - 1];
+
+    const summary = {
+      key: key,
+      name: latest.savedRequestName || null,
+      method: latest.method,
+      url: normalizeUrl(latest.url),
+      count: group.length,
+      successRate: Math.round((successes / group.length) * 1000) / 10,
+      minMs: sorted[0],
+      avgMs: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p95Ms: percentile(sorted, 95),
+      maxMs: sorted[sorted.length - 1],
+      first: group[0].timestamp,
+      last: latest.timestamp
+    };
+
+    if (options.trend) {
+      summary.trend = sparkline(durations, options.width);
+    }
+
+    groups.push(summary);
+  });
+
+  return groups.sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+
+module.exports = {
+  normalizeUrl,
+  groupKey,
+  sparkline,
+  summarizeHistory
+};
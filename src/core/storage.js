@@ -11,6 +11,8 @@ let STORAGE_DIR = process.env.API_EX_STORAGE_DIR || path.join(os.homedir(), '.ap
 let DATA_FILE = path.join(STORAGE_DIR, 'data.json');
 let HISTORY_FILE = path.join(STORAGE_DIR, 'history.json');
 let CONFIG_FILE = path.join(STORAGE_DIR, 'config.json');
+let WEBHOOKS_FILE = path.join(STORAGE_DIR, 'webhooks.json');
+let TOKENS_FILE = path.join(STORAGE_DIR, 'tokens.json');
 
 
 //configure storage paths
@@ -20,6 +22,8 @@ function setStorageDir(storageDir) {
   DATA_FILE = path.join(STORAGE_DIR, 'data.json');
   HISTORY_FILE = path.join(STORAGE_DIR, 'history.json');
   CONFIG_FILE = path.join(STORAGE_DIR, 'config.json');
+  WEBHOOKS_FILE = path.join(STORAGE_DIR, 'webhooks.json');
+  TOKENS_FILE = path.join(STORAGE_DIR, 'tokens.json');
 }
 
 
@@ -92,9 +96,9 @@ function saveRequest(request) {
   const requests = db.get('requests').value();
   const existingIndex = requests.findIndex(r => r.name === request.name);
 
-  //update else make new
+  //replace else make new, fields the new request leaves out must not survive
   if (existingIndex !== -1) {
-    db.get('requests').nth(existingIndex).assign(request).write();
+    db.set(['requests', existingIndex], request).write();
 
   } else {
     db.get('requests').push(request).write();
@@ -126,6 +130,13 @@ function saveEnvironment(name, variables) {
 }
 
 
+//add vars to env, keeps existing ones
+function mergeEnvironment(name, variables) {
+  const existing = getEnvironments()[name] || {};
+  saveEnvironment(name, {...existing, ...variables});
+}
+
+
 //remove env
 function removeEnvironment(name) {
   const db = getDb(DATA_FILE, {
@@ -141,6 +152,60 @@ function removeEnvironment(name) {
 }
 
 
+//oauth2 profiles for api-ex auth, name => {grant, tokenUrl, clientId, ...}
+function getAuthProfiles() {
+  const db = getDb(DATA_FILE, {
+    requests: [],
+    environments: {}
+  });
+
+  return db.get('authProfiles').value() || {};
+}
+
+
+//save or replace an oauth2 profile
+function saveAuthProfile(name, profile) {
+  const db = getDb(DATA_FILE, {
+    requests: [],
+    environments: {}
+  });
+
+  db.set(['authProfiles', name], profile).write();
+}
+
+
+function removeAuthProfile(name) {
+  const db = getDb(DATA_FILE, {
+    requests: [],
+    environments: {}
+  });
+
+  if (!getAuthProfiles()[name]) {
+    throw new Error(`Auth profile '${name}' does not exist`);
+  }
+
+  db.unset(['authProfiles', name]).write();
+}
+
+
+//settings in config.json, e.g. {history: {maxEntries: 500}}
+function getSettings() {
+  return getDb(CONFIG_FILE, {}).value();
+}
+
+
+//set one setting, key = path like 'history.maxEntries', undefined removes it
+function saveSetting(key, value) {
+  const db = getDb(CONFIG_FILE, {});
+
+  if (value === undefined) {
+    db.unset(key).write();
+  } else {
+    db.set(key, value).write();
+  }
+}
+
+
 //get storage dir path
 function getStorageDir() {
   return STORAGE_DIR;
@@ -156,6 +221,21 @@ function getHistoryFile() {
   return HISTORY_FILE;
 }
 
+//requests caught by api-ex listen
+function getWebhooksFile() {
+  return WEBHOOKS_FILE;
+}
+
+//cached oauth2 tokens
+function getTokensFile() {
+  return TOKENS_FILE;
+}
+
+//settings file
+function getConfigFile() {
+  return CONFIG_FILE;
+}
+
 
 
 module.exports = {
@@ -166,6 +246,9 @@ module.exports = {
   getStorageDir,
   getDataFile,
   getHistoryFile,
+  getWebhooksFile,
+  getTokensFile,
+  getConfigFile,
   setStorageDir,
   initStorage,
   getRequests,
@@ -173,5 +256,11 @@ module.exports = {
   saveRequest,
   getEnvironments,
   saveEnvironment,
-  removeEnvironment
+  mergeEnvironment,
+  removeEnvironment,
+  getAuthProfiles,
+  saveAuthProfile,
+  removeAuthProfile,
+  getSettings,
+  saveSetting
 };
\ No newline at end of file
@@ -64,6 +64,18 @@ function validateRequestName(name) {
 }
 
 
+// Turn any label (postman item, url path) into a valid request name
+function toRequestName(name) {
+  const cleaned = String(name || 'request')
+    .trim()
+    .replace(/[\/\\:*?"<>|]/g, '-')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return (cleaned || 'request').substring(0, 50);
+}
+
 
 // Validate env name
 function validateEnvironmentName(name) {
@@ -90,6 +102,31 @@ function validateEnvironmentName(name) {
 
 
 
+// Validate auth profile name
+function validateProfileName(name) {
+  if (!name || typeof name !== 'string') {
+    throw new ValidationError('Profile name is required.');
+  }
+
+  const trimmedName = name.trim();
+
+  if (!trimmedName) {
+    throw new ValidationError('Profile name cannot be empty.');
+  }
+
+  if (trimmedName.length > 50) {
+    throw new ValidationError('Profile name too long (max 50 characters).');
+  }
+
+  if (/[\/\\:*?"<>|]/.test(trimmedName)) {
+    throw new ValidationError('Profile name contains invalid characters (/, \\, :, *, ?, ", <, >, |).');
+  }
+
+  return trimmedName;
+}
+
+
+
 // Validate HTTP method
 function validateHttpMethod(method) {
   const validMethods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
@@ -117,6 +154,40 @@ function validateTimeout(timeout) {
   return num;
 }
 
+// Validate whole number options like --iterations and --delay
+function validateInteger(value, label, min = 0) {
+  const text = String(value).trim();
+  const num = Number(text);
+
+  if (!/^-?\d+$/.test(text) || num < min) {
+    throw new ValidationError(`${label} must be a whole number of at least ${min}.`);
+  }
+
+  return num;
+}
+
+// Validate HTTP status codes like --status and --example-status
+function validateStatusCode(value, label = 'Status') {
+  const status = validateInteger(value, label, 100);
+
+  if (status > 599) {
+    throw new ValidationError(`${label} must be between 100 and 599.`);
+  }
+
+  return status;
+}
+
+// Validate --port for local servers, 0 picks a free port
+function validatePort(value) {
+  const port = validateInteger(value, 'Port', 0);
+
+  if (port > 65535) {
+    throw new ValidationError('Port must be between 0 and 65535.');
+  }
+
+  return port;
+}
+
 // Validate URL and provide helpful message
 function validateUrl(url, allowPlaceholders = true) {
   if (!url || typeof url !== 'string') {
@@ -168,9 +239,14 @@ module.exports = {
   isValidUrl,
   isValidJson,
   validateRequestName,
+  toRequestName,
   validateEnvironmentName,
+  validateProfileName,
   validateHttpMethod,
   validateTimeout,
+  validateInteger,
+  validateStatusCode,
+  validatePort,
   validateUrl,
   validateJsonData
 };
@@ -0,0 +1,73 @@
+//requests caught by api-ex listen
+//kept in webhooks.json next to history, newest last, capped at MAX_WEBHOOKS
+
+const crypto = require('crypto');
+const low = require('lowdb');
+const FileSync = require('lowdb/adapters/FileSync');
+const storage = require('./storage');
+
+const MAX_WEBHOOKS = 500;
+
+
+function getWebhooksDb() {
+  const adapter = new FileSync(storage.getWebhooksFile());
+  const db = low(adapter);
+
+  db.defaults({webhooks: []}).write();
+  return db;
+}
+
+
+//entry = method, path, query, headers, body, bodyEncoding, status, forward
+//returns the stored entry with id and receivedAt
+function recordWebhook(entry) {
+  if (!entry) {
+    throw new Error('Webhook entry is required');
+  }
+
+  const db = getWebhooksDb();
+  const stored = {
+    id: crypto.randomBytes(4).toString('hex'),
+    receivedAt: new Date().toISOString(),
+    ...entry
+  };
+
+  const webhooks = db.get('webhooks').value();
+  webhooks.push(stored);
+  db.set('webhooks', webhooks.slice(-MAX_WEBHOOKS)).write();
+
+  return stored;
+}
+
+
+//newest first
+function getWebhooks(options = {}) {
+  const webhooks = getWebhooksDb().get('webhooks').value().slice().reverse();
+  const limit = options.limit !== undefined ? options.limit : 20;
+
+  return webhooks.slice(0, limit);
+}
+
+
+function getWebhookById(id) {
+  return getWebhooksDb().get('webhooks').find({id}).value() || null;
+}
+
+
+//returns how many were removed
+function clearWebhooks() {
+  const db = getWebhooksDb();
+  const count = db.get('webhooks').value().length;
+
+  db.set('webhooks', []).write();
+  return count;
+}
+
+
+module.exports = {
+  MAX_WEBHOOKS,
+  recordWebhook,
+  getWebhooks,
+  getWebhookById,
+  clearWebhooks
+};
@@ -50,10 +50,18 @@ program.hook('preAction', (thisCommand, actionCommand) => {
 require('./commands/request')(program);
 require('./commands/save')(program);
 require('./commands/run')(program);
+require('./commands/run-all')(program);
 require('./commands/ls')(program);
 require('./commands/env')(program);
+require('./commands/auth')(program);
 require('./commands/gql')(program);
 require('./commands/history')(program);
+require('./commands/import')(program);
+require('./commands/export')(program);
+require('./commands/bench')(program);
+require('./commands/mock')(program);
+require('./commands/proxy')(program);
+require('./commands/listen')(program);
 
 program.parse(process.argv);
 